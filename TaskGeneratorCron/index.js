@@ -1,6 +1,6 @@
 /**
  * @file index.js
- * @version 11.0-system-tasks-added (Complete)
+ * @version 11.1-budget-forecast
  * @description [架构升级] 统一的任务调度中心，通过单一API入口和action参数进行任务分发。
  * - [功能] 支持定时触发，执行核心的任务扫描和生成逻辑。
  * - [功能] 支持单一API入口 (POST /tasks-service)
@@ -8,12 +8,13 @@
  * - action: 'getLogs' -> 获取最近的运行记录。
  * - [功能] 每次运行都会将结果写入日志。
  * - [新增 @ 2025-09-16] 增加了系统级任务：每周一提醒更新达人Performance，每月2号提醒更新达人价格。
+ * - [v11.1 预算预警] 按"已确认 + 管线中（待提报等）"合作预测项目收入：预计超出预算时生成 PROJECT_BUDGET_EXCEEDED 任务，
+ *   预计使用率达到 BUDGET_ALERTS 配置的阈值（默认 90%）时生成 PROJECT_BUDGET_THRESHOLD 任务；任务 details 中附带预测明细。
  */
-const { MongoClient } = require('mongodb');
-
-// --- 配置项 ---
-const MONGO_URI = process.env.MONGO_URI;
-const DB_NAME = process.env.MONGO_DB_NAME || 'kol_data';
+const {
+    createHandler, getDb, respond, AppError, WRITE_ROLES,
+    calculateBudgetForecast, loadFinanceRuleSets, resolveProjectFinanceRules, DEFAULT_BUDGET_ALERT_THRESHOLD
+} = require('kol-common');
 
 // --- 数据库集合名称 ---
 const PROJECTS_COLLECTION = 'projects';
@@ -22,8 +23,8 @@ const WORKS_COLLECTION = 'works';
 const TASKS_COLLECTION = 'tasks';
 const TALENTS_COLLECTION = 'talents'; // [新增] 达人集合
 const LOGS_COLLECTION = 'task_run_logs'; // 日志集合
+const CONFIGURATIONS_COLLECTION = 'project_configurations';
 
-let client;
 // 将 CoreServices 直接内联，因为当前只有此文件使用
 const CoreServices = {
     TaskService: {
@@ -32,15 +33,6 @@ const CoreServices = {
     }
 };
 
-async function connectToDatabase() {
-    if (client && client.topology && client.topology.isConnected()) {
-        return client;
-    }
-    client = new MongoClient(MONGO_URI);
-    await client.connect();
-    return client;
-}
-
 // =================================================================
 // --- 核心服务实现 (内联) ---
 // =================================================================
@@ -56,6 +48,9 @@ CoreServices.TaskService.createOrUpdateTask = async function(db, taskData) {
     if (taskData.dueDate) {
         taskPayload.dueDate = taskData.dueDate;
     }
+    if (taskData.details) {
+        taskPayload.details = taskData.details;
+    }
     await tasksCol.updateOne(
         taskIdentifier,
         { $set: taskPayload, $setOnInsert: { createdAt: new Date() } },
@@ -75,24 +70,13 @@ CoreServices.TaskService.completeTask = async function(db, projectId, taskType)
 // =================================================================
 // --- 云函数主入口 ---
 // =================================================================
-exports.handler = async (event, context) => {
-    const headers = {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
-        'Access-Control-Allow-Methods': 'POST, OPTIONS',
-        'Content-Type': 'application/json'
-    };
-
-    if (event.httpMethod === 'OPTIONS') {
-        return { statusCode: 204, headers, body: '' };
-    }
-    
-    const dbClient = await connectToDatabase();
-    const db = dbClient.db(DB_NAME);
+// 定时触发时 event 不带 httpMethod：scheduled: true 让共享运行时跳过方法与登录校验，直接进入扫描逻辑
+exports.handler = createHandler({ name: 'TaskGeneratorCron', methods: ['POST'], roles: WRITE_ROLES, scheduled: true }, async (req) => {
+    const db = await getDb();
 
     // --- API 调用处理 ---
-    if (event.httpMethod === 'POST') {
-        const body = JSON.parse(event.body || '{}');
+    if (req.method === 'POST') {
+        const body = req.body;
         const action = body.action;
 
         switch (action) {
@@ -101,30 +85,22 @@ exports.handler = async (event, context) => {
                     const logsCollection = db.collection(LOGS_COLLECTION);
                     const limit = body.limit || 10;
                     const logs = await logsCollection.find({}).sort({ timestamp: -1 }).limit(limit).toArray();
-                    return {
-                        statusCode: 200,
-                        headers,
-                        body: JSON.stringify({ success: true, data: logs })
-                    };
+                    return respond(200, { success: true, data: logs });
                 } catch (error) {
                     console.error('Error fetching logs:', error);
-                    return { statusCode: 500, headers, body: JSON.stringify({ success: false, message: '获取日志失败' }) };
+                    throw new AppError('获取日志失败', 500);
                 }
             
             case 'triggerScan':
                 break;
 
             default:
-                return {
-                    statusCode: 400,
-                    headers,
-                    body: JSON.stringify({ success: false, message: '无效的action参数' })
-                };
+                throw new AppError('无效的action参数', 400);
         }
     }
 
     // --- 任务扫描逻辑 (定时触发 或 手动触发'triggerScan') ---
-    const isApiCall = event && event.httpMethod === 'POST';
+    const isApiCall = req.method === 'POST';
     const triggerType = isApiCall ? 'MANUAL' : 'SCHEDULED';
     let logPayload = {
         timestamp: new Date(),
@@ -162,6 +138,22 @@ exports.handler = async (event, context) => {
         const today = new Date();
         today.setHours(0, 0, 0, 0);
 
+        // [v11.1] 预算预测所需的配置：财务规则（税费系数）与预警阈值
+        const [financeRuleSets, budgetAlertConfig] = await Promise.all([
+            loadFinanceRuleSets(db),
+            db.collection(CONFIGURATIONS_COLLECTION).findOne({ _id: 'BUDGET_ALERTS' })
+        ]);
+        const budgetAlertThreshold = Number(budgetAlertConfig?.settings?.thresholdPercent) || DEFAULT_BUDGET_ALERT_THRESHOLD;
+        const forecastCache = new Map();
+        const getBudgetForecast = (project, projectCollabs) => {
+            if (!(Number(project.budget) > 0)) return null; // 未设置预算的项目不做预警
+            if (!forecastCache.has(project.id)) {
+                const rules = resolveProjectFinanceRules(financeRuleSets, project);
+                forecastCache.set(project.id, calculateBudgetForecast(project, projectCollabs, rules));
+            }
+            return forecastCache.get(project.id);
+        };
+
         const projectTaskRules = [
             {
                 type: 'PROJECT_PENDING_PUBLISH',
@@ -239,6 +231,34 @@ exports.handler = async (event, context) => {
                     title: '项目待定案',
                     description: `项目 [${project.name}] 的T+21数据周期已结束，请确认最终数据，发送结算邮件，并将项目状态更新为‘待结算’。`
                 })
+            },
+            {
+                type: 'PROJECT_BUDGET_EXCEEDED',
+                condition: (project, projectCollabs) => {
+                    const forecast = getBudgetForecast(project, projectCollabs);
+                    return forecast && forecast.forecastIncome > forecast.budget ? forecast : null;
+                },
+                generatePayload: (project, forecast) => ({
+                    title: '[告警] 预计超出项目预算',
+                    description: `项目 [${project.name}] 预计收入 ${forecast.forecastIncome} 元，超出预算 ${Math.abs(forecast.remainingBudget)} 元`
+                        + `（已确认 ${forecast.confirmedIncome} 元 / ${forecast.confirmedCount} 位达人，管线中 ${forecast.pipelineIncome} 元 / ${forecast.pipelineCount} 位达人）。`,
+                    details: forecast
+                })
+            },
+            {
+                type: 'PROJECT_BUDGET_THRESHOLD',
+                condition: (project, projectCollabs) => {
+                    const forecast = getBudgetForecast(project, projectCollabs);
+                    // 已超出预算时只保留 PROJECT_BUDGET_EXCEEDED 任务
+                    if (!forecast || forecast.forecastIncome > forecast.budget) return null;
+                    return forecast.forecastUtilization >= budgetAlertThreshold ? forecast : null;
+                },
+                generatePayload: (project, forecast) => ({
+                    title: '预算使用率预警',
+                    description: `项目 [${project.name}] 预计预算使用率 ${forecast.forecastUtilization}%，已达到预警阈值 ${budgetAlertThreshold}%`
+                        + `（已确认 ${forecast.confirmedUtilization}%，剩余预算 ${forecast.remainingBudget} 元）。`,
+                    details: { ...forecast, thresholdPercent: budgetAlertThreshold }
+                })
             }
         ];
 
@@ -338,10 +358,6 @@ exports.handler = async (event, context) => {
     }
 
     if (isApiCall) {
-        return {
-            statusCode: 200,
-            headers,
-            body: JSON.stringify({ success: true, message: '手动触发成功，扫描任务已在后台完成。' })
-        };
+        return respond(200, { success: true, message: '手动触发成功，扫描任务已在后台完成。' });
     }
-};
+});
@@ -0,0 +1,153 @@
+/**
+ * @file authSession/index.js
+ * @version 1.2.0
+ * @description 登录与用户角色管理。
+ * - [POST] 使用飞书 OAuth 授权码 `code` 换取用户身份，写入 users 集合后签发系统 JWT。
+ * - [GET] 返回当前登录用户的信息与角色。
+ * - [PUT] 管理员为指定用户设置角色 / 停用账号: { openId, roles, active }。
+ * - 新用户默认角色由 AUTH_DEFAULT_ROLE 决定（默认 viewer）；AUTH_BOOTSTRAP_ADMINS 中列出的 open_id 首次登录即为 admin。
+ * - [v1.1 审计] 角色变更与停用 / 启用账号写入 audit_events（entityType = user，记录变更前后的 roles 与 active）。
+ * - [v1.2] 飞书 OAuth 调用改用 kol-common 的 feishuRequest（auth: false，显式携带 app / user access token），获得统一的超时、频率限制重试与 FeishuApiError；
+ *   授权码换取 user_access_token 为非幂等请求，只在频率限制与未建立连接时重试。
+ */
+const {
+    createHandler, getDb, respond, AppError, recordAudit, AUDIT_ACTIONS,
+    authenticate, requireRole, signToken, ROLES, ADMIN_ONLY, feishuRequest, FeishuApiError,
+} = require('kol-common');
+
+const APP_ID = process.env.FEISHU_APP_ID;
+const APP_SECRET = process.env.FEISHU_APP_SECRET;
+const USERS_COLLECTION = 'users';
+const VALID_ROLES = Object.values(ROLES);
+
+/**
+ * 使用飞书授权码换取用户信息
+ * @param {string} code - 前端飞书登录回调中拿到的授权码
+ * @returns {Promise<{ open_id: string, name: string, avatar_url?: string }>}
+ */
+async function exchangeCodeForUser(code) {
+    if (!APP_ID || !APP_SECRET) {
+        throw new AppError('环境变量 FEISHU_APP_ID 或 FEISHU_APP_SECRET 未配置。', 500, 'CONFIG_ERROR');
+    }
+
+    const { app_access_token: appAccessToken } = await feishuRequest('post', '/auth/v3/app_access_token/internal', {
+        auth: false,
+        data: { app_id: APP_ID, app_secret: APP_SECRET },
+        unwrap: false,
+        idempotent: true,
+    });
+
+    let userToken;
+    try {
+        // 授权码只能使用一次，按非幂等请求处理
+        userToken = await feishuRequest('post', '/authen/v1/oidc/access_token', {
+            auth: false,
+            headers: { 'Authorization': `Bearer ${appAccessToken}` },
+            data: { grant_type: 'authorization_code', code },
+        });
+    } catch (error) {
+        if (error instanceof FeishuApiError && error.code === 'FEISHU_API_ERROR' && error.feishuCode !== undefined) {
+            throw new AppError(`飞书授权码无效或已过期: ${error.message}`, 401, 'INVALID_CODE');
+        }
+        throw error;
+    }
+
+    return feishuRequest('get', '/authen/v1/user_info', {
+        auth: false,
+        headers: { 'Authorization': `Bearer ${userToken.access_token}` },
+    });
+}
+
+function getInitialRoles(openId) {
+    const bootstrapAdmins = (process.env.AUTH_BOOTSTRAP_ADMINS || '').split(',').map(s => s.trim()).filter(Boolean);
+    if (bootstrapAdmins.includes(openId)) return [ROLES.ADMIN];
+    const defaultRole = process.env.AUTH_DEFAULT_ROLE;
+    return [VALID_ROLES.includes(defaultRole) ? defaultRole : ROLES.VIEWER];
+}
+
+async function handleLogin(req, usersCollection) {
+    const { code } = req.body;
+    if (!code) {
+        throw new AppError('请求体中缺少飞书授权码 (code)。', 400);
+    }
+
+    const feishuUser = await exchangeCodeForUser(code);
+    const now = new Date();
+    const user = await usersCollection.findOneAndUpdate(
+        { feishuOpenId: feishuUser.open_id },
+        {
+            $set: { name: feishuUser.name, avatarUrl: feishuUser.avatar_url || null, lastLoginAt: now },
+            $setOnInsert: { feishuOpenId: feishuUser.open_id, roles: getInitialRoles(feishuUser.open_id), active: true, createdAt: now },
+        },
+        { upsert: true, returnDocument: 'after' }
+    );
+
+    if (user.active === false) {
+        throw new AppError('该账号已被停用，请联系管理员。', 403);
+    }
+
+    const token = signToken({ sub: user.feishuOpenId, name: user.name, roles: user.roles, src: 'feishu' });
+    return respond(200, {
+        success: true,
+        data: {
+            token,
+            user: { id: user.feishuOpenId, name: user.name, avatarUrl: user.avatarUrl, roles: user.roles },
+        },
+    });
+}
+
+// 审计只关注权限相关的字段
+const accessOf = (user) => ({ roles: user.roles || [], active: user.active !== false });
+
+async function handleUpdateRoles(req, db, usersCollection) {
+    requireRole(req.user, ADMIN_ONLY);
+
+    const { openId, roles, active } = req.body;
+    if (!openId) {
+        throw new AppError('请求体中缺少用户 openId。', 400);
+    }
+
+    const updateFields = { updatedAt: new Date(), updatedBy: req.user.id };
+    if (roles !== undefined) {
+        if (!Array.isArray(roles) || roles.length === 0 || roles.some(role => !VALID_ROLES.includes(role))) {
+            throw new AppError(`roles 必须是非空数组，可选值: ${VALID_ROLES.join(', ')}。`, 400);
+        }
+        updateFields.roles = roles;
+    }
+    if (active !== undefined) {
+        updateFields.active = Boolean(active);
+    }
+
+    const previousUser = await usersCollection.findOneAndUpdate({ feishuOpenId: openId }, { $set: updateFields }, { returnDocument: 'before' });
+    if (!previousUser) {
+        throw new AppError(`未找到用户: ${openId}`, 404);
+    }
+    await recordAudit(db, req, {
+        entityType: 'user',
+        entityId: openId,
+        action: AUDIT_ACTIONS.UPDATE,
+        before: accessOf(previousUser),
+        after: accessOf({ ...previousUser, ...updateFields }),
+        meta: { name: previousUser.name }
+    });
+    // 已签发的 token 在过期前仍携带旧角色，新角色在用户下次登录后生效
+    return respond(200, { success: true, message: '用户角色已更新，将在该用户下次登录后生效。' });
+}
+
+// 登录接口本身无需凭证，其余方法在函数内自行校验
+exports.handler = createHandler({ name: 'authSession', methods: ['GET', 'POST', 'PUT'], public: true }, async (req) => {
+    const db = await getDb();
+    const usersCollection = db.collection(USERS_COLLECTION);
+
+    if (req.method === 'POST') {
+        return handleLogin(req, usersCollection);
+    }
+
+    req.user = authenticate(req);
+
+    if (req.method === 'PUT') {
+        return handleUpdateRoles(req, db, usersCollection);
+    }
+
+    return respond(200, { success: true, data: req.user });
+});
@@ -1,159 +1,98 @@
 /**
  * @file Cloud Function: automation-workflows
- * @version 2.1 - Composite Workflow Support
+ * @version 2.2 - Audit Events
  * @description Manages CRUD operations for automation workflows.
+ * --- UPDATE (v2.2) ---
+ * - [审计] 新建、修改与删除工作流写入 audit_events（entityType = automationWorkflow）。
  * --- UPDATE (v2.1) ---
  * - [功能增强] 在 POST 和 PUT 方法中，正式加入了对 `composite` 类型的支持。
  * - 这使得前端可以创建包含多种原子能力（如截图和数据抓取）的组合工作流。
  */
-const { MongoClient, ObjectId } = require('mongodb');
+const { createHandler, getDb, respond, AppError, ObjectId, ANY_ROLE, WRITE_ROLES, recordAudit, AUDIT_ACTIONS } = require('kol-common');
 
-// Environment variables should be configured in the cloud function settings
-const MONGO_URI = process.env.MONGO_URI;
-const DB_NAME = process.env.DB_NAME || 'kol_data';
 const COLLECTION_NAME = 'automation-workflows';
 
-let cachedDb = null;
-
-/**
- * Connects to the MongoDB database.
- * @returns {Promise<Db>} A promise that resolves to the database instance.
- */
-async function connectToDatabase() {
-    if (cachedDb) {
-        return cachedDb;
-    }
-    const client = new MongoClient(MONGO_URI, { connectTimeoutMS: 5000, serverSelectionTimeoutMS: 5000 });
-    try {
-        await client.connect();
-        const db = client.db(DB_NAME);
-        cachedDb = db;
-        console.log("Successfully connected to MongoDB.");
-        return db;
-    } catch (err) {
-        console.error("Failed to connect to MongoDB", err);
-        throw new Error("Unable to connect to the database.");
-    }
-}
-
 /**
  * The main handler for the cloud function, compatible with API Gateway trigger.
- * @param {object} event - The event object from the API gateway.
- * @param {object} context - The context object from the runtime.
+ * CORS, request parsing and error responses are provided by the shared kol-common runtime.
+ * @param {object} req - The normalized request produced by kol-common.
  * @returns {Promise<object>} A promise that resolves to the HTTP response object.
  */
-module.exports.handler = async (event, context) => {
-    const headers = {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type',
-        'Content-Type': 'application/json'
-    };
+module.exports.handler = createHandler({ name: 'automation-workflows', methods: ['GET', 'POST', 'PUT', 'DELETE'], roles: { GET: ANY_ROLE, default: WRITE_ROLES } }, async (req) => {
+    const db = await getDb();
+    const collection = db.collection(COLLECTION_NAME);
+    const body = req.body;
+    
+    // --- MODIFICATION: Extract ID from query params for DELETE/PUT ---
+    const workflowIdFromQuery = req.query.id;
 
-    if (event.httpMethod === 'OPTIONS') {
-        return {
-            statusCode: 204,
-            headers,
-            body: ''
-        };
-    }
+    switch (req.method) {
+        case 'GET': {
+            const workflows = await collection.find({}).sort({ createdAt: -1 }).toArray();
+            return respond(200, { success: true, data: workflows });
+        }
 
-    try {
-        const db = await connectToDatabase();
-        const collection = db.collection(COLLECTION_NAME);
-        const body = event.body ? JSON.parse(event.body) : {};
+        case 'POST': {
+            if (!body.name || !body.steps || !Array.isArray(body.steps)) {
+                throw new AppError('Missing required fields: name and steps array.', 400);
+            }
+            const newWorkflow = {
+                name: body.name,
+                description: body.description || '',
+                type: body.type || 'screenshot', // Allows 'screenshot', 'data_scraping', or 'composite'
+                steps: body.steps,
+                createdAt: new Date(),
+                updatedAt: new Date()
+            };
+            const createResult = await collection.insertOne(newWorkflow);
+            await recordAudit(db, req, { entityType: 'automationWorkflow', entityId: createResult.insertedId, action: AUDIT_ACTIONS.CREATE, after: newWorkflow });
+            return respond(201, { success: true, data: { insertedId: createResult.insertedId } });
+        }
         
-        // --- MODIFICATION: Extract ID from query params for DELETE/PUT ---
-        const workflowIdFromQuery = event.queryStringParameters?.id;
-
-        switch (event.httpMethod) {
-            case 'GET': {
-                const workflows = await collection.find({}).sort({ createdAt: -1 }).toArray();
-                return {
-                    statusCode: 200,
-                    headers,
-                    body: JSON.stringify({ success: true, data: workflows })
-                };
+        case 'PUT': {
+            // Use ID from query parameter if available, fallback to body
+            const workflowIdToUpdate = workflowIdFromQuery || body._id;
+            if (!workflowIdToUpdate) {
+                throw new AppError('Workflow ID is required for updates.', 400);
             }
-
-            case 'POST': {
-                if (!body.name || !body.steps || !Array.isArray(body.steps)) {
-                    return { statusCode: 400, headers, body: JSON.stringify({ success: false, message: 'Missing required fields: name and steps array.' }) };
-                }
-                const newWorkflow = {
-                    name: body.name,
-                    description: body.description || '',
-                    type: body.type || 'screenshot', // Allows 'screenshot', 'data_scraping', or 'composite'
-                    steps: body.steps,
-                    createdAt: new Date(),
-                    updatedAt: new Date()
-                };
-                const createResult = await collection.insertOne(newWorkflow);
-                return {
-                    statusCode: 201,
-                    headers,
-                    body: JSON.stringify({ success: true, data: { insertedId: createResult.insertedId } })
-                };
+            if (!ObjectId.isValid(workflowIdToUpdate)) {
+                throw new AppError('Invalid Workflow ID format.', 400);
             }
-            
-            case 'PUT': {
-                // Use ID from query parameter if available, fallback to body
-                const workflowIdToUpdate = workflowIdFromQuery || body._id;
-                if (!workflowIdToUpdate) {
-                    return { statusCode: 400, headers, body: JSON.stringify({ success: false, message: 'Workflow ID is required for updates.' }) };
-                }
-                if (!ObjectId.isValid(workflowIdToUpdate)) {
-                     return { statusCode: 400, headers, body: JSON.stringify({ success: false, message: 'Invalid Workflow ID format.' }) };
-                }
 
-                delete body._id; // Ensure _id is not in the $set operator
-                const updateData = { ...body, updatedAt: new Date() };
-                
-                const updateResult = await collection.updateOne(
-                    { _id: new ObjectId(workflowIdToUpdate) },
-                    { $set: updateData }
-                );
+            delete body._id; // Ensure _id is not in the $set operator
+            const updateData = { ...body, updatedAt: new Date() };
+            
+            const previousWorkflow = await collection.findOneAndUpdate(
+                { _id: new ObjectId(workflowIdToUpdate) },
+                { $set: updateData },
+                { returnDocument: 'before' }
+            );
 
-                if (updateResult.matchedCount === 0) {
-                    return { statusCode: 404, headers, body: JSON.stringify({ success: false, message: 'Workflow not found.' }) };
-                }
-                return { statusCode: 200, headers, body: JSON.stringify({ success: true, data: { updatedId: workflowIdToUpdate } }) };
+            if (!previousWorkflow) {
+                throw new AppError('Workflow not found.', 404);
             }
+            await recordAudit(db, req, { entityType: 'automationWorkflow', entityId: workflowIdToUpdate, action: AUDIT_ACTIONS.UPDATE, before: previousWorkflow, after: { ...previousWorkflow, ...updateData } });
+            return respond(200, { success: true, data: { updatedId: workflowIdToUpdate } });
+        }
 
-            case 'DELETE': {
-                 if (!workflowIdFromQuery) {
-                    return { statusCode: 400, headers, body: JSON.stringify({ success: false, message: 'Workflow ID is required in query parameter for deletion.' }) };
-                }
-                 if (!ObjectId.isValid(workflowIdFromQuery)) {
-                     return { statusCode: 400, headers, body: JSON.stringify({ success: false, message: 'Invalid Workflow ID format.' }) };
-                }
+        case 'DELETE': {
+            if (!workflowIdFromQuery) {
+                throw new AppError('Workflow ID is required in query parameter for deletion.', 400);
+            }
+            if (!ObjectId.isValid(workflowIdFromQuery)) {
+                throw new AppError('Invalid Workflow ID format.', 400);
+            }
 
-                const deleteResult = await collection.deleteOne({ _id: new ObjectId(workflowIdFromQuery) });
+            const deletedWorkflow = await collection.findOneAndDelete({ _id: new ObjectId(workflowIdFromQuery) });
 
-                if (deleteResult.deletedCount === 0) {
-                    return { statusCode: 404, headers, body: JSON.stringify({ success: false, message: 'Workflow not found.' }) };
-                }
-                return { statusCode: 204, headers, body: '' }; // Use 204 for successful deletion
+            if (!deletedWorkflow) {
+                throw new AppError('Workflow not found.', 404);
             }
-
-            default:
-                return {
-                    statusCode: 405,
-                    headers,
-                    body: JSON.stringify({ success: false, message: `Method Not Allowed: ${event.httpMethod}` })
-                };
+            await recordAudit(db, req, { entityType: 'automationWorkflow', entityId: workflowIdFromQuery, action: AUDIT_ACTIONS.DELETE, before: deletedWorkflow });
+            return respond(204, ''); // Use 204 for successful deletion
         }
-    } catch (error) {
-        console.error('Error processing request:', error);
-        const responseBody = {
-            success: false,
-            message: 'An internal server error occurred.',
-            error: error.message
-        };
-        return {
-            statusCode: 500,
-            headers,
-            body: JSON.stringify(responseBody)
-        };
+
+        default:
+            throw new AppError(`Method Not Allowed: ${req.method}`, 405);
     }
-};
+});
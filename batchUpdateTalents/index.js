@@ -3,26 +3,16 @@
  * 描述：根据筛选条件，高性能地批量统一更新达人信息。
  * 触发器：API 网关, 通过 POST /talents/batch-update 路径调用。
  * 核心逻辑：接收筛选条件和更新数据，在数据库层面直接执行 updateMany 操作。
+ * 审计：更新前读取命中达人的相关字段，逐条将差异写入 audit_events；updateData 中的点号路径（如 performanceData.cpm60s）按路径记录前后值。
  */
 
-const { MongoClient } = require('mongodb');
+const { createHandler, getDb, respond, AppError, recordAudit, AUDIT_ACTIONS, ADMIN_ONLY } = require('kol-common');
 
 // [规范统一] 参照 updatetalent.js，从环境变量中获取配置
-const MONGO_URI = process.env.MONGO_URI;
-const DB_NAME = process.env.MONGO_DB_NAME || 'kol_data';
 const TALENTS_COLLECTION = process.env.MONGO_TALENTS_COLLECTION || 'talents';
 
-let client;
-
-// [规范统一] 共享的数据库连接函数
-async function connectToDatabase() {
-  if (client && client.topology && client.topology.isConnected()) {
-    return client;
-  }
-  client = new MongoClient(MONGO_URI);
-  await client.connect();
-  return client;
-}
+// 按点号路径读取字段：投影 { 'performanceData.cpm60s': 1 } 返回的是嵌套对象
+const readField = (doc, path) => path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), doc);
 
 /**
  * [核心] 将前端筛选条件对象转换为 MongoDB 查询语句
@@ -78,75 +68,64 @@ function buildMongoQuery(filters) {
 }
 
 
-exports.handler = async (event, context) => {
-  // [规范统一] 标准响应头
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Content-Type': 'application/json'
-  };
+exports.handler = createHandler({ name: 'batchUpdateTalents', methods: ['POST'], roles: ADMIN_ONLY }, async (req) => {
+  const { filters, updateData } = req.body;
 
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 204, headers, body: '' };
+  // --- [安全校验] ---
+  if (!filters || typeof filters !== 'object' || Object.keys(filters).length === 0) {
+      throw new AppError('请求体必须包含一个名为 "filters" 的非空对象。为防止意外更新全库，筛选条件不能为空。', 400);
+  }
+  if (!updateData || typeof updateData !== 'object' || Object.keys(updateData).length === 0) {
+      throw new AppError('请求体必须包含一个名为 "updateData" 的非空对象。', 400);
   }
   
-  if (event.httpMethod !== 'POST') {
-    return { statusCode: 405, headers, body: JSON.stringify({ success: false, message: 'Method Not Allowed' }) };
+  // [安全设计] 黑名单，禁止通过此接口更新关键标识符
+  const forbiddenFields = ['id', '_id', 'xingtuId', 'createdAt'];
+  for (const field of forbiddenFields) {
+      if (field in updateData) {
+          throw new AppError(`不允许通过此接口更新受保护的字段: ${field}`, 400);
+      }
   }
 
-  try {
-    const { filters, updateData } = JSON.parse(event.body || '{}');
-
-    // --- [安全校验] ---
-    if (!filters || typeof filters !== 'object' || Object.keys(filters).length === 0) {
-        return { statusCode: 400, headers, body: JSON.stringify({ success: false, message: '请求体必须包含一个名为 "filters" 的非空对象。为防止意外更新全库，筛选条件不能为空。' }) };
-    }
-    if (!updateData || typeof updateData !== 'object' || Object.keys(updateData).length === 0) {
-        return { statusCode: 400, headers, body: JSON.stringify({ success: false, message: '请求体必须包含一个名为 "updateData" 的非空对象。' }) };
-    }
-    
-    // [安全设计] 黑名单，禁止通过此接口更新关键标识符
-    const forbiddenFields = ['id', '_id', 'xingtuId', 'createdAt'];
-    for (const field of forbiddenFields) {
-        if (field in updateData) {
-            return { statusCode: 400, headers, body: JSON.stringify({ success: false, message: `不允许通过此接口更新受保护的字段: ${field}` }) };
-        }
+  const db = await getDb();
+  const collection = db.collection(TALENTS_COLLECTION);
+  
+  // --- 核心逻辑 ---
+  // 1. 构建查询
+  const mongoQuery = buildMongoQuery(filters);
+
+  // 2. 构建更新操作
+  const updatePayload = {
+      $set: {
+          ...updateData,
+          updatedAt: new Date()
+      }
+  };
+  
+  // 3. 记录更新前的相关字段，用于审计
+  const projection = { _id: 0, id: 1 };
+  Object.keys(updateData).forEach(field => { projection[field] = 1; });
+  const affectedTalents = await collection.find(mongoQuery, { projection }).toArray();
+
+  // 4. 执行批量更新
+  const result = await collection.updateMany(mongoQuery, updatePayload);
+
+  const updatedFields = Object.keys(updateData);
+  await recordAudit(db, req, affectedTalents.map(talent => ({
+      entityType: 'talent',
+      entityId: talent.id,
+      action: AUDIT_ACTIONS.UPDATE,
+      before: Object.fromEntries(updatedFields.map(field => [field, readField(talent, field)])),
+      after: { ...updateData },
+      meta: { filters },
+  })));
+
+  // --- 构造成功响应 ---
+  return respond(200, {
+    success: true,
+    message: '批量统一更新操作成功完成。',
+    data: {
+      updated: result.modifiedCount
     }
-
-    const dbClient = await connectToDatabase();
-    const collection = dbClient.db(DB_NAME).collection(TALENTS_COLLECTION);
-    
-    // --- 核心逻辑 ---
-    // 1. 构建查询
-    const mongoQuery = buildMongoQuery(filters);
-
-    // 2. 构建更新操作
-    const updatePayload = {
-        $set: {
-            ...updateData,
-            updatedAt: new Date()
-        }
-    };
-    
-    // 3. 执行批量更新
-    const result = await collection.updateMany(mongoQuery, updatePayload);
-
-    // --- 构造成功响应 ---
-    return {
-      statusCode: 200,
-      headers,
-      body: JSON.stringify({
-        success: true,
-        message: '批量统一更新操作成功完成。',
-        data: {
-          updated: result.modifiedCount
-        }
-      }),
-    };
-
-  } catch (error) {
-    console.error('批量统一更新云函数发生错误:', error);
-    return { statusCode: 500, headers, body: JSON.stringify({ success: false, message: '服务器内部错误', error: error.message }) };
-  }
-};
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * @file common/audit.js
+ * @version 1.0.0
+ * @description 统一审计日志。所有对 projects / collaborations / talents / works 的写操作都应写入 audit_events 集合。
+ * - [范围] 用户角色 (user)、映射模板 (mappingTemplate) 与自动化作业 / 任务 / 工作流 (automationJob / automationTask / automationWorkflow) 的写操作同样记录。
+ * - [记录内容] 操作人 (req.user)、来源函数 (req.source)、请求ID (req.requestId)、实体类型与ID、动作、字段级 before/after 差异。
+ * - [容错] 审计写入失败只记录错误日志，不影响业务写操作本身的结果。
+ * - [查询] 由 getAuditEvents 函数按实体、操作人、时间范围检索；建议在 audit_events 上建立
+ *   { entityType: 1, entityId: 1, timestamp: -1 } 与 { 'actor.id': 1, timestamp: -1 } 索引。
+ */
+const AUDIT_COLLECTION = 'audit_events';
+
+const AUDIT_ACTIONS = Object.freeze({
+    CREATE: 'create',
+    UPDATE: 'update',
+    DELETE: 'delete',
+    IMPORT: 'import',
+});
+
+// 这些字段每次写入都会变化（或本身就是历史记录），不计入差异
+const IGNORED_FIELDS = ['_id', 'updatedAt', 'createdAt', 'auditLog', 'statusHistory'];
+
+function normalize(value) {
+    if (value === undefined) return null;
+    if (value instanceof Date) return value.toISOString();
+    if (value && typeof value === 'object' && typeof value.toHexString === 'function') return value.toHexString();
+    return value;
+}
+
+function isEqual(a, b) {
+    return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+}
+
+/**
+ * 计算两个文档之间的字段级差异（仅比较顶层字段）。
+ * @param {object|null} before
+ * @param {object|null} after
+ * @returns {Array<{ field: string, before: any, after: any }>}
+ */
+function diffDocuments(before, after) {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = [];
+    for (const field of fields) {
+        if (IGNORED_FIELDS.includes(field)) continue;
+        const oldValue = before ? before[field] : undefined;
+        const newValue = after ? after[field] : undefined;
+        if (!isEqual(oldValue, newValue)) {
+            changes.push({ field, before: normalize(oldValue), after: normalize(newValue) });
+        }
+    }
+    return changes;
+}
+
+function buildActor(req) {
+    if (req && req.user) {
+        return { id: req.user.id, name: req.user.name, roles: req.user.roles, source: req.user.source };
+    }
+    return { id: 'system', name: 'System', roles: [], source: 'system' };
+}
+
+/**
+ * 构造一条审计事件（不写库），便于批量写入。
+ * @param {object} req - createHandler 传入的请求对象；定时任务等场景可传 null
+ * @param {object} event
+ * @param {string} event.entityType - 'project' | 'collaboration' | 'talent' | 'work' ...
+ * @param {string} event.entityId
+ * @param {string} event.action - AUDIT_ACTIONS 之一，或更具体的业务动作
+ * @param {object|null} [event.before] - 变更前文档
+ * @param {object|null} [event.after] - 变更后文档
+ * @param {object} [event.meta] - 额外上下文（如导入批次、项目ID）
+ * @returns {object|null} 无实际变更的 update / import 事件返回 null
+ */
+function buildAuditEvent(req, { entityType, entityId, action, before = null, after = null, meta }) {
+    const changes = diffDocuments(before, after);
+    if ((action === AUDIT_ACTIONS.UPDATE || action === AUDIT_ACTIONS.IMPORT) && changes.length === 0) {
+        return null;
+    }
+    return {
+        timestamp: new Date(),
+        entityType,
+        entityId: String(entityId),
+        action,
+        actor: buildActor(req),
+        source: (req && req.source) || null,
+        requestId: (req && req.requestId) || null,
+        changes,
+        ...(meta ? { meta } : {}),
+    };
+}
+
+/**
+ * 写入一条或多条审计事件。
+ * @param {import('mongodb').Db} db
+ * @param {object} req
+ * @param {object|object[]} events - buildAuditEvent 的参数（单个或数组）
+ */
+async function recordAudit(db, req, events) {
+    const docs = (Array.isArray(events) ? events : [events])
+        .map(event => buildAuditEvent(req, event))
+        .filter(Boolean);
+    if (docs.length === 0) return;
+    try {
+        await db.collection(AUDIT_COLLECTION).insertMany(docs, { ordered: false });
+    } catch (error) {
+        console.error(`[audit] 写入 ${docs.length} 条审计事件失败:`, error);
+    }
+}
+
+module.exports = {
+    AUDIT_COLLECTION,
+    AUDIT_ACTIONS,
+    diffDocuments,
+    buildAuditEvent,
+    recordAudit,
+};
@@ -0,0 +1,190 @@
+/**
+ * @file common/auth.js
+ * @version 1.1.0
+ * @description 统一的身份认证与角色权限 (RBAC)。
+ * - [认证] 请求需携带 `Authorization: Bearer <token>`，token 为 HS256 签名的 JWT，在本地用 AUTH_JWT_SECRET 校验，无需访问数据库。
+ * - [身份来源] token 由 authSession 函数在飞书 OAuth 登录成功后签发，sub 为飞书 open_id；服务间调用使用 signServiceToken() 签发的短期 token。
+ * - [角色] viewer < operator；finance 负责财务字段与结算；admin 拥有全部权限。
+ * - [v1.1 预览凭证] signPreviewToken(fileKey) 签发绑定单个文件的短期 token，供无法携带 Authorization 头的预览链接（iframe / 新窗口）
+ *   放在查询参数中，由 verifyPreviewToken 校验；预览凭证不能用作登录凭证。
+ */
+const crypto = require('crypto');
+const { AppError } = require('./errors');
+
+const ROLES = Object.freeze({
+    VIEWER: 'viewer',
+    OPERATOR: 'operator',
+    FINANCE: 'finance',
+    ADMIN: 'admin',
+});
+
+// 常用的角色组合，供各函数在 createHandler({ roles }) 中直接引用
+const ANY_ROLE = [ROLES.VIEWER, ROLES.OPERATOR, ROLES.FINANCE, ROLES.ADMIN];
+const WRITE_ROLES = [ROLES.OPERATOR, ROLES.FINANCE, ROLES.ADMIN];
+const FINANCE_ROLES = [ROLES.FINANCE, ROLES.ADMIN];
+const ADMIN_ONLY = [ROLES.ADMIN];
+
+const DEFAULT_TOKEN_TTL_SECONDS = 12 * 60 * 60;
+const SERVICE_TOKEN_TTL_SECONDS = 5 * 60;
+const PREVIEW_TOKEN_TTL_SECONDS = 15 * 60;
+const PREVIEW_TOKEN_SOURCE = 'preview';
+
+function getSecret() {
+    const secret = process.env.AUTH_JWT_SECRET;
+    if (!secret) {
+        throw new AppError('环境变量 AUTH_JWT_SECRET 未配置。', 500, 'CONFIG_ERROR');
+    }
+    return secret;
+}
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64url');
+}
+
+function sign(data, secret) {
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * 签发 JWT。
+ * @param {{ sub: string, name?: string, roles: string[], src?: string }} claims
+ * @param {{ expiresIn?: number }} [options] - 有效期（秒）
+ * @returns {string}
+ */
+function signToken(claims, options = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    const ttl = options.expiresIn || Number(process.env.AUTH_TOKEN_TTL) || DEFAULT_TOKEN_TTL_SECONDS;
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({ ...claims, iat: now, exp: now + ttl }));
+    return `${header}.${payload}.${sign(`${header}.${payload}`, getSecret())}`;
+}
+
+/**
+ * 校验 JWT 并返回其 payload。签名不符、格式错误或已过期均抛出 401。
+ */
+function verifyToken(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) {
+        throw new AppError('登录凭证格式无效。', 401, 'INVALID_TOKEN');
+    }
+    const [header, payload, signature] = parts;
+    const expected = sign(`${header}.${payload}`, getSecret());
+    const a = Buffer.from(signature);
+    const b = Buffer.from(expected);
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+        throw new AppError('登录凭证签名无效。', 401, 'INVALID_TOKEN');
+    }
+
+    let claims;
+    try {
+        const decodedHeader = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+        if (decodedHeader.alg !== 'HS256') throw new Error('unsupported alg');
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (e) {
+        throw new AppError('登录凭证格式无效。', 401, 'INVALID_TOKEN');
+    }
+    if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) {
+        throw new AppError('登录已过期，请重新登录。', 401, 'TOKEN_EXPIRED');
+    }
+    return claims;
+}
+
+/**
+ * 为服务间调用（如 deleteFile -> updateProject）签发短期 token。
+ */
+function signServiceToken(serviceName, roles = [ROLES.ADMIN]) {
+    return signToken({ sub: `service:${serviceName}`, name: serviceName, roles, src: 'service' }, { expiresIn: SERVICE_TOKEN_TTL_SECONDS });
+}
+
+/**
+ * 签发只能预览指定文件的短期 token。
+ * @param {string} fileKey - TOS 对象 key
+ * @param {{ expiresIn?: number }} [options] - 有效期（秒），缺省 15 分钟
+ */
+function signPreviewToken(fileKey, options = {}) {
+    return signToken(
+        { sub: `preview:${fileKey}`, roles: [], src: PREVIEW_TOKEN_SOURCE, fileKey },
+        { expiresIn: options.expiresIn || PREVIEW_TOKEN_TTL_SECONDS }
+    );
+}
+
+/**
+ * 校验预览 token 是否为 fileKey 签发。签名无效或已过期抛出 401，不是预览凭证或文件不符抛出 403。
+ */
+function verifyPreviewToken(token, fileKey) {
+    if (!token) throw new AppError('缺少预览凭证。', 401, 'INVALID_TOKEN');
+    const claims = verifyToken(token);
+    if (claims.src !== PREVIEW_TOKEN_SOURCE || claims.fileKey !== fileKey) {
+        throw new AppError('预览凭证与请求的文件不符。', 403, 'INVALID_PREVIEW_TOKEN');
+    }
+    return claims;
+}
+
+/**
+ * 从请求头中解析当前用户。未携带凭证时抛出 401。
+ * @param {{ headers: object }} req - parseRequest 的结果（header 名已小写）
+ * @returns {{ id: string, name: string, roles: string[], source: string }}
+ */
+function authenticate(req) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (!match) {
+        throw new AppError('未登录或缺少登录凭证。', 401);
+    }
+    const claims = verifyToken(match[1].trim());
+    if (claims.src === PREVIEW_TOKEN_SOURCE) {
+        throw new AppError('预览凭证不能用于登录。', 401, 'INVALID_TOKEN');
+    }
+    return {
+        id: claims.sub,
+        name: claims.name || claims.sub,
+        roles: Array.isArray(claims.roles) ? claims.roles : [],
+        source: claims.src || 'session',
+    };
+}
+
+/**
+ * 判断用户是否拥有任一允许的角色；admin 总是放行。
+ */
+function hasRole(user, allowedRoles) {
+    if (!user) return false;
+    if (user.roles.includes(ROLES.ADMIN)) return true;
+    return allowedRoles.some(role => user.roles.includes(role));
+}
+
+/**
+ * 断言用户拥有任一允许的角色，否则抛出 403。用于函数内部的字段级权限控制。
+ */
+function requireRole(user, allowedRoles, message) {
+    if (!hasRole(user, allowedRoles)) {
+        throw new AppError(message || `当前账号无权执行此操作，需要角色: ${allowedRoles.join(' / ')}。`, 403);
+    }
+}
+
+/**
+ * 根据路由配置解析本次请求需要的角色。
+ * @param {string[]|object} roles - 角色数组，或按 HTTP 方法区分的 { GET: [...], POST: [...] }
+ * @param {string} method
+ */
+function resolveRoles(roles, method) {
+    if (!roles) return ANY_ROLE;
+    if (Array.isArray(roles)) return roles;
+    return roles[method] || roles.default || ANY_ROLE;
+}
+
+module.exports = {
+    ROLES,
+    ANY_ROLE,
+    WRITE_ROLES,
+    FINANCE_ROLES,
+    ADMIN_ONLY,
+    signToken,
+    verifyToken,
+    signServiceToken,
+    signPreviewToken,
+    verifyPreviewToken,
+    authenticate,
+    hasRole,
+    requireRole,
+    resolveRoles,
+};
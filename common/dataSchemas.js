@@ -0,0 +1,309 @@
+/**
+ * @file common/dataSchemas.js
+ * @version 1.1.0
+ * @description 报表字段注册表：可用于映射模板与数据导出的集合、字段路径、类型、显示名与图片标记的唯一来源。
+ * - [字段] { path, displayName, type, group, isImage?, isSpecial? }；type 为 DATA_SCHEMA_FIELD_TYPES 之一，
+ *   isSpecial 表示该字段由报表生成时计算（如 talents.latestPrice），不直接存储在文档中。
+ * - [派生] talents.performanceData.* 由达人表现导入的列映射 (TALENT_PERFORMANCE_COLUMNS) 生成；works 的 t7_* / t21_* 指标
+ *   由 t7 / t21 导入的列映射生成，字段名与导入时写入的前缀一致；automation-tasks 的截图字段由 SCREENSHOT_SLOTS 生成。
+ * - [v1.1] works 新增 latestStats.*：报表生成时由作品的 dailyStats 取最新一条。
+ * - [扩展] registerDataSchema 可新增集合或向已有集合追加字段。
+ * - [导出] getExportFieldMetadata 按导出主体 (talent / collaboration / project) 返回 getFieldMetadata 的分组字段列表，
+ *   其中引用注册表字段的条目 (field) 沿用注册表的显示名与类型；id / backendKey 与 exportComprehensiveData 的取值约定一致。
+ * - 由 syncFromFeishu（getMappingSchemas / 模板校验）、getFieldMetadata 与 exportComprehensiveData 使用。
+ */
+const { AppError } = require('./errors');
+const { DEFAULT_IMPORT_MAPPINGS } = require('./importMappings');
+
+const DATA_SCHEMA_FIELD_TYPES = ['string', 'number', 'percentage', 'date', 'array', 'image'];
+
+// automation-tasks 的 result.screenshots 下标与内容（下标 3 未使用）
+const SCREENSHOT_SLOTS = [
+    { index: 0, label: '达人价格' },
+    { index: 1, label: '星图视频' },
+    { index: 2, label: '男女比例' },
+    { index: 4, label: '年龄分布' },
+    { index: 5, label: '城市等级' },
+    { index: 6, label: '八大人群' },
+    { index: 7, label: '设备截图' },
+];
+
+// 作品指标的导入类型与显示前缀；字段名为 `${dataType}_${targetPath}`，与 t7 / t21 导入写入的字段一致
+const WORK_STATS_PERIODS = [
+    { dataType: 't7', label: 'T+7' },
+    { dataType: 't21', label: 'T+21' },
+];
+
+// performanceData 中导入列名不适合作为显示名的字段
+const PERFORMANCE_DISPLAY_NAMES = {
+    cpm60s: '60s+预期CPM',
+    maleAudienceRatio: '男性观众比例',
+    femaleAudienceRatio: '女性观众比例',
+};
+
+// 导入时由年龄段比例计算、不对应导入列的 performanceData 字段
+const COMPUTED_PERFORMANCE_FIELDS = [
+    { key: 'audience_18_40_ratio', displayName: '18-40岁观众占比（计算）', type: 'percentage' },
+    { key: 'audience_40_plus_ratio', displayName: '40岁以上观众占比（计算）', type: 'percentage' },
+];
+
+function performanceGroup(key) {
+    if (/^(ratio|audience)_\d/.test(key)) return '粉丝画像 - 年龄段分布';
+    if (key.startsWith('ratio_')) return '粉丝画像 - 八大人群';
+    return '粉丝画像 - 基础指标';
+}
+
+function buildPerformanceFields() {
+    const imported = DEFAULT_IMPORT_MAPPINGS.talentPerformance
+        .filter(column => column.targetPath.startsWith('performanceData.'))
+        .map(column => {
+            const key = column.targetPath.slice('performanceData.'.length);
+            return { key, displayName: PERFORMANCE_DISPLAY_NAMES[key] || column.header, type: column.type };
+        });
+    return [...imported, ...COMPUTED_PERFORMANCE_FIELDS].map(({ key, displayName, type }) => ({
+        path: `performanceData.${key}`, displayName, type, group: performanceGroup(key)
+    }));
+}
+
+function buildWorkStatsFields() {
+    const columns = DEFAULT_IMPORT_MAPPINGS.t7.filter(column => !column.required);
+    return WORK_STATS_PERIODS.flatMap(({ dataType, label }) => columns.map(column => {
+        const [parent, child] = column.targetPath.split('.');
+        return {
+            path: child ? `${dataType}_${parent}.${child}` : `${dataType}_${parent}`,
+            displayName: `${label} ${column.header}`,
+            type: column.type,
+            group: `作品表现 (${label})`
+        };
+    }));
+}
+
+const screenshotFields = () => SCREENSHOT_SLOTS.map(({ index, label }, i) => ({
+    path: `result.screenshots.${index}.url`, displayName: `截图${i + 1} (${label})`, type: 'image', group: '截图', isImage: true
+}));
+
+const field = (path, displayName, type, group, extra) => ({ path, displayName, type, group, ...extra });
+
+const registry = {
+    talents: {
+        displayName: '达人信息',
+        fields: [
+            field('nickname', '达人昵称', 'string', '基础信息'),
+            field('xingtuId', '星图ID', 'string', '基础信息'),
+            field('uid', 'UID', 'string', '基础信息'),
+            field('talentTier', '达人层级', 'string', '基础信息'),
+            field('talentSource', '达人来源', 'string', '基础信息'),
+            field('talentType', '内容标签', 'array', '基础信息'),
+            field('latestPrice', '最新价格', 'number', '商务信息', { isSpecial: true }),
+            ...buildPerformanceFields(),
+        ]
+    },
+    projects: {
+        displayName: '项目信息',
+        fields: [
+            field('name', '项目名称', 'string', '项目信息'),
+            field('qianchuanId', '仟传项目编号', 'string', '项目信息'),
+            field('type', '项目类型', 'string', '项目信息'),
+        ]
+    },
+    collaborations: {
+        displayName: '合作信息',
+        fields: [
+            field('taskId', '任务ID (星图)', 'string', '合作信息'),
+            field('videoId', '视频ID (平台)', 'string', '合作信息'),
+            field('orderType', '订单类型', 'string', '合作信息'),
+            field('status', '合作状态', 'string', '合作信息'),
+            field('amount', '合作金额', 'number', '合作信息'),
+            field('plannedReleaseDate', '计划发布日期', 'date', '合作信息'),
+            field('publishDate', '实际发布日期', 'date', '合作信息'),
+        ]
+    },
+    works: {
+        displayName: '作品信息',
+        fields: [
+            field('platformWorkId', '视频ID', 'string', '作品信息'),
+            field('title', '作品标题', 'string', '作品信息'),
+            field('url', '作品链接', 'string', '作品信息'),
+            field('publishedAt', '发布时间', 'date', '作品信息'),
+            field('sourceType', '作品来源', 'string', '作品信息'),
+            ...buildWorkStatsFields(),
+            field('latestStats.date', '最新日报日期', 'string', '每日数据', { isSpecial: true }),
+            field('latestStats.totalViews', '最新播放量', 'number', '每日数据', { isSpecial: true }),
+            field('latestStats.cpm', '最新CPM', 'number', '每日数据', { isSpecial: true }),
+            field('latestStats.cpmChange', '最新CPM日变化', 'number', '每日数据', { isSpecial: true }),
+        ]
+    },
+    'automation-tasks': {
+        displayName: '自动化任务',
+        fields: [
+            field('result.data.预期CPM', '预期CPM', 'string', '抓取结果'),
+            field('result.data.完播率', '完播率', 'string', '抓取结果'),
+            field('result.data.爆文率', '爆文率', 'string', '抓取结果'),
+            field('result.data.个人视频播放量均值', '个人视频播放量均值', 'string', '抓取结果'),
+            field('result.data.星图频播放量均值', '星图视频播放量均值', 'string', '抓取结果'),
+            field('result.data.用户画像总结', '用户画像总结', 'string', '抓取结果'),
+            ...screenshotFields(),
+        ]
+    }
+};
+
+function normalizeSchemaField(collection, input) {
+    const path = typeof input.path === 'string' ? input.path.trim() : '';
+    if (!path || path.split('.').some(part => part === '')) {
+        throw new AppError(`集合 "${collection}" 的字段路径无效: "${input.path}"。`, 500, 'INVALID_DATA_SCHEMA');
+    }
+    const type = input.type || (input.isImage ? 'image' : 'string');
+    if (!DATA_SCHEMA_FIELD_TYPES.includes(type)) {
+        throw new AppError(`字段 "${collection}.${path}" 的类型无效: "${type}"。可选值: ${DATA_SCHEMA_FIELD_TYPES.join(' / ')}。`, 500, 'INVALID_DATA_SCHEMA');
+    }
+    return {
+        path,
+        displayName: input.displayName || path,
+        type,
+        group: input.group || registry[collection]?.displayName || collection,
+        ...(type === 'image' || input.isImage ? { isImage: true } : {}),
+        ...(input.isSpecial ? { isSpecial: true } : {})
+    };
+}
+
+/**
+ * 新增集合，或向已有集合追加字段（路径重复时抛出 INVALID_DATA_SCHEMA）。
+ * @param {string} collection - 报表上下文中的集合名，即映射规则 "集合.字段路径" 中的集合
+ * @param {{ displayName?: string, fields: object[] }} schema
+ */
+function registerDataSchema(collection, { displayName, fields = [] } = {}) {
+    if (!registry[collection]) registry[collection] = { displayName: displayName || collection, fields: [] };
+    else if (displayName) registry[collection].displayName = displayName;
+
+    const target = registry[collection];
+    fields.map(input => normalizeSchemaField(collection, input)).forEach(schemaField => {
+        if (target.fields.some(existing => existing.path === schemaField.path)) {
+            throw new AppError(`字段 "${collection}.${schemaField.path}" 已注册。`, 500, 'INVALID_DATA_SCHEMA');
+        }
+        target.fields.push(schemaField);
+    });
+    return target;
+}
+
+/**
+ * 返回注册表：{ 集合: { displayName, fields } }，供映射模板选择字段与 validateMappingRules 校验路径。调用方不应修改返回值。
+ */
+function getDataSchemas() {
+    return registry;
+}
+
+/**
+ * 按 "集合.字段路径" 查找注册表字段，未注册时返回 null。
+ */
+function findSchemaField(fullPath) {
+    const collection = Object.keys(registry).find(name => fullPath.startsWith(`${name}.`));
+    if (!collection) return null;
+    const path = fullPath.slice(collection.length + 1);
+    return registry[collection].fields.find(schemaField => schemaField.path === path) || null;
+}
+
+// --- 数据导出（getFieldMetadata / exportComprehensiveData）---
+// 条目: { id, field?, label?, backendKey?, dataType? }；有 field 时 label / dataType 默认取注册表，backendKey 默认等于 label
+const performanceExports = (group) => registry.talents.fields
+    .filter(schemaField => schemaField.group === group)
+    .map(schemaField => {
+        const key = schemaField.path.slice('performanceData.'.length);
+        return { id: key, field: `talents.${schemaField.path}`, backendKey: key };
+    });
+
+const COLLABORATION_EXPORT_GROUPS = [
+    ['合作信息', [
+        { id: 'collaboration_status', field: 'collaborations.status' },
+        { id: 'collaboration_amount', field: 'collaborations.amount' },
+        { id: 'collaboration_orderType', field: 'collaborations.orderType', label: '下单方式' },
+        { id: 'collaboration_plannedReleaseDate', field: 'collaborations.plannedReleaseDate' },
+        { id: 'collaboration_publishDate', field: 'collaborations.publishDate' },
+        { id: 'taskId', field: 'collaborations.taskId', label: '星图任务ID' },
+        { id: 'videoId', field: 'collaborations.videoId', label: '视频ID' },
+    ]],
+    ['项目信息', [
+        { id: 'project_name', field: 'projects.name', label: '所属项目', backendKey: '项目名称' },
+        { id: 'project_type', field: 'projects.type' },
+    ]],
+    ['达人信息', [
+        { id: 'nickname', field: 'talents.nickname' },
+        { id: 'talentTier', field: 'talents.talentTier' },
+    ]],
+    ['作品表现 (T+7)', [
+        { id: 'work_t7_totalViews', field: 'works.t7_totalViews' },
+        { id: 'work_t7_likeCount', field: 'works.t7_likeCount', label: 'T+7 点赞数' },
+    ]],
+];
+
+const EXPORT_FIELD_GROUPS = {
+    talent: [
+        ['基础信息', [
+            { id: 'nickname', field: 'talents.nickname' },
+            { id: 'xingtuId', field: 'talents.xingtuId' },
+            { id: 'uid', field: 'talents.uid' },
+            { id: 'talentTier', field: 'talents.talentTier' },
+            { id: 'talentSource', field: 'talents.talentSource' },
+            { id: 'talentType', field: 'talents.talentType' },
+        ]],
+        ['商务信息', [
+            { id: 'price', label: '一口价 (指定月份)', backendKey: '一口价', dataType: 'number' },
+            { id: 'highestRebate', label: '最高返点率', dataType: 'percentage' },
+        ]],
+        ['合作数据', [
+            { id: 'collaboration_count', label: '历史合作总次数', dataType: 'number' },
+        ]],
+        ['作品表现 (T+7)', [
+            { id: 'work_total_t7_views', field: 'works.t7_totalViews', label: 'T+7 总播放量' },
+        ]],
+        ['粉丝画像 - 基础指标', performanceExports('粉丝画像 - 基础指标')],
+        ['粉丝画像 - 年龄段分布', performanceExports('粉丝画像 - 年龄段分布')],
+        ['粉丝画像 - 八大人群', performanceExports('粉丝画像 - 八大人群')],
+    ],
+    collaboration: COLLABORATION_EXPORT_GROUPS,
+    project: COLLABORATION_EXPORT_GROUPS,
+};
+
+const EXPORT_ENTITIES = Object.keys(EXPORT_FIELD_GROUPS);
+
+// 导出结果为表格单元格，数组按文本处理
+const toExportDataType = (type) => (type === 'array' || type === 'image' ? 'string' : type);
+
+function resolveExportField(entry) {
+    const schemaField = entry.field ? findSchemaField(entry.field) : null;
+    const label = entry.label || (schemaField ? schemaField.displayName : entry.id);
+    return {
+        id: entry.id,
+        label,
+        backendKey: entry.backendKey || label,
+        dataType: entry.dataType || (schemaField ? toExportDataType(schemaField.type) : 'string'),
+        ...(entry.field ? { field: entry.field } : {})
+    };
+}
+
+/**
+ * 返回导出主体的字段元数据：{ 分组名: [{ id, label, backendKey, dataType, field? }] }；未传 entity 时返回全部主体。
+ */
+function getExportFieldMetadata(entity) {
+    const build = (name) => Object.fromEntries(EXPORT_FIELD_GROUPS[name].map(([group, entries]) => [group, entries.map(resolveExportField)]));
+    if (entity) return EXPORT_FIELD_GROUPS[entity] ? build(entity) : null;
+    return Object.fromEntries(EXPORT_ENTITIES.map(name => [name, build(name)]));
+}
+
+/**
+ * 按 id 查找导出主体中的一个字段，未找到时返回 null。
+ */
+function findExportField(entity, id) {
+    const entry = (EXPORT_FIELD_GROUPS[entity] || []).flatMap(([, entries]) => entries).find(item => item.id === id);
+    return entry ? resolveExportField(entry) : null;
+}
+
+module.exports = {
+    DATA_SCHEMA_FIELD_TYPES,
+    SCREENSHOT_SLOTS,
+    EXPORT_ENTITIES,
+    registerDataSchema,
+    getDataSchemas,
+    findSchemaField,
+    getExportFieldMetadata,
+    findExportField,
+};
@@ -0,0 +1,61 @@
+/**
+ * @file common/db.js
+ * @version 1.1.0
+ * @description 统一的 MongoDB 连接管理。
+ * - [连接复用] 在云函数实例的生命周期内缓存 MongoClient，避免每次调用都重新建连。
+ * - [环境变量] 统一读取 MONGO_URI / MONGO_DB_NAME，并兼容历史上部分函数使用的 MONGODB_URI / DB_NAME。
+ * - [v1.1] setDatabase 可替换 getDb 返回的数据库实例（测试与离线调试时接入 mongoFake.js），传 null 恢复真实连接。
+ */
+const { MongoClient, ObjectId } = require('mongodb');
+const { AppError } = require('./errors');
+
+const MONGO_URI = process.env.MONGO_URI || process.env.MONGODB_URI;
+const DB_NAME = process.env.MONGO_DB_NAME || process.env.DB_NAME || 'kol_data';
+
+let client = null;
+let connecting = null;
+let databaseOverride = null;
+
+/**
+ * 获取（并缓存）已连接的 MongoClient。
+ * @returns {Promise<MongoClient>}
+ */
+async function connectToDatabase() {
+    if (client) return client;
+    if (!MONGO_URI) throw new AppError('环境变量 MONGO_URI 未配置。', 500, 'CONFIG_ERROR');
+    if (!connecting) {
+        const newClient = new MongoClient(MONGO_URI, {
+            connectTimeoutMS: 5000,
+            serverSelectionTimeoutMS: 5000,
+        });
+        connecting = newClient.connect()
+            .then(() => { client = newClient; return client; })
+            .finally(() => { connecting = null; });
+    }
+    return connecting;
+}
+
+/**
+ * 获取业务数据库实例。
+ * @returns {Promise<import('mongodb').Db>}
+ */
+async function getDb() {
+    if (databaseOverride) return databaseOverride;
+    return (await connectToDatabase()).db(DB_NAME);
+}
+
+/**
+ * 替换 getDb 返回的数据库实例；传 null 时恢复为真实的 MongoDB 连接。
+ * @param {object|null} db - 与 mongodb Db 接口兼容的对象（如 mongoFake 的 db）
+ */
+function setDatabase(db) {
+    databaseOverride = db || null;
+}
+
+module.exports = {
+    DB_NAME,
+    ObjectId,
+    connectToDatabase,
+    getDb,
+    setDatabase,
+};
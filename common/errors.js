@@ -0,0 +1,38 @@
+/**
+ * @file common/errors.js
+ * @version 1.0.0
+ * @description 统一的业务错误类型。
+ * - [统一] 所有云函数通过抛出 AppError 表达可预期的失败（参数错误、资源不存在等），
+ *   由 createHandler 统一转换为 { success: false, code, message } 响应。
+ * - [兼容] 构造参数 (message, statusCode) 与 syncFromFeishu/utils.js 原有 AppError 保持一致。
+ */
+
+const DEFAULT_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    405: 'METHOD_NOT_ALLOWED',
+    409: 'CONFLICT',
+    422: 'UNPROCESSABLE_ENTITY',
+    500: 'INTERNAL_ERROR',
+    502: 'UPSTREAM_ERROR',
+};
+
+class AppError extends Error {
+    /**
+     * @param {string} message - 返回给前端的错误信息
+     * @param {number} [statusCode=500] - HTTP 状态码
+     * @param {string} [code] - 机器可读的错误码，缺省时按状态码推断
+     * @param {*} [details] - 附加信息（如校验失败的字段列表），会原样返回给前端
+     */
+    constructor(message, statusCode = 500, code, details) {
+        super(message);
+        this.name = 'AppError';
+        this.statusCode = statusCode;
+        this.code = code || DEFAULT_CODES[statusCode] || 'ERROR';
+        if (details !== undefined) this.details = details;
+    }
+}
+
+module.exports = { AppError };
@@ -0,0 +1,214 @@
+/**
+ * @file common/feishu.js
+ * @version 1.2.0
+ * @description 统一的飞书开放平台客户端。
+ * - [凭证共享] tenant_access_token 在云函数实例内缓存并在过期前 5 分钟刷新；并发请求共用同一次获取，不会重复换取。
+ * - [重试] 频率限制 (code 99991400 / HTTP 429)、超时、5xx 与网络错误按指数退避重试（默认最多 3 次，带随机抖动，
+ *   响应带 x-ogw-ratelimit-reset 时按其等待）；token 失效时自动刷新并重试一次。
+ * - [超时] 每次请求默认 15 秒超时。
+ * - [错误] 所有失败统一抛出 FeishuApiError（AppError 子类），code 为 FEISHU_RATE_LIMITED / FEISHU_TIMEOUT /
+ *   FEISHU_AUTH_FAILED / FEISHU_API_ERROR，并带有飞书错误码 feishuCode 与 HTTP 状态 httpStatus。
+ * - 凭证读取环境变量 FEISHU_APP_ID / FEISHU_APP_SECRET。
+ * - [v1.1] 接口地址可通过环境变量 FEISHU_API_BASE_URL 覆盖；setFeishuTransport 可替换底层 HTTP 调用
+ *   （离线运行时配合 feishuFake.js 使用），resetFeishuClient 清空 token 缓存。
+ * - [v1.2] 非幂等请求（POST / PATCH，如复制文件、新建记录、发送消息）默认只在频率限制与未建立连接的网络错误时重试；
+ *   超时、5xx 与连接中断时飞书可能已执行该请求，直接抛错以免重复创建。重复执行无副作用的 POST 可传 idempotent: true 按 GET 的规则重试。
+ */
+const axios = require('axios');
+const { AppError } = require('./errors');
+
+const FEISHU_API_BASE_URL = 'https://open.feishu.cn/open-apis';
+
+const getBaseUrl = () => (process.env.FEISHU_API_BASE_URL || FEISHU_API_BASE_URL).replace(/\/+$/, '');
+
+const FEISHU_ERROR_CODES = {
+    RATE_LIMITED: 99991400,
+    // tenant_access_token 无效或已过期
+    INVALID_TOKENS: [99991661, 99991663, 99991668]
+};
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 8000;
+
+const RETRYABLE_NETWORK_ERRORS = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE'];
+// 请求尚未发出的网络错误，非幂等请求也可以安全重试
+const CONNECTION_NOT_ESTABLISHED_ERRORS = ['ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND'];
+const NON_IDEMPOTENT_METHODS = ['post', 'patch'];
+
+class FeishuApiError extends AppError {
+    /**
+     * @param {string} message
+     * @param {{ statusCode?: number, code?: string, feishuCode?: number, httpStatus?: number, endpoint?: string }} [info]
+     */
+    constructor(message, { statusCode = 502, code = 'FEISHU_API_ERROR', feishuCode, httpStatus, endpoint } = {}) {
+        super(message, statusCode, code, { feishuCode, httpStatus, endpoint });
+        this.name = 'FeishuApiError';
+        this.feishuCode = feishuCode;
+        this.httpStatus = httpStatus;
+        this.endpoint = endpoint;
+    }
+}
+
+let tenantAccessToken = null;
+let tokenExpiresAt = 0;
+let tokenRequest = null;
+// 底层 HTTP 调用，签名与 axios(config) 相同：非 2xx 响应需抛出带 response 的错误
+let transport = axios;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function retryDelay(attempt, response) {
+    const resetSeconds = Number(response?.headers?.['x-ogw-ratelimit-reset']);
+    if (resetSeconds > 0) return Math.min(resetSeconds * 1000, RETRY_MAX_DELAY_MS);
+    return Math.min(RETRY_BASE_DELAY_MS * 2 ** attempt, RETRY_MAX_DELAY_MS) + Math.floor(Math.random() * RETRY_BASE_DELAY_MS);
+}
+
+function toFeishuError(error, endpoint) {
+    if (error instanceof FeishuApiError) return error;
+    if (error.code === 'ECONNABORTED' || /timeout/i.test(error.message)) {
+        return new FeishuApiError(`飞书接口请求超时: ${endpoint}`, { statusCode: 504, code: 'FEISHU_TIMEOUT', endpoint });
+    }
+    const response = error.response;
+    if (!response) return new FeishuApiError(`飞书接口网络错误 (${endpoint}): ${error.message}`, { endpoint });
+    const body = response.data || {};
+    const feishuCode = typeof body.code === 'number' ? body.code : undefined;
+    if (response.status === 429 || feishuCode === FEISHU_ERROR_CODES.RATE_LIMITED) {
+        return new FeishuApiError(`飞书接口触发频率限制: ${endpoint}`, { statusCode: 429, code: 'FEISHU_RATE_LIMITED', feishuCode, httpStatus: response.status, endpoint });
+    }
+    return new FeishuApiError(`飞书接口错误 (${endpoint}): ${body.msg || `HTTP ${response.status}`}`, { feishuCode, httpStatus: response.status, endpoint });
+}
+
+function isRetryable(error, rawError, idempotent) {
+    // 频率限制时请求未被执行
+    if (error.code === 'FEISHU_RATE_LIMITED') return true;
+    if (!idempotent) return !rawError.response && CONNECTION_NOT_ESTABLISHED_ERRORS.includes(rawError.code);
+    if (error.code === 'FEISHU_TIMEOUT') return true;
+    if (error.httpStatus >= 500) return true;
+    // 没有收到响应的网络错误
+    return !rawError.response && RETRYABLE_NETWORK_ERRORS.includes(rawError.code);
+}
+
+async function fetchTenantAccessToken() {
+    const appId = process.env.FEISHU_APP_ID;
+    const appSecret = process.env.FEISHU_APP_SECRET;
+    if (!appId || !appSecret) {
+        throw new AppError('环境变量 FEISHU_APP_ID 或 FEISHU_APP_SECRET 未配置。', 500, 'CONFIG_ERROR');
+    }
+    const body = await feishuRequest('post', '/auth/v3/tenant_access_token/internal', {
+        auth: false,
+        data: { app_id: appId, app_secret: appSecret },
+        unwrap: false,
+        idempotent: true
+    });
+    tenantAccessToken = body.tenant_access_token;
+    tokenExpiresAt = Date.now() + (body.expire - 300) * 1000;
+    console.log('[feishu] 成功获取新的 tenant_access_token。');
+    return tenantAccessToken;
+}
+
+/**
+ * 获取（并缓存）tenant_access_token。
+ * @param {{ forceRefresh?: boolean }} [options]
+ * @returns {Promise<string>}
+ */
+async function getTenantAccessToken({ forceRefresh = false } = {}) {
+    if (!forceRefresh && tenantAccessToken && Date.now() < tokenExpiresAt) return tenantAccessToken;
+    if (!tokenRequest) {
+        tokenRequest = fetchTenantAccessToken()
+            .catch(error => {
+                if (error instanceof FeishuApiError && error.code === 'FEISHU_API_ERROR') {
+                    throw new FeishuApiError(`获取 tenant_access_token 失败: ${error.message}`, { statusCode: 500, code: 'FEISHU_AUTH_FAILED', feishuCode: error.feishuCode, httpStatus: error.httpStatus, endpoint: error.endpoint });
+                }
+                throw error;
+            })
+            .finally(() => { tokenRequest = null; });
+    }
+    return tokenRequest;
+}
+
+/**
+ * 调用飞书开放平台接口。
+ * @param {string} method - get / post / put / patch / delete
+ * @param {string} path - 以 / 开头、相对于 /open-apis 的路径，如 '/sheets/v2/spreadsheets/xxx/values'
+ * @param {object} [options]
+ * @param {object} [options.params] - 查询参数
+ * @param {*|Function} [options.data] - 请求体；multipart 等只能发送一次的请求体传入工厂函数，每次尝试重新生成
+ * @param {object} [options.headers]
+ * @param {boolean} [options.auth=true] - 是否携带 tenant_access_token
+ * @param {boolean} [options.unwrap=true] - 为 true 时返回响应体中的 data 字段，否则返回完整响应体
+ * @param {number} [options.timeout=15000]
+ * @param {number} [options.retries=3] - 可重试错误的最大重试次数
+ * @param {boolean} [options.idempotent] - 重复执行是否无副作用；默认 POST / PATCH 为 false，只在频率限制与未建立连接时重试
+ * @returns {Promise<*>}
+ */
+async function feishuRequest(method, path, options = {}) {
+    const { params, data, headers = {}, auth = true, unwrap = true, timeout = DEFAULT_TIMEOUT_MS, retries = DEFAULT_MAX_RETRIES } = options;
+    const idempotent = options.idempotent ?? !NON_IDEMPOTENT_METHODS.includes(method.toLowerCase());
+    const endpoint = `${method.toUpperCase()} ${path}`;
+    let tokenRefreshed = false;
+
+    for (let attempt = 0; ; attempt++) {
+        let response;
+        try {
+            const body = typeof data === 'function' ? data() : data;
+            // form-data 实例自带 multipart 边界的 Content-Type
+            const requestHeaders = { ...(typeof body?.getHeaders === 'function' ? body.getHeaders() : {}), ...headers };
+            if (auth) requestHeaders['Authorization'] = `Bearer ${await getTenantAccessToken()}`;
+            response = await transport({
+                method,
+                url: `${getBaseUrl()}${path}`,
+                params,
+                data: body,
+                headers: requestHeaders,
+                timeout
+            });
+            const result = response.data || {};
+            if (result.code !== undefined && result.code !== 0) {
+                throw toFeishuError({ response: { status: response.status, headers: response.headers, data: result } }, endpoint);
+            }
+            return unwrap ? result.data : result;
+        } catch (rawError) {
+            const error = toFeishuError(rawError, endpoint);
+            if (auth && !tokenRefreshed && FEISHU_ERROR_CODES.INVALID_TOKENS.includes(error.feishuCode)) {
+                tokenRefreshed = true;
+                await getTenantAccessToken({ forceRefresh: true });
+                attempt--;
+                continue;
+            }
+            if (attempt >= retries || !isRetryable(error, rawError, idempotent)) throw error;
+            const delay = retryDelay(attempt, rawError.response || response);
+            console.warn(`[feishu] ${endpoint} 失败 (${error.code}${error.feishuCode ? ` / ${error.feishuCode}` : ''})，${delay}ms 后第 ${attempt + 1} 次重试。`);
+            await sleep(delay);
+        }
+    }
+}
+
+/**
+ * 替换 feishuRequest 使用的 HTTP 调用；传 null 恢复为 axios。同时清空 token 缓存。
+ * @param {Function|null} fn - (config: { method, url, params, data, headers, timeout }) => Promise<{ status, headers, data }>
+ */
+function setFeishuTransport(fn) {
+    transport = fn || axios;
+    resetFeishuClient();
+}
+
+/**
+ * 清空缓存的 tenant_access_token，下一次请求重新获取。
+ */
+function resetFeishuClient() {
+    tenantAccessToken = null;
+    tokenExpiresAt = 0;
+    tokenRequest = null;
+}
+
+module.exports = {
+    FEISHU_API_BASE_URL,
+    FEISHU_ERROR_CODES,
+    FeishuApiError,
+    getTenantAccessToken,
+    feishuRequest,
+    setFeishuTransport,
+    resetFeishuClient
+};
@@ -0,0 +1,346 @@
+/**
+ * @file common/feishuFake.js
+ * @version 1.0.0
+ * @description 进程内的飞书开放平台替身，用于在没有真实飞书租户时运行与调试各云函数。
+ * - [覆盖接口] tenant_access_token、电子表格（sheets/query、metainfo、读取 / 写入 values、values_image、创建表格）、
+ *   云空间（复制、移动、删除、添加协作者、转移所有者）与发送消息 (im/v1/messages)；其他路径返回 HTTP 404。
+ * - [数据] 表格数据保存在内存中，可通过构造参数或 addSpreadsheet 预置；写入、复制、删除都会反映到后续读取。
+ * - [调用记录] calls 记录每一次请求（方法、路径、查询参数、请求体），messages 记录发送的消息。
+ * - [故障注入] failNext 让匹配的下一次（或几次）请求返回指定错误；expireTokens 使已签发的 token 失效。
+ * - 通过 kol-common 的 setFeishuTransport 接入，不发起任何网络请求。本模块不从 index.js 导出，需单独引入：
+ *
+ *   const { setFeishuTransport } = require('kol-common');
+ *   const { createFeishuFake } = require('kol-common/feishuFake');
+ *   const fake = createFeishuFake({
+ *       spreadsheets: { shtTemplate: { title: '模板', sheets: [{ title: 'Sheet1', values: [['达人', '播放量']] }] } }
+ *   });
+ *   fake.install(); // 等同于 setFeishuTransport(fake.transport)
+ *   ... 调用 handleFeishuRequest / feishu-notifier 等 ...
+ *   fake.getValues('shtTemplate'); fake.calls; fake.messages;
+ *   fake.uninstall();
+ */
+const { FEISHU_ERROR_CODES, setFeishuTransport } = require('./feishu');
+
+const FAKE_ERROR_CODES = {
+    SPREADSHEET_NOT_FOUND: 1310214,
+    FILE_NOT_FOUND: 1061003,
+    INVALID_TOKEN: FEISHU_ERROR_CODES.INVALID_TOKENS[1]
+};
+
+// 新建工作表的默认行列数，与飞书新建表格一致
+const DEFAULT_ROW_COUNT = 200;
+const DEFAULT_COLUMN_COUNT = 20;
+
+const TOKEN_TTL_SECONDS = 7200;
+
+class FakeHttpError extends Error {
+    constructor(status, body, headers = {}) {
+        super(`Request failed with status code ${status}`);
+        this.response = { status, headers, data: body };
+    }
+}
+
+const notFound = (code, msg) => new FakeHttpError(404, { code, msg });
+
+function columnLetterToIndex(letters) {
+    let index = 0;
+    for (const char of letters.toUpperCase()) index = index * 26 + (char.charCodeAt(0) - 64);
+    return index - 1;
+}
+
+/**
+ * 解析 "sheetId!A1:C10" 形式的范围；省略单元格部分时表示整个工作表。行列均从 0 开始。
+ */
+function parseRange(range) {
+    const [sheetRef, cells] = range.split('!');
+    if (!cells) return { sheetRef, startRow: 0, startCol: 0, endRow: Infinity, endCol: Infinity };
+    const [start, end = start] = cells.split(':');
+    const parseCell = (cell, fallbackRow) => {
+        const match = /^([A-Za-z]+)(\d*)$/.exec(cell);
+        if (!match) throw new FakeHttpError(400, { code: 90202, msg: `wrong range: ${range}` });
+        return { col: columnLetterToIndex(match[1]), row: match[2] ? Number(match[2]) - 1 : fallbackRow };
+    };
+    const from = parseCell(start, 0);
+    const to = parseCell(end, Infinity);
+    return { sheetRef, startRow: from.row, startCol: from.col, endRow: to.row, endCol: to.col };
+}
+
+function toSheet(definition, index, nextId) {
+    const values = (definition.values || []).map(row => [...row]);
+    const widest = values.reduce((max, row) => Math.max(max, row.length), 0);
+    return {
+        sheetId: definition.sheetId || nextId(),
+        title: definition.title || `Sheet${index + 1}`,
+        values,
+        rowCount: Math.max(definition.rowCount || DEFAULT_ROW_COUNT, values.length),
+        columnCount: Math.max(definition.columnCount || DEFAULT_COLUMN_COUNT, widest),
+        images: []
+    };
+}
+
+/**
+ * 创建一个飞书替身。
+ * @param {object} [options]
+ * @param {Object<string, { title?: string, sheets?: Array<{ sheetId?: string, title?: string, values?: Array<Array<*>>, rowCount?: number, columnCount?: number }> }>} [options.spreadsheets]
+ *   预置的表格，键为 spreadsheetToken
+ * @param {string} [options.tenantUrl='https://fake.feishu.cn'] - 生成文件链接时使用的域名
+ */
+function createFeishuFake({ spreadsheets = {}, tenantUrl = 'https://fake.feishu.cn' } = {}) {
+    let sequence = 0;
+    const nextId = (prefix) => `${prefix}${++sequence}`;
+
+    const files = new Map();
+    const issuedTokens = new Set();
+    const failures = [];
+    const calls = [];
+    const messages = [];
+
+    function addSpreadsheet(token, { title = '未命名表格', sheets = [{}], folderToken = '' } = {}) {
+        files.set(token, {
+            token,
+            type: 'sheet',
+            title,
+            folderToken,
+            sheets: sheets.map((sheet, index) => toSheet(sheet, index, () => nextId('sh'))),
+            owner: null,
+            members: []
+        });
+        return token;
+    }
+
+    Object.entries(spreadsheets).forEach(([token, definition]) => addSpreadsheet(token, definition));
+
+    function getFile(token, notFoundCode = FAKE_ERROR_CODES.FILE_NOT_FOUND) {
+        const file = files.get(token);
+        if (!file) throw notFound(notFoundCode, notFoundCode === FAKE_ERROR_CODES.SPREADSHEET_NOT_FOUND ? 'SpreadSheet Not Found' : 'not found');
+        return file;
+    }
+
+    const getSpreadsheet = (token) => getFile(token, FAKE_ERROR_CODES.SPREADSHEET_NOT_FOUND);
+
+    function findSheet(file, sheetRef) {
+        const sheet = sheetRef === undefined
+            ? file.sheets[0]
+            : file.sheets.find(s => s.sheetId === sheetRef) || file.sheets.find(s => s.title === sheetRef);
+        if (!sheet) throw new FakeHttpError(400, { code: 90215, msg: `sheetId not found: ${sheetRef}` });
+        return sheet;
+    }
+
+    const fileUrl = (file) => `${tenantUrl}/${file.type === 'sheet' ? 'sheets' : file.type}/${file.token}`;
+
+    function readValues(file, range) {
+        const { sheetRef, startRow, startCol, endRow, endCol } = parseRange(range);
+        const sheet = findSheet(file, sheetRef);
+        const lastRow = Math.min(endRow, sheet.rowCount - 1);
+        const lastCol = Math.min(endCol, sheet.columnCount - 1);
+        const values = [];
+        for (let r = startRow; r <= lastRow; r++) {
+            const row = [];
+            for (let c = startCol; c <= lastCol; c++) row.push(sheet.values[r]?.[c] ?? null);
+            values.push(row);
+        }
+        return values;
+    }
+
+    function writeValues(file, range, values) {
+        const { sheetRef, startRow, startCol } = parseRange(range);
+        const sheet = findSheet(file, sheetRef);
+        values.forEach((row, r) => {
+            const target = sheet.values[startRow + r] || (sheet.values[startRow + r] = []);
+            row.forEach((value, c) => { target[startCol + c] = value; });
+            sheet.columnCount = Math.max(sheet.columnCount, startCol + row.length);
+        });
+        for (let r = 0; r < sheet.values.length; r++) if (!sheet.values[r]) sheet.values[r] = [];
+        sheet.rowCount = Math.max(sheet.rowCount, startRow + values.length);
+        return { sheet, updatedRows: values.length, updatedColumns: values.reduce((max, row) => Math.max(max, row.length), 0) };
+    }
+
+    function copyFile(source, name, folderToken) {
+        const token = nextId(source.type === 'sheet' ? 'shtfake' : 'filefake');
+        files.set(token, {
+            ...source,
+            token,
+            title: name || source.title,
+            folderToken: folderToken || source.folderToken,
+            sheets: source.sheets.map(sheet => ({ ...sheet, values: sheet.values.map(row => [...row]), images: [] })),
+            owner: null,
+            members: []
+        });
+        return files.get(token);
+    }
+
+    // [方法, 路径, 处理函数]；处理函数返回响应体中的 data，raw 为 true 时返回完整响应体
+    const routes = [
+        ['post', /^\/auth\/v3\/tenant_access_token\/internal$/, ({ body }) => {
+            if (!body || !body.app_id || !body.app_secret) throw new FakeHttpError(400, { code: 10003, msg: 'invalid param' });
+            const token = nextId('t-fake-');
+            issuedTokens.add(token);
+            return { code: 0, msg: 'ok', tenant_access_token: token, expire: TOKEN_TTL_SECONDS };
+        }, { raw: true, auth: false }],
+
+        ['get', /^\/sheets\/v3\/spreadsheets\/([^/]+)\/sheets\/query$/, ({ match }) => ({
+            sheets: getSpreadsheet(match[1]).sheets.map((sheet, index) => ({
+                sheet_id: sheet.sheetId,
+                title: sheet.title,
+                index,
+                hidden: false,
+                resource_type: 'sheet',
+                grid_properties: { frozen_row_count: 0, frozen_column_count: 0, row_count: sheet.rowCount, column_count: sheet.columnCount }
+            }))
+        })],
+
+        ['get', /^\/sheets\/v[23]\/spreadsheets\/([^/]+)\/metainfo$/, ({ match }) => {
+            const file = getSpreadsheet(match[1]);
+            return {
+                spreadsheetToken: file.token,
+                properties: { title: file.title, sheetCount: file.sheets.length, ownerUser: file.owner },
+                sheets: file.sheets.map((sheet, index) => ({ sheetId: sheet.sheetId, title: sheet.title, index, rowCount: sheet.rowCount, columnCount: sheet.columnCount }))
+            };
+        }],
+
+        ['get', /^\/sheets\/v2\/spreadsheets\/([^/]+)\/values\/([^/]+)$/, ({ match }) => {
+            const file = getSpreadsheet(match[1]);
+            const range = decodeURIComponent(match[2]);
+            return { revision: 1, spreadsheetToken: file.token, valueRange: { majorDimension: 'ROWS', range, revision: 1, values: readValues(file, range) } };
+        }],
+
+        ['put', /^\/sheets\/v2\/spreadsheets\/([^/]+)\/values$/, ({ match, body }) => {
+            const file = getSpreadsheet(match[1]);
+            const { range, values } = body.valueRange;
+            const { updatedRows, updatedColumns } = writeValues(file, range, values);
+            return { revision: 1, spreadsheetToken: file.token, updatedRange: range, updatedRows, updatedColumns, updatedCells: updatedRows * updatedColumns };
+        }],
+
+        ['post', /^\/sheets\/v2\/spreadsheets\/([^/]+)\/values_image$/, ({ match, body }) => {
+            const file = getSpreadsheet(match[1]);
+            const { sheetRef, startRow, startCol } = parseRange(body.range);
+            findSheet(file, sheetRef).images.push({ row: startRow, column: startCol, name: body.name, size: Buffer.from(body.image || '', 'base64').length });
+            return { revision: 1, spreadsheetToken: file.token, updateRange: body.range };
+        }],
+
+        ['post', /^\/sheets\/v3\/spreadsheets$/, ({ body }) => {
+            const token = addSpreadsheet(nextId('shtfake'), { title: body.title, folderToken: body.folder_token });
+            const file = files.get(token);
+            return { spreadsheet: { title: file.title, folder_token: file.folderToken, url: fileUrl(file), spreadsheet_token: token } };
+        }],
+
+        ['post', /^\/drive\/v1\/files\/([^/]+)\/copy$/, ({ match, body }) => {
+            const file = copyFile(getFile(match[1]), body.name, body.folder_token);
+            return { file: { token: file.token, name: file.title, type: file.type, parent_token: file.folderToken, url: fileUrl(file) } };
+        }],
+
+        ['post', /^\/drive\/v1\/files\/([^/]+)\/move$/, ({ match, body }) => {
+            getFile(match[1]).folderToken = body.folder_token;
+            return { task_id: nextId('task') };
+        }],
+
+        ['delete', /^\/drive\/v1\/files\/([^/]+)$/, ({ match }) => {
+            getFile(match[1]);
+            files.delete(match[1]);
+            return { task_id: nextId('task') };
+        }],
+
+        ['post', /^\/drive\/v1\/permissions\/([^/]+)\/members\/transfer_owner$/, ({ match, body }) => {
+            getFile(match[1]).owner = { memberType: body.member_type, memberId: body.member_id };
+            return {};
+        }],
+
+        ['post', /^\/drive\/v1\/permissions\/([^/]+)\/members$/, ({ match, body }) => {
+            const member = { member_type: body.member_type, member_id: body.member_id, perm: body.perm };
+            getFile(match[1]).members.push(member);
+            return { member };
+        }],
+
+        ['post', /^\/im\/v1\/messages$/, ({ query, body }) => {
+            const message = {
+                message_id: nextId('om_fake'),
+                receive_id_type: query.receive_id_type,
+                receive_id: body.receive_id,
+                msg_type: body.msg_type,
+                content: typeof body.content === 'string' ? JSON.parse(body.content) : body.content,
+                create_time: String(Date.now())
+            };
+            messages.push(message);
+            return { message_id: message.message_id, chat_id: message.receive_id, msg_type: message.msg_type, create_time: message.create_time };
+        }]
+    ];
+
+    function takeFailure(endpoint) {
+        const index = failures.findIndex(({ match }) => !match || (match instanceof RegExp ? match.test(endpoint) : endpoint.includes(match)));
+        if (index === -1) return null;
+        const failure = failures[index];
+        if (--failure.times <= 0) failures.splice(index, 1);
+        return failure;
+    }
+
+    /**
+     * 与 axios(config) 签名相同的请求处理函数，交给 setFeishuTransport 使用。
+     */
+    async function transport({ method, url, params = {}, data, headers = {} }) {
+        const pathname = new URL(url).pathname;
+        const apiIndex = pathname.indexOf('/open-apis');
+        const path = apiIndex > -1 ? pathname.slice(apiIndex + '/open-apis'.length) : pathname;
+        const verb = method.toLowerCase();
+        const endpoint = `${verb.toUpperCase()} ${path}`;
+        calls.push({ method: verb, path, params, body: data, headers });
+
+        const failure = takeFailure(endpoint);
+        if (failure) {
+            if (failure.networkError) throw Object.assign(new Error(`fake network error: ${failure.networkError}`), { code: failure.networkError });
+            const body = { code: failure.code, msg: failure.msg || 'fake failure' };
+            if (failure.status >= 400) throw new FakeHttpError(failure.status, body, failure.headers);
+            return { status: failure.status, headers: failure.headers, data: body };
+        }
+
+        const route = routes.find(([routeMethod, pattern]) => routeMethod === verb && pattern.test(path));
+        if (!route) throw new FakeHttpError(404, '404 page not found');
+        const [, pattern, handle, { raw = false, auth = true } = {}] = route;
+
+        if (auth) {
+            const token = String(headers['Authorization'] || '').replace(/^Bearer /, '');
+            if (!issuedTokens.has(token)) {
+                throw new FakeHttpError(400, { code: FAKE_ERROR_CODES.INVALID_TOKEN, msg: 'Invalid access token for authorization.' });
+            }
+        }
+
+        const result = await handle({ match: pattern.exec(path), query: params, body: data, headers });
+        return { status: 200, headers: {}, data: raw ? result : { code: 0, msg: 'success', data: result } };
+    }
+
+    return {
+        transport,
+        calls,
+        messages,
+        addSpreadsheet,
+
+        install() { setFeishuTransport(transport); },
+        uninstall() { setFeishuTransport(null); },
+
+        /**
+         * 让下一次（或 times 次）匹配的请求失败。
+         * @param {string|RegExp} [match] - 匹配 "METHOD /path"（字符串为包含关系）；省略时匹配任意请求
+         * @param {{ status?: number, code?: number, msg?: string, headers?: object, times?: number, networkError?: string }} [failure]
+         *   status < 400 时以 HTTP 200 返回非 0 的 code；networkError 为错误码（如 'ECONNRESET'）时模拟没有响应的网络错误
+         */
+        failNext(match, { status = 200, code = 99991400, msg, headers = {}, times = 1, networkError } = {}) {
+            failures.push({ match, status, code, msg, headers, times, networkError });
+        },
+
+        /** 使已签发的 tenant_access_token 全部失效，下一次请求会收到 token 无效错误。 */
+        expireTokens() { issuedTokens.clear(); },
+
+        /** 返回文件的内部状态（表格、所有者、协作者、所在文件夹），不存在时返回 null。 */
+        getFile(token) { return files.get(token) || null; },
+
+        /** 返回工作表当前的二维数组（省略 sheet 时取第一个工作表）。 */
+        getValues(token, sheet) { return findSheet(getSpreadsheet(token), sheet).values; },
+
+        /** 返回写入工作表的图片：[{ row, column, name, size }]，行列从 0 开始。 */
+        getImages(token, sheet) { return findSheet(getSpreadsheet(token), sheet).images; }
+    };
+}
+
+module.exports = {
+    FAKE_ERROR_CODES,
+    createFeishuFake
+};
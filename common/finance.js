@@ -0,0 +1,431 @@
+/**
+ * @file common/finance.js
+ * @version 1.2.1
+ * @description 项目财务计算引擎。收入、成本、返点、资金占用费用等公式的唯一实现，所有接口都应调用本模块，保证各处数字一致。
+ * - [收入] 执行金额 × 项目折扣 × 税费系数 (1.05)；折扣缺失、为 0 或无法解析时按 1（不打折）计。
+ * - [成本] 原价单: 金额 × 1.05；改价单: 返点 > 20% 时 金额 × 0.8 × 1.05，否则 金额 × (1 - 返点%) × 1.05。
+ * - [应收返点] 原价单: 金额 × 返点%；改价单: 返点 > 20% 时 金额 × (返点% - 20%)，否则为 0。
+ * - [利润口径] 已录入实际返点时以实际返点为准；项目"已终结"后未录入实际返点按 0 计。
+ * - [资金占用] 成本 × (月费率% / 30) × 占用天数；占用天数 = 付款日期（未付款取上海时区当天 0 点）- 下单日期。
+ * - 规则参数集中在 DEFAULT_FINANCE_RULES 中，各计算函数都接受可选的 rules 参数。
+ * - [v1.1 可配置规则] 税费系数、改价单返点阈值与默认资金月费率可在 project_configurations 的 FINANCE_RULES 中按生效日期配置。
+ *   项目按其创建时间 (createdAt) 选用当时生效的规则，新规则只影响之后创建的项目；早于所有规则的项目使用 DEFAULT_FINANCE_RULES。
+ * - [v1.2 预算预测] calculateBudgetForecast 按"已确认"与"管线中"（待提报等尚未定档的合作）拆分预计收入，供预算预警使用。
+ * - [v1.2.1] 折扣为 0 时恢复迁移前 parseFloat(discount) || 1 的口径，按不打折计算，不再得出 0 收入。
+ */
+const { AppError } = require('./errors');
+
+const FINANCE_ENGINE_VERSION = '1.2.1';
+
+const DEFAULT_FINANCE_RULES = Object.freeze({
+    taxFactor: 1.05,
+    // 改价单返点超过该阈值（%）时，超出部分才计入应收返点，成本按 (1 - 阈值%) 计
+    modifiedRebateThreshold: 20,
+    defaultMonthlyRatePercent: 0.7,
+    daysPerMonth: 30,
+});
+
+// 参与财务计算的有效合作状态
+const EFFECTIVE_COLLABORATION_STATUSES = ['客户已定档', '视频已发布'];
+const CLOSED_PROJECT_STATUS = '已终结';
+
+// 预算预警的默认阈值（预计预算使用率 %），可在 project_configurations 的 BUDGET_ALERTS 中修改
+const DEFAULT_BUDGET_ALERT_THRESHOLD = 90;
+
+const CONFIG_COLLECTION = 'project_configurations';
+const FINANCE_RULES_CONFIG_ID = 'FINANCE_RULES';
+
+// FINANCE_RULES 中每条规则必须提供的字段及取值范围
+const FINANCE_RULE_FIELDS = [
+    { field: 'taxFactor', label: '税费系数', min: 1, max: 2 },
+    { field: 'modifiedRebateThreshold', label: '改价单返点阈值 (%)', min: 0, max: 100 },
+    { field: 'defaultMonthlyRatePercent', label: '默认资金月费率 (%)', min: 0, max: 100 },
+];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SHANGHAI_OFFSET_MS = 8 * 60 * 60 * 1000;
+
+/**
+ * 安全地转为数字：null / 空字符串 / 非数字返回默认值。
+ */
+function toNumber(value, defaultValue = 0) {
+    if (value === null || value === undefined || value === '') return defaultValue;
+    const num = Number(value);
+    return Number.isFinite(num) ? num : defaultValue;
+}
+
+function round2(value) {
+    return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function calculateIncome(amount, discount, rules = DEFAULT_FINANCE_RULES) {
+    // 折扣 0 视为未设置（与迁移前的 parseFloat(discount) || 1 一致）
+    return toNumber(amount) * (toNumber(discount, 1) || 1) * rules.taxFactor;
+}
+
+function calculateExpense(amount, rebate, orderType, rules = DEFAULT_FINANCE_RULES) {
+    const amountNum = toNumber(amount);
+    const rebateNum = toNumber(rebate);
+    if (orderType === 'original') {
+        return amountNum * rules.taxFactor;
+    }
+    if (rebateNum > rules.modifiedRebateThreshold) {
+        return amountNum * (1 - rules.modifiedRebateThreshold / 100) * rules.taxFactor;
+    }
+    return amountNum * (1 - rebateNum / 100) * rules.taxFactor;
+}
+
+function calculateRebateReceivable(amount, rebate, orderType, rules = DEFAULT_FINANCE_RULES) {
+    const amountNum = toNumber(amount);
+    const rebateNum = toNumber(rebate);
+    if (orderType === 'original') {
+        return amountNum * (rebateNum / 100);
+    }
+    if (rebateNum > rules.modifiedRebateThreshold) {
+        return amountNum * ((rebateNum - rules.modifiedRebateThreshold) / 100);
+    }
+    return 0;
+}
+
+/**
+ * 利润计算所用的返点：优先实际返点；项目已终结时不再使用应收返点估算。
+ */
+function resolveRebateForProfit(actualRebate, rebateReceivable, projectStatus) {
+    const actual = toNumber(actualRebate, null);
+    if (actual !== null) return actual;
+    return projectStatus === CLOSED_PROJECT_STATUS ? 0 : rebateReceivable;
+}
+
+/**
+ * 上海时区当天 0 点（保证同一天内多次计算结果一致）。
+ */
+function startOfTodayInShanghai(now = new Date()) {
+    const shifted = new Date(now.getTime() + SHANGHAI_OFFSET_MS);
+    return new Date(Date.UTC(shifted.getUTCFullYear(), shifted.getUTCMonth(), shifted.getUTCDate()) - SHANGHAI_OFFSET_MS);
+}
+
+function toDateOrNull(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function calculateOccupationDays(orderDate, paymentDate, now = new Date()) {
+    const start = toDateOrNull(orderDate);
+    if (!start) return 0;
+    const end = toDateOrNull(paymentDate) || startOfTodayInShanghai(now);
+    return Math.max(0, (end.getTime() - start.getTime()) / DAY_MS);
+}
+
+function calculateFundsOccupationCost(expense, monthlyRatePercent, occupationDays, rules = DEFAULT_FINANCE_RULES) {
+    return expense * (toNumber(monthlyRatePercent, rules.defaultMonthlyRatePercent) / 100 / rules.daysPerMonth) * occupationDays;
+}
+
+/**
+ * 计算单条合作记录的财务指标（未取整）。
+ * @param {object} collab - 合作记录
+ * @param {object} project - 所属项目（使用 discount 与 status）
+ * @param {{ monthlyRatePercent?: number, now?: Date, rules?: object }} [options]
+ */
+function calculateCollaborationFinance(collab, project = {}, options = {}) {
+    const rules = options.rules || DEFAULT_FINANCE_RULES;
+    const monthlyRatePercent = options.monthlyRatePercent ?? rules.defaultMonthlyRatePercent;
+
+    const income = calculateIncome(collab.amount, project.discount, rules);
+    const expense = calculateExpense(collab.amount, collab.rebate, collab.orderType, rules);
+    const rebateReceivable = calculateRebateReceivable(collab.amount, collab.rebate, collab.orderType, rules);
+    const rebateForProfit = resolveRebateForProfit(collab.actualRebate, rebateReceivable, project.status);
+    const occupationDays = calculateOccupationDays(collab.orderDate, collab.paymentDate, options.now);
+    const fundsOccupationCost = calculateFundsOccupationCost(expense, monthlyRatePercent, occupationDays, rules);
+    const grossProfit = income + rebateForProfit - expense;
+
+    return {
+        income,
+        expense,
+        rebateReceivable,
+        rebateForProfit,
+        occupationDays,
+        fundsOccupationCost,
+        grossProfit,
+        grossProfitMargin: income === 0 ? 0 : (grossProfit / income) * 100,
+    };
+}
+
+/**
+ * 汇总项目调账：正数计入收入调整，负数的绝对值计入成本调整。
+ */
+function summarizeAdjustments(adjustments) {
+    let incomeAdjustments = 0;
+    let expenseAdjustments = 0;
+    (adjustments || []).forEach(adj => {
+        const amount = toNumber(adj && adj.amount);
+        if (amount > 0) incomeAdjustments += amount;
+        if (amount < 0) expenseAdjustments += Math.abs(amount);
+    });
+    return { incomeAdjustments, expenseAdjustments };
+}
+
+/**
+ * 将多条合作的指标与相关项目的预算/调账汇总为经营指标（未取整）。
+ * @param {object[]} collabMetrics - calculateCollaborationFinance 的结果
+ * @param {object[]} projects - 相关项目（使用 budget 与 adjustments）
+ */
+function aggregateFinance(collabMetrics, projects) {
+    const sum = key => collabMetrics.reduce((total, m) => total + m[key], 0);
+    const totalIncomeAgg = sum('income');
+    const totalExpense = sum('expense');
+    const totalGrossProfit = sum('grossProfit');
+    const fundsOccupationCost = sum('fundsOccupationCost');
+    const totalRebateReceivable = sum('rebateForProfit');
+
+    let incomeAdjustments = 0;
+    let expenseAdjustments = 0;
+    let totalBudget = 0;
+    projects.forEach(project => {
+        const adj = summarizeAdjustments(project.adjustments);
+        incomeAdjustments += adj.incomeAdjustments;
+        expenseAdjustments += adj.expenseAdjustments;
+        totalBudget += toNumber(project.budget);
+    });
+
+    const totalIncome = totalIncomeAgg + incomeAdjustments;
+    const preAdjustmentProfit = totalGrossProfit + incomeAdjustments;
+    const operationalProfit = preAdjustmentProfit - (expenseAdjustments + fundsOccupationCost);
+    const margin = value => (totalIncome > 0 ? (value / totalIncome) * 100 : 0);
+
+    return {
+        totalIncomeAgg,
+        incomeAdjustments,
+        totalIncome,
+        totalExpense,
+        totalGrossProfit,
+        totalRebateReceivable,
+        fundsOccupationCost,
+        expenseAdjustments,
+        totalOperationalCost: totalExpense + expenseAdjustments + fundsOccupationCost,
+        preAdjustmentProfit,
+        preAdjustmentMargin: margin(preAdjustmentProfit),
+        operationalProfit,
+        operationalMargin: margin(operationalProfit),
+        totalBudget,
+        budgetUtilization: totalBudget > 0 ? (totalIncome / totalBudget) * 100 : 0,
+    };
+}
+
+/**
+ * 计算单个项目的 metrics（字段与取整方式与 getProjects 历史返回保持一致）。
+ * @param {object} project
+ * @param {object[]} collaborations - 项目下的全部合作，内部会筛选有效状态
+ * @param {{ monthlyRatePercent?: number, now?: Date, rules?: object }} [options]
+ */
+function calculateProjectFinance(project, collaborations, options = {}) {
+    const confirmed = (collaborations || []).filter(c => EFFECTIVE_COLLABORATION_STATUSES.includes(c.status));
+    const totals = aggregateFinance(confirmed.map(c => calculateCollaborationFinance(c, project, options)), [project]);
+
+    return {
+        projectBudget: round2(totals.totalBudget),
+        totalCollaborators: confirmed.length,
+        budgetUtilization: round2(totals.budgetUtilization),
+        totalIncome: round2(totals.totalIncome),
+        totalRebateReceivable: round2(totals.totalRebateReceivable),
+        incomeAdjustments: round2(totals.incomeAdjustments),
+        totalExpense: round2(totals.totalExpense),
+        fundsOccupationCost: round2(totals.fundsOccupationCost),
+        expenseAdjustments: round2(totals.expenseAdjustments),
+        totalOperationalCost: round2(totals.totalOperationalCost),
+        preAdjustmentProfit: round2(totals.preAdjustmentProfit),
+        preAdjustmentMargin: round2(totals.preAdjustmentMargin),
+        operationalProfit: round2(totals.operationalProfit),
+        operationalMargin: round2(totals.operationalMargin),
+    };
+}
+
+/**
+ * 预算预测：项目下全部合作的预计收入与预算比较。
+ * - 已确认 (confirmed)：处于有效状态（客户已定档 / 视频已发布）的合作；confirmedUtilization 含收入调账，与 metrics.budgetUtilization 口径一致。
+ * - 管线中 (pipeline)：其余状态（如待提报工作台）的合作，按当前报价计入预测。
+ * @returns {{ budget: number, confirmedIncome: number, confirmedCount: number, pipelineIncome: number, pipelineCount: number,
+ *   incomeAdjustments: number, forecastIncome: number, confirmedUtilization: number, forecastUtilization: number, remainingBudget: number }}
+ */
+function calculateBudgetForecast(project, collaborations, rules = DEFAULT_FINANCE_RULES) {
+    const budget = toNumber(project.budget);
+    let confirmedIncome = 0;
+    let confirmedCount = 0;
+    let pipelineIncome = 0;
+    let pipelineCount = 0;
+    (collaborations || []).forEach(collab => {
+        const income = calculateIncome(collab.amount, project.discount, rules);
+        if (EFFECTIVE_COLLABORATION_STATUSES.includes(collab.status)) {
+            confirmedIncome += income;
+            confirmedCount++;
+        } else {
+            pipelineIncome += income;
+            pipelineCount++;
+        }
+    });
+
+    const { incomeAdjustments } = summarizeAdjustments(project.adjustments);
+    const committedIncome = confirmedIncome + incomeAdjustments;
+    const forecastIncome = committedIncome + pipelineIncome;
+    const utilization = value => (budget > 0 ? (value / budget) * 100 : 0);
+
+    return {
+        budget: round2(budget),
+        confirmedIncome: round2(confirmedIncome),
+        confirmedCount,
+        pipelineIncome: round2(pipelineIncome),
+        pipelineCount,
+        incomeAdjustments: round2(incomeAdjustments),
+        forecastIncome: round2(forecastIncome),
+        confirmedUtilization: round2(utilization(committedIncome)),
+        forecastUtilization: round2(utilization(forecastIncome)),
+        remainingBudget: round2(budget - forecastIncome),
+    };
+}
+
+/**
+ * 读取资金费率配置，返回 capitalRateId -> 月费率(%) 的映射。
+ * 费率配置存放在 project_configurations 中，形如 { values: [{ id, value }] }。
+ */
+async function loadCapitalRateMap(db, capitalRateIds) {
+    const ids = [...new Set((capitalRateIds || []).filter(Boolean))];
+    const rateMap = new Map();
+    if (ids.length === 0) return rateMap;
+
+    const configs = await db.collection(CONFIG_COLLECTION)
+        .find({ 'values.id': { $in: ids } }, { projection: { _id: 0, values: 1 } })
+        .toArray();
+    configs.forEach(config => {
+        (config.values || []).forEach(rate => {
+            if (ids.includes(rate.id)) {
+                rateMap.set(rate.id, toNumber(rate.value, DEFAULT_FINANCE_RULES.defaultMonthlyRatePercent));
+            }
+        });
+    });
+    return rateMap;
+}
+
+function resolveMonthlyRatePercent(rateMap, capitalRateId, rules = DEFAULT_FINANCE_RULES) {
+    return rateMap.has(capitalRateId) ? rateMap.get(capitalRateId) : rules.defaultMonthlyRatePercent;
+}
+
+/**
+ * 生效日期 (YYYY-MM-DD) 按上海时区当天 0 点生效。
+ */
+function parseEffectiveFrom(effectiveFrom) {
+    if (typeof effectiveFrom !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(effectiveFrom)) return null;
+    const date = new Date(`${effectiveFrom}T00:00:00+08:00`);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * 校验并规范化一条财务规则（来自 processConfigurations 的请求体）。
+ * @returns {{ effectiveFrom: string, taxFactor: number, modifiedRebateThreshold: number, defaultMonthlyRatePercent: number, note?: string }}
+ */
+function normalizeFinanceRuleSet(input = {}) {
+    if (!parseEffectiveFrom(input.effectiveFrom)) {
+        throw new AppError('生效日期 effectiveFrom 必须为 YYYY-MM-DD 格式。', 400, 'INVALID_FINANCE_RULE');
+    }
+    const ruleSet = { effectiveFrom: input.effectiveFrom };
+    FINANCE_RULE_FIELDS.forEach(({ field, label, min, max }) => {
+        const value = toNumber(input[field], null);
+        if (value === null || value < min || value > max) {
+            throw new AppError(`${label} (${field}) 必须是 ${min} ~ ${max} 之间的数字。`, 400, 'INVALID_FINANCE_RULE');
+        }
+        ruleSet[field] = value;
+    });
+    if (input.note) ruleSet.note = String(input.note).trim();
+    return ruleSet;
+}
+
+/**
+ * 读取全部财务规则，按生效日期升序排列。
+ */
+async function loadFinanceRuleSets(db) {
+    const config = await db.collection(CONFIG_COLLECTION).findOne({ _id: FINANCE_RULES_CONFIG_ID });
+    return ((config && config.values) || [])
+        .filter(ruleSet => parseEffectiveFrom(ruleSet.effectiveFrom))
+        .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+}
+
+/**
+ * 选出 referenceDate 时生效的规则（生效日期不晚于 referenceDate 的最后一条）。
+ * 没有 referenceDate（如缺少 createdAt 的历史项目）或早于所有规则时返回 DEFAULT_FINANCE_RULES。
+ */
+function selectFinanceRules(ruleSets, referenceDate) {
+    const reference = toDateOrNull(referenceDate);
+    if (!reference) return DEFAULT_FINANCE_RULES;
+
+    let selected = null;
+    (ruleSets || []).forEach(ruleSet => {
+        const from = parseEffectiveFrom(ruleSet.effectiveFrom);
+        if (from && from <= reference && (!selected || ruleSet.effectiveFrom >= selected.effectiveFrom)) {
+            selected = ruleSet;
+        }
+    });
+    if (!selected) return DEFAULT_FINANCE_RULES;
+
+    const rules = { ...DEFAULT_FINANCE_RULES, ruleSetId: selected.id, effectiveFrom: selected.effectiveFrom };
+    FINANCE_RULE_FIELDS.forEach(({ field }) => {
+        rules[field] = toNumber(selected[field], DEFAULT_FINANCE_RULES[field]);
+    });
+    return rules;
+}
+
+function resolveProjectFinanceRules(ruleSets, project) {
+    return selectFinanceRules(ruleSets, project && project.createdAt);
+}
+
+/**
+ * 一次性读取计算若干项目所需的配置（资金费率 + 财务规则）。
+ * @param {import('mongodb').Db} db
+ * @param {object[]} projects - 需要包含 capitalRateId 与 createdAt
+ */
+async function loadFinanceContext(db, projects) {
+    const [rateMap, ruleSets] = await Promise.all([
+        loadCapitalRateMap(db, (projects || []).map(p => p && p.capitalRateId)),
+        loadFinanceRuleSets(db),
+    ]);
+    return { rateMap, ruleSets };
+}
+
+/**
+ * 生成某个项目的计算参数，直接传给 calculateCollaborationFinance / calculateProjectFinance。
+ */
+function buildFinanceOptions(context, project, now = new Date()) {
+    const rules = resolveProjectFinanceRules(context.ruleSets, project);
+    return {
+        rules,
+        monthlyRatePercent: resolveMonthlyRatePercent(context.rateMap, project && project.capitalRateId, rules),
+        now,
+    };
+}
+
+module.exports = {
+    FINANCE_ENGINE_VERSION,
+    DEFAULT_FINANCE_RULES,
+    EFFECTIVE_COLLABORATION_STATUSES,
+    FINANCE_RULES_CONFIG_ID,
+    FINANCE_RULE_FIELDS,
+    DEFAULT_BUDGET_ALERT_THRESHOLD,
+    toNumber,
+    round2,
+    calculateIncome,
+    calculateExpense,
+    calculateRebateReceivable,
+    resolveRebateForProfit,
+    calculateOccupationDays,
+    calculateFundsOccupationCost,
+    calculateCollaborationFinance,
+    summarizeAdjustments,
+    aggregateFinance,
+    calculateProjectFinance,
+    calculateBudgetForecast,
+    loadCapitalRateMap,
+    resolveMonthlyRatePercent,
+    normalizeFinanceRuleSet,
+    loadFinanceRuleSets,
+    selectFinanceRules,
+    resolveProjectFinanceRules,
+    loadFinanceContext,
+    buildFinanceOptions,
+};
@@ -0,0 +1,661 @@
+/**
+ * @file common/formula.js
+ * @version 1.0.1
+ * @description 映射模板的公式语言：词法分析 + 递归下降解析为语法树，再由解释器求值。不使用 eval / new Function，
+ *   公式只能读取 {集合.字段路径} 引用的数据与调用下列白名单函数。
+ * - [语法] 优先级从低到高：
+ *     比较      =  ==  !=  <>  <  <=  >  >=
+ *     拼接      &                      （null 视为空字符串）
+ *     加减      +  -                   （+ 两侧都不是数字时按字符串拼接，兼容旧模板）
+ *     乘除      *  /
+ *     一元      -  +
+ *     乘方      ^
+ *     百分号    50%                    （数字后缀，等于 0.5）
+ *     基本项    数字、"字符串" / '字符串'、TRUE、FALSE、NULL、{集合.字段路径}、函数调用、( 表达式 )
+ * - [引用] {collaborations.amount}、{automation-tasks.result.data.完播率}；路径中途遇到数组且下一段不是下标时，
+ *   对数组中每个元素取值，得到数组（例如 {works.dailyViews.views}），可交给 SUM / MIN / MAX / AVERAGE。
+ * - [空值] 引用不存在时为 NULL。算术与比较中任一侧为 NULL 时结果为 NULL（= / != 除外）；IF 将 NULL 视为假；
+ *   SUM / MIN / MAX / AVERAGE 忽略 NULL；IFNULL 提供默认值。
+ * - [数字] 文本按 "1,234"、"12%"、"1.2w" / "1.2万" 解析；无法解析的文本参与算术时报类型错误。
+ * - [错误] 语法错误在解析时抛出 FormulaError (400, FORMULA_SYNTAX_ERROR，details 含出错位置)；
+ *   除以 0 (FORMULA_DIVISION_BY_ZERO) 与类型错误 (FORMULA_TYPE_ERROR) 在求值时抛出 (422)。
+ * - [日期] 日期按北京时间处理；"2025-01-02" / "2025/01/02 10:00" 形式的文本与时间戳可直接传入日期函数。
+ * - [与 new Function 实现的差异] REPLACE 的 "查找" 改为按字面匹配，不再作为正则表达式：旧模板中 REPLACE({x}, ".", "") 之前会清空整个文本，
+ *   现在只删除句点；"+"、"(" 等之前会报正则错误的字符现在可以直接替换。+ 两侧都能解析为数字时相加（"1" + "2" 为 3），否则仍按字符串拼接。
+ */
+const { AppError } = require('./errors');
+
+const MAX_FORMULA_LENGTH = 2000;
+const MAX_NESTING_DEPTH = 64;
+const COMPILE_CACHE_LIMIT = 500;
+
+// 北京时间固定为 UTC+8，没有夏令时
+const TIMEZONE_OFFSET_MS = 8 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class FormulaError extends AppError {
+    constructor(message, code = 'FORMULA_SYNTAX_ERROR', details) {
+        super(message, code === 'FORMULA_SYNTAX_ERROR' ? 400 : 422, code, details);
+        this.name = 'FormulaError';
+    }
+}
+
+const typeError = (message) => new FormulaError(`公式类型错误: ${message}`, 'FORMULA_TYPE_ERROR');
+
+// --- 值的转换 ---
+
+/**
+ * 转为数字；null 与空字符串返回 null，无法解析时返回 undefined。
+ */
+function coerceNumber(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (typeof value !== 'string') return undefined;
+    const text = value.replace(/,/g, '').trim();
+    if (text === '') return null;
+    const match = /^([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)\s*(%|w|万)?$/i.exec(text);
+    if (!match) return undefined;
+    const number = parseFloat(match[1]);
+    if (match[2] === '%') return number / 100;
+    if (match[2]) return number * 10000;
+    return number;
+}
+
+function toNumber(value, where) {
+    const number = coerceNumber(value);
+    if (number === undefined) {
+        const shown = value instanceof Date ? '日期' : Array.isArray(value) ? '数组' : JSON.stringify(value);
+        throw typeError(`${where} 需要数字，实际为 ${shown}`);
+    }
+    return number;
+}
+
+function toText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return formatDate(value, hasTime(value) ? 'YYYY-MM-DD HH:mm:ss' : 'YYYY-MM-DD');
+    if (Array.isArray(value)) return value.filter(item => item !== null && item !== undefined).map(toText).join(', ');
+    return String(value);
+}
+
+function isTruthy(value) {
+    if (value === null || value === undefined) return false;
+    if (typeof value === 'number') return value !== 0;
+    if (typeof value === 'string') return value.trim() !== '';
+    return Boolean(value);
+}
+
+function toDate(value, where) {
+    if (value === null || value === undefined || value === '') return null;
+    if (value instanceof Date) return value;
+    if (typeof value === 'number') return new Date(value);
+    if (typeof value === 'string') {
+        const match = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(value.trim());
+        if (match) {
+            const [, y, m, d, hh, mm, ss] = match.map(part => Number(part || 0));
+            return new Date(Date.UTC(y, m - 1, d, hh, mm, ss) - TIMEZONE_OFFSET_MS);
+        }
+        const parsed = Date.parse(value);
+        if (!Number.isNaN(parsed)) return new Date(parsed);
+    }
+    throw typeError(`${where} 需要日期，实际为 ${JSON.stringify(value)}`);
+}
+
+// 以北京时间拆分日期
+function dateParts(date) {
+    const shifted = new Date(date.getTime() + TIMEZONE_OFFSET_MS);
+    return {
+        year: shifted.getUTCFullYear(),
+        month: shifted.getUTCMonth() + 1,
+        day: shifted.getUTCDate(),
+        hour: shifted.getUTCHours(),
+        minute: shifted.getUTCMinutes(),
+        second: shifted.getUTCSeconds()
+    };
+}
+
+const hasTime = (date) => (date.getTime() + TIMEZONE_OFFSET_MS) % DAY_MS !== 0;
+
+const startOfDay = (date) => new Date(Math.floor((date.getTime() + TIMEZONE_OFFSET_MS) / DAY_MS) * DAY_MS - TIMEZONE_OFFSET_MS);
+
+function formatDate(date, pattern) {
+    const parts = dateParts(date);
+    const pad = (number, width = 2) => String(number).padStart(width, '0');
+    return pattern.replace(/YYYY|MM|DD|HH|mm|ss/g, token => ({
+        YYYY: pad(parts.year, 4), MM: pad(parts.month), DD: pad(parts.day),
+        HH: pad(parts.hour), mm: pad(parts.minute), ss: pad(parts.second)
+    })[token]);
+}
+
+const flatten = (values) => values.flat(Infinity).filter(value => value !== null && value !== undefined && value !== '');
+
+function numericValues(values, name) {
+    return flatten(values).map(value => toNumber(value, name)).filter(value => value !== null);
+}
+
+// --- 函数 ---
+// lazy 的函数接收参数的求值函数 (index) => value，其余函数接收已求值的参数
+const FUNCTIONS = {
+    IF: {
+        signature: 'IF(条件, 为真时, [为假时])', description: '条件为真返回第二个参数，否则返回第三个参数（缺省为 NULL）',
+        minArgs: 2, maxArgs: 3, lazy: true,
+        call: (arg, count) => (isTruthy(arg(0)) ? arg(1) : (count > 2 ? arg(2) : null))
+    },
+    IFNULL: {
+        signature: 'IFNULL(值, 默认值)', description: '值为 NULL 或空字符串时返回默认值',
+        minArgs: 2, maxArgs: 2, lazy: true,
+        call: (arg) => { const value = arg(0); return value === null || value === '' ? arg(1) : value; }
+    },
+    AND: {
+        signature: 'AND(条件1, 条件2, ...)', description: '所有条件都为真时返回 TRUE',
+        minArgs: 1, maxArgs: Infinity, lazy: true,
+        call: (arg, count) => { for (let i = 0; i < count; i++) if (!isTruthy(arg(i))) return false; return true; }
+    },
+    OR: {
+        signature: 'OR(条件1, 条件2, ...)', description: '任一条件为真时返回 TRUE',
+        minArgs: 1, maxArgs: Infinity, lazy: true,
+        call: (arg, count) => { for (let i = 0; i < count; i++) if (isTruthy(arg(i))) return true; return false; }
+    },
+    NOT: {
+        signature: 'NOT(条件)', description: '取反',
+        minArgs: 1, maxArgs: 1,
+        call: ([value]) => !isTruthy(value)
+    },
+    ROUND: {
+        signature: 'ROUND(数字, [小数位数])', description: '四舍五入，小数位数缺省为 0',
+        minArgs: 1, maxArgs: 2,
+        call: ([value, digits = 0]) => {
+            const number = toNumber(value, 'ROUND');
+            if (number === null) return null;
+            const factor = 10 ** (toNumber(digits, 'ROUND') || 0);
+            return Math.round((number + Number.EPSILON * Math.sign(number)) * factor) / factor;
+        }
+    },
+    ABS: {
+        signature: 'ABS(数字)', description: '绝对值',
+        minArgs: 1, maxArgs: 1,
+        call: ([value]) => { const number = toNumber(value, 'ABS'); return number === null ? null : Math.abs(number); }
+    },
+    MIN: {
+        signature: 'MIN(值或数组, ...)', description: '最小值，忽略 NULL；没有数字时返回 NULL',
+        minArgs: 1, maxArgs: Infinity,
+        call: (args) => { const numbers = numericValues(args, 'MIN'); return numbers.length ? Math.min(...numbers) : null; }
+    },
+    MAX: {
+        signature: 'MAX(值或数组, ...)', description: '最大值，忽略 NULL；没有数字时返回 NULL',
+        minArgs: 1, maxArgs: Infinity,
+        call: (args) => { const numbers = numericValues(args, 'MAX'); return numbers.length ? Math.max(...numbers) : null; }
+    },
+    SUM: {
+        signature: 'SUM(值或数组, ...)', description: '求和，忽略 NULL；没有数字时返回 0',
+        minArgs: 1, maxArgs: Infinity,
+        call: (args) => numericValues(args, 'SUM').reduce((sum, number) => sum + number, 0)
+    },
+    AVERAGE: {
+        signature: 'AVERAGE(值或数组, ...)', description: '平均值，忽略 NULL；没有数字时返回 NULL',
+        minArgs: 1, maxArgs: Infinity,
+        call: (args) => {
+            const numbers = numericValues(args, 'AVERAGE');
+            return numbers.length ? numbers.reduce((sum, number) => sum + number, 0) / numbers.length : null;
+        }
+    },
+    COUNT: {
+        signature: 'COUNT(值或数组, ...)', description: '非空值的个数',
+        minArgs: 1, maxArgs: Infinity,
+        call: (args) => flatten(args).length
+    },
+    CONCAT: {
+        signature: 'CONCAT(文本1, 文本2, ...)', description: '拼接文本，NULL 视为空字符串',
+        minArgs: 1, maxArgs: Infinity,
+        call: (args) => args.map(toText).join('')
+    },
+    REPLACE: {
+        signature: 'REPLACE(文本, 查找, 替换为)', description: '将文本中所有的 "查找" 替换为 "替换为"（按字面匹配）',
+        minArgs: 3, maxArgs: 3,
+        call: ([text, from, to]) => {
+            const source = toText(text);
+            const search = toText(from);
+            return search === '' ? source : source.split(search).join(toText(to));
+        }
+    },
+    TODAY: {
+        signature: 'TODAY()', description: '今天（北京时间 0 点）',
+        minArgs: 0, maxArgs: 0,
+        call: () => startOfDay(new Date())
+    },
+    NOW: {
+        signature: 'NOW()', description: '当前时间',
+        minArgs: 0, maxArgs: 0,
+        call: () => new Date()
+    },
+    DATE: {
+        signature: 'DATE(年, 月, 日)', description: '构造日期（北京时间）',
+        minArgs: 3, maxArgs: 3,
+        call: (args) => {
+            const [year, month, day] = args.map(value => toNumber(value, 'DATE'));
+            if (year === null || month === null || day === null) return null;
+            return new Date(Date.UTC(year, month - 1, day) - TIMEZONE_OFFSET_MS);
+        }
+    },
+    YEAR: {
+        signature: 'YEAR(日期)', description: '年份',
+        minArgs: 1, maxArgs: 1,
+        call: ([value]) => { const date = toDate(value, 'YEAR'); return date && dateParts(date).year; }
+    },
+    MONTH: {
+        signature: 'MONTH(日期)', description: '月份 (1-12)',
+        minArgs: 1, maxArgs: 1,
+        call: ([value]) => { const date = toDate(value, 'MONTH'); return date && dateParts(date).month; }
+    },
+    DAY: {
+        signature: 'DAY(日期)', description: '日 (1-31)',
+        minArgs: 1, maxArgs: 1,
+        call: ([value]) => { const date = toDate(value, 'DAY'); return date && dateParts(date).day; }
+    },
+    DAYS: {
+        signature: 'DAYS(结束日期, 开始日期)', description: '两个日期相差的天数（按自然日计算）',
+        minArgs: 2, maxArgs: 2,
+        call: ([end, start]) => {
+            const endDate = toDate(end, 'DAYS');
+            const startDate = toDate(start, 'DAYS');
+            if (!endDate || !startDate) return null;
+            return Math.round((startOfDay(endDate) - startOfDay(startDate)) / DAY_MS);
+        }
+    },
+    ADD_DAYS: {
+        signature: 'ADD_DAYS(日期, 天数)', description: '日期加上若干天（可为负数）',
+        minArgs: 2, maxArgs: 2,
+        call: ([value, days]) => {
+            const date = toDate(value, 'ADD_DAYS');
+            const count = toNumber(days, 'ADD_DAYS');
+            return date && count !== null ? new Date(date.getTime() + count * DAY_MS) : null;
+        }
+    },
+    DATE_FORMAT: {
+        signature: 'DATE_FORMAT(日期, [格式])', description: '按格式输出日期，支持 YYYY MM DD HH mm ss，缺省为 YYYY-MM-DD',
+        minArgs: 1, maxArgs: 2,
+        call: ([value, pattern = 'YYYY-MM-DD']) => { const date = toDate(value, 'DATE_FORMAT'); return date && formatDate(date, toText(pattern)); }
+    }
+};
+
+/**
+ * 可用函数列表，供前端展示公式帮助。
+ */
+const FORMULA_FUNCTIONS = Object.entries(FUNCTIONS).map(([name, { signature, description }]) => ({ name, signature, description }));
+
+// --- 词法分析 ---
+const OPERATORS = ['<=', '>=', '<>', '!=', '==', '+', '-', '*', '/', '^', '&', '=', '<', '>', '(', ')', ',', '%'];
+
+function syntaxError(formula, position, message) {
+    return new FormulaError(`公式语法错误（第 ${position + 1} 个字符）: ${message}`, 'FORMULA_SYNTAX_ERROR', { formula, position });
+}
+
+function tokenize(formula) {
+    const tokens = [];
+    let i = 0;
+    while (i < formula.length) {
+        const char = formula[i];
+        if (/\s/.test(char)) { i++; continue; }
+        const start = i;
+
+        const number = /^(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/.exec(formula.slice(i));
+        if (number) {
+            tokens.push({ type: 'number', value: parseFloat(number[0]), pos: start });
+            i += number[0].length;
+            continue;
+        }
+
+        if (char === '"' || char === "'") {
+            let value = '';
+            i++;
+            while (i < formula.length && formula[i] !== char) {
+                if (formula[i] === '\\' && i + 1 < formula.length) {
+                    const escaped = formula[i + 1];
+                    value += escaped === 'n' ? '\n' : escaped === 't' ? '\t' : escaped;
+                    i += 2;
+                } else {
+                    value += formula[i++];
+                }
+            }
+            if (i >= formula.length) throw syntaxError(formula, start, '字符串缺少结束引号');
+            i++;
+            tokens.push({ type: 'string', value, pos: start });
+            continue;
+        }
+
+        if (char === '{') {
+            const end = formula.indexOf('}', i);
+            if (end === -1) throw syntaxError(formula, start, '字段引用缺少 "}"');
+            const source = formula.slice(i + 1, end).trim();
+            const path = source.split('.').map(part => part.trim());
+            if (path.length < 2 || path.some(part => part === '')) {
+                throw syntaxError(formula, start, `字段引用 {${source}} 应为 {集合.字段路径}`);
+            }
+            tokens.push({ type: 'ref', path, source, pos: start });
+            i = end + 1;
+            continue;
+        }
+
+        const identifier = /^[A-Za-z_][A-Za-z0-9_]*/.exec(formula.slice(i));
+        if (identifier) {
+            tokens.push({ type: 'identifier', value: identifier[0], pos: start });
+            i += identifier[0].length;
+            continue;
+        }
+
+        const operator = OPERATORS.find(op => formula.startsWith(op, i));
+        if (operator) {
+            tokens.push({ type: 'operator', value: operator, pos: start });
+            i += operator.length;
+            continue;
+        }
+
+        throw syntaxError(formula, start, `无法识别的字符 "${char}"`);
+    }
+    tokens.push({ type: 'eof', pos: formula.length });
+    return tokens;
+}
+
+// --- 语法分析 ---
+const COMPARISON_OPERATORS = ['=', '==', '!=', '<>', '<', '<=', '>', '>='];
+
+/**
+ * 解析公式为语法树。
+ * @param {string} formula
+ * @returns {object} 语法树根节点
+ * @throws {FormulaError} FORMULA_SYNTAX_ERROR
+ */
+function parseFormula(formula) {
+    if (typeof formula !== 'string' || formula.trim() === '') {
+        throw new FormulaError('公式不能为空。', 'FORMULA_SYNTAX_ERROR', { formula, position: 0 });
+    }
+    if (formula.length > MAX_FORMULA_LENGTH) {
+        throw new FormulaError(`公式长度不能超过 ${MAX_FORMULA_LENGTH} 个字符。`, 'FORMULA_SYNTAX_ERROR', { formula, position: MAX_FORMULA_LENGTH });
+    }
+    const tokens = tokenize(formula);
+    let index = 0;
+    let depth = 0;
+
+    const peek = () => tokens[index];
+    const isOperator = (...values) => peek().type === 'operator' && values.includes(peek().value);
+    const describe = (token) => {
+        if (token.type === 'eof') return '公式结尾';
+        if (token.type === 'ref') return `{${token.source}}`;
+        return token.type === 'string' ? JSON.stringify(token.value) : `"${token.value}"`;
+    };
+
+    function expect(value) {
+        if (!isOperator(value)) throw syntaxError(formula, peek().pos, `此处应为 "${value}"，实际为 ${describe(peek())}`);
+        return tokens[index++];
+    }
+
+    function enter(pos) {
+        if (++depth > MAX_NESTING_DEPTH) throw syntaxError(formula, pos, `嵌套层数超过 ${MAX_NESTING_DEPTH}`);
+    }
+
+    function binaryLevel(next, operators) {
+        return () => {
+            let left = next();
+            while (isOperator(...operators)) {
+                const { value: op, pos } = tokens[index++];
+                left = { type: 'binary', op, left, right: next(), pos };
+            }
+            return left;
+        };
+    }
+
+    function parseComparison() {
+        const left = parseConcat();
+        if (!isOperator(...COMPARISON_OPERATORS)) return left;
+        const { value, pos } = tokens[index++];
+        const op = { '==': '=', '<>': '!=' }[value] || value;
+        const node = { type: 'binary', op, left, right: parseConcat(), pos };
+        if (isOperator(...COMPARISON_OPERATORS)) throw syntaxError(formula, peek().pos, '比较运算不能连写，请使用 AND()');
+        return node;
+    }
+
+    function parseUnary() {
+        if (isOperator('-', '+')) {
+            const { value: op, pos } = tokens[index++];
+            enter(pos);
+            const operand = parseUnary();
+            depth--;
+            return { type: 'unary', op, operand, pos };
+        }
+        return parsePower();
+    }
+
+    function parsePower() {
+        const base = parsePercent();
+        if (!isOperator('^')) return base;
+        const { pos } = tokens[index++];
+        // 右结合：2^3^2 = 2^(3^2)
+        return { type: 'binary', op: '^', left: base, right: parseUnary(), pos };
+    }
+
+    function parsePercent() {
+        let node = parsePrimary();
+        while (isOperator('%')) {
+            const { pos } = tokens[index++];
+            node = { type: 'binary', op: '/', left: node, right: { type: 'literal', value: 100, pos }, pos };
+        }
+        return node;
+    }
+
+    function parsePrimary() {
+        const token = peek();
+        if (token.type === 'number' || token.type === 'string') {
+            index++;
+            return { type: 'literal', value: token.value, pos: token.pos };
+        }
+        if (token.type === 'ref') {
+            index++;
+            return { type: 'ref', path: token.path, source: token.source, pos: token.pos };
+        }
+        if (token.type === 'identifier') {
+            index++;
+            const name = token.value.toUpperCase();
+            if (!isOperator('(')) {
+                if (name === 'TRUE' || name === 'FALSE') return { type: 'literal', value: name === 'TRUE', pos: token.pos };
+                if (name === 'NULL') return { type: 'literal', value: null, pos: token.pos };
+                throw syntaxError(formula, token.pos, `未知的名称 "${token.value}"，字段请写成 {集合.字段路径}`);
+            }
+            const definition = FUNCTIONS[name];
+            if (!definition) throw syntaxError(formula, token.pos, `未知的函数 "${token.value}"`);
+            enter(token.pos);
+            expect('(');
+            const args = [];
+            if (!isOperator(')')) {
+                do {
+                    if (args.length > 0) index++;
+                    args.push(parseComparison());
+                } while (isOperator(','));
+            }
+            expect(')');
+            depth--;
+            if (args.length < definition.minArgs || args.length > definition.maxArgs) {
+                const expected = definition.minArgs === definition.maxArgs ? `${definition.minArgs}`
+                    : definition.maxArgs === Infinity ? `至少 ${definition.minArgs}` : `${definition.minArgs} - ${definition.maxArgs}`;
+                throw syntaxError(formula, token.pos, `${name} 需要 ${expected} 个参数，实际为 ${args.length} 个。用法: ${definition.signature}`);
+            }
+            return { type: 'call', name, args, pos: token.pos };
+        }
+        if (isOperator('(')) {
+            enter(token.pos);
+            index++;
+            const node = parseComparison();
+            expect(')');
+            depth--;
+            return node;
+        }
+        throw syntaxError(formula, token.pos, `此处应为数字、字符串、字段或函数，实际为 ${describe(token)}`);
+    }
+
+    const parseMultiplicative = binaryLevel(parseUnary, ['*', '/']);
+    const parseAdditive = binaryLevel(parseMultiplicative, ['+', '-']);
+    const parseConcat = binaryLevel(parseAdditive, ['&']);
+
+    const ast = parseComparison();
+    if (peek().type !== 'eof') throw syntaxError(formula, peek().pos, `多余的内容 ${describe(peek())}`);
+    return ast;
+}
+
+// --- 求值 ---
+
+/**
+ * 按路径读取引用的值。只读取对象自身的属性；中途遇到数组且下一段不是下标时对每个元素取值。
+ */
+function readPath(value, path) {
+    let current = value;
+    for (let i = 0; i < path.length; i++) {
+        if (current === null || current === undefined) return null;
+        const key = path[i];
+        if (Array.isArray(current) && !/^\d+$/.test(key)) {
+            return current.map(item => readPath(item, path.slice(i)));
+        }
+        if (typeof current !== 'object' || !Object.prototype.hasOwnProperty.call(current, key)) return null;
+        current = current[key];
+    }
+    return current === undefined ? null : current;
+}
+
+function compareValues(op, left, right) {
+    if (op === '=' || op === '!=') {
+        let equal;
+        if (left === null || right === null) {
+            equal = left === right;
+        } else if (left instanceof Date || right instanceof Date) {
+            equal = toDate(left, op).getTime() === toDate(right, op).getTime();
+        } else {
+            const a = coerceNumber(left);
+            const b = coerceNumber(right);
+            equal = typeof a === 'number' && typeof b === 'number' ? a === b : toText(left) === toText(right);
+        }
+        return op === '=' ? equal : !equal;
+    }
+    if (left === null || right === null) return null;
+    let a;
+    let b;
+    if (left instanceof Date || right instanceof Date) {
+        a = toDate(left, op).getTime();
+        b = toDate(right, op).getTime();
+    } else {
+        a = coerceNumber(left);
+        b = coerceNumber(right);
+        if (typeof a !== 'number' || typeof b !== 'number') {
+            a = toText(left);
+            b = toText(right);
+        }
+    }
+    if (op === '<') return a < b;
+    if (op === '<=') return a <= b;
+    if (op === '>') return a > b;
+    return a >= b;
+}
+
+function evaluateBinary(node, context) {
+    const left = evaluateNode(node.left, context);
+    const right = evaluateNode(node.right, context);
+    const { op } = node;
+
+    if (op === '&') return toText(left) + toText(right);
+    if (COMPARISON_OPERATORS.includes(op)) return compareValues(op, left, right);
+    if (left === null || right === null) return null;
+
+    if (op === '+') {
+        const a = coerceNumber(left);
+        const b = coerceNumber(right);
+        // 两侧都是数字时相加，否则按字符串拼接（旧模板用 + 拼接文本）
+        if (typeof a === 'number' && typeof b === 'number') return a + b;
+        return toText(left) + toText(right);
+    }
+
+    const a = toNumber(left, `运算符 "${op}" 左侧`);
+    const b = toNumber(right, `运算符 "${op}" 右侧`);
+    if (a === null || b === null) return null;
+    if (op === '-') return a - b;
+    if (op === '*') return a * b;
+    if (op === '^') return a ** b;
+    if (b === 0) throw new FormulaError('公式中出现除以 0。', 'FORMULA_DIVISION_BY_ZERO');
+    return a / b;
+}
+
+function evaluateNode(node, context) {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+        case 'ref':
+            return readPath(context, node.path);
+        case 'unary': {
+            const number = toNumber(evaluateNode(node.operand, context), `运算符 "${node.op}"`);
+            if (number === null) return null;
+            return node.op === '-' ? -number : number;
+        }
+        case 'binary':
+            return evaluateBinary(node, context);
+        case 'call': {
+            const definition = FUNCTIONS[node.name];
+            if (definition.lazy) return definition.call(i => evaluateNode(node.args[i], context), node.args.length);
+            return definition.call(node.args.map(arg => evaluateNode(arg, context)));
+        }
+        default:
+            throw new FormulaError(`无法识别的语法节点: ${node.type}`, 'FORMULA_SYNTAX_ERROR');
+    }
+}
+
+function collectReferences(node, references) {
+    if (node.type === 'ref') references.add(node.path.join('.'));
+    if (node.type === 'unary') collectReferences(node.operand, references);
+    if (node.type === 'binary') {
+        collectReferences(node.left, references);
+        collectReferences(node.right, references);
+    }
+    if (node.type === 'call') node.args.forEach(arg => collectReferences(arg, references));
+    return references;
+}
+
+const compileCache = new Map();
+
+/**
+ * 解析并缓存公式。
+ * @param {string} formula
+ * @returns {{ formula: string, ast: object, references: string[], evaluate: (context: object) => * }}
+ *   references 为公式中引用的全部 "集合.字段路径"
+ * @throws {FormulaError} FORMULA_SYNTAX_ERROR
+ */
+function compileFormula(formula) {
+    if (compileCache.has(formula)) return compileCache.get(formula);
+    const ast = parseFormula(formula);
+    const compiled = {
+        formula,
+        ast,
+        references: [...collectReferences(ast, new Set())],
+        evaluate: (context) => evaluateNode(ast, context || {})
+    };
+    if (compileCache.size >= COMPILE_CACHE_LIMIT) compileCache.clear();
+    compileCache.set(formula, compiled);
+    return compiled;
+}
+
+/**
+ * 计算公式。日期结果转换为 "YYYY-MM-DD"（带时间时为 "YYYY-MM-DD HH:mm:ss"），数组结果以逗号拼接。
+ * @param {string} formula
+ * @param {object} context - { 集合名: 文档 }，如 { talents, projects, collaborations, 'automation-tasks' }
+ * @returns {string|number|boolean|null}
+ * @throws {FormulaError}
+ */
+function evaluateFormula(formula, context) {
+    const result = compileFormula(formula).evaluate(context);
+    if (result instanceof Date || Array.isArray(result)) return toText(result);
+    if (typeof result === 'number' && !Number.isFinite(result)) return null;
+    if (result !== null && typeof result === 'object') return toText(result);
+    return result;
+}
+
+module.exports = {
+    FormulaError,
+    FORMULA_FUNCTIONS,
+    parseFormula,
+    compileFormula,
+    evaluateFormula,
+};
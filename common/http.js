@@ -0,0 +1,168 @@
+/**
+ * @file common/http.js
+ * @version 1.3.0
+ * @description 统一的 HTTP 处理骨架：CORS 头、请求解析、响应格式与错误转换。
+ * - [请求] parseRequest 统一了各函数的“双来源”参数解析：params = queryString 与 JSON body 合并（body 优先）。
+ * - [响应] 成功: { success: true, data, ...extra }；失败: { success: false, code, message, details? }。
+ * - [骨架] createHandler 负责 OPTIONS 预检、方法校验、异常兜底，业务函数只需返回 respond()/ok() 的结果或抛出 AppError。
+ * - [v1.1 鉴权] createHandler 默认要求登录，并按 options.roles 校验角色；当前用户挂载在 req.user 上。
+ * - [v1.2 审计] createHandler 在 req 上挂载 source（函数名）与 requestId，供审计日志记录来源。
+ * - [v1.3 定时触发] 不带 httpMethod 的事件不再默认跳过登录校验；只有声明 scheduled: true 的函数（如 TaskGeneratorCron）
+ *   才把这类事件视为定时触发，其余函数按缺少请求方法返回 405。
+ */
+const crypto = require('crypto');
+const { AppError } = require('./errors');
+const { authenticate, requireRole, resolveRoles } = require('./auth');
+
+const DEFAULT_ALLOWED_HEADERS = 'Content-Type, Authorization';
+
+/**
+ * 构建 CORS + JSON 响应头。
+ * @param {string[]} methods - 允许的 HTTP 方法（不含 OPTIONS）
+ */
+function buildHeaders(methods = ['GET', 'POST']) {
+    return {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': DEFAULT_ALLOWED_HEADERS,
+        'Access-Control-Allow-Methods': [...methods, 'OPTIONS'].join(', '),
+        'Content-Type': 'application/json',
+    };
+}
+
+/**
+ * 将 API 网关事件解析为统一的请求对象。
+ * @param {object} event - API 网关事件
+ * @returns {{ method: string, path: string, headers: object, query: object, body: *, params: object }}
+ */
+function parseRequest(event = {}) {
+    const query = event.queryStringParameters || {};
+    let body = {};
+    if (event.body) {
+        if (typeof event.body === 'string') {
+            const raw = event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+            try {
+                body = JSON.parse(raw);
+            } catch (e) {
+                throw new AppError('请求体JSON格式无效。', 400, 'INVALID_JSON');
+            }
+        } else {
+            body = event.body;
+        }
+    }
+    const params = (body && typeof body === 'object' && !Array.isArray(body)) ? { ...query, ...body } : { ...query };
+    const headers = {};
+    Object.entries(event.headers || {}).forEach(([key, value]) => { headers[key.toLowerCase()] = value; });
+
+    return {
+        method: event.httpMethod,
+        path: event.path || '',
+        headers,
+        query,
+        body,
+        params,
+    };
+}
+
+/**
+ * 构造响应。body 为对象时会被 JSON 序列化；为字符串时原样返回（用于二进制/Base64 等场景）。
+ */
+function respond(statusCode, body, headers) {
+    const response = { statusCode, body };
+    if (headers) response.headers = headers;
+    return response;
+}
+
+function ok(data, extra = {}) {
+    return respond(200, { success: true, data, ...extra });
+}
+
+function created(data, extra = {}) {
+    return respond(201, { success: true, data, ...extra });
+}
+
+function noContent() {
+    return respond(204, '');
+}
+
+/**
+ * 将任意异常转换为统一的错误响应。
+ */
+function errorResponse(error) {
+    if (error instanceof AppError || (error && error.statusCode && error.code)) {
+        const body = { success: false, code: error.code, message: error.message };
+        if (error.details !== undefined) body.details = error.details;
+        return respond(error.statusCode || 500, body);
+    }
+    return respond(500, {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        message: '服务器内部错误',
+        error: error && error.message,
+    });
+}
+
+function finalize(result, baseHeaders) {
+    const { statusCode = 200, body, headers, ...rest } = result || {};
+    return {
+        ...rest,
+        statusCode,
+        headers: { ...baseHeaders, ...headers },
+        body: (statusCode === 204 || body === undefined || body === null) ? '' : (typeof body === 'string' ? body : JSON.stringify(body)),
+    };
+}
+
+/**
+ * 包装云函数处理器。
+ * @param {object} options
+ * @param {string} options.name - 函数名，用于日志
+ * @param {string[]} [options.methods] - 允许的 HTTP 方法，省略则不限制
+ * @param {string[]|object} [options.roles] - 允许的角色，或按方法区分的 { GET: [...], POST: [...] }；省略则任意已登录用户均可访问
+ * @param {boolean} [options.public] - 为 true 时跳过登录校验（如登录接口、飞书回调）
+ * @param {boolean} [options.scheduled] - 为 true 时不带 httpMethod 的事件按定时触发处理，跳过方法与登录校验（req.scheduled 为 true）
+ * @param {(req: object, context: object) => Promise<object>} fn - 业务处理函数，返回 respond()/ok() 的结果
+ * @returns {(event: object, context: object) => Promise<object>}
+ */
+function createHandler(options, fn) {
+    const { name = 'handler', methods, roles, public: isPublic = false, scheduled = false } = options || {};
+    const baseHeaders = buildHeaders(methods);
+
+    return async (event = {}, context = {}) => {
+        if (event.httpMethod === 'OPTIONS') {
+            return finalize(noContent(), baseHeaders);
+        }
+        try {
+            // 定时触发不携带 httpMethod；只有声明了 scheduled 的函数接受这类调用
+            const isScheduled = scheduled && !event.httpMethod;
+            if (!isScheduled && (!event.httpMethod || (methods && !methods.includes(event.httpMethod)))) {
+                throw new AppError(`不支持的请求方法: ${event.httpMethod || '(缺失)'}`, 405);
+            }
+            const req = parseRequest(event);
+            req.event = event;
+            req.source = name;
+            req.scheduled = isScheduled;
+            req.requestId = context.requestId || event.requestContext?.requestId || req.headers['x-request-id'] || crypto.randomUUID();
+            if (!isScheduled && !isPublic) {
+                req.user = authenticate(req);
+                requireRole(req.user, resolveRoles(roles, req.method));
+            }
+            const result = await fn(req, context);
+            return finalize(result, baseHeaders);
+        } catch (error) {
+            if (!(error instanceof AppError) || error.statusCode >= 500) {
+                console.error(`[${name}] 处理请求时发生错误:`, error);
+            }
+            return finalize(errorResponse(error), baseHeaders);
+        }
+    };
+}
+
+module.exports = {
+    buildHeaders,
+    parseRequest,
+    respond,
+    ok,
+    created,
+    noContent,
+    errorResponse,
+    createHandler,
+};
@@ -0,0 +1,220 @@
+/**
+ * @file common/importMappings.js
+ * @version 1.0.0
+ * @description 飞书表格导入的列映射。表头名称不再写死在导入代码中，而是由 import_mappings 集合按 dataType 配置。
+ * - [列定义] { header, aliases, type, targetPath, required }：header 与任一 alias 命中即视为该列（忽略首尾空格与大小写）；
+ *   type 为 string / number / percentage / date；targetPath 为写入的字段路径。
+ * - [默认映射] 集合中没有配置的 dataType 使用 DEFAULT_IMPORT_MAPPINGS（与此前代码中写死的表头一致）。
+ * - [列报告] resolveImportColumns 返回已匹配的列、表格中未被映射的列 (unmappedHeaders) 与表格中缺少的列 (missingColumns)；
+ *   缺少必填列时 assertRequiredColumns 抛出 400 (MISSING_REQUIRED_COLUMNS)，不再静默丢弃。
+ * - 由 syncFromFeishu 读取，由 import-mappings-api 维护。
+ */
+const { AppError } = require('./errors');
+
+const IMPORT_MAPPINGS_COLLECTION = 'import_mappings';
+
+const IMPORT_COLUMN_TYPES = ['string', 'number', 'percentage', 'date'];
+
+const percentageColumn = (header, key) => ({ header, type: 'percentage', targetPath: `performanceData.${key}` });
+
+const TALENT_PERFORMANCE_COLUMNS = [
+    { header: '达人id', aliases: ['星图ID'], type: 'string', targetPath: 'xingtuId', required: true },
+    { header: '预期cpm', type: 'number', targetPath: 'performanceData.cpm60s' },
+    percentageColumn('男性粉丝占比', 'maleAudienceRatio'),
+    percentageColumn('女性粉丝占比', 'femaleAudienceRatio'),
+    percentageColumn('18-23岁粉丝比例', 'ratio_18_23'),
+    percentageColumn('24-30岁粉丝比例', 'ratio_24_30'),
+    percentageColumn('31-40岁粉丝比例', 'ratio_31_40'),
+    percentageColumn('41-50岁粉丝比例', 'ratio_41_50'),
+    percentageColumn('50岁以上粉丝比例', 'ratio_50_plus'),
+    percentageColumn('小镇中老年粉丝比例', 'ratio_town_middle_aged'),
+    percentageColumn('资深中产粉丝比例', 'ratio_senior_middle_class'),
+    percentageColumn('Z时代粉丝比例', 'ratio_z_era'),
+    percentageColumn('都市银发粉丝比例', 'ratio_urban_silver'),
+    percentageColumn('小镇青年粉丝比例', 'ratio_town_youth'),
+    percentageColumn('精致妈妈粉丝比例', 'ratio_exquisite_mom'),
+    percentageColumn('新锐白领粉丝比例', 'ratio_new_white_collar'),
+    percentageColumn('都市蓝领粉丝比例', 'ratio_urban_blue_collar'),
+    { header: '抖音60+s短视频报价', type: 'number', targetPath: 'prices.60s_plus' },
+    { header: '抖音20-60s短视频报价', type: 'number', targetPath: 'prices.20_to_60s' },
+    { header: '抖音1-20s短视频报价', type: 'number', targetPath: 'prices.1_to_20s' },
+];
+
+// t7 / t21 共用；写入 works 时字段名加上 `${dataType}_` 前缀
+const WORK_STATS_COLUMNS = [
+    { header: '星图任务ID', type: 'string', targetPath: 'taskId', required: true },
+    { header: '视频ID', type: 'string', targetPath: 'platformWorkId' },
+    { header: '视频实际发布时间', type: 'date', targetPath: 'publishedAt' },
+    { header: '数据最后更新时间', type: 'date', targetPath: 'statsUpdatedAt' },
+    { header: '播放量', type: 'number', targetPath: 'totalViews' },
+    { header: '点赞量', type: 'number', targetPath: 'likeCount' },
+    { header: '评论量', type: 'number', targetPath: 'commentCount' },
+    { header: '分享量', type: 'number', targetPath: 'shareCount' },
+    { header: '组件曝光量', type: 'number', targetPath: 'componentImpressionCount' },
+    { header: '组件点击量', type: 'number', targetPath: 'componentClickCount' },
+    { header: '视频完播率', type: 'number', targetPath: 'completionRate' },
+    { header: '分频次触达人数-1次', type: 'number', targetPath: 'reachByFrequency.freq1' },
+    { header: '分频次触达人数-2次', type: 'number', targetPath: 'reachByFrequency.freq2' },
+    { header: '分频次触达人数-3次', type: 'number', targetPath: 'reachByFrequency.freq3' },
+    { header: '分频次触达人数-4次', type: 'number', targetPath: 'reachByFrequency.freq4' },
+    { header: '分频次触达人数-5次', type: 'number', targetPath: 'reachByFrequency.freq5' },
+    { header: '分频次触达人数-6次', type: 'number', targetPath: 'reachByFrequency.freq6' },
+    { header: '分频次触达人数-7次及以上', type: 'number', targetPath: 'reachByFrequency.freq7plus' },
+];
+
+const MANUAL_DAILY_UPDATE_COLUMNS = [
+    { header: '星图任务ID', type: 'string', targetPath: 'taskId', required: true },
+    { header: '数据最后更新时间', type: 'date', targetPath: 'statsUpdatedAt', required: true },
+    { header: '播放量', type: 'number', targetPath: 'totalViews', required: true },
+];
+
+const DEFAULT_IMPORT_MAPPINGS = Object.freeze({
+    talentPerformance: TALENT_PERFORMANCE_COLUMNS,
+    t7: WORK_STATS_COLUMNS,
+    t21: WORK_STATS_COLUMNS,
+    manualDailyUpdate: MANUAL_DAILY_UPDATE_COLUMNS,
+});
+
+const IMPORT_DATA_TYPES = Object.keys(DEFAULT_IMPORT_MAPPINGS);
+
+// 每种导入允许的 targetPath，以及映射中必须包含且始终必填的列（第一个为用于匹配记录的主键列）
+const IMPORT_TARGETS = {
+    talentPerformance: { requiredPaths: ['xingtuId'], pattern: /^(xingtuId|performanceData\.\w+|prices\.(60s_plus|20_to_60s|1_to_20s))$/ },
+    t7: { requiredPaths: ['taskId'], pattern: /^\w+(\.\w+)?$/ },
+    t21: { requiredPaths: ['taskId'], pattern: /^\w+(\.\w+)?$/ },
+    manualDailyUpdate: { requiredPaths: ['taskId', 'statsUpdatedAt', 'totalViews'], pattern: /^(taskId|statsUpdatedAt|totalViews)$/ },
+};
+
+function assertImportDataType(dataType) {
+    if (!IMPORT_DATA_TYPES.includes(dataType)) {
+        throw new AppError(`无效的导入类型 dataType: "${dataType}"。可选值: ${IMPORT_DATA_TYPES.join(' / ')}。`, 400, 'INVALID_IMPORT_MAPPING');
+    }
+}
+
+const normalizeHeader = (header) => (header === null || header === undefined) ? '' : String(header).trim().toLowerCase();
+
+/**
+ * 校验并规范化一组列定义。
+ * @returns {Array<{ header: string, aliases: string[], type: string, targetPath: string, required: boolean }>}
+ */
+function normalizeImportColumns(dataType, columns) {
+    assertImportDataType(dataType);
+    if (!Array.isArray(columns) || columns.length === 0) {
+        throw new AppError('columns 必须是非空数组。', 400, 'INVALID_IMPORT_MAPPING');
+    }
+
+    const { requiredPaths, pattern } = IMPORT_TARGETS[dataType];
+    const seenHeaders = new Set();
+    const seenPaths = new Set();
+    const normalized = columns.map((column, i) => {
+        const header = typeof column.header === 'string' ? column.header.trim() : '';
+        if (!header) throw new AppError(`第 ${i + 1} 列缺少表头名称 header。`, 400, 'INVALID_IMPORT_MAPPING');
+        if (column.aliases !== undefined && !Array.isArray(column.aliases)) {
+            throw new AppError(`列 "${header}" 的 aliases 必须是数组。`, 400, 'INVALID_IMPORT_MAPPING');
+        }
+        const aliases = (column.aliases || []).map(a => String(a).trim()).filter(Boolean);
+        const type = column.type || 'string';
+        if (!IMPORT_COLUMN_TYPES.includes(type)) {
+            throw new AppError(`列 "${header}" 的类型无效: "${type}"。可选值: ${IMPORT_COLUMN_TYPES.join(' / ')}。`, 400, 'INVALID_IMPORT_MAPPING');
+        }
+        const targetPath = typeof column.targetPath === 'string' ? column.targetPath.trim() : '';
+        if (!pattern.test(targetPath)) {
+            throw new AppError(`列 "${header}" 的目标字段 targetPath 无效: "${targetPath}"。`, 400, 'INVALID_IMPORT_MAPPING');
+        }
+        if (seenPaths.has(targetPath)) {
+            throw new AppError(`目标字段 "${targetPath}" 被多个列重复映射。`, 400, 'INVALID_IMPORT_MAPPING');
+        }
+        seenPaths.add(targetPath);
+        [header, ...aliases].forEach(name => {
+            const key = normalizeHeader(name);
+            if (seenHeaders.has(key)) {
+                throw new AppError(`表头 "${name}" 被多个列重复使用。`, 400, 'INVALID_IMPORT_MAPPING');
+            }
+            seenHeaders.add(key);
+        });
+        return { header, aliases, type, targetPath, required: column.required === true || requiredPaths.includes(targetPath) };
+    });
+
+    const missingPaths = requiredPaths.filter(path => !seenPaths.has(path));
+    if (missingPaths.length > 0) {
+        throw new AppError(`${dataType} 的列映射必须包含以下目标字段: ${missingPaths.join(', ')}。`, 400, 'INVALID_IMPORT_MAPPING');
+    }
+    return normalized;
+}
+
+/**
+ * 读取某个导入类型的列映射；集合中未配置时返回默认映射。
+ */
+async function loadImportMapping(db, dataType) {
+    assertImportDataType(dataType);
+    const doc = await db.collection(IMPORT_MAPPINGS_COLLECTION).findOne({ dataType }, { projection: { _id: 0 } });
+    if (doc) return { ...doc, isDefault: false };
+    return { dataType, columns: DEFAULT_IMPORT_MAPPINGS[dataType].map(c => ({ aliases: [], required: false, ...c })), isDefault: true };
+}
+
+/**
+ * 将表头与列映射匹配。
+ * @param {Array} header - 表格第一行
+ * @param {Array} columns - 列定义
+ * @returns {{ columns: Array, byTargetPath: Map, report: { mappedColumns: Array, unmappedHeaders: string[], missingColumns: Array } }}
+ *   columns 为已匹配的列（附带 index 与 sheetHeader）
+ */
+function resolveImportColumns(header, columns) {
+    const headerIndex = new Map();
+    header.forEach((name, index) => {
+        const key = normalizeHeader(name);
+        if (key && !headerIndex.has(key)) headerIndex.set(key, index);
+    });
+
+    const usedIndexes = new Set();
+    const resolved = [];
+    const missingColumns = [];
+    columns.forEach(column => {
+        const matchedName = [column.header, ...(column.aliases || [])].find(name => headerIndex.has(normalizeHeader(name)));
+        if (matchedName === undefined) {
+            missingColumns.push({ header: column.header, targetPath: column.targetPath, required: !!column.required });
+            return;
+        }
+        const index = headerIndex.get(normalizeHeader(matchedName));
+        usedIndexes.add(index);
+        resolved.push({ ...column, index, sheetHeader: String(header[index]).trim() });
+    });
+
+    const unmappedHeaders = header
+        .map((name, index) => ({ name, index }))
+        .filter(({ name, index }) => normalizeHeader(name) && !usedIndexes.has(index))
+        .map(({ name }) => String(name).trim());
+
+    return {
+        columns: resolved,
+        byTargetPath: new Map(resolved.map(c => [c.targetPath, c])),
+        report: {
+            mappedColumns: resolved.map(c => ({ sheetHeader: c.sheetHeader, targetPath: c.targetPath })),
+            unmappedHeaders,
+            missingColumns,
+        },
+    };
+}
+
+function assertRequiredColumns(resolved, dataType) {
+    const missing = resolved.report.missingColumns.filter(c => c.required);
+    if (missing.length > 0) {
+        throw new AppError(
+            `飞书表格缺少 ${dataType} 导入的必要列: ${missing.map(c => c.header).join(', ')}`,
+            400,
+            'MISSING_REQUIRED_COLUMNS',
+            resolved.report
+        );
+    }
+}
+
+module.exports = {
+    IMPORT_MAPPINGS_COLLECTION,
+    IMPORT_COLUMN_TYPES,
+    IMPORT_DATA_TYPES,
+    DEFAULT_IMPORT_MAPPINGS,
+    normalizeImportColumns,
+    loadImportMapping,
+    resolveImportColumns,
+    assertRequiredColumns,
+};
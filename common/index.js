@@ -0,0 +1,55 @@
+/**
+ * @file common/index.js
+ * @version 1.17.0
+ * @description [共享运行时] 所有云函数共用的基础设施入口。
+ * - 各函数在 package.json 中以 "kol-common": "file:../common" 引入，部署前执行 npm install 即会一并打包。
+ * - [注意] 请统一从本包引入 ObjectId，避免不同 mongodb 驱动版本的 BSON 类型混用。
+ * - [v1.1] 新增 auth 模块：JWT 校验、角色常量 (ROLES / WRITE_ROLES / FINANCE_ROLES / ADMIN_ONLY) 与 requireRole。
+ * - [v1.2] 新增 audit 模块：recordAudit 将写操作的字段级差异写入 audit_events。
+ * - [v1.3] 新增 status 模块：声明式状态机 createStateMachine 与合作状态机 collaborationStatusMachine。
+ * - [v1.4] status 模块新增项目生命周期状态机 projectStatusMachine。
+ * - [v1.5] 新增 finance 模块：项目财务计算引擎，收入 / 成本 / 返点 / 资金占用费用等公式的唯一实现。
+ * - [v1.6] finance 模块支持按生效日期配置的财务规则 (project_configurations 中的 FINANCE_RULES)。
+ * - [v1.7] finance 模块新增预算预测 calculateBudgetForecast（已确认 / 管线中拆分）。
+ * - [v1.8] 新增 importMappings 模块：飞书导入的列映射（别名、类型、目标字段、必填）与列报告。
+ * - [v1.9] 新增 feishu 模块：共享 tenant_access_token 缓存、带重试 / 超时的 feishuRequest 与 FeishuApiError。
+ * - [v1.10] feishu 模块支持 FEISHU_API_BASE_URL 与 setFeishuTransport；新增进程内飞书替身 feishuFake.js
+ *   （离线调试用，不在此处导出，通过 require('kol-common/feishuFake') 引入）。
+ * - [v1.11] 新增 formula 模块：映射模板公式的解析器与求值器 (parseFormula / compileFormula / evaluateFormula)，替代 new Function。
+ * - [v1.12] 新增 mappingRules 模块：映射模板规则的校验 validateMappingRules / assertValidMappingRules。
+ * - [v1.13] 新增 mappingTemplates 模块：映射模板的不可变版本记录、版本读取与版本差异。
+ * - [v1.14] 新增 dataSchemas 模块：报表字段注册表（映射模板字段与导出字段元数据的唯一来源）。
+ * - [v1.15] db 模块新增 setDatabase；新增进程内 MongoDB 替身 mongoFake.js（测试与基准脚本用，通过 require('kol-common/mongoFake') 引入）。
+ * - [v1.16] feishuRequest 新增 idempotent 选项：POST / PATCH 默认只在频率限制与未建立连接时重试，避免超时后重复创建。
+ * - [v1.16.1] [行为变化] formula 模块的 REPLACE 按字面匹配，不再把 "查找" 当作正则表达式（见 formula.js 的说明）。
+ * - [v1.17] auth 模块新增 signPreviewToken / verifyPreviewToken：绑定单个文件的短期预览凭证（previewFile 使用）。
+ */
+const { AppError } = require('./errors');
+const db = require('./db');
+const http = require('./http');
+const auth = require('./auth');
+const audit = require('./audit');
+const status = require('./status');
+const finance = require('./finance');
+const importMappings = require('./importMappings');
+const feishu = require('./feishu');
+const formula = require('./formula');
+const mappingRules = require('./mappingRules');
+const mappingTemplates = require('./mappingTemplates');
+const dataSchemas = require('./dataSchemas');
+
+module.exports = {
+    AppError,
+    ...db,
+    ...http,
+    ...auth,
+    ...audit,
+    ...status,
+    ...finance,
+    ...importMappings,
+    ...feishu,
+    ...formula,
+    ...mappingRules,
+    ...mappingTemplates,
+    ...dataSchemas,
+};
@@ -0,0 +1,122 @@
+/**
+ * @file common/mappingRules.js
+ * @version 1.0.0
+ * @description 映射模板 (mapping_templates) 中 mappingRules 的校验。
+ * - [规则] 每个飞书表头对应一条规则：字符串 "集合.字段路径"，或公式对象 { formula, output }；output 可省略，或为 percentage / number(N)。
+ * - [校验] validateMappingRules 检查规则结构、公式语法与 output 格式；传入 schemas（与 getMappingSchemas 返回的 DATA_SCHEMAS 结构相同）时，
+ *   还检查字段规则与公式中引用的 "集合.字段路径" 是否存在。问题按表头逐条返回，不抛出异常。
+ * - [保存] assertValidMappingRules 在有错误时抛出 400 (INVALID_MAPPING_RULES)，details.errors 为逐条错误。
+ * - 由 mapping-templates-api（保存时）与 syncFromFeishu（validateMappingTemplate / previewMappingTemplate）使用。
+ */
+const { AppError } = require('./errors');
+const { FormulaError, compileFormula } = require('./formula');
+
+const OUTPUT_FORMAT_PATTERN = /^(percentage|number\(\d+\))$/;
+
+/**
+ * 将 schemas 展开为 "集合.字段路径" 的集合。
+ */
+function collectSchemaPaths(schemas) {
+    const paths = new Set();
+    Object.entries(schemas).forEach(([collection, schema]) => {
+        (schema.fields || []).forEach(field => paths.add(`${collection}.${field.path}`));
+    });
+    return paths;
+}
+
+function checkPath(path, schemas, schemaPaths) {
+    const collection = path.split('.')[0];
+    if (!schemas[collection]) {
+        return { code: 'UNKNOWN_COLLECTION', message: `未知的数据集合 "${collection}"，可选: ${Object.keys(schemas).join(' / ')}` };
+    }
+    if (!schemaPaths.has(path)) {
+        return { code: 'UNKNOWN_FIELD', message: `集合 "${collection}" 中没有字段 "${path.slice(collection.length + 1)}"` };
+    }
+    return null;
+}
+
+/**
+ * 校验映射模板的 mappingRules。
+ * @param {{ mappingRules: object, feishuSheetHeaders?: string[] }} template
+ * @param {{ schemas?: object }} [options] - 传入 DATA_SCHEMAS 时校验字段路径
+ * @returns {{ valid: boolean, errors: object[], warnings: object[], rules: object[] }}
+ *   errors / warnings: [{ header, code, message, path?, position? }]；rules: [{ header, type: 'field' | 'formula', references }]
+ */
+function validateMappingRules(template, { schemas } = {}) {
+    const { mappingRules, feishuSheetHeaders = [] } = template || {};
+    const errors = [];
+    const warnings = [];
+    const rules = [];
+
+    if (!mappingRules || typeof mappingRules !== 'object' || Array.isArray(mappingRules)) {
+        errors.push({ header: null, code: 'INVALID_RULE', message: 'mappingRules 必须是 { 表头: 规则 } 形式的对象。' });
+        return { valid: false, errors, warnings, rules };
+    }
+
+    const schemaPaths = schemas ? collectSchemaPaths(schemas) : null;
+    const checkReferences = (header, references) => {
+        if (!schemaPaths) return;
+        references.forEach(path => {
+            const problem = checkPath(path, schemas, schemaPaths);
+            if (problem) errors.push({ header, path, ...problem });
+        });
+    };
+
+    Object.entries(mappingRules).forEach(([header, rule]) => {
+        if (typeof rule === 'string') {
+            const path = rule.trim();
+            const parts = path.split('.');
+            if (parts.length < 2 || parts.some(part => part === '')) {
+                errors.push({ header, code: 'INVALID_RULE', message: `字段规则 "${rule}" 应为 "集合.字段路径"。` });
+                return;
+            }
+            rules.push({ header, type: 'field', references: [path] });
+            checkReferences(header, [path]);
+            return;
+        }
+
+        if (!rule || typeof rule !== 'object' || typeof rule.formula !== 'string') {
+            errors.push({ header, code: 'INVALID_RULE', message: '规则必须是 "集合.字段路径" 字符串或 { formula, output } 对象。' });
+            return;
+        }
+        if (rule.output !== undefined && rule.output !== null && rule.output !== '' && !OUTPUT_FORMAT_PATTERN.test(rule.output)) {
+            errors.push({ header, code: 'INVALID_OUTPUT_FORMAT', message: `不支持的输出格式 "${rule.output}"，可选: percentage、number(小数位数)` });
+        }
+        try {
+            const { references } = compileFormula(rule.formula);
+            rules.push({ header, type: 'formula', references });
+            checkReferences(header, references);
+        } catch (error) {
+            if (!(error instanceof FormulaError)) throw error;
+            errors.push({ header, code: error.code, message: error.message, position: error.details ? error.details.position : undefined });
+        }
+    });
+
+    if (Array.isArray(feishuSheetHeaders) && feishuSheetHeaders.length > 0) {
+        feishuSheetHeaders
+            .filter(header => !(header in mappingRules))
+            .forEach(header => warnings.push({ header, code: 'UNMAPPED_HEADER', message: `表头 "${header}" 没有配置规则，生成时该列为空。` }));
+        Object.keys(mappingRules)
+            .filter(header => !feishuSheetHeaders.includes(header))
+            .forEach(header => warnings.push({ header, code: 'UNUSED_RULE', message: `规则 "${header}" 不在 feishuSheetHeaders 中，生成时不会输出。` }));
+    }
+
+    return { valid: errors.length === 0, errors, warnings, rules };
+}
+
+/**
+ * 校验 mappingRules，有错误时抛出 400 (INVALID_MAPPING_RULES)。
+ */
+function assertValidMappingRules(template, options) {
+    const result = validateMappingRules(template, options);
+    if (!result.valid) {
+        const summary = result.errors.slice(0, 3).map(error => (error.header ? `${error.header}: ${error.message}` : error.message)).join('；');
+        throw new AppError(`映射规则校验失败（${result.errors.length} 处）：${summary}`, 400, 'INVALID_MAPPING_RULES', { errors: result.errors, warnings: result.warnings });
+    }
+    return result;
+}
+
+module.exports = {
+    validateMappingRules,
+    assertValidMappingRules,
+};
@@ -0,0 +1,183 @@
+/**
+ * @file common/mappingTemplates.js
+ * @version 1.0.0
+ * @description 映射模板 (mapping_templates) 的版本历史。
+ * - [不可变版本] 模板每次保存（新建、修改、回滚）都会在 mapping_template_versions 中写入一条完整快照，版本号从 1 递增，
+ *   模板文档上的 version 为当前版本。版本记录只增不改；模板删除后其版本仍保留，已生成的表格可据此追溯。
+ * - [并发] 版本记录先于模板写入，由 { templateId: 1, version: 1 } 唯一索引保证同一版本号只有一次保存成功，
+ *   其余返回 409 (TEMPLATE_VERSION_CONFLICT)；调用方也可传入 expectedVersion 做乐观锁校验。
+ * - [旧模板] 启用版本记录前保存的模板没有 version，第一次修改时先把原内容记为版本 1。
+ * - [差异] diffTemplateSnapshots 比较两个版本的基本字段、表头与逐条映射规则。
+ * - 由 mapping-templates-api 写入，由 syncFromFeishu 按版本读取模板生成报表。
+ */
+const { AppError } = require('./errors');
+const { ObjectId } = require('./db');
+
+const MAPPING_TEMPLATES_COLLECTION = 'mapping_templates';
+const MAPPING_TEMPLATE_VERSIONS_COLLECTION = 'mapping_template_versions';
+
+// 进入版本快照的模板字段
+const TEMPLATE_VERSIONED_FIELDS = ['name', 'spreadsheetToken', 'description', 'feishuSheetHeaders', 'mappingRules', 'allowedWorkflowIds'];
+
+const toObjectId = (id) => (id instanceof ObjectId ? id : new ObjectId(String(id)));
+
+function pickSnapshot(template) {
+    const snapshot = {};
+    TEMPLATE_VERSIONED_FIELDS.forEach(field => {
+        if (template[field] !== undefined) snapshot[field] = template[field];
+    });
+    return snapshot;
+}
+
+const versionConflict = (templateId, expectedVersion) => new AppError(
+    '模板已被其他人修改，请刷新后重试。', 409, 'TEMPLATE_VERSION_CONFLICT', { templateId: String(templateId), expectedVersion }
+);
+
+async function insertVersion(db, templateId, version, snapshot, req, meta = {}) {
+    const record = {
+        templateId: toObjectId(templateId),
+        version,
+        snapshot,
+        createdAt: new Date(),
+        createdBy: req && req.user ? { id: req.user.id, name: req.user.name } : { id: 'system', name: 'System' },
+        ...(meta.note ? { note: String(meta.note).trim() } : {}),
+        ...(meta.rolledBackFrom ? { rolledBackFrom: meta.rolledBackFrom } : {})
+    };
+    try {
+        await db.collection(MAPPING_TEMPLATE_VERSIONS_COLLECTION).insertOne(record);
+    } catch (error) {
+        if (error.code === 11000) throw versionConflict(templateId, version - 1);
+        throw error;
+    }
+    return record;
+}
+
+/**
+ * 新建模板并写入版本 1。
+ * @returns {Promise<object>} 新建的模板文档
+ */
+async function createVersionedTemplate(db, fields, req, meta) {
+    const now = new Date();
+    const document = { ...fields, version: 1, createdAt: now, updatedAt: now };
+    const result = await db.collection(MAPPING_TEMPLATES_COLLECTION).insertOne(document);
+    await insertVersion(db, result.insertedId, 1, pickSnapshot(document), req, meta);
+    return { ...document, _id: result.insertedId };
+}
+
+/**
+ * 保存模板的新版本：fields 为要修改的字段（未提供的字段沿用当前值），版本号加 1。
+ * @param {object} db
+ * @param {string|ObjectId} templateId
+ * @param {object} fields
+ * @param {object} [req]
+ * @param {{ expectedVersion?: number, note?: string, rolledBackFrom?: number }} [meta]
+ * @returns {Promise<object>} 保存后的模板文档
+ */
+async function saveTemplateVersion(db, templateId, fields, req, meta = {}) {
+    const templates = db.collection(MAPPING_TEMPLATES_COLLECTION);
+    const _id = toObjectId(templateId);
+    const current = await templates.findOne({ _id });
+    if (!current) throw new AppError('Template not found.', 404);
+
+    let currentVersion = current.version || 0;
+    if (meta.expectedVersion !== undefined && meta.expectedVersion !== null && Number(meta.expectedVersion) !== Math.max(currentVersion, 1)) {
+        throw versionConflict(templateId, Number(meta.expectedVersion));
+    }
+    if (!currentVersion) {
+        // 启用版本记录前的模板：先把原内容记为版本 1
+        try {
+            await insertVersion(db, _id, 1, pickSnapshot(current), null, { note: '启用版本记录前的内容' });
+        } catch (error) {
+            if (error.code !== 'TEMPLATE_VERSION_CONFLICT') throw error;
+        }
+        await templates.updateOne({ _id, version: { $exists: false } }, { $set: { version: 1 } });
+        currentVersion = 1;
+    }
+
+    const nextVersion = currentVersion + 1;
+    const snapshot = pickSnapshot({ ...current, ...fields });
+    const record = await insertVersion(db, _id, nextVersion, snapshot, req, meta);
+    const result = await templates.updateOne({ _id, version: currentVersion }, { $set: { ...fields, version: nextVersion, updatedAt: record.createdAt } });
+    if (result.matchedCount === 0) {
+        await db.collection(MAPPING_TEMPLATE_VERSIONS_COLLECTION).deleteOne({ templateId: _id, version: nextVersion, createdAt: record.createdAt });
+        throw versionConflict(templateId, currentVersion);
+    }
+    return templates.findOne({ _id });
+}
+
+/**
+ * 列出模板的版本（按版本号倒序，不含快照内容）。
+ */
+async function listTemplateVersions(db, templateId) {
+    return db.collection(MAPPING_TEMPLATE_VERSIONS_COLLECTION)
+        .find({ templateId: toObjectId(templateId) }, { projection: { snapshot: 0 } })
+        .sort({ version: -1 })
+        .toArray();
+}
+
+/**
+ * 读取模板的某个版本（含快照）。
+ */
+async function getTemplateVersion(db, templateId, version) {
+    const record = await db.collection(MAPPING_TEMPLATE_VERSIONS_COLLECTION).findOne({ templateId: toObjectId(templateId), version: Number(version) });
+    if (!record) throw new AppError(`未找到模板版本 ${version}。`, 404, 'TEMPLATE_VERSION_NOT_FOUND');
+    return record;
+}
+
+// 键顺序无关的序列化，用于比较规则对象
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * 比较两个版本快照。
+ * @returns {{ identical: boolean, fields: object[], headers: { added: string[], removed: string[], reordered: boolean }, rules: { added: object[], removed: object[], changed: object[] } }}
+ */
+function diffTemplateSnapshots(from, to) {
+    const fields = ['name', 'spreadsheetToken', 'description', 'allowedWorkflowIds']
+        .filter(field => stableStringify(from[field]) !== stableStringify(to[field]))
+        .map(field => ({ field, before: from[field] ?? null, after: to[field] ?? null }));
+
+    const fromHeaders = from.feishuSheetHeaders || [];
+    const toHeaders = to.feishuSheetHeaders || [];
+    const headers = {
+        added: toHeaders.filter(header => !fromHeaders.includes(header)),
+        removed: fromHeaders.filter(header => !toHeaders.includes(header)),
+        reordered: false
+    };
+    const keptFrom = fromHeaders.filter(header => toHeaders.includes(header));
+    const keptTo = toHeaders.filter(header => fromHeaders.includes(header));
+    headers.reordered = keptFrom.some((header, index) => keptTo[index] !== header);
+
+    const fromRules = from.mappingRules || {};
+    const toRules = to.mappingRules || {};
+    const rules = { added: [], removed: [], changed: [] };
+    new Set([...Object.keys(fromRules), ...Object.keys(toRules)]).forEach(header => {
+        const inFrom = header in fromRules;
+        const inTo = header in toRules;
+        if (!inFrom) rules.added.push({ header, after: toRules[header] });
+        else if (!inTo) rules.removed.push({ header, before: fromRules[header] });
+        else if (stableStringify(fromRules[header]) !== stableStringify(toRules[header])) {
+            rules.changed.push({ header, before: fromRules[header], after: toRules[header] });
+        }
+    });
+
+    const identical = fields.length === 0 && headers.added.length === 0 && headers.removed.length === 0 && !headers.reordered
+        && rules.added.length === 0 && rules.removed.length === 0 && rules.changed.length === 0;
+    return { identical, fields, headers, rules };
+}
+
+module.exports = {
+    MAPPING_TEMPLATES_COLLECTION,
+    MAPPING_TEMPLATE_VERSIONS_COLLECTION,
+    TEMPLATE_VERSIONED_FIELDS,
+    createVersionedTemplate,
+    saveTemplateVersion,
+    listTemplateVersions,
+    getTemplateVersion,
+    diffTemplateSnapshots,
+};
@@ -0,0 +1,607 @@
+/**
+ * @file common/mongoFake.js
+ * @version 1.0.0
+ * @description 进程内的 MongoDB 替身，用于在没有数据库时运行测试与基准脚本。
+ * - [覆盖接口] find（sort / skip / limit / project）、findOne、insertOne / insertMany、updateOne / updateMany（含 upsert）、
+ *   deleteOne / deleteMany、bulkWrite、findOneAndUpdate / findOneAndDelete、countDocuments、distinct、createIndex 与 aggregate。
+ * - [查询] 支持等值（含数组元素与点号路径）、$eq / $ne / $in / $nin / $gt / $gte / $lt / $lte / $exists、$and / $or / $nor 与 $expr。
+ * - [更新] 支持 $set / $unset / $inc / $push（$each / $sort）/ $pull / $addToSet / $setOnInsert 与整文档替换。
+ * - [聚合] 支持 $match、$lookup（localField / foreignField 与 let / pipeline）、$unwind、$sort、$skip、$limit、$project 与 $count；
+ *   其他阶段直接抛错，避免静默返回错误结果。
+ * - [唯一索引] createIndex(keys, { unique: true }) 后，插入或更新出重复键时抛出 code 为 11000 的错误，与驱动一致。
+ * - 通过 kol-common 的 setDatabase 接入。本模块不从 index.js 导出，需单独引入：
+ *
+ *   const { createMongoFake } = require('kol-common/mongoFake');
+ *   const mongo = createMongoFake({ collections: { talents: [{ id: 't1', nickname: '达人A' }] } });
+ *   mongo.install(); // 等同于 setDatabase(mongo.db)，需在被测函数调用 getDb 之前执行
+ *   ... 调用 handleFeishuRequest 等 ...
+ *   mongo.docs('talents');
+ *   mongo.uninstall();
+ */
+const { ObjectId } = require('mongodb');
+const { setDatabase } = require('./db');
+
+const isObjectId = (value) => value instanceof ObjectId || (value && value._bsontype === 'ObjectId');
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+    && !(value instanceof Date) && !isObjectId(value) && !(value instanceof RegExp);
+const isOperatorObject = (value) => isPlainObject(value) && Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+
+function clone(value) {
+    if (Array.isArray(value)) return value.map(clone);
+    if (value instanceof Date) return new Date(value.getTime());
+    if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+    return value;
+}
+
+function isEqual(a, b) {
+    if (isObjectId(a) || isObjectId(b)) return isObjectId(a) && isObjectId(b) && a.equals(b);
+    if (a instanceof Date || b instanceof Date) return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+    if (Array.isArray(a) || Array.isArray(b)) {
+        return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, index) => isEqual(item, b[index]));
+    }
+    if (isPlainObject(a) && isPlainObject(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => isEqual(a[key], b[key]));
+    }
+    if (a === undefined || a === null) return b === undefined || b === null;
+    return a === b;
+}
+
+/**
+ * 比较两个值的大小，用于排序与 $gt / $lt；缺失值最小。
+ */
+function compareValues(a, b) {
+    const rank = (value) => (value === undefined || value === null ? 0 : 1);
+    if (rank(a) !== rank(b)) return rank(a) - rank(b);
+    if (rank(a) === 0) return 0;
+    const normalize = (value) => (value instanceof Date ? value.getTime() : isObjectId(value) ? value.toHexString() : value);
+    const left = normalize(a);
+    const right = normalize(b);
+    if (left < right) return -1;
+    if (left > right) return 1;
+    return 0;
+}
+
+/**
+ * 按点号路径取值，路径经过数组时展开为多个候选值（与 MongoDB 查询语义一致）。
+ */
+function resolvePath(value, path) {
+    const parts = typeof path === 'string' ? path.split('.') : path;
+    if (parts.length === 0) return Array.isArray(value) ? [value, ...value] : [value];
+    if (Array.isArray(value)) {
+        const [head] = parts;
+        if (/^\d+$/.test(head)) return resolvePath(value[Number(head)], parts.slice(1));
+        return value.flatMap(item => resolvePath(item, parts));
+    }
+    if (!isPlainObject(value)) return [];
+    const [head, ...rest] = parts;
+    if (!(head in value)) return [];
+    return resolvePath(value[head], rest);
+}
+
+/** 按点号路径取单个值（不展开数组），用于 $expr、$lookup 与排序。 */
+function getPath(value, path) {
+    return path.split('.').reduce((current, key) => (current === undefined || current === null ? undefined : current[key]), value);
+}
+
+function setPath(doc, path, value) {
+    const parts = path.split('.');
+    let current = doc;
+    parts.slice(0, -1).forEach(key => {
+        if (current[key] === undefined || current[key] === null) current[key] = {};
+        current = current[key];
+    });
+    current[parts[parts.length - 1]] = value;
+}
+
+function unsetPath(doc, path) {
+    const parts = path.split('.');
+    const parent = getPath(doc, parts.slice(0, -1).join('.')) ?? (parts.length === 1 ? doc : undefined);
+    if (parent && typeof parent === 'object') delete parent[parts[parts.length - 1]];
+}
+
+function evaluateExpression(expression, doc, vars) {
+    if (typeof expression === 'string') {
+        if (expression.startsWith('$$')) {
+            const [name, ...rest] = expression.slice(2).split('.');
+            return rest.length > 0 ? getPath(vars[name], rest.join('.')) : vars[name];
+        }
+        if (expression.startsWith('$')) return getPath(doc, expression.slice(1));
+        return expression;
+    }
+    if (Array.isArray(expression)) return expression.map(item => evaluateExpression(item, doc, vars));
+    if (!isOperatorObject(expression)) return expression;
+
+    const [operator] = Object.keys(expression);
+    const args = [].concat(expression[operator]).map(item => evaluateExpression(item, doc, vars));
+    switch (operator) {
+        case '$eq': return isEqual(args[0], args[1]);
+        case '$ne': return !isEqual(args[0], args[1]);
+        case '$gt': return compareValues(args[0], args[1]) > 0;
+        case '$gte': return compareValues(args[0], args[1]) >= 0;
+        case '$lt': return compareValues(args[0], args[1]) < 0;
+        case '$lte': return compareValues(args[0], args[1]) <= 0;
+        case '$and': return args.every(Boolean);
+        case '$or': return args.some(Boolean);
+        case '$not': return !args[0];
+        case '$in': return (args[1] || []).some(item => isEqual(item, args[0]));
+        case '$ifNull': return args.find(item => item !== undefined && item !== null) ?? null;
+        default: throw new Error(`mongoFake 不支持的表达式运算符: ${operator}`);
+    }
+}
+
+function matchesCondition(candidates, condition) {
+    const values = candidates.filter(value => value !== undefined);
+    const equalsAny = (target) => (values.length === 0 ? target === null : values.some(value => isEqual(value, target)));
+    if (condition instanceof RegExp) return values.some(value => typeof value === 'string' && condition.test(value));
+    if (!isOperatorObject(condition)) return equalsAny(condition);
+
+    return Object.entries(condition).every(([operator, operand]) => {
+        switch (operator) {
+            case '$eq': return equalsAny(operand);
+            case '$ne': return !equalsAny(operand);
+            case '$in': return operand.some(target => (target instanceof RegExp ? matchesCondition(values, target) : equalsAny(target)));
+            case '$nin': return !operand.some(target => equalsAny(target));
+            case '$gt': return values.some(value => value !== null && compareValues(value, operand) > 0);
+            case '$gte': return values.some(value => value !== null && compareValues(value, operand) >= 0);
+            case '$lt': return values.some(value => value !== null && compareValues(value, operand) < 0);
+            case '$lte': return values.some(value => value !== null && compareValues(value, operand) <= 0);
+            case '$exists': return (values.length > 0) === Boolean(operand);
+            case '$regex': return matchesCondition(values, new RegExp(operand, condition.$options || ''));
+            case '$options': return true;
+            case '$not': return !matchesCondition(candidates, operand);
+            case '$size': return values.some(value => Array.isArray(value) && value.length === operand);
+            case '$elemMatch': return values.some(value => Array.isArray(value) && value.some(item => matches(item, operand)));
+            default: throw new Error(`mongoFake 不支持的查询运算符: ${operator}`);
+        }
+    });
+}
+
+/**
+ * 判断文档是否满足查询条件；vars 为 $lookup pipeline 中 let 定义的变量。
+ */
+function matches(doc, filter = {}, vars = {}) {
+    return Object.entries(filter).every(([key, condition]) => {
+        switch (key) {
+            case '$and': return condition.every(sub => matches(doc, sub, vars));
+            case '$or': return condition.some(sub => matches(doc, sub, vars));
+            case '$nor': return !condition.some(sub => matches(doc, sub, vars));
+            case '$expr': return Boolean(evaluateExpression(condition, doc, vars));
+            default: return matchesCondition(resolvePath(doc, key), condition);
+        }
+    });
+}
+
+function applyProjection(doc, projection) {
+    if (!projection || Object.keys(projection).length === 0) return clone(doc);
+    const entries = Object.entries(projection);
+    const inclusive = entries.some(([key, value]) => key !== '_id' && value);
+    if (inclusive) {
+        const result = {};
+        if (projection._id !== 0 && projection._id !== false && doc._id !== undefined) result._id = clone(doc._id);
+        entries.filter(([key, value]) => key !== '_id' && value).forEach(([path]) => {
+            const value = getPath(doc, path);
+            if (value !== undefined) setPath(result, path, clone(value));
+        });
+        return result;
+    }
+    const result = clone(doc);
+    entries.forEach(([path]) => unsetPath(result, path));
+    return result;
+}
+
+function sortDocuments(docs, sort) {
+    const keys = Object.entries(sort || {});
+    if (keys.length === 0) return docs;
+    return [...docs].sort((a, b) => {
+        for (const [path, direction] of keys) {
+            const result = compareValues(getPath(a, path), getPath(b, path));
+            if (result !== 0) return direction < 0 ? -result : result;
+        }
+        return 0;
+    });
+}
+
+function applyUpdate(doc, update, { isInsert = false } = {}) {
+    if (!isOperatorObject(update)) {
+        const replacement = clone(update);
+        Object.keys(doc).filter(key => key !== '_id').forEach(key => delete doc[key]);
+        Object.assign(doc, replacement);
+        return;
+    }
+    Object.entries(update).forEach(([operator, fields]) => {
+        Object.entries(fields).forEach(([path, value]) => {
+            const current = getPath(doc, path);
+            switch (operator) {
+                case '$set':
+                    setPath(doc, path, clone(value));
+                    break;
+                case '$setOnInsert':
+                    if (isInsert) setPath(doc, path, clone(value));
+                    break;
+                case '$unset':
+                    unsetPath(doc, path);
+                    break;
+                case '$inc':
+                    setPath(doc, path, (current || 0) + value);
+                    break;
+                case '$push': {
+                    const list = Array.isArray(current) ? current : [];
+                    const items = isPlainObject(value) && '$each' in value ? value.$each : [value];
+                    let next = [...list, ...clone(items)];
+                    if (isPlainObject(value) && value.$sort !== undefined) {
+                        next = typeof value.$sort === 'number'
+                            ? [...next].sort((a, b) => value.$sort * compareValues(a, b))
+                            : sortDocuments(next, value.$sort);
+                    }
+                    setPath(doc, path, next);
+                    break;
+                }
+                case '$addToSet': {
+                    const list = Array.isArray(current) ? [...current] : [];
+                    const items = isPlainObject(value) && '$each' in value ? value.$each : [value];
+                    items.forEach(item => { if (!list.some(existing => isEqual(existing, item))) list.push(clone(item)); });
+                    setPath(doc, path, list);
+                    break;
+                }
+                case '$pull':
+                    if (Array.isArray(current)) {
+                        setPath(doc, path, current.filter(item => (isPlainObject(value) && !isOperatorObject(value)
+                            ? !(isPlainObject(item) && matches(item, value))
+                            : !matchesCondition([item], value))));
+                    }
+                    break;
+                default:
+                    throw new Error(`mongoFake 不支持的更新运算符: ${operator}`);
+            }
+        });
+    });
+}
+
+/** upsert 时从查询条件中取出等值字段作为新文档的初始值。 */
+function seedFromFilter(filter) {
+    const doc = {};
+    Object.entries(filter).forEach(([key, condition]) => {
+        if (key.startsWith('$')) return;
+        if (isOperatorObject(condition)) {
+            if ('$eq' in condition) setPath(doc, key, clone(condition.$eq));
+            return;
+        }
+        setPath(doc, key, clone(condition));
+    });
+    return doc;
+}
+
+/** _id 的索引键，用于唯一性检查与按 _id 查找。 */
+const idKey = (value) => (isObjectId(value) ? `oid:${value.toHexString()}` : `${typeof value}:${value instanceof Date ? value.getTime() : String(value)}`);
+
+function duplicateKeyError(collectionName, keys) {
+    const error = new Error(`E11000 duplicate key error collection: ${collectionName} index: ${keys.join('_')}`);
+    error.code = 11000;
+    return error;
+}
+
+class FakeCursor {
+    constructor(load) {
+        this.load = load;
+        this.options = { sort: null, skip: 0, limit: 0, projection: null };
+    }
+
+    sort(sort) { this.options.sort = sort; return this; }
+    skip(skip) { this.options.skip = skip; return this; }
+    limit(limit) { this.options.limit = limit; return this; }
+    project(projection) { this.options.projection = projection; return this; }
+
+    async toArray() {
+        const { sort, skip, limit, projection } = this.options;
+        let docs = sortDocuments(this.load(), sort);
+        if (skip) docs = docs.slice(skip);
+        if (limit) docs = docs.slice(0, limit);
+        return docs.map(doc => applyProjection(doc, projection));
+    }
+
+    async *[Symbol.asyncIterator]() {
+        for (const doc of await this.toArray()) yield doc;
+    }
+}
+
+function createMongoFake({ collections = {} } = {}) {
+    const stores = new Map();
+    const idIndexes = new Map();
+    const indexes = new Map();
+    const db = { databaseName: 'mongo_fake', collection: (name) => getCollection(name) };
+
+    const getStore = (name) => {
+        if (!stores.has(name)) {
+            stores.set(name, []);
+            idIndexes.set(name, new Map());
+        }
+        return stores.get(name);
+    };
+    const getIdIndex = (name) => { getStore(name); return idIndexes.get(name); };
+
+    /** 按查询条件筛选文档；条件中的 _id 为等值时直接按 _id 取，避免整表扫描。 */
+    function findDocuments(name, filter = {}) {
+        const id = filter._id;
+        if (id !== undefined && id !== null && !isOperatorObject(id) && !Array.isArray(id)) {
+            const doc = getIdIndex(name).get(idKey(id));
+            return doc && matches(doc, filter) ? [doc] : [];
+        }
+        return getStore(name).filter(doc => matches(doc, filter));
+    }
+
+    function checkUniqueIndexes(name, doc) {
+        (indexes.get(name) || []).forEach(keys => {
+            const key = keys.map(path => getPath(doc, path));
+            const conflict = getStore(name).some(other => other !== doc && keys.every((path, index) => isEqual(getPath(other, path), key[index])));
+            if (conflict) throw duplicateKeyError(name, keys);
+        });
+    }
+
+    function addDocument(name, doc) {
+        if (doc._id === undefined) doc._id = new ObjectId();
+        const key = idKey(doc._id);
+        if (getIdIndex(name).has(key)) throw duplicateKeyError(name, ['_id']);
+        checkUniqueIndexes(name, doc);
+        getStore(name).push(doc);
+        getIdIndex(name).set(key, doc);
+    }
+
+    function insertDocument(name, document) {
+        if (document._id === undefined) document._id = new ObjectId();
+        addDocument(name, clone(document));
+        return document._id;
+    }
+
+    function updateDocuments(name, filter, update, { upsert = false, multi = false } = {}) {
+        const targets = findDocuments(name, filter);
+        const selected = multi ? targets : targets.slice(0, 1);
+        if (selected.length === 0 && upsert) {
+            const doc = seedFromFilter(filter);
+            applyUpdate(doc, update, { isInsert: true });
+            addDocument(name, doc);
+            return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: doc._id, documents: [] };
+        }
+        let modifiedCount = 0;
+        const documents = selected.map(doc => {
+            const before = clone(doc);
+            applyUpdate(doc, update);
+            if (!isEqual(before._id, doc._id)) throw new Error('mongoFake: 不允许修改 _id。');
+            checkUniqueIndexes(name, doc);
+            if (!isEqual(before, doc)) modifiedCount += 1;
+            return { before, after: doc };
+        });
+        return { matchedCount: selected.length, modifiedCount, upsertedCount: 0, upsertedId: null, documents };
+    }
+
+    function deleteDocuments(name, filter, { multi = false } = {}) {
+        const targets = findDocuments(name, filter);
+        const removed = new Set(multi ? targets : targets.slice(0, 1));
+        if (removed.size === 0) return [];
+        stores.set(name, getStore(name).filter(doc => !removed.has(doc)));
+        removed.forEach(doc => getIdIndex(name).delete(idKey(doc._id)));
+        return [...removed];
+    }
+
+    function runPipeline(docs, pipeline, vars = {}) {
+        return pipeline.reduce((current, stage) => {
+            const [name] = Object.keys(stage);
+            const spec = stage[name];
+            switch (name) {
+                case '$match':
+                    return current.filter(doc => matches(doc, spec, vars));
+                case '$sort':
+                    return sortDocuments(current, spec);
+                case '$skip':
+                    return current.slice(spec);
+                case '$limit':
+                    return current.slice(0, spec);
+                case '$project':
+                    return current.map(doc => applyProjection(doc, spec));
+                case '$count':
+                    return [{ [spec]: current.length }];
+                case '$unwind': {
+                    const { path, preserveNullAndEmptyArrays = false } = typeof spec === 'string' ? { path: spec } : spec;
+                    const field = path.slice(1);
+                    return current.flatMap(doc => {
+                        const value = getPath(doc, field);
+                        if (Array.isArray(value) && value.length > 0) {
+                            return value.map(item => { const copy = clone(doc); setPath(copy, field, clone(item)); return copy; });
+                        }
+                        if (value !== undefined && value !== null && !Array.isArray(value)) return [doc];
+                        if (!preserveNullAndEmptyArrays) return [];
+                        const copy = clone(doc);
+                        unsetPath(copy, field);
+                        return [copy];
+                    });
+                }
+                case '$lookup': {
+                    const foreign = getStore(spec.from);
+                    return current.map(doc => {
+                        let joined;
+                        if (spec.pipeline) {
+                            const lookupVars = { ...vars };
+                            Object.entries(spec.let || {}).forEach(([key, expression]) => {
+                                lookupVars[key] = evaluateExpression(expression, doc, vars);
+                            });
+                            const candidates = spec.localField
+                                ? foreign.filter(other => matchesCondition(resolvePath(other, spec.foreignField), { $in: [].concat(getPath(doc, spec.localField) ?? null) }))
+                                : foreign;
+                            joined = runPipeline(candidates.map(clone), spec.pipeline, lookupVars);
+                        } else {
+                            const local = [].concat(getPath(doc, spec.localField) ?? null);
+                            joined = foreign
+                                .filter(other => matchesCondition(resolvePath(other, spec.foreignField), { $in: local }))
+                                .map(clone);
+                        }
+                        const copy = clone(doc);
+                        setPath(copy, spec.as, joined);
+                        return copy;
+                    });
+                }
+                default:
+                    throw new Error(`mongoFake 不支持的聚合阶段: ${name}`);
+            }
+        }, docs);
+    }
+
+    function getCollection(name) {
+        return {
+            collectionName: name,
+
+            find(filter = {}, options = {}) {
+                const cursor = new FakeCursor(() => findDocuments(name, filter));
+                if (options.projection) cursor.project(options.projection);
+                if (options.sort) cursor.sort(options.sort);
+                if (options.skip) cursor.skip(options.skip);
+                if (options.limit) cursor.limit(options.limit);
+                return cursor;
+            },
+
+            async findOne(filter = {}, options = {}) {
+                const [doc] = await this.find(filter, { ...options, limit: 1 }).toArray();
+                return doc || null;
+            },
+
+            async insertOne(document) {
+                return { acknowledged: true, insertedId: insertDocument(name, document) };
+            },
+
+            async insertMany(documents) {
+                const insertedIds = {};
+                documents.forEach((document, index) => { insertedIds[index] = insertDocument(name, document); });
+                return { acknowledged: true, insertedCount: documents.length, insertedIds };
+            },
+
+            async updateOne(filter, update, options = {}) {
+                const { documents, ...result } = updateDocuments(name, filter, update, { upsert: options.upsert });
+                return { acknowledged: true, ...result };
+            },
+
+            async updateMany(filter, update, options = {}) {
+                const { documents, ...result } = updateDocuments(name, filter, update, { upsert: options.upsert, multi: true });
+                return { acknowledged: true, ...result };
+            },
+
+            async replaceOne(filter, replacement, options = {}) {
+                const { documents, ...result } = updateDocuments(name, filter, replacement, { upsert: options.upsert });
+                return { acknowledged: true, ...result };
+            },
+
+            async deleteOne(filter = {}) {
+                return { acknowledged: true, deletedCount: deleteDocuments(name, filter).length };
+            },
+
+            async deleteMany(filter = {}) {
+                return { acknowledged: true, deletedCount: deleteDocuments(name, filter, { multi: true }).length };
+            },
+
+            async findOneAndUpdate(filter, update, options = {}) {
+                const { returnDocument = 'before', upsert = false, projection } = options;
+                const [target] = sortDocuments(findDocuments(name, filter), options.sort);
+                const scopedFilter = target ? { _id: target._id } : filter;
+                const result = updateDocuments(name, scopedFilter, update, { upsert });
+                if (result.upsertedCount > 0) {
+                    if (returnDocument !== 'after') return null;
+                    return applyProjection(getIdIndex(name).get(idKey(result.upsertedId)), projection);
+                }
+                if (result.documents.length === 0) return null;
+                const { before, after } = result.documents[0];
+                return applyProjection(returnDocument === 'after' ? after : before, projection);
+            },
+
+            async findOneAndDelete(filter, options = {}) {
+                const [target] = sortDocuments(findDocuments(name, filter), options.sort);
+                if (!target) return null;
+                deleteDocuments(name, { _id: target._id });
+                return applyProjection(target, options.projection);
+            },
+
+            async bulkWrite(operations) {
+                const result = { acknowledged: true, insertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0, upsertedCount: 0 };
+                const add = ({ matchedCount, modifiedCount, upsertedCount }) => {
+                    result.matchedCount += matchedCount;
+                    result.modifiedCount += modifiedCount;
+                    result.upsertedCount += upsertedCount;
+                };
+                operations.forEach(operation => {
+                    const [type] = Object.keys(operation);
+                    const spec = operation[type];
+                    switch (type) {
+                        case 'insertOne':
+                            insertDocument(name, spec.document);
+                            result.insertedCount += 1;
+                            break;
+                        case 'updateOne':
+                        case 'replaceOne':
+                            add(updateDocuments(name, spec.filter, spec.update || spec.replacement, { upsert: spec.upsert }));
+                            break;
+                        case 'updateMany':
+                            add(updateDocuments(name, spec.filter, spec.update, { upsert: spec.upsert, multi: true }));
+                            break;
+                        case 'deleteOne':
+                            result.deletedCount += deleteDocuments(name, spec.filter).length;
+                            break;
+                        case 'deleteMany':
+                            result.deletedCount += deleteDocuments(name, spec.filter, { multi: true }).length;
+                            break;
+                        default:
+                            throw new Error(`mongoFake 不支持的 bulkWrite 操作: ${type}`);
+                    }
+                });
+                return result;
+            },
+
+            async countDocuments(filter = {}) {
+                return findDocuments(name, filter).length;
+            },
+
+            async estimatedDocumentCount() {
+                return getStore(name).length;
+            },
+
+            async distinct(field, filter = {}) {
+                const values = [];
+                findDocuments(name, filter).forEach(doc => {
+                    resolvePath(doc, field)
+                        .filter(value => value !== undefined && !Array.isArray(value))
+                        .forEach(value => { if (!values.some(existing => isEqual(existing, value))) values.push(clone(value)); });
+                });
+                return values;
+            },
+
+            aggregate(pipeline = []) {
+                return new FakeCursor(() => runPipeline(getStore(name).map(clone), pipeline));
+            },
+
+            async createIndex(keys, options = {}) {
+                if (options.unique) {
+                    if (!indexes.has(name)) indexes.set(name, []);
+                    indexes.get(name).push(Object.keys(keys));
+                }
+                return Object.entries(keys).map(([key, direction]) => `${key}_${direction}`).join('_');
+            }
+        };
+    }
+
+    Object.entries(collections).forEach(([name, docs]) => {
+        docs.forEach(doc => insertDocument(name, clone(doc)));
+    });
+
+    return {
+        db,
+
+        /** 接入 kol-common：之后 getDb() 返回本替身。 */
+        install() { setDatabase(db); },
+
+        /** 恢复真实的数据库连接。 */
+        uninstall() { setDatabase(null); },
+
+        /** 返回集合当前全部文档的副本（插入顺序）。 */
+        docs(name) { return getStore(name).map(clone); }
+    };
+}
+
+module.exports = {
+    createMongoFake
+};
@@ -0,0 +1,157 @@
+/**
+ * @file common/status.js
+ * @version 1.1.0
+ * @description 业务状态机。以声明式的方式定义允许的状态流转与进入各状态所需的字段。
+ * - [校验] 非法流转抛出 409 (INVALID_STATUS_TRANSITION)；缺少必填字段抛出 422 (MISSING_REQUIRED_FIELDS)，details 中列出缺失字段。
+ * - [历史] buildStatusHistoryEntry 生成统一格式的 statusHistory 条目：{ from, to, changedAt, changedBy, reason }。
+ * - [兼容] 数据库中不在定义内的历史状态值，允许流转到任一已定义状态（仍需满足目标状态的必填字段）。
+ * - [v1.1] 新增项目生命周期状态机 projectStatusMachine；需要查询关联数据的准入检查 (gate) 由 updateProject 负责。
+ */
+const { AppError } = require('./errors');
+
+function isBlank(value) {
+    return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * 创建一个状态机。
+ * @param {object} definition
+ * @param {string} definition.label - 状态机名称，用于错误信息（如 "合作状态"）
+ * @param {string} definition.initial - 初始状态
+ * @param {Object<string, string[]>} definition.transitions - 每个状态允许流转到的目标状态
+ * @param {Object<string, Array<{ field: string, label: string }>>} [definition.requirements] - 进入某状态前必须具备的字段
+ */
+function createStateMachine({ label, initial, transitions, requirements = {} }) {
+    const states = Object.keys(transitions);
+
+    function isKnownState(state) {
+        return states.includes(state);
+    }
+
+    function canTransition(from, to) {
+        if (!isKnownState(to)) return false;
+        if (!isKnownState(from)) return true;
+        return transitions[from].includes(to);
+    }
+
+    /**
+     * 返回文档在进入 state 时缺失的必填字段。
+     */
+    function getMissingFields(state, doc) {
+        return (requirements[state] || []).filter(({ field }) => isBlank(doc[field]));
+    }
+
+    function assertRequirements(state, doc) {
+        const missing = getMissingFields(state, doc);
+        if (missing.length > 0) {
+            throw new AppError(
+                `${label}为"${state}"时必须填写: ${missing.map(m => m.label).join('、')}。`,
+                422,
+                'MISSING_REQUIRED_FIELDS',
+                { status: state, missingFields: missing.map(m => m.field) }
+            );
+        }
+    }
+
+    /**
+     * 断言 from -> to 的流转合法，且文档（合并本次更新后的结果）满足目标状态的必填字段。
+     */
+    function assertTransition(from, to, doc) {
+        if (!isKnownState(to)) {
+            throw new AppError(`无效的${label}: "${to}"。可选值: ${states.join(' / ')}。`, 400, 'INVALID_STATUS');
+        }
+        if (!canTransition(from, to)) {
+            const allowed = transitions[from];
+            throw new AppError(
+                `${label}不能从"${from}"变更为"${to}"。` + (allowed.length ? `当前状态只能变更为: ${allowed.join(' / ')}。` : '当前状态不允许再变更。'),
+                409,
+                'INVALID_STATUS_TRANSITION',
+                { from, to, allowed }
+            );
+        }
+        assertRequirements(to, doc);
+    }
+
+    return {
+        label,
+        initial,
+        states,
+        transitions,
+        requirements,
+        isKnownState,
+        canTransition,
+        getMissingFields,
+        assertRequirements,
+        assertTransition,
+    };
+}
+
+/**
+ * 生成一条 statusHistory 记录。
+ * @param {{ from: string|null, to: string, user?: object, reason?: string }} params - user 为 req.user；其余字段（如 override）原样保留
+ */
+function buildStatusHistoryEntry({ from, to, user, reason, ...extra }) {
+    return {
+        from: from || null,
+        to,
+        changedAt: new Date(),
+        changedBy: user ? { id: user.id, name: user.name } : { id: 'system', name: 'System' },
+        ...(reason ? { reason } : {}),
+        ...extra,
+    };
+}
+
+const COLLABORATION_STATUS = Object.freeze({
+    PENDING_SUBMISSION: '待提报工作台',
+    SCHEDULED: '客户已定档',
+    PUBLISHED: '视频已发布',
+});
+
+// 合作状态：待提报工作台 -> 客户已定档 -> 视频已发布，允许逐级回退
+const collaborationStatusMachine = createStateMachine({
+    label: '合作状态',
+    initial: COLLABORATION_STATUS.PENDING_SUBMISSION,
+    transitions: {
+        [COLLABORATION_STATUS.PENDING_SUBMISSION]: [COLLABORATION_STATUS.SCHEDULED],
+        [COLLABORATION_STATUS.SCHEDULED]: [COLLABORATION_STATUS.PUBLISHED, COLLABORATION_STATUS.PENDING_SUBMISSION],
+        [COLLABORATION_STATUS.PUBLISHED]: [COLLABORATION_STATUS.SCHEDULED],
+    },
+    requirements: {
+        [COLLABORATION_STATUS.SCHEDULED]: [
+            { field: 'taskId', label: '星图任务ID (taskId)' },
+        ],
+        [COLLABORATION_STATUS.PUBLISHED]: [
+            { field: 'taskId', label: '星图任务ID (taskId)' },
+            { field: 'videoId', label: '视频ID (videoId)' },
+            { field: 'publishDate', label: '发布日期 (publishDate)' },
+        ],
+    },
+});
+
+const PROJECT_STATUS = Object.freeze({
+    IN_PROGRESS: '执行中',
+    PENDING_SETTLEMENT: '待结算',
+    PAID: '已收款',
+    CLOSED: '已终结',
+});
+
+// 项目状态：执行中 -> 待结算 -> 已收款 -> 已终结；已终结为终态，只能由管理员强制变更
+const projectStatusMachine = createStateMachine({
+    label: '项目状态',
+    initial: PROJECT_STATUS.IN_PROGRESS,
+    transitions: {
+        [PROJECT_STATUS.IN_PROGRESS]: [PROJECT_STATUS.PENDING_SETTLEMENT],
+        [PROJECT_STATUS.PENDING_SETTLEMENT]: [PROJECT_STATUS.PAID, PROJECT_STATUS.IN_PROGRESS],
+        [PROJECT_STATUS.PAID]: [PROJECT_STATUS.CLOSED, PROJECT_STATUS.PENDING_SETTLEMENT],
+        [PROJECT_STATUS.CLOSED]: [],
+    },
+});
+
+module.exports = {
+    createStateMachine,
+    buildStatusHistoryEntry,
+    COLLABORATION_STATUS,
+    collaborationStatusMachine,
+    PROJECT_STATUS,
+    projectStatusMachine,
+};
@@ -0,0 +1,30 @@
+/**
+ * 预览凭证 (signPreviewToken / verifyPreviewToken)：只能预览签发时的文件，且不能用作登录凭证。
+ */
+process.env.AUTH_JWT_SECRET = process.env.AUTH_JWT_SECRET || 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { signToken, signPreviewToken, verifyPreviewToken, authenticate } = require('../auth');
+
+test('预览凭证只对签发时的 fileKey 有效', () => {
+    const token = signPreviewToken('reports/合同.pdf');
+    assert.equal(verifyPreviewToken(token, 'reports/合同.pdf').fileKey, 'reports/合同.pdf');
+    assert.throws(() => verifyPreviewToken(token, 'reports/other.pdf'), { statusCode: 403, code: 'INVALID_PREVIEW_TOKEN' });
+    assert.throws(() => verifyPreviewToken(undefined, 'reports/合同.pdf'), { statusCode: 401 });
+    assert.throws(() => verifyPreviewToken(`${token}x`, 'reports/合同.pdf'), { statusCode: 401, code: 'INVALID_TOKEN' });
+});
+
+test('登录凭证不能当作预览凭证，预览凭证也不能用于登录', () => {
+    const sessionToken = signToken({ sub: 'ou_test', roles: ['admin'], fileKey: 'a.pdf' });
+    assert.throws(() => verifyPreviewToken(sessionToken, 'a.pdf'), { statusCode: 403 });
+
+    const previewToken = signPreviewToken('a.pdf');
+    assert.throws(() => authenticate({ headers: { authorization: `Bearer ${previewToken}` } }), { statusCode: 401, code: 'INVALID_TOKEN' });
+});
+
+test('过期的预览凭证返回 401', (t) => {
+    const token = signPreviewToken('a.pdf', { expiresIn: 60 });
+    t.mock.method(Date, 'now', () => Date.UTC(2100, 0, 1));
+    assert.throws(() => verifyPreviewToken(token, 'a.pdf'), { statusCode: 401, code: 'TOKEN_EXPIRED' });
+});
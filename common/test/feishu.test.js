@@ -0,0 +1,64 @@
+/**
+ * feishuRequest 的重试规则：非幂等的 POST 只在频率限制与未建立连接时重试，幂等请求在超时 / 5xx 时也重试。
+ */
+process.env.FEISHU_APP_ID = process.env.FEISHU_APP_ID || 'cli_test';
+process.env.FEISHU_APP_SECRET = process.env.FEISHU_APP_SECRET || 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { feishuRequest } = require('../feishu');
+const { createFeishuFake } = require('../feishuFake');
+
+const MESSAGE_PATH = '/im/v1/messages';
+const sendMessage = (options = {}) => feishuRequest('post', MESSAGE_PATH, {
+    params: { receive_id_type: 'open_id' },
+    data: { receive_id: 'ou_test', msg_type: 'text', content: JSON.stringify({ text: 'hi' }) },
+    retries: 1,
+    ...options,
+});
+
+function installFake(t) {
+    const fake = createFeishuFake({ spreadsheets: { shtTest: { sheets: [{ values: [['a']] }] } } });
+    fake.install();
+    t.after(() => fake.uninstall());
+    return fake;
+}
+
+const countCalls = (fake, path) => fake.calls.filter(call => call.path === path).length;
+
+test('POST 遇到 5xx 或连接中断时不重试', async (t) => {
+    const fake = installFake(t);
+    fake.failNext(`POST ${MESSAGE_PATH}`, { status: 500, code: 1 });
+    await assert.rejects(sendMessage(), { code: 'FEISHU_API_ERROR', httpStatus: 500 });
+    fake.failNext(`POST ${MESSAGE_PATH}`, { networkError: 'ECONNRESET' });
+    await assert.rejects(sendMessage(), { code: 'FEISHU_API_ERROR' });
+    fake.failNext(`POST ${MESSAGE_PATH}`, { networkError: 'ECONNABORTED' });
+    await assert.rejects(sendMessage(), { code: 'FEISHU_TIMEOUT' });
+
+    assert.equal(countCalls(fake, MESSAGE_PATH), 3);
+    assert.equal(fake.messages.length, 0);
+});
+
+test('POST 遇到频率限制或未建立连接时重试', async (t) => {
+    const fake = installFake(t);
+    fake.failNext(`POST ${MESSAGE_PATH}`);
+    await sendMessage();
+    fake.failNext(`POST ${MESSAGE_PATH}`, { networkError: 'ECONNREFUSED' });
+    await sendMessage();
+
+    assert.equal(countCalls(fake, MESSAGE_PATH), 4);
+    assert.equal(fake.messages.length, 2);
+});
+
+test('声明 idempotent 的 POST 与 GET 遇到 5xx 时重试', async (t) => {
+    const fake = installFake(t);
+    fake.failNext(`POST ${MESSAGE_PATH}`, { status: 502, code: 1 });
+    await sendMessage({ idempotent: true });
+    assert.equal(fake.messages.length, 1);
+
+    const metainfoPath = '/sheets/v2/spreadsheets/shtTest/metainfo';
+    fake.failNext(`GET ${metainfoPath}`, { status: 503, code: 1 });
+    const metainfo = await feishuRequest('get', metainfoPath, { retries: 1 });
+    assert.equal(metainfo.sheets.length, 1);
+    assert.equal(countCalls(fake, metainfoPath), 2);
+});
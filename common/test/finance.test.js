@@ -0,0 +1,121 @@
+/**
+ * 财务计算引擎 (finance.js) 的公式分支。
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    DEFAULT_FINANCE_RULES,
+    calculateIncome,
+    calculateExpense,
+    calculateRebateReceivable,
+    resolveRebateForProfit,
+    calculateOccupationDays,
+    calculateCollaborationFinance,
+    loadCapitalRateMap,
+    resolveMonthlyRatePercent,
+    buildFinanceOptions,
+} = require('../finance');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≠ ${expected}`);
+
+// 只实现 loadCapitalRateMap 用到的 find().toArray()
+function createConfigDb(configs) {
+    return {
+        collection: () => ({
+            find: (filter) => ({
+                toArray: async () => configs.filter(config => (config.values || []).some(rate => filter['values.id'].$in.includes(rate.id))),
+            }),
+        }),
+    };
+}
+
+test('收入：金额 × 折扣 × 税费系数', () => {
+    close(calculateIncome(10000, 0.9), 10000 * 0.9 * 1.05);
+    close(calculateIncome('10000', '0.85'), 10000 * 0.85 * 1.05);
+});
+
+test('收入：折扣缺失、为空或为 0 时按不打折计算', () => {
+    for (const discount of [undefined, null, '', 0, '0', 'abc']) {
+        close(calculateIncome(10000, discount), 10000 * 1.05);
+    }
+});
+
+test('原价单：成本为金额 × 税费系数，应收返点为金额 × 返点%', () => {
+    close(calculateExpense(10000, 30, 'original'), 10500);
+    close(calculateRebateReceivable(10000, 30, 'original'), 3000);
+});
+
+test('改价单：返点不超过阈值时成本按 (1 - 返点%)，无应收返点', () => {
+    close(calculateExpense(10000, 15, 'modified'), 10000 * 0.85 * 1.05);
+    close(calculateExpense(10000, 20, 'modified'), 10000 * 0.8 * 1.05);
+    assert.equal(calculateRebateReceivable(10000, 20, 'modified'), 0);
+});
+
+test('改价单：返点超过阈值时成本按 (1 - 阈值%)，超出部分计入应收返点', () => {
+    close(calculateExpense(10000, 35, 'modified'), 10000 * 0.8 * 1.05);
+    close(calculateRebateReceivable(10000, 35, 'modified'), 1500);
+});
+
+test('改价单阈值随规则变化', () => {
+    const rules = { ...DEFAULT_FINANCE_RULES, modifiedRebateThreshold: 25, taxFactor: 1.06 };
+    close(calculateExpense(10000, 30, 'modified', rules), 10000 * 0.75 * 1.06);
+    close(calculateRebateReceivable(10000, 30, 'modified', rules), 500);
+});
+
+test('利润返点：有实际返点时以实际返点为准', () => {
+    assert.equal(resolveRebateForProfit(800, 1500, '执行中'), 800);
+    assert.equal(resolveRebateForProfit(0, 1500, '执行中'), 0);
+    assert.equal(resolveRebateForProfit('1200', 1500, '已终结'), 1200);
+});
+
+test('利润返点：未录入实际返点时，未终结用应收返点，已终结按 0 计', () => {
+    assert.equal(resolveRebateForProfit(null, 1500, '执行中'), 1500);
+    assert.equal(resolveRebateForProfit('', 1500, '待结算'), 1500);
+    assert.equal(resolveRebateForProfit(undefined, 1500, '已终结'), 0);
+});
+
+test('占用天数：有付款日期时为付款日期 - 下单日期', () => {
+    assert.equal(calculateOccupationDays('2025-03-01T00:00:00+08:00', '2025-03-31T00:00:00+08:00'), 30);
+    assert.equal(calculateOccupationDays('2025-03-10', '2025-03-01'), 0);
+    assert.equal(calculateOccupationDays(null, '2025-03-01'), 0);
+});
+
+test('占用天数：未付款时算到上海时区当天 0 点', () => {
+    const orderDate = '2025-03-01T00:00:00+08:00';
+    // 上海 3 月 11 日 01:00（UTC 仍是 3 月 10 日）
+    assert.equal(calculateOccupationDays(orderDate, null, new Date('2025-03-10T17:00:00Z')), 10);
+    // 上海 3 月 11 日 23:59，同一天内结果不变
+    assert.equal(calculateOccupationDays(orderDate, '', new Date('2025-03-11T15:59:00Z')), 10);
+    // 跨过上海 0 点后加一天
+    assert.equal(calculateOccupationDays(orderDate, undefined, new Date('2025-03-11T16:00:00Z')), 11);
+});
+
+test('单条合作：资金占用费用 = 成本 × 月费率 / 30 × 天数', () => {
+    const metrics = calculateCollaborationFinance(
+        { amount: 10000, rebate: 35, orderType: 'modified', orderDate: '2025-03-01T00:00:00+08:00', paymentDate: '2025-03-31T00:00:00+08:00' },
+        { discount: 0.9, status: '执行中' },
+        { monthlyRatePercent: 1.5 }
+    );
+    close(metrics.income, 9450);
+    close(metrics.expense, 8400);
+    close(metrics.rebateForProfit, 1500);
+    close(metrics.grossProfit, 9450 + 1500 - 8400);
+    close(metrics.fundsOccupationCost, 8400 * 0.015 / 30 * 30);
+});
+
+test('资金费率：按 capitalRateId 查找，找不到时使用默认月费率', async () => {
+    const db = createConfigDb([
+        { values: [{ id: 'rate_a', value: '1.2' }, { id: 'rate_b', value: 0.5 }] },
+        { values: [{ id: 'rate_c', value: 2 }] },
+    ]);
+    const rateMap = await loadCapitalRateMap(db, ['rate_a', 'rate_c', 'rate_missing', null]);
+    assert.equal(rateMap.get('rate_a'), 1.2);
+    assert.equal(rateMap.get('rate_c'), 2);
+    assert.equal(rateMap.has('rate_b'), false);
+    assert.equal(resolveMonthlyRatePercent(rateMap, 'rate_a'), 1.2);
+    assert.equal(resolveMonthlyRatePercent(rateMap, 'rate_missing'), DEFAULT_FINANCE_RULES.defaultMonthlyRatePercent);
+    assert.equal(resolveMonthlyRatePercent(rateMap, undefined, { ...DEFAULT_FINANCE_RULES, defaultMonthlyRatePercent: 0.9 }), 0.9);
+
+    const options = buildFinanceOptions({ rateMap, ruleSets: [] }, { capitalRateId: 'rate_c' });
+    assert.equal(options.monthlyRatePercent, 2);
+});
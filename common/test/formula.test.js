@@ -0,0 +1,139 @@
+/**
+ * 映射模板公式 (formula.js)：运算符优先级、NULL 语义、求值错误、引用路径的读取限制、解析限制与出错位置，以及旧模板的兼容行为。
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FormulaError, parseFormula, compileFormula, evaluateFormula } = require('../formula');
+
+const context = {
+    talents: { nickname: '达人A', city: '上海', handle: 'a.b.c', fans: '1.2w', rate: '12%' },
+    collaborations: { amount: 1000, zero: 0 },
+    works: { dailyViews: [{ views: 10 }, { views: null }, { views: '1,000' }] },
+};
+const evaluate = (formula) => evaluateFormula(formula, context);
+
+const rejectsWith = (fn, code, statusCode) => assert.throws(fn, (error) => {
+    assert.ok(error instanceof FormulaError);
+    assert.equal(error.code, code);
+    assert.equal(error.statusCode, statusCode);
+    return true;
+});
+
+test('运算符优先级与结合性', () => {
+    assert.equal(evaluate('1 + 2 * 3'), 7);
+    assert.equal(evaluate('(1 + 2) * 3'), 9);
+    assert.equal(evaluate('10 - 2 - 3'), 5);
+    assert.equal(evaluate('12 / 2 / 3'), 2);
+    // ^ 右结合，且优先于一元负号
+    assert.equal(evaluate('2 ^ 3 ^ 2'), 512);
+    assert.equal(evaluate('-2 ^ 2'), -4);
+    assert.equal(evaluate('2 ^ -1'), 0.5);
+    assert.equal(evaluate('50% * 4'), 2);
+    // & 低于加减，比较最低
+    assert.equal(evaluate('1 + 2 & 3'), '33');
+    assert.equal(evaluate('1 + 1 = 2'), true);
+    assert.equal(evaluate('{collaborations.amount} * 10% > 50'), true);
+});
+
+test('NULL 参与算术、比较与 IF', () => {
+    assert.equal(evaluate('{talents.missing} + 1'), null);
+    assert.equal(evaluate('{talents.missing} * 2'), null);
+    assert.equal(evaluate('-{talents.missing}'), null);
+    assert.equal(evaluate('{talents.missing} > 1'), null);
+    assert.equal(evaluate('{talents.missing} = NULL'), true);
+    assert.equal(evaluate('{talents.missing} != 0'), true);
+    assert.equal(evaluate('IF({talents.missing}, "是", "否")'), '否');
+    assert.equal(evaluate('IF({talents.missing} > 1, "是", "否")'), '否');
+    assert.equal(evaluate('IF(FALSE, 1)'), null);
+    assert.equal(evaluate('IFNULL({talents.missing}, 0)'), 0);
+    assert.equal(evaluate('{talents.missing} & "元"'), '元');
+    assert.equal(evaluate('SUM({works.dailyViews.views})'), 1010);
+    assert.equal(evaluate('AVERAGE({talents.missing})'), null);
+});
+
+test('文本按数字解析：千分位、百分号与 w / 万', () => {
+    assert.equal(evaluate('{talents.fans} + 0'), 12000);
+    assert.equal(evaluate('{talents.rate} * 100'), 12);
+    assert.equal(evaluate('"1,234" * 1'), 1234);
+});
+
+test('除以 0 与类型错误在求值时抛出 422', () => {
+    rejectsWith(() => evaluate('1 / 0'), 'FORMULA_DIVISION_BY_ZERO', 422);
+    rejectsWith(() => evaluate('{collaborations.amount} / {collaborations.zero}'), 'FORMULA_DIVISION_BY_ZERO', 422);
+    rejectsWith(() => evaluate('"abc" * 2'), 'FORMULA_TYPE_ERROR', 422);
+    rejectsWith(() => evaluate('-{talents.nickname}'), 'FORMULA_TYPE_ERROR', 422);
+    rejectsWith(() => evaluate('ROUND({talents.city})'), 'FORMULA_TYPE_ERROR', 422);
+    rejectsWith(() => evaluate('YEAR("不是日期")'), 'FORMULA_TYPE_ERROR', 422);
+    // 溢出为 Infinity 时输出 NULL
+    assert.equal(evaluate('10 ^ 400'), null);
+});
+
+test('引用只读取对象自身的属性，__proto__ / constructor 为 NULL', () => {
+    assert.equal(evaluate('{talents.__proto__}'), null);
+    assert.equal(evaluate('{talents.constructor}'), null);
+    assert.equal(evaluate('{talents.constructor.name}'), null);
+    assert.equal(evaluate('{talents.toString}'), null);
+    assert.equal(evaluate('{__proto__.polluted}'), null);
+    assert.equal(evaluateFormula('{talents.constructor}', { talents: { constructor: '自有字段' } }), '自有字段');
+    assert.equal({}.polluted, undefined);
+});
+
+test('嵌套层数与公式长度的上限', () => {
+    const nested = (depth) => `${'('.repeat(depth)}1${')'.repeat(depth)}`;
+    assert.equal(evaluate(nested(64)), 1);
+    rejectsWith(() => parseFormula(nested(65)), 'FORMULA_SYNTAX_ERROR', 400);
+    rejectsWith(() => parseFormula(`${'-'.repeat(65)}1`), 'FORMULA_SYNTAX_ERROR', 400);
+    rejectsWith(() => parseFormula(`${'ABS('.repeat(65)}1${')'.repeat(65)}`), 'FORMULA_SYNTAX_ERROR', 400);
+
+    assert.throws(() => parseFormula(`1${'+1'.repeat(1000)}`), (error) => {
+        assert.equal(error.code, 'FORMULA_SYNTAX_ERROR');
+        assert.equal(error.details.position, 2000);
+        return true;
+    });
+    rejectsWith(() => parseFormula('   '), 'FORMULA_SYNTAX_ERROR', 400);
+});
+
+test('语法错误返回出错位置', () => {
+    const positionOf = (formula) => {
+        try {
+            parseFormula(formula);
+        } catch (error) {
+            assert.equal(error.code, 'FORMULA_SYNTAX_ERROR');
+            assert.equal(error.details.formula, formula);
+            assert.match(error.message, new RegExp(`第 ${error.details.position + 1} 个字符`));
+            return error.details.position;
+        }
+        assert.fail(`${formula} 应解析失败`);
+    };
+    assert.equal(positionOf('1 + * 2'), 4);
+    assert.equal(positionOf('1 + "abc'), 4);
+    assert.equal(positionOf('{talents}'), 0);
+    assert.equal(positionOf('{talents.nickname'), 0);
+    assert.equal(positionOf('1 + fans'), 4);
+    assert.equal(positionOf('EVAL(1)'), 0);
+    assert.equal(positionOf('SUM(1'), 5);
+    assert.equal(positionOf('ROUND()'), 0);
+    assert.equal(positionOf('1 < 2 < 3'), 6);
+    assert.equal(positionOf('1 2'), 2);
+    assert.equal(positionOf('1 # 2'), 2);
+});
+
+test('compileFormula 返回公式引用的字段', () => {
+    const compiled = compileFormula('IF({talents.fans} > 0, {collaborations.amount} / {talents.fans}, 0)');
+    assert.deepEqual(compiled.references.sort(), ['collaborations.amount', 'talents.fans']);
+    assert.equal(compileFormula(compiled.formula), compiled);
+});
+
+test('旧模板兼容：+ 拼接文本，REPLACE 按字面匹配（不再是正则表达式）', () => {
+    assert.equal(evaluate('{talents.nickname} + "-" + {talents.city}'), '达人A-上海');
+    assert.equal(evaluate('{talents.nickname} + 1'), '达人A1');
+    // 两侧都能解析为数字时仍按数字相加
+    assert.equal(evaluate('"1" + "2"'), 3);
+
+    // 旧实现为 new RegExp(查找, 'g')：'.' 会匹配任意字符、'+' 会抛出正则错误
+    assert.equal(evaluate('REPLACE({talents.handle}, ".", "")'), 'abc');
+    assert.equal(evaluate('REPLACE("1+1", "+", "-")'), '1-1');
+    assert.equal(evaluate('REPLACE("a(b)", "(", "[")'), 'a[b)');
+    assert.equal(evaluate('REPLACE("aaa", "", "x")'), 'aaa');
+    assert.equal(evaluate('REPLACE({talents.missing}, "a", "b")'), '');
+});
@@ -0,0 +1,100 @@
+/**
+ * 进程内 MongoDB 替身 (mongoFake.js)：查询、更新、聚合与唯一索引的语义。
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId, getDb } = require('../index');
+const { createMongoFake } = require('../mongoFake');
+
+test('查询支持点号路径、数组元素与比较运算符', async () => {
+    const { db } = createMongoFake({
+        collections: {
+            runs: [
+                { id: 'r1', createdAt: new Date('2025-01-01'), documents: [{ id: 'a' }, { id: 'b' }] },
+                { id: 'r2', createdAt: new Date('2025-02-01'), documents: [{ id: 'c' }] },
+            ],
+        },
+    });
+    const runs = db.collection('runs');
+    const found = await runs.find({ 'documents.id': { $in: ['b', 'x'] } }).toArray();
+    assert.deepEqual(found.map(run => run.id), ['r1']);
+    assert.equal(await runs.countDocuments({ createdAt: { $gt: new Date('2025-01-15') } }), 1);
+    assert.equal(await runs.countDocuments({ missing: null }), 2);
+    assert.equal(await runs.countDocuments({ id: { $ne: 'r1' }, missing: { $exists: false } }), 1);
+
+    const [latest] = await runs.find({}, { projection: { _id: 0, id: 1 } }).sort({ createdAt: -1 }).limit(1).toArray();
+    assert.deepEqual(latest, { id: 'r2' });
+});
+
+test('updateOne 支持 upsert 与 $setOnInsert，返回的文档与存储相互独立', async () => {
+    const { db } = createMongoFake();
+    const snapshots = db.collection('snapshots');
+    const first = await snapshots.updateOne({ projectId: 'p1' }, { $setOnInsert: { id: 's1' } }, { upsert: true });
+    const second = await snapshots.updateOne({ projectId: 'p1' }, { $setOnInsert: { id: 's2' } }, { upsert: true });
+    assert.equal(first.upsertedCount, 1);
+    assert.equal(second.upsertedCount, 0);
+
+    const doc = await snapshots.findOne({ projectId: 'p1' });
+    assert.equal(doc.id, 's1');
+    doc.id = 'changed';
+    assert.equal((await snapshots.findOne({ projectId: 'p1' })).id, 's1');
+});
+
+test('$push / $pull 与 findOneAndUpdate 的 returnDocument', async () => {
+    const { db } = createMongoFake({ collections: { works: [{ id: 'w1', dailyStats: [{ date: '2025-01-02' }, { date: '2025-01-01' }] }] } });
+    const works = db.collection('works');
+    await works.bulkWrite([
+        { updateOne: { filter: { id: 'w1' }, update: { $pull: { dailyStats: { date: '2025-01-02' } } } } },
+        { updateOne: { filter: { id: 'w1' }, update: { $push: { dailyStats: { $each: [{ date: '2024-12-31' }], $sort: { date: 1 } } } } } },
+    ]);
+    const before = await works.findOneAndUpdate({ id: 'w1' }, { $set: { status: 'done' } }, { returnDocument: 'before' });
+    assert.equal(before.status, undefined);
+    const after = await works.findOne({ id: 'w1' });
+    assert.deepEqual(after.dailyStats.map(stat => stat.date), ['2024-12-31', '2025-01-01']);
+    assert.equal(after.status, 'done');
+});
+
+test('aggregate 支持 $lookup（localField 与 let / pipeline）和 $unwind', async () => {
+    const taskId = new ObjectId();
+    const { db } = createMongoFake({
+        collections: {
+            collaborations: [{ id: 'c1', talentId: 't1' }, { id: 'c2', talentId: 'missing' }],
+            talents: [{ id: 't1', nickname: '达人A' }],
+            tasks: [{ _id: taskId, metadata: { collaborationId: 'c1' } }],
+        },
+    });
+    const results = await db.collection('collaborations').aggregate([
+        { $lookup: { from: 'talents', localField: 'talentId', foreignField: 'id', as: 'talent' } },
+        { $unwind: { path: '$talent', preserveNullAndEmptyArrays: true } },
+        {
+            $lookup: {
+                from: 'tasks',
+                let: { collabId: '$id' },
+                pipeline: [{ $match: { $expr: { $and: [{ $eq: ['$metadata.collaborationId', '$$collabId'] }, { $in: ['$_id', [taskId]] }] } } }],
+                as: 'task',
+            },
+        },
+        { $unwind: '$task' },
+    ]).toArray();
+    assert.equal(results.length, 1);
+    assert.equal(results[0].talent.nickname, '达人A');
+    assert.ok(results[0].task._id.equals(taskId));
+});
+
+test('唯一索引冲突时抛出 code 11000', async () => {
+    const { db } = createMongoFake();
+    const runs = db.collection('runs');
+    await runs.createIndex({ id: 1 }, { unique: true });
+    await runs.insertOne({ id: 'r1' });
+    await assert.rejects(runs.insertOne({ id: 'r1' }), { code: 11000 });
+});
+
+test('install 后 getDb 返回替身，uninstall 后恢复', async () => {
+    const mongo = createMongoFake();
+    mongo.install();
+    try {
+        assert.equal(await getDb(), mongo.db);
+    } finally {
+        mongo.uninstall();
+    }
+});
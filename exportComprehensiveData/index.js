@@ -1,29 +1,15 @@
 /**
  * @file exportComprehensiveData/index.js
- * @version 1.3
+ * @version 1.4
  * @description "数据导出中心"后端核心云函数 (多主体聚合引擎)。
  * - 支持 'talent', 'collaboration', 'project' 多种导出主体 (entity)。
  * - 根据前端请求的 entity, fields, filters 动态构建 MongoDB Aggregation Pipeline。
  * - 聚合来自 talents, collaborations, works, projects, automation-tasks 多个集合的数据。
  * - [v1.3] 新增支持 taskId (星图任务ID) 和 videoId (视频ID) 字段导出
+ * - [v1.4] 达人的 performanceData 字段（含 audience_18_40_ratio 等计算字段）按 kol-common 的字段注册表解析，不再按字段名猜测
  */
 
-const { MongoClient } = require('mongodb');
-
-// --- 配置 ---
-const MONGO_URI = process.env.MONGO_URI;
-const DB_NAME = process.env.MONGO_DB_NAME || 'kol_data';
-
-// --- 数据库连接 ---
-let client;
-async function connectToDatabase() {
-    if (client && client.topology && client.topology.isConnected()) {
-        return client;
-    }
-    client = new MongoClient(MONGO_URI);
-    await client.connect();
-    return client;
-}
+const { createHandler, getDb, respond, AppError, findExportField } = require('kol-common');
 
 /**
  * 构建用于“按达人导出”的聚合管道。
@@ -108,12 +94,14 @@ function buildTalentPipeline(db, fields, filters) {
             case 'collaboration_count': projectStage['历史合作总次数'] = { $size: '$collaborations' }; break;
             case 'work_total_t7_views': projectStage['T+7 总播放量'] = { $sum: '$works.t7_totalViews' }; break;
             // 在此添加更多字段映射...
-            default:
-                if (field.startsWith('ratio_') || field.endsWith('Ratio') || field === 'cpm60s') {
-                    const displayName = field; // 简单处理，实际应有映射表
-                    projectStage[displayName] = `$performanceData.${field}`;
+            default: {
+                // [v1.4] 粉丝画像等 performanceData 字段按字段注册表取路径与列名
+                const exportField = findExportField('talent', field);
+                if (exportField && exportField.field && exportField.field.startsWith('talents.performanceData.')) {
+                    projectStage[exportField.backendKey] = `$${exportField.field.slice('talents.'.length)}`;
                 }
                 break;
+            }
         }
     });
     pipeline.push({ $project: projectStage });
@@ -183,62 +171,35 @@ function buildCollaborationPipeline(db, fields, filters, entity) {
 }
 
 // --- 云函数主入口 ---
-exports.handler = async (event) => {
-    const headers = {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
-        'Access-Control-Allow-Methods': 'POST, OPTIONS',
-        'Content-Type': 'application/json'
-    };
-
-    if (event.httpMethod === 'OPTIONS') {
-        return { statusCode: 204, headers, body: '' };
-    }
+exports.handler = createHandler({ name: 'exportComprehensiveData', methods: ['POST'] }, async (req) => {
+    const db = await getDb();
 
-    try {
-        const dbClient = await connectToDatabase();
-        const db = dbClient.db(DB_NAME);
+    const { entity, fields, filters } = req.body;
 
-        const { entity, fields, filters } = JSON.parse(event.body || '{}');
-
-        if (!entity || !fields || !filters) {
-            return { statusCode: 400, headers, body: JSON.stringify({ success: false, message: '请求体缺少 entity, fields 或 filters 参数。' }) };
-        }
-
-        let primaryCollection;
-        let pipeline = [];
+    if (!entity || !fields || !filters) {
+        throw new AppError('请求体缺少 entity, fields 或 filters 参数。', 400);
+    }
 
-        switch (entity) {
-            case 'talent':
-                primaryCollection = db.collection('talents');
-                pipeline = buildTalentPipeline(db, fields, filters);
-                break;
-            case 'collaboration':
-            case 'project':
-                primaryCollection = db.collection('collaborations');
-                pipeline = buildCollaborationPipeline(db, fields, filters, entity);
-                break;
-            default:
-                throw new Error(`无效的导出主体: ${entity}`);
-        }
-        
-        console.log("Executing pipeline:", JSON.stringify(pipeline, null, 2));
-
-        const results = await primaryCollection.aggregate(pipeline).toArray();
-
-        return {
-            statusCode: 200,
-            headers,
-            body: JSON.stringify({ success: true, data: results })
-        };
-
-    } catch (error) {
-        console.error('Data export error:', error);
-        return {
-            statusCode: 500,
-            headers,
-            body: JSON.stringify({ success: false, message: '服务器内部错误', error: error.message })
-        };
+    let primaryCollection;
+    let pipeline = [];
+
+    switch (entity) {
+        case 'talent':
+            primaryCollection = db.collection('talents');
+            pipeline = buildTalentPipeline(db, fields, filters);
+            break;
+        case 'collaboration':
+        case 'project':
+            primaryCollection = db.collection('collaborations');
+            pipeline = buildCollaborationPipeline(db, fields, filters, entity);
+            break;
+        default:
+            throw new AppError(`无效的导出主体: ${entity}`, 400);
     }
-};
+    
+    console.log("Executing pipeline:", JSON.stringify(pipeline, null, 2));
+
+    const results = await primaryCollection.aggregate(pipeline).toArray();
 
+    return respond(200, { success: true, data: results });
+});
@@ -1,7 +1,9 @@
 /**
  * @file feishu-notifier/index.js
- * @version 2.1.0 (Configurable URL)
+ * @version 2.2.1 (Shared Feishu Client)
  * @description
+ * - [v2.2.1] 发送消息为非幂等请求：只在频率限制与未建立连接时重试，超时或 5xx 时直接返回错误，避免群里收到重复卡片。
+ * - [v2.2] 改用 kol-common 的 feishuRequest 发送消息：共享 tenant_access_token 缓存，频率限制与 5xx 自动重试，请求超时，失败时返回 FeishuApiError。
  * - [架构优化] 将“前往处理”按钮的URL从硬编码改为通过环境变量 `TASK_CENTER_URL` 进行配置，增强了灵活性。
  * - [核心架构升级] 彻底重构了消息发送方式。
  * - [移除] 不再使用自定义机器人的 Webhook URL。
@@ -10,191 +12,108 @@
  * - [目标] 能够通过环境变量中配置的 Chat ID，将消息精确发送到指定群聊。
  * - [目的] 解决了因发送主体（自定义机器人）与交互主体（应用）不一致而导致的回调失败问题。
  */
-const axios = require('axios');
+const { createHandler, respond, AppError, WRITE_ROLES, feishuRequest } = require('kol-common');
 
 // --- 从环境变量中获取配置 ---
-const APP_ID = process.env.FEISHU_APP_ID;
-const APP_SECRET = process.env.FEISHU_APP_SECRET;
 const CHAT_ID = process.env.FEISHU_CHAT_ID;
 // [新增] 从环境变量获取任务中心URL，并提供一个默认的飞书主页作为后备
 const TASK_CENTER_URL = process.env.TASK_CENTER_URL || 'https://www.feishu.cn/base/home';
 
-// --- 模块级缓存，用于存储 access_token ---
-let tenantAccessToken = null;
-let tokenExpiresAt = 0;
-
-/**
- * 获取并缓存飞书的 tenant_access_token
- * @returns {Promise<string>} tenant_access_token
- */
-async function getTenantAccessToken() {
-    if (Date.now() < tokenExpiresAt && tenantAccessToken) {
-        return tenantAccessToken;
-    }
-
-    if (!APP_ID || !APP_SECRET) {
-        throw new Error('环境变量 FEISHU_APP_ID 或 FEISHU_APP_SECRET 未配置。');
-    }
-
-    try {
-        const response = await axios.post(
-            'https://open.feishu.cn/open-apis/auth/v3/tenant_access_token/internal', {
-                app_id: APP_ID,
-                app_secret: APP_SECRET,
-            }
-        );
-
-        if (response.data.code !== 0) {
-            throw new Error(`获取 tenant_access_token 失败: ${response.data.msg}`);
-        }
-
-        tenantAccessToken = response.data.tenant_access_token;
-        // 在过期前5分钟刷新token
-        tokenExpiresAt = Date.now() + (response.data.expire - 300) * 1000;
-        console.log("成功获取新的 tenant_access_token。");
-        return tenantAccessToken;
-    } catch (error) {
-        const errorMessage = error.response ? JSON.stringify(error.response.data) : error.message;
-        console.error("getTenantAccessToken error:", errorMessage);
-        throw new Error(`获取 tenant_access_token 发生网络或API错误: ${errorMessage}`);
-    }
-}
-
 /**
  * 云函数主处理程序
  */
-exports.handler = async (event, context) => {
-    const headers = {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Methods': 'POST, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type',
-    };
-
-    if (event.httpMethod === 'OPTIONS') {
-        return { statusCode: 204, headers };
-    }
-    
+exports.handler = createHandler({ name: 'feishu-notifier', methods: ['POST'], roles: WRITE_ROLES }, async (req) => {
     // [新增] 启动时检查并提示URL配置
     if (TASK_CENTER_URL === 'https://www.feishu.cn/base/home') {
         console.warn("提醒：环境变量 TASK_CENTER_URL 未配置，'前往处理'按钮将跳转至飞书主页。");
     }
 
-    try {
-        if (!CHAT_ID) {
-            throw new Error("环境变量 FEISHU_CHAT_ID 未配置，无法确定发送目标群聊。");
-        }
-
-        const task = JSON.parse(event.body || '{}');
-        
-        // 关键验证：检查任务对象和其主键 `_id` 或 `id` 是否存在
-        if (!task || !(task._id || task.id)) {
-            return {
-                statusCode: 400,
-                headers,
-                body: JSON.stringify({ success: false, message: '请求体中缺少有效的任务数据 (必须包含 _id 或 id)。' })
-            };
-        }
-        
-        const taskId = (task._id || task.id).toString();
-
-        // 1. 获取认证 Token
-        const accessToken = await getTenantAccessToken();
+    if (!CHAT_ID) {
+        throw new AppError("环境变量 FEISHU_CHAT_ID 未配置，无法确定发送目标群聊。", 500, 'CONFIG_ERROR');
+    }
 
-        // 2. 根据任务数据构建消息卡片
-        const cardJson = {
-            "config": {
-                "wide_screen_mode": true
+    const task = req.body;
+    
+    // 关键验证：检查任务对象和其主键 `_id` 或 `id` 是否存在
+    if (!task || !(task._id || task.id)) {
+        throw new AppError('请求体中缺少有效的任务数据 (必须包含 _id 或 id)。', 400);
+    }
+    
+    const taskId = (task._id || task.id).toString();
+
+    // 1. 根据任务数据构建消息卡片
+    const cardJson = {
+        "config": {
+            "wide_screen_mode": true
+        },
+        "header": {
+            "template": "red",
+            "title": {
+                "tag": "plain_text",
+                "content": `🚨 新任务提醒: ${task.title}`
+            }
+        },
+        "elements": [{
+                "tag": "div",
+                "fields": [{
+                    "is_short": true,
+                    "text": {
+                        "tag": "lark_md",
+                        "content": `**所属项目:**\n${task.projectName || '系统全局任务'}`
+                    }
+                }, {
+                    "is_short": true,
+                    "text": {
+                        "tag": "lark_md",
+                        "content": `**任务类型:**\n${task.title || '未分类'}`
+                    }
+                }]
             },
-            "header": {
-                "template": "red",
-                "title": {
-                    "tag": "plain_text",
-                    "content": `🚨 新任务提醒: ${task.title}`
+            {
+                "tag": "div",
+                "text": {
+                    "tag": "lark_md",
+                    "content": `**详细内容:**\n${task.description}`
                 }
             },
-            "elements": [{
-                    "tag": "div",
-                    "fields": [{
-                        "is_short": true,
-                        "text": {
-                            "tag": "lark_md",
-                            "content": `**所属项目:**\n${task.projectName || '系统全局任务'}`
-                        }
-                    }, {
-                        "is_short": true,
-                        "text": {
-                            "tag": "lark_md",
-                            "content": `**任务类型:**\n${task.title || '未分类'}`
-                        }
-                    }]
-                },
-                {
-                    "tag": "div",
+            {
+                "tag": "action",
+                "actions": [{
+                    "tag": "button",
                     "text": {
-                        "tag": "lark_md",
-                        "content": `**详细内容:**\n${task.description}`
+                        "tag": "plain_text",
+                        "content": "✅ 标记为已处理"
+                    },
+                    "type": "primary",
+                    "value": {
+                        "action": "complete_task",
+                        "task_id": taskId
                     }
-                },
-                {
-                    "tag": "action",
-                    "actions": [{
-                        "tag": "button",
-                        "text": {
-                            "tag": "plain_text",
-                            "content": "✅ 标记为已处理"
-                        },
-                        "type": "primary",
-                        "value": {
-                            "action": "complete_task",
-                            "task_id": taskId
-                        }
-                    }, {
-                        "tag": "button",
-                        "text": {
-                            "tag": "plain_text",
-                            "content": "前往处理"
-                        },
-                        "type": "default",
-                        "url": TASK_CENTER_URL // [核心修改] 使用配置的URL
-                    }]
-                }
-            ]
-        };
+                }, {
+                    "tag": "button",
+                    "text": {
+                        "tag": "plain_text",
+                        "content": "前往处理"
+                    },
+                    "type": "default",
+                    "url": TASK_CENTER_URL // [核心修改] 使用配置的URL
+                }]
+            }
+        ]
+    };
 
-        // 3. 调用飞书API发送消息
-        const feishuApiUrl = `https://open.feishu.cn/open-apis/im/v1/messages?receive_id_type=chat_id`;
-        const response = await axios.post(feishuApiUrl, {
+    // 2. 调用飞书API发送消息（凭证、重试与错误转换由 feishuRequest 处理）
+    await feishuRequest('post', '/im/v1/messages', {
+        params: { receive_id_type: 'chat_id' },
+        data: {
             receive_id: CHAT_ID,
             msg_type: 'interactive',
             content: JSON.stringify(cardJson)
-        }, {
-            headers: {
-                'Authorization': `Bearer ${accessToken}`,
-                'Content-Type': 'application/json; charset=utf-8',
-            }
-        });
+        },
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+    });
 
-        if (response.data.code !== 0) {
-            console.error("飞书API发送消息失败:", response.data);
-            throw new Error(`飞书API错误: ${response.data.msg}`);
-        }
-
-        console.log(`成功向 Chat ID ${CHAT_ID} 发送任务 ${taskId} 的通知卡片。`);
-
-        return {
-            statusCode: 200,
-            headers,
-            body: JSON.stringify({ success: true, message: '通知发送成功' }),
-        };
-
-    } catch (error) {
-        console.error('feishu-notifier 运行时发生错误:', error);
-        return {
-            statusCode: 500,
-            headers,
-            body: JSON.stringify({ success: false, message: error.message }),
-        };
-    }
-};
+    console.log(`成功向 Chat ID ${CHAT_ID} 发送任务 ${taskId} 的通知卡片。`);
 
+    return respond(200, { success: true, message: '通知发送成功' });
+});
@@ -0,0 +1,71 @@
+/**
+ * feishu-notifier 对飞书替身 (feishuFake) 发送任务卡片：消息内容、权限校验，以及发送失败时不重复发送。
+ */
+process.env.AUTH_JWT_SECRET = process.env.AUTH_JWT_SECRET || 'test-secret';
+process.env.FEISHU_APP_ID = process.env.FEISHU_APP_ID || 'cli_test';
+process.env.FEISHU_APP_SECRET = process.env.FEISHU_APP_SECRET || 'test-secret';
+process.env.FEISHU_CHAT_ID = process.env.FEISHU_CHAT_ID || 'oc_test_chat';
+process.env.TASK_CENTER_URL = process.env.TASK_CENTER_URL || 'https://example.com/tasks';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { signToken } = require('kol-common');
+const { createFeishuFake } = require('kol-common/feishuFake');
+const { handler } = require('../index.js');
+
+const postEvent = (roles, body) => ({
+    httpMethod: 'POST',
+    headers: { Authorization: `Bearer ${signToken({ sub: 'ou_test', name: 'Tester', roles })}` },
+    body: JSON.stringify(body)
+});
+
+const task = { _id: 'task_123', title: '合作超期未发布', projectName: '春季项目', description: '达人A 已超期 3 天' };
+
+function installFake(t) {
+    const fake = createFeishuFake();
+    fake.install();
+    t.after(() => fake.uninstall());
+    return fake;
+}
+
+test('向配置的群聊发送任务卡片', async (t) => {
+    const fake = installFake(t);
+    const response = await handler(postEvent(['operator'], task));
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(fake.messages.length, 1);
+    const [message] = fake.messages;
+    assert.equal(message.receive_id_type, 'chat_id');
+    assert.equal(message.receive_id, 'oc_test_chat');
+    assert.equal(message.msg_type, 'interactive');
+    assert.match(message.content.header.title.content, /合作超期未发布/);
+    const [completeButton, linkButton] = message.content.elements[2].actions;
+    assert.deepEqual(completeButton.value, { action: 'complete_task', task_id: 'task_123' });
+    assert.equal(linkButton.url, 'https://example.com/tasks');
+});
+
+test('缺少任务 ID 返回 400，viewer 返回 403，均不发送消息', async (t) => {
+    const fake = installFake(t);
+    assert.equal((await handler(postEvent(['operator'], { title: '无 ID' }))).statusCode, 400);
+    assert.equal((await handler(postEvent(['viewer'], task))).statusCode, 403);
+    assert.equal(fake.messages.length, 0);
+});
+
+test('飞书返回 5xx 时返回错误且不重复发送', async (t) => {
+    const fake = installFake(t);
+    fake.failNext('POST /im/v1/messages', { status: 500, code: 1 });
+    const response = await handler(postEvent(['operator'], task));
+
+    assert.equal(response.statusCode, 502);
+    assert.equal(JSON.parse(response.body).code, 'FEISHU_API_ERROR');
+    assert.equal(fake.calls.filter(call => call.path === '/im/v1/messages').length, 1);
+});
+
+test('触发频率限制时重试后发送成功', async (t) => {
+    const fake = installFake(t);
+    fake.failNext('POST /im/v1/messages');
+    const response = await handler(postEvent(['operator'], task));
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(fake.messages.length, 1);
+});
@@ -1,205 +1,149 @@
 /**
  * @file 云函数: generated-sheets-manager
- * @version 2.0.0 - Feishu File Deletion
+ * @version 2.4.1 - Refresh & Regenerate
  * @description
+ * - [v2.4] 记录可带 generation（生成时的任务选择 { primaryCollection, taskIds, destinationFolderToken, projectName }，来自 generateAutomationReport 的返回值）。
+ *   带 templateId 与 generation 的记录可通过 syncFromFeishu 的 refreshGeneratedSheet（写回同一张表格）与 regenerateGeneratedSheet（新建下一个版本）重新生成；
+ *   记录的 version 从 1 开始，重新生成的记录带 previousSheetId，刷新后更新 refreshedAt / refreshCount。
+ *   [v2.4.1] generation.taskIds 的每一项必须是有效的 ObjectId，否则返回 400，避免刷新 / 重新生成时才出错。
+ * - [v2.3] 记录可带生成时使用的映射模板 templateId 与 templateVersion（来自 generateAutomationReport 的返回值），便于追溯与按原版本重新生成。
+ * - [v2.2] 删除飞书文件改用 kol-common 的 feishuRequest（共享凭证、重试与超时），不再自行获取 tenant_access_token。
+ * - [多维表格] 记录可带 fileType（sheet / bitable，默认 sheet）、tableId 与 createdApp。删除时按 fileType 删除飞书云端文件；
+ *   报表写入的是已有多维表格 (createdApp: false) 时只删除本地记录，不删除他人的多维表格。
  * - [核心功能] 新增了在删除历史记录时，同步删除飞书云端电子表格的功能。
  * - [严谨性] 遵循“先删云端，再删本地”的原则。只有当飞书API确认文件删除成功后，才会删除数据库中的记录；否则操作将中断并返回错误。
- * - [依赖] 增加了 `axios` 用于和飞书API进行通信。
- * - [配置] 此函数现在需要 `FEISHU_APP_ID` 和 `FEISHU_APP_SECRET` 环境变量来获取飞书API的访问权限。
+ * - [配置] 此函数需要 `FEISHU_APP_ID` 和 `FEISHU_APP_SECRET` 环境变量来获取飞书API的访问权限。
  */
 
-const { MongoClient, ObjectId } = require('mongodb');
-const axios = require('axios');
+const { createHandler, getDb, respond, AppError, ObjectId, ANY_ROLE, WRITE_ROLES, feishuRequest } = require('kol-common');
 
 // --- 配置信息 ---
-const MONGO_URI = process.env.MONGODB_URI;
-const DB_NAME = 'kol_data';
 const COLLECTION_NAME = 'generated_sheets';
 
-// 飞书应用凭证，需要配置在云函数环境变量中
-const APP_ID = process.env.FEISHU_APP_ID;
-const APP_SECRET = process.env.FEISHU_APP_SECRET;
-
-// --- 模块级缓存 ---
-let cachedDb = null;
-let tenantAccessToken = null;
-let tokenExpiresAt = 0;
-
-// --- 数据库连接管理 ---
-async function connectToDatabase() {
-    if (cachedDb) {
-        return cachedDb;
-    }
-    const client = new MongoClient(MONGO_URI);
-    await client.connect();
-    const db = client.db(DB_NAME);
-    cachedDb = db;
-    return db;
-}
-
-// --- 飞书认证 ---
-async function getTenantAccessToken() {
-    if (Date.now() < tokenExpiresAt && tenantAccessToken) {
-        return tenantAccessToken;
-    }
-    if (!APP_ID || !APP_SECRET) {
-        throw new Error('环境变量 FEISHU_APP_ID 或 FEISHU_APP_SECRET 未配置。');
-    }
-    try {
-        const response = await axios.post(
-            'https://open.feishu.cn/open-apis/auth/v3/tenant_access_token/internal',
-            { app_id: APP_ID, app_secret: APP_SECRET }
-        );
-        if (response.data.code !== 0) {
-            throw new Error(`获取 tenant_access_token 失败: ${response.data.msg}`);
-        }
-        tenantAccessToken = response.data.tenant_access_token;
-        tokenExpiresAt = Date.now() + (response.data.expire - 300) * 1000; // 提前5分钟过期
-        return tenantAccessToken;
-    } catch (error) {
-        const errorMessage = error.response ? JSON.stringify(error.response.data) : error.message;
-        console.error("getTenantAccessToken error:", errorMessage);
-        throw new Error(`获取飞书 token 时发生网络或API错误: ${errorMessage}`);
-    }
-}
-
-
-// --- 统一响应工具 ---
-const createResponse = (statusCode, body) => {
-    return {
-        statusCode,
-        headers: {
-            'Content-Type': 'application/json',
-            'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
-            'Access-Control-Allow-Headers': 'Content-Type',
-        },
-        body: JSON.stringify(body),
-    };
-};
-
 // --- 云函数主处理程序 ---
-exports.handler = async (event, context) => {
-    // 预检请求处理
-    if (event.httpMethod === 'OPTIONS') {
-        return createResponse(204, {});
+exports.handler = createHandler({ name: 'generated-sheets-manager', methods: ['GET', 'POST', 'DELETE'], roles: { GET: ANY_ROLE, default: WRITE_ROLES } }, async (req) => {
+    const db = await getDb();
+    const collection = db.collection(COLLECTION_NAME);
+    const method = req.method;
+    const queryParams = req.query;
+
+    // --- API 路由逻辑 ---
+
+    // GET 和 POST 逻辑保持不变
+    if (method === 'GET') {
+        const { projectId } = queryParams;
+        if (!projectId) {
+            throw new AppError('projectId is required', 400);
+        }
+        const records = await collection.find({ projectId }).sort({ createdAt: -1 }).toArray();
+        return respond(200, { data: records });
     }
 
-    try {
-        const db = await connectToDatabase();
-        const collection = db.collection(COLLECTION_NAME);
-        const method = event.httpMethod;
-        const queryParams = event.queryStringParameters || {};
-
-        // --- API 路由逻辑 ---
-
-        // GET 和 POST 逻辑保持不变
-        if (method === 'GET') {
-            const { projectId } = queryParams;
-            if (!projectId) {
-                return createResponse(400, { error: 'projectId is required' });
+    if (method === 'POST') {
+        const body = req.body;
+        if (queryParams.action === 'migrate') {
+            const recordsToMigrate = body;
+            if (!Array.isArray(recordsToMigrate) || recordsToMigrate.length === 0) {
+                throw new AppError('Invalid migration data', 400);
             }
-            const records = await collection.find({ projectId }).sort({ createdAt: -1 }).toArray();
-            return createResponse(200, { data: records });
-        }
-
-        if (method === 'POST') {
-            const body = JSON.parse(event.body || 'null');
-            if (queryParams.action === 'migrate') {
-                const recordsToMigrate = body;
-                if (!Array.isArray(recordsToMigrate) || recordsToMigrate.length === 0) {
-                    return createResponse(400, { error: 'Invalid migration data' });
-                }
-                const tokens = recordsToMigrate.map(r => r.sheetToken).filter(Boolean);
-                const existingRecords = await collection.find({ sheetToken: { $in: tokens } }).toArray();
-                const existingTokens = new Set(existingRecords.map(r => r.sheetToken));
-                const newRecords = recordsToMigrate.filter(r => r.sheetToken && !existingTokens.has(r.sheetToken));
-
-                if (newRecords.length > 0) {
-                    const recordsToInsert = newRecords.map(r => ({
-                        projectId: r.projectId,
-                        fileName: r.fileName,
-                        sheetUrl: r.sheetUrl,
-                        sheetToken: r.sheetToken,
-                        createdBy: "migration",
-                        createdAt: new Date(r.timestamp || Date.now())
-                    }));
-                    await collection.insertMany(recordsToInsert);
-                }
-                return createResponse(200, { message: 'Migration complete', migrated: newRecords.length });
-            } else {
-                const { projectId, fileName, sheetUrl, sheetToken, createdBy } = body;
-                if (!projectId || !fileName || !sheetUrl || !sheetToken) {
-                    return createResponse(400, { error: 'Missing required fields' });
-                }
-                const newRecord = { projectId, fileName, sheetUrl, sheetToken, createdBy: createdBy || "unknown", createdAt: new Date() };
-                const result = await collection.insertOne(newRecord);
-                return createResponse(201, { data: { ...newRecord, _id: result.insertedId } });
+            const tokens = recordsToMigrate.map(r => r.sheetToken).filter(Boolean);
+            const existingRecords = await collection.find({ sheetToken: { $in: tokens } }).toArray();
+            const existingTokens = new Set(existingRecords.map(r => r.sheetToken));
+            const newRecords = recordsToMigrate.filter(r => r.sheetToken && !existingTokens.has(r.sheetToken));
+
+            if (newRecords.length > 0) {
+                const recordsToInsert = newRecords.map(r => ({
+                    projectId: r.projectId,
+                    fileName: r.fileName,
+                    sheetUrl: r.sheetUrl,
+                    sheetToken: r.sheetToken,
+                    createdBy: "migration",
+                    createdAt: new Date(r.timestamp || Date.now())
+                }));
+                await collection.insertMany(recordsToInsert);
             }
-        }
-
-        // [核心修改] 重写 DELETE 逻辑
-        if (method === 'DELETE') {
-            const { id } = queryParams;
-            if (!id || !ObjectId.isValid(id)) {
-                return createResponse(400, { error: 'Valid record id is required' });
+            return respond(200, { message: 'Migration complete', migrated: newRecords.length });
+        } else {
+            const { projectId, fileName, sheetUrl, sheetToken, createdBy, fileType, tableId, createdApp, templateId, templateVersion, generation } = body;
+            if (!projectId || !fileName || !sheetUrl || !sheetToken) {
+                throw new AppError('Missing required fields', 400);
             }
-            
-            // 步骤 1: 从数据库查找记录，获取 sheetToken
-            const recordToDelete = await collection.findOne({ _id: new ObjectId(id) });
-            if (!recordToDelete) {
-                // 如果记录本就不存在，直接返回成功，避免前端报错
-                return createResponse(204, {});
+            const newRecord = { projectId, fileName, sheetUrl, sheetToken, createdBy: createdBy || "unknown", createdAt: new Date(), version: 1 };
+            if (fileType === 'bitable') {
+                Object.assign(newRecord, { fileType, tableId: tableId || null, createdApp: createdApp !== false });
             }
-
-            const sheetToken = recordToDelete.sheetToken;
-            
-            // 如果记录没有关联的 sheetToken，直接删除数据库记录即可
-            if (!sheetToken) {
-                await collection.deleteOne({ _id: new ObjectId(id) });
-                return createResponse(204, {});
+            if (templateId) {
+                const version = Number(templateVersion);
+                if (templateVersion !== undefined && templateVersion !== null && (!Number.isInteger(version) || version < 1)) {
+                    throw new AppError('templateVersion must be a positive integer.', 400);
+                }
+                Object.assign(newRecord, { templateId: String(templateId), templateVersion: templateVersion === undefined || templateVersion === null ? null : version });
             }
-
-            // 步骤 2: 调用飞书 API 删除云端文件
-            try {
-                const accessToken = await getTenantAccessToken();
-                console.log(`[Feishu API] Attempting to delete file with token: ${sheetToken}`);
-                await axios.delete(
-                    `https://open.feishu.cn/open-apis/drive/v1/files/${sheetToken}`,
-                    {
-                        headers: { 'Authorization': `Bearer ${accessToken}` },
-                        params: { type: 'sheet' } // 指定文件类型为电子表格
-                    }
-                );
-                console.log(`[Feishu API] Successfully deleted file: ${sheetToken}`);
-            } catch (feishuError) {
-                const status = feishuError.response?.status;
-                const feishuMsg = feishuError.response?.data?.msg || '未知飞书API错误';
-
-                // 特殊情况：如果文件在飞书上已经不存在 (404)，我们可以认为删除操作是“成功的”，然后继续删除数据库记录
-                if (status === 404) {
-                    console.warn(`[Feishu API] File with token ${sheetToken} not found on Feishu. Proceeding to delete local record.`);
-                } else {
-                    // 对于其他所有错误（如权限不足），严格遵守约定，中断操作并返回错误
-                    console.error('Failed to delete Feishu file:', feishuError.response ? feishuError.response.data : feishuError.message);
-                    return createResponse(502, { // 502 Bad Gateway 表示上游服务器出错
-                        error: 'Failed to delete the file in Feishu',
-                        message: `删除飞书文件失败：${feishuMsg} (Code: ${feishuError.response?.data?.code})`
-                    });
+            if (generation) {
+                const { primaryCollection, taskIds, destinationFolderToken, projectName } = generation;
+                if (!primaryCollection || !Array.isArray(taskIds) || taskIds.length === 0) {
+                    throw new AppError('generation requires primaryCollection and a non-empty taskIds array.', 400);
                 }
+                const invalidTaskId = taskIds.find(taskId => !ObjectId.isValid(String(taskId)));
+                if (invalidTaskId !== undefined) throw new AppError(`Invalid taskId in generation: ${invalidTaskId}`, 400);
+                newRecord.generation = {
+                    primaryCollection: String(primaryCollection),
+                    taskIds: taskIds.map(String),
+                    destinationFolderToken: destinationFolderToken || null,
+                    projectName: projectName || null
+                };
             }
-            
-            // 步骤 3: 飞书文件删除成功（或已不存在）后，删除数据库记录
-            await collection.deleteOne({ _id: new ObjectId(id) });
-            console.log(`[MongoDB] Successfully deleted record with id: ${id}`);
+            const result = await collection.insertOne(newRecord);
+            return respond(201, { data: { ...newRecord, _id: result.insertedId } });
+        }
+    }
 
-            return createResponse(204, {}); // 204 No Content 表示成功删除
+    // [核心修改] 重写 DELETE 逻辑
+    if (method === 'DELETE') {
+        const { id } = queryParams;
+        if (!id || !ObjectId.isValid(id)) {
+            throw new AppError('Valid record id is required', 400);
+        }
+        
+        // 步骤 1: 从数据库查找记录，获取 sheetToken
+        const recordToDelete = await collection.findOne({ _id: new ObjectId(id) });
+        if (!recordToDelete) {
+            // 如果记录本就不存在，直接返回成功，避免前端报错
+            return respond(204, {});
         }
 
-        return createResponse(404, { error: 'Not Found' });
+        const sheetToken = recordToDelete.sheetToken;
+        
+        // 如果记录没有关联的 sheetToken，或报表写入的是已有的多维表格，直接删除数据库记录即可
+        if (!sheetToken || recordToDelete.createdApp === false) {
+            await collection.deleteOne({ _id: new ObjectId(id) });
+            return respond(204, {});
+        }
 
-    } catch (error) {
-        console.error('An error occurred:', error);
-        return createResponse(500, { error: 'Internal Server Error', message: error.message });
+        // 步骤 2: 调用飞书 API 删除云端文件
+        try {
+            console.log(`[Feishu API] Attempting to delete file with token: ${sheetToken}`);
+            await feishuRequest('delete', `/drive/v1/files/${sheetToken}`, {
+                params: { type: recordToDelete.fileType || 'sheet' } // 电子表格或多维表格
+            });
+            console.log(`[Feishu API] Successfully deleted file: ${sheetToken}`);
+        } catch (feishuError) {
+            // 特殊情况：如果文件在飞书上已经不存在 (404)，我们可以认为删除操作是“成功的”，然后继续删除数据库记录
+            if (feishuError.httpStatus === 404) {
+                console.warn(`[Feishu API] File with token ${sheetToken} not found on Feishu. Proceeding to delete local record.`);
+            } else {
+                // 对于其他所有错误（如权限不足），严格遵守约定，中断操作并返回错误（FeishuApiError 默认 502，频率限制为 429）
+                console.error('Failed to delete Feishu file:', feishuError.message);
+                throw feishuError;
+            }
+        }
+        
+        // 步骤 3: 飞书文件删除成功（或已不存在）后，删除数据库记录
+        await collection.deleteOne({ _id: new ObjectId(id) });
+        console.log(`[MongoDB] Successfully deleted record with id: ${id}`);
+
+        return respond(204, {}); // 204 No Content 表示成功删除
     }
-};
+
+    throw new AppError('Not Found', 404);
+});
@@ -0,0 +1,88 @@
+/**
+ * @file getAuditEvents/index.js
+ * @version 1.0.2
+ * @description 查询统一审计日志 (audit_events)，支持服务端分页。
+ * - [筛选] entityType / entityId / userId / action / source / field，以及 from / to 时间范围（ISO 日期或时间）。
+ * - [典型用法] 查询某条合作记录的返点由谁、在何时修改：?entityType=collaboration&entityId=collab_xxx&field=actualRebate
+ * - [权限] 审计数据包含财务字段的历史值，仅 finance / admin 可查询。
+ * - [v1.0.1] page 至少为 1，pageSize 限制在 1 ~ 200，负数或非数字不再导致查询失败。
+ * - [v1.0.2] 只有日期的 from / to（如 2025-03-01）按北京时间解析：from 为当天 0 点，to 包含当天全天（< 次日 0 点），
+ *   此前 to 被解析为 UTC 0 点，当天的事件会被漏掉。
+ */
+
+const { createHandler, getDb, respond, AppError, AUDIT_COLLECTION, FINANCE_ROLES } = require('kol-common');
+
+const MAX_PAGE_SIZE = 200;
+const DATE_ONLY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+// 北京时间固定为 UTC+8
+const SHANGHAI_OFFSET_MS = 8 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 解析时间参数。只有日期时返回北京时间当天 0 点，并标记 dateOnly。
+ * @returns {{ date: Date, dateOnly: boolean } | null}
+ */
+function parseDateParam(value, name) {
+  if (!value) return null;
+  const dateOnly = DATE_ONLY_PATTERN.exec(value);
+  let date;
+  if (dateOnly) {
+    const [, year, month, day] = dateOnly.map(Number);
+    const utc = new Date(Date.UTC(year, month - 1, day));
+    // 2025-02-30 之类的日期会被 Date.UTC 顺延，视为无效
+    date = utc.getUTCMonth() === month - 1 && utc.getUTCDate() === day ? new Date(utc.getTime() - SHANGHAI_OFFSET_MS) : new Date(NaN);
+  } else {
+    date = new Date(value);
+  }
+  if (isNaN(date.getTime())) {
+    throw new AppError(`参数 ${name} 不是有效的日期: ${value}`, 400);
+  }
+  return { date, dateOnly: Boolean(dateOnly) };
+}
+
+exports.handler = createHandler({ name: 'getAuditEvents', methods: ['GET'], roles: FINANCE_ROLES }, async (req) => {
+  const db = await getDb();
+  const collection = db.collection(AUDIT_COLLECTION);
+
+  const queryParams = req.query;
+  const page = Math.max(1, parseInt(queryParams.page) || 1);
+  const pageSize = Math.max(1, Math.min(parseInt(queryParams.pageSize) || 50, MAX_PAGE_SIZE));
+  const from = parseDateParam(queryParams.from, 'from');
+  const to = parseDateParam(queryParams.to, 'to');
+
+  const filter = {};
+  if (queryParams.entityType) filter.entityType = queryParams.entityType;
+  if (queryParams.entityId) filter.entityId = queryParams.entityId;
+  if (queryParams.userId) filter['actor.id'] = queryParams.userId;
+  if (queryParams.action) filter.action = queryParams.action;
+  if (queryParams.source) filter.source = queryParams.source;
+  if (queryParams.field) filter['changes.field'] = queryParams.field;
+  if (from || to) {
+    filter.timestamp = {};
+    if (from) filter.timestamp.$gte = from.date;
+    if (to && to.dateOnly) filter.timestamp.$lt = new Date(to.date.getTime() + DAY_MS);
+    else if (to) filter.timestamp.$lte = to.date;
+  }
+
+  const [events, totalItems] = await Promise.all([
+    collection.find(filter, { projection: { _id: 0 } })
+      .sort({ timestamp: -1 })
+      .skip((page - 1) * pageSize)
+      .limit(pageSize)
+      .toArray(),
+    collection.countDocuments(filter),
+  ]);
+
+  return respond(200, {
+    success: true,
+    data: {
+      pagination: {
+        page,
+        pageSize,
+        totalItems,
+        totalPages: Math.ceil(totalItems / pageSize)
+      },
+      events
+    }
+  });
+});
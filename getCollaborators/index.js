@@ -1,7 +1,13 @@
 /**
  * @file getcollaborators.js
- * @version 6.1-status-filtering
+ * @version 6.3-finance-rules
  * @description [架构升级] 增加按合作状态筛选的功能，同时保持向后兼容。
+ * * --- 更新日志 (v6.3) ---
+ * - [财务规则] metrics 按所属项目创建时生效的 FINANCE_RULES 计算。
+ * * --- 更新日志 (v6.2) ---
+ * - [财务引擎] metrics 改由 kol-common 共享财务引擎计算，与 getProjects / getAnalysisData 口径一致。
+ * - [修复] 资金费率此前从不存在的 projectCapitalRates 集合读取（始终回落到 0.7%），现与 getProjects 一样从 project_configurations 按 capitalRateId 读取。
+ * - [兼容] sortBy 仍支持 income / grossProfit 等指标字段，此时在内存中排序分页。
  * * --- 更新日志 (v6.1) ---
  * - [核心功能] 新增了对 `statuses` 查询参数的支持。前端可以传递一个以逗号分隔的状态列表 (如: "客户已定档,视频已发布")。
  * - [动态查询] 如果 `statuses` 参数存在，函数会在数据库查询的 `$match` 阶段动态加入 `$in` 过滤器。
@@ -11,226 +17,170 @@
  * - [业务升级] 支持达人多次合作模式，返回 `plannedReleaseDate` 字段。
  */
 
-const { MongoClient } = require('mongodb');
+const {
+  createHandler, getDb, respond, AppError,
+  calculateCollaborationFinance, loadFinanceContext, buildFinanceOptions, round2
+} = require('kol-common');
 
-const MONGO_URI = process.env.MONGO_URI;
-const DB_NAME = process.env.MONGO_DB_NAME || 'kol_data';
 const COLLABS_COLLECTION = 'collaborations';
 const PROJECTS_COLLECTION = 'projects';
 const TALENTS_COLLECTION = 'talents';
-const CAPITAL_RATES_COLLECTION = 'projectCapitalRates'; 
 
-let client;
+// 可用于 sortBy 的财务指标字段
+const METRIC_FIELDS = ['income', 'expense', 'rebateReceivable', 'fundsOccupationCost', 'grossProfit', 'grossProfitMargin'];
 
-async function connectToDatabase() {
-  if (client && client.topology && client.topology.isConnected()) {
-    return client;
-  }
-  client = new MongoClient(MONGO_URI);
-  await client.connect();
-  return client;
+/**
+ * [v6.2] 使用共享财务引擎为每条合作记录计算 metrics，并移除计算用的 projectInfo
+ */
+async function attachMetrics(db, collaborators) {
+  const financeContext = await loadFinanceContext(db, collaborators.map(c => c.projectInfo));
+  const now = new Date();
+  return collaborators.map(({ projectInfo = {}, ...collab }) => {
+    const finance = calculateCollaborationFinance(collab, projectInfo, buildFinanceOptions(financeContext, projectInfo, now));
+    const metrics = {};
+    METRIC_FIELDS.forEach(field => { metrics[field] = round2(finance[field]); });
+    return { ...collab, metrics };
+  });
 }
 
-exports.handler = async (event, context) => {
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
-    'Access-Control-Allow-Methods': 'GET, OPTIONS',
-    'Content-Type': 'application/json'
-  };
-
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 204, headers, body: '' };
+exports.handler = createHandler({ name: 'getCollaborators', methods: ['GET'] }, async (req) => {
+  const queryParams = req.query;
+  const { 
+      projectId, 
+      collaborationId, 
+      view, 
+      allowGlobal,
+      page = '1',
+      limit = '10',
+      sortBy = 'createdAt',
+      order = 'desc',
+      statuses // [v6.1 新增] 接收 statuses 参数
+  } = queryParams;
+
+  const pageNum = parseInt(page, 10);
+  const limitNum = parseInt(limit, 10);
+  const skipNum = (pageNum - 1) * limitNum;
+  const sortOrder = order === 'asc' ? 1 : -1;
+
+  const isGlobalQueryAllowed = allowGlobal === 'true';
+  const hasRequiredFilter = projectId || collaborationId;
+
+  if (view !== 'simple' && !hasRequiredFilter && !isGlobalQueryAllowed) {
+    throw new AppError('这是一个重量级查询，请求参数中必须包含 projectId 或 collaborationId，或明确设置 allowGlobal=true。', 400);
   }
+  
+  const db = await getDb();
+  const collabsCollection = db.collection(COLLABS_COLLECTION);
+
+  if (view === 'simple') {
+    let simpleQuery = {};
+    if (projectId) simpleQuery.projectId = projectId;
+    if (collaborationId) simpleQuery.id = collaborationId;
+    const simpleProjection = { _id: 0, id: 1, talentId: 1, status: 1, projectId: 1 };
+    const simpleData = await collabsCollection.find(simpleQuery, { projection: simpleProjection }).toArray();
+    return respond(200, { success: true, data: simpleData });
+  }
+  
+  // --- [v6.1 核心修改] ---
+  // 动态构建聚合管道的 $match 阶段
+  const matchStage = {};
+  if (projectId) {
+      matchStage.projectId = projectId;
+  }
+  if (collaborationId) {
+      matchStage.id = collaborationId;
+  }
+  // 如果 statuses 参数存在，则解析并添加到查询条件中
+  if (statuses) {
+      const statusArray = statuses.split(',').map(s => s.trim()).filter(s => s);
+      if (statusArray.length > 0) {
+          matchStage.status = { $in: statusArray };
+      }
+  }
+  // --- 修改结束 ---
 
-  try {
-    const queryParams = event.queryStringParameters || {};
-    const { 
-        projectId, 
-        collaborationId, 
-        view, 
-        allowGlobal,
-        page = '1',
-        limit = '10',
-        sortBy = 'createdAt',
-        order = 'desc',
-        statuses // [v6.1 新增] 接收 statuses 参数
-    } = queryParams;
-
-    const pageNum = parseInt(page, 10);
-    const limitNum = parseInt(limit, 10);
-    const skipNum = (pageNum - 1) * limitNum;
-    const sortOrder = order === 'asc' ? 1 : -1;
-
-    const isGlobalQueryAllowed = allowGlobal === 'true';
-    const hasRequiredFilter = projectId || collaborationId;
-
-    if (view !== 'simple' && !hasRequiredFilter && !isGlobalQueryAllowed) {
-         return { 
-             statusCode: 400, 
-             headers, 
-             body: JSON.stringify({ 
-                 success: false, 
-                 message: '这是一个重量级查询，请求参数中必须包含 projectId 或 collaborationId，或明确设置 allowGlobal=true。' 
-            }) 
-        };
+  const aggregationPipeline = [];
+  // 只有当 matchStage 包含至少一个条件时，才将其推入管道
+  if (Object.keys(matchStage).length > 0) {
+      aggregationPipeline.push({ $match: matchStage });
+  }
+  
+  // 后续的聚合管道阶段保持不变
+  aggregationPipeline.push(
+    { $lookup: { from: PROJECTS_COLLECTION, localField: 'projectId', foreignField: 'id', as: 'projectInfo' } },
+    { $lookup: { from: TALENTS_COLLECTION, localField: 'talentId', foreignField: 'id', as: 'talentInfo' } },
+    { $unwind: { path: '$projectInfo', preserveNullAndEmptyArrays: true } },
+    { $unwind: { path: '$talentInfo', preserveNullAndEmptyArrays: true } }
+  );
+
+  const finalProjection = {
+    _id: 0,
+    id: 1, projectId: 1, talentId: 1,
+    talentSource: 1,
+    amount: 1, priceInfo: 1, rebate: 1, orderType: 1,
+    status: 1, orderDate: 1, publishDate: 1, videoId: 1, paymentDate: 1,
+    plannedReleaseDate: 1,
+    actualRebate: 1, recoveryDate: 1, createdAt: 1, updatedAt: 1,
+    contentFile: 1, taskId: 1,
+    rebateScreenshots: 1,
+    discrepancyReason: 1,
+    discrepancyReasonUpdatedAt: 1,
+    talentInfo: {
+      nickname: '$talentInfo.nickname',
+      xingtuId: '$talentInfo.xingtuId',
+      uid: '$talentInfo.uid',
+      level: '$talentInfo.talentTier',
+      tags: '$talentInfo.talentType'
+    },
+    // 仅供财务引擎计算 metrics 使用，返回前移除
+    projectInfo: {
+      status: '$projectInfo.status',
+      discount: '$projectInfo.discount',
+      capitalRateId: '$projectInfo.capitalRateId',
+      createdAt: '$projectInfo.createdAt'
     }
-    
-    const dbClient = await connectToDatabase();
-    const db = dbClient.db(DB_NAME);
-    const collabsCollection = db.collection(COLLABS_COLLECTION);
+  };
 
-    if (view === 'simple') {
-      let simpleQuery = {};
-      if (projectId) simpleQuery.projectId = projectId;
-      if (collaborationId) simpleQuery.id = collaborationId;
-      const simpleProjection = { _id: 0, id: 1, talentId: 1, status: 1, projectId: 1 };
-      const simpleData = await collabsCollection.find(simpleQuery, { projection: simpleProjection }).toArray();
-      return {
-        statusCode: 200, headers,
-        body: JSON.stringify({ success: true, data: simpleData })
-      };
-    }
-    
-    // --- [v6.1 核心修改] ---
-    // 动态构建聚合管道的 $match 阶段
-    const matchStage = {};
-    if (projectId) {
-        matchStage.projectId = projectId;
-    }
+  const buildResponse = (data, total) => {
     if (collaborationId) {
-        matchStage.id = collaborationId;
+        if (data.length === 0) { throw new AppError('未找到指定的合作记录', 404); }
+        return respond(200, { success: true, data: data[0] });
     }
-    // 如果 statuses 参数存在，则解析并添加到查询条件中
-    if (statuses) {
-        const statusArray = statuses.split(',').map(s => s.trim()).filter(s => s);
-        if (statusArray.length > 0) {
-            matchStage.status = { $in: statusArray };
-        }
-    }
-    // --- 修改结束 ---
 
-    const aggregationPipeline = [];
-    // 只有当 matchStage 包含至少一个条件时，才将其推入管道
-    if (Object.keys(matchStage).length > 0) {
-        aggregationPipeline.push({ $match: matchStage });
-    }
-    
-    // 后续的聚合管道阶段保持不变
-    aggregationPipeline.push(
-      { $lookup: { from: PROJECTS_COLLECTION, localField: 'projectId', foreignField: 'id', as: 'projectInfo' } },
-      { $lookup: { from: TALENTS_COLLECTION, localField: 'talentId', foreignField: 'id', as: 'talentInfo' } },
-      { $unwind: { path: '$projectInfo', preserveNullAndEmptyArrays: true } },
-      { $unwind: { path: '$talentInfo', preserveNullAndEmptyArrays: true } },
-      { $lookup: { from: CAPITAL_RATES_COLLECTION, localField: 'projectInfo.capitalRateId', foreignField: 'id', as: 'capitalRateInfo' } },
-      { $unwind: { path: '$capitalRateInfo', preserveNullAndEmptyArrays: true } },
-      {
-        $addFields: {
-            'amountNum': { $cond: { if: { $in: ['$amount', [null, ""]] }, then: 0, else: { $toDouble: '$amount' } } },
-            'rebateNum': { $cond: { if: { $in: ['$rebate', [null, ""]] }, then: 0, else: { $toDouble: '$rebate' } } },
-            'projectDiscountNum': { $cond: { if: { $in: ['$projectInfo.discount', [null, ""]] }, then: 1, else: { $toDouble: '$projectInfo.discount' } } },
-            'actualRebateNum': { $cond: { if: { $in: ['$actualRebate', [null, ""]] }, then: null, else: { $toDouble: '$actualRebate' } } },
-            'monthlyRatePercent': { $let: { vars: { rateValue: { $ifNull: ['$capitalRateInfo.value', 0.7] } }, in: { $cond: { if: { $eq: ['$$rateValue', ""] }, then: 0.7, else: { $toDouble: '$$rateValue' } } } } },
-            'orderDateObj': { $cond: { if: { $and: [{$ne: ['$orderDate', null]}, {$ne: ['$orderDate', ""]}] }, then: { $toDate: '$orderDate' }, else: null } },
-            'paymentDateObj': { $cond: { if: { $and: [{$ne: ['$paymentDate', null]}, {$ne: ['$paymentDate', ""]}] }, then: { $toDate: '$paymentDate' }, else: '$$NOW' } }
-        }
-    },
-    {
-      $addFields: {
-        'income': { $multiply: ['$amountNum', '$projectDiscountNum', 1.05] },
-        'expense': { $cond: { if: { $eq: ['$orderType', 'original'] }, then: { $multiply: ['$amountNum', 1.05] }, else: { $cond: { if: { $gt: ['$rebateNum', 20] }, then: { $multiply: ['$amountNum', 0.8, 1.05] }, else: { $multiply: ['$amountNum', { $subtract: [1, { $divide: ['$rebateNum', 100] }] }, 1.05] } } } } },
-        'rebateReceivable': { $cond: { if: { $eq: ['$orderType', 'original'] }, then: { $multiply: ['$amountNum', { $divide: ['$rebateNum', 100] }] }, else: { $cond: { if: { $gt: ['$rebateNum', 20] }, then: { $multiply: ['$amountNum', { $subtract: [{ $divide: ['$rebateNum', 100] }, 0.20] }] }, else: 0 } } } }
-      }
-    },
-    {
-        $addFields: {
-            'occupationDays': { $ifNull: [ { $cond: { if: '$orderDateObj', then: { $max: [0, { $divide: [{ $subtract: ['$paymentDateObj', '$orderDateObj'] }, 1000 * 60 * 60 * 24] }] }, else: 0 }}, 0 ] }
-        }
-    },
-    {
-        $addFields: {
-            'fundsOccupationCost': { $multiply: [ '$expense', { $divide: [ { $divide: ['$monthlyRatePercent', 100] }, 30 ] }, '$occupationDays' ] },
-            'rebateForProfitCalc': { $cond: { if: { $eq: ['$projectInfo.status', '已终结'] }, then: { $ifNull: ['$actualRebateNum', 0] }, else: { $ifNull: ['$actualRebateNum', '$rebateReceivable'] } } }
-        }
-    },
-    {
-        $addFields: { 'grossProfit': { $add: ['$income', '$rebateForProfitCalc', { $multiply: ['$expense', -1] }] } }
-    },
-    {
-        $addFields: { 'grossProfitMargin': { $cond: { if: { $eq: ['$income', 0] }, then: 0, else: { $multiply: [{ $divide: ['$grossProfit', '$income'] }, 100] } } } }
+    return respond(200, {
+      success: true,
+      total,
+      page: pageNum,
+      limit: limitNum,
+      data
     });
+  };
 
-    const finalProjection = {
-      _id: 0,
-      id: 1, projectId: 1, talentId: 1,
-      talentSource: 1,
-      amount: 1, priceInfo: 1, rebate: 1, orderType: 1,
-      status: 1, orderDate: 1, publishDate: 1, videoId: 1, paymentDate: 1,
-      plannedReleaseDate: 1,
-      actualRebate: 1, recoveryDate: 1, createdAt: 1, updatedAt: 1,
-      contentFile: 1, taskId: 1,
-      rebateScreenshots: 1,
-      discrepancyReason: 1,
-      discrepancyReasonUpdatedAt: 1,
-      talentInfo: {
-        nickname: '$talentInfo.nickname',
-        xingtuId: '$talentInfo.xingtuId',
-        uid: '$talentInfo.uid',
-        level: '$talentInfo.talentTier',
-        tags: '$talentInfo.talentType'
-      },
-      metrics: {
-        income: { $round: ['$income', 2] },
-        expense: { $round: ['$expense', 2] },
-        rebateReceivable: { $round: ['$rebateReceivable', 2] },
-        fundsOccupationCost: { $round: ['$fundsOccupationCost', 2] },
-        grossProfit: { $round: ['$grossProfit', 2] },
-        grossProfitMargin: { $round: ['$grossProfitMargin', 2] }
-      }
-    };
-
-    const facetStage = {
-      $facet: {
-        paginatedResults: [
-          { $sort: { [sortBy]: sortOrder } },
-          { $skip: skipNum },
-          { $limit: limitNum },
-          { $project: finalProjection }
-        ],
-        totalCount: [
-          { $count: 'count' }
-        ]
-      }
-    };
-    aggregationPipeline.push(facetStage);
-    
-    const results = await collabsCollection.aggregate(aggregationPipeline).toArray();
-    const collaborators = results[0].paginatedResults;
-    const totalCount = results[0].totalCount.length > 0 ? results[0].totalCount[0].count : 0;
+  // [v6.2] 按财务指标排序时需先计算全部记录的指标，再在内存中排序分页
+  if (METRIC_FIELDS.includes(sortBy)) {
+    aggregationPipeline.push({ $project: finalProjection });
+    const allCollaborators = await attachMetrics(db, await collabsCollection.aggregate(aggregationPipeline).toArray());
+    allCollaborators.sort((a, b) => (a.metrics[sortBy] - b.metrics[sortBy]) * sortOrder);
+    return buildResponse(allCollaborators.slice(skipNum, skipNum + limitNum), allCollaborators.length);
+  }
 
-    if (collaborationId) {
-        if (collaborators.length === 0) { return { statusCode: 404, headers, body: JSON.stringify({ success: false, message: '未找到指定的合作记录' }) }; }
-        return { statusCode: 200, headers, body: JSON.stringify({ success: true, data: collaborators[0] }) };
+  const facetStage = {
+    $facet: {
+      paginatedResults: [
+        { $sort: { [sortBy]: sortOrder } },
+        { $skip: skipNum },
+        { $limit: limitNum },
+        { $project: finalProjection }
+      ],
+      totalCount: [
+        { $count: 'count' }
+      ]
     }
-    
-    return {
-      statusCode: 200,
-      headers,
-      body: JSON.stringify({ 
-          success: true, 
-          total: totalCount,
-          page: pageNum,
-          limit: limitNum,
-          data: collaborators 
-      }),
-    };
-
-  } catch (error) {
-    console.error('处理请求时发生错误:', error);
-    return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({ success: false, message: '服务器内部错误', error: error.message })
-    };
-  }
-};
+  };
+  aggregationPipeline.push(facetStage);
+  
+  const results = await collabsCollection.aggregate(aggregationPipeline).toArray();
+  const collaborators = await attachMetrics(db, results[0].paginatedResults);
+  const totalCount = results[0].totalCount.length > 0 ? results[0].totalCount[0].count : 0;
+  return buildResponse(collaborators, totalCount);
+});
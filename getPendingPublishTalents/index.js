@@ -7,24 +7,11 @@
  * - [API行为] 现在此接口将只返回真正触发了“视频未发布”任务的合作记录。
  */
 
-const { MongoClient, ObjectId } = require('mongodb');
+const { createHandler, getDb, respond, AppError } = require('kol-common');
 
-const MONGO_URI = process.env.MONGO_URI;
-const DB_NAME = process.env.MONGO_DB_NAME || 'kol_data';
 const COLLABORATIONS_COLLECTION = 'collaborations';
 const TALENTS_COLLECTION = 'talents';
 
-let client;
-
-async function connectToDatabase() {
-  if (client && client.topology && client.topology.isConnected()) {
-    return client;
-  }
-  client = new MongoClient(MONGO_URI);
-  await client.connect();
-  return client;
-}
-
 // [新增] 获取 YYYY-MM-DD 格式的日期字符串
 function getTodayDateString() {
     const today = new Date();
@@ -34,72 +21,46 @@ function getTodayDateString() {
     return `${year}-${month}-${day}`;
 }
 
-exports.handler = async (event, context) => {
-    const headers = {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
-        'Access-Control-Allow-Methods': 'GET, OPTIONS',
-        'Content-Type': 'application/json'
-    };
+exports.handler = createHandler({ name: 'getPendingPublishTalents', methods: ['GET'] }, async (req) => {
+    const projectId = req.query.projectId || null;
 
-    if (event.httpMethod === 'OPTIONS') {
-        return { statusCode: 204, headers, body: '' };
+    if (!projectId) {
+        throw new AppError('缺少 projectId 查询参数', 400);
     }
 
-    try {
-        const projectId = event.queryStringParameters ? event.queryStringParameters.projectId : null;
-
-        if (!projectId) {
-            return { statusCode: 400, headers, body: JSON.stringify({ success: false, message: '缺少 projectId 查询参数' }) };
-        }
-
-        const dbClient = await connectToDatabase();
-        const db = dbClient.db(DB_NAME);
+    const db = await getDb();
 
-        const collabsCol = db.collection(COLLABORATIONS_COLLECTION);
-        const talentsCol = db.collection(TALENTS_COLLECTION);
+    const collabsCol = db.collection(COLLABORATIONS_COLLECTION);
+    const talentsCol = db.collection(TALENTS_COLLECTION);
 
-        const todayStr = getTodayDateString();
+    const todayStr = getTodayDateString();
 
-        // [核心修正] 修改了这里的查询逻辑
-        const pendingCollabs = await collabsCol.find({
-            projectId: projectId,
-            status: '客户已定档',
-            // 关键：增加了日期过滤，只查找计划发布日期是今天或以前的记录
-            plannedReleaseDate: { $ne: null, $lte: todayStr } 
-        }).toArray();
+    // [核心修正] 修改了这里的查询逻辑
+    const pendingCollabs = await collabsCol.find({
+        projectId: projectId,
+        status: '客户已定档',
+        // 关键：增加了日期过滤，只查找计划发布日期是今天或以前的记录
+        plannedReleaseDate: { $ne: null, $lte: todayStr } 
+    }).toArray();
 
-        if (pendingCollabs.length === 0) {
-            return { statusCode: 200, headers, body: JSON.stringify({ success: true, data: [] }) };
-        }
-
-        const talentIds = pendingCollabs.map(c => c.talentId);
-        
-        const talentQuery = { id: { $in: talentIds } };
-        const talents = await talentsCol.find(talentQuery).project({ id: 1, nickname: 1, _id: 0 }).toArray();
-        const talentMap = new Map(talents.map(t => [t.id, t.nickname]));
-
-        const responseData = pendingCollabs.map(collab => ({
-            collaborationId: collab.id,
-            talentName: talentMap.get(collab.talentId) || '未知达人',
-            videoId: collab.videoId || '',
-            // [修正] 返回 plannedReleaseDate 以便调试，实际前端可能不需要
-            plannedReleaseDate: collab.plannedReleaseDate || '', 
-            publishDate: collab.publishDate || ''
-        }));
-        
-        return {
-            statusCode: 200,
-            headers,
-            body: JSON.stringify({ success: true, data: responseData })
-        };
-
-    } catch (error) {
-        console.error('Error in getPendingPublishTalents:', error);
-        return {
-            statusCode: 500,
-            headers,
-            body: JSON.stringify({ success: false, message: '服务器内部错误', error: error.message })
-        };
+    if (pendingCollabs.length === 0) {
+        return respond(200, { success: true, data: [] });
     }
-};
+
+    const talentIds = pendingCollabs.map(c => c.talentId);
+    
+    const talentQuery = { id: { $in: talentIds } };
+    const talents = await talentsCol.find(talentQuery).project({ id: 1, nickname: 1, _id: 0 }).toArray();
+    const talentMap = new Map(talents.map(t => [t.id, t.nickname]));
+
+    const responseData = pendingCollabs.map(collab => ({
+        collaborationId: collab.id,
+        talentName: talentMap.get(collab.talentId) || '未知达人',
+        videoId: collab.videoId || '',
+        // [修正] 返回 plannedReleaseDate 以便调试，实际前端可能不需要
+        plannedReleaseDate: collab.plannedReleaseDate || '', 
+        publishDate: collab.publishDate || ''
+    }));
+    
+    return respond(200, { success: true, data: responseData });
+});
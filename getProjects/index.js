@@ -1,7 +1,16 @@
 /**
  * @file getprojects_2.js
- * @version 4.9-tracking-status
+ * @version 5.3-preview-tokens
  * @description 支持新的 trackingStatus 字段
+ * * --- 更新日志 (v5.3) ---
+ * - [预览凭证] projectFiles 的预览链接附带 token 参数（signPreviewToken 签发，15 分钟内有效且只能预览该文件），previewFile 据此校验
+ * * --- 更新日志 (v5.2) ---
+ * - [财务规则] 税费系数、改价单返点阈值与默认资金费率按项目创建时生效的 FINANCE_RULES 计算
+ * * --- 更新日志 (v5.1) ---
+ * - [财务引擎] 项目 metrics 改由 kol-common 的财务引擎 (calculateProjectFinance) 计算，与其他接口共用同一套公式
+ * - [重构] 聚合管道只负责关联 collaborations / talents / projectFiles，移除管道内的财务计算阶段；返回字段保持不变
+ * * --- 更新日志 (v5.0) ---
+ * - [架构统一] 数据库连接、CORS、参数解析与错误响应改由共享运行时 kol-common 提供
  * * --- 更新日志 (v4.9) ---
  * - [字段升级] 在 simple 和 full 视图中都返回 trackingStatus 字段
  * - [向后兼容] 继续返回 trackingEnabled 字段以兼容旧前端
@@ -23,366 +32,171 @@
  * * --- 历史更新 (v4.6) ---
  * - [核心BUG修复] 修复了资金占用费用因按秒计算导致每次刷新值都变化的问题。
  */
-const { MongoClient } = require('mongodb');
+const { createHandler, getDb, respond, AppError, calculateProjectFinance, loadFinanceContext, buildFinanceOptions, signPreviewToken } = require('kol-common');
 
-// --- 环境变量与数据库连接 (保持不变) ---
-const MONGO_URI = process.env.MONGO_URI;
-const DB_NAME = process.env.MONGO_DB_NAME || 'kol_data';
+// --- 集合名称与环境变量 ---
 const PROJECTS_COLLECTION = 'projects';
 const COLLABS_COLLECTION = 'collaborations';
 const TALENTS_COLLECTION = 'talents'; // [v4.8 新增]
-const RATES_COLLECTION = 'projectCapitalRates';
 const API_GATEWAY_BASE_URL = process.env.API_GATEWAY_BASE_URL;
+const PREVIEW_FILE_PATH = '/preview-file?fileKey=';
 
-let client;
-async function connectToDatabase() {
-  if (client && client.topology && client.topology.isConnected()) {
-    return client;
+// [v5.3] 为预览链接附带只能预览该文件的短期凭证；签发用的 fileKey 与 previewFile 解码后得到的值一致
+function withPreviewToken(url) {
+  const index = typeof url === 'string' ? url.indexOf(PREVIEW_FILE_PATH) : -1;
+  if (index === -1) return url;
+  try {
+    const fileKey = decodeURIComponent(url.slice(index + PREVIEW_FILE_PATH.length));
+    return `${url}&token=${encodeURIComponent(signPreviewToken(fileKey))}`;
+  } catch (error) {
+    console.warn(`无法为预览链接签发凭证: ${url}`, error.message);
+    return url;
   }
-  client = new MongoClient(MONGO_URI);
-  await client.connect();
-  return client;
 }
 
-// [v4.6 修正] 统一费率集合名称
-const CAPITAL_RATES_COLLECTION = 'project_configurations';
-
-const safeToDouble = (field) => ({
-    $cond: {
-        if: { $and: [ { $ne: [field, null] }, { $ne: [field, ""] } ] },
-        then: { $toDouble: field },
-        else: 0
-    }
-});
-const safeToDoubleWithDefault = (field, defaultValue) => ({
-    $cond: {
-        if: { $and: [ { $ne: [field, null] }, { $ne: [field, ""] } ] },
-        then: { $toDouble: field },
-        else: defaultValue
-    }
-});
-
-
-exports.handler = async (event, context) => {
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
-    'Access-Control-Allow-Methods': 'GET, OPTIONS',
-    'Content-Type': 'application/json'
-  };
-
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 204, headers, body: '' };
-  }
 
+exports.handler = createHandler({ name: 'getProjects', methods: ['GET', 'POST'] }, async (req) => {
   if (!API_GATEWAY_BASE_URL) {
       console.error("严重错误: 环境变量 API_GATEWAY_BASE_URL 未配置。");
-      return {
-          statusCode: 500,
-          headers,
-          body: JSON.stringify({ success: false, message: "服务器配置不完整，无法生成预览链接。" })
-      };
+      throw new AppError("服务器配置不完整，无法生成预览链接。", 500, 'CONFIG_ERROR');
   }
 
-  try {
-    let queryParams = {};
-    if (event.queryStringParameters) { queryParams = event.queryStringParameters; }
-    if (event.body) { try { Object.assign(queryParams, JSON.parse(event.body)); } catch (e) { /* ignore */ } }
-
-    const { projectId, view } = queryParams;
-
-    const dbClient = await connectToDatabase();
-    const projectsCollection = dbClient.db(DB_NAME).collection(PROJECTS_COLLECTION);
-
-    const baseMatch = projectId ? { id: projectId } : {};
-
-    let projectsData;
-
-    // --- [兼容性保留] view=simple 逻辑完全不变 ---
-    if (view === 'simple') {
-      projectsData = await projectsCollection.find(baseMatch, {
-        // [v4.9 修改] 添加 trackingStatus 字段，保留 trackingEnabled 以兼容旧前端
-        projection: { _id: 0, id: 1, name: 1, status: 1, trackingEnabled: 1, trackingStatus: 1 }
-      }).toArray();
-    } else {
-      // --- 完整视图逻辑 ---
-      const aggregationPipeline = [
-        { $match: baseMatch },
-        { $project: { _id: 0 } },
-
-        // [v4.7] 关联 collaborations
-        {
-          $lookup: {
-            from: COLLABS_COLLECTION,
-            localField: 'id',
-            foreignField: 'projectId',
-            as: 'collaborations'
-          }
-        },
-
-        // [v4.8 新增] 关联 talents 集合以获取达人信息
-        {
-          $lookup: {
-            from: TALENTS_COLLECTION,
-            localField: 'collaborations.talentId',
-            foreignField: 'id',  // 假设 talents 集合使用 'id' 作为主键
-            as: 'talentsData'
-          }
-        },
-
-        // [v4.8 新增] 将 talentInfo 嵌入到每个 collaboration 中
-        {
-          $addFields: {
-            collaborations: {
-              $map: {
-                input: '$collaborations',
-                as: 'collab',
-                in: {
-                  $mergeObjects: [
-                    '$$collab',
-                    {
-                      talentInfo: {
-                        $arrayElemAt: [
-                          {
-                            $filter: {
-                              input: '$talentsData',
-                              as: 'talent',
-                              cond: { $eq: ['$$talent.id', '$$collab.talentId'] }
-                            }
-                          },
-                          0
-                        ]
-                      }
-                    }
-                  ]
-                }
-              }
-            }
-          }
-        },
-
-        // [v4.6 修正] 关联正确的配置集合
-        { $lookup: { from: CAPITAL_RATES_COLLECTION, localField: 'capitalRateId', foreignField: 'values.id', as: 'capitalRateInfo' } },
-        { $unwind: { path: '$capitalRateInfo', preserveNullAndEmptyArrays: true } },
-        {
-          $addFields: {
-            // [v4.6 修正] 从 capitalRateInfo.values 中正确提取费率
-            monthlyRatePercent: {
-              $let: {
-                 vars: {
-                    rateDoc: {
-                       $arrayElemAt: [
-                           { $filter: { input: "$capitalRateInfo.values", as: "rate", cond: { $eq: [ "$$rate.id", "$capitalRateId" ] } } }, 0
-                       ]
-                    }
-                 },
-                 in: { $ifNull: [ safeToDouble('$$rateDoc.value'), 0.7 ] }
-              }
-            },
-            confirmedCollaborations: { $filter: { input: '$collaborations', as: 'collab', cond: { $in: ['$$collab.status', ['客户已定档', '视频已发布']] } } }
-          }
-        },
-        {
-          $addFields: {
-            calculatedMetricsPerCollab: {
-              $map: {
-                input: '$confirmedCollaborations',
-                as: 'c',
-                in: {
-                  income: { $multiply: [ safeToDouble('$$c.amount'), safeToDoubleWithDefault('$discount', 1), 1.05 ] },
-                  expense: { $let: {
-                      vars: { amountNum: safeToDouble('$$c.amount'), rebateNum: safeToDouble('$$c.rebate') },
-                      in: { $cond: { if: { $eq: ['$$c.orderType', 'original'] }, then: { $multiply: ['$$amountNum', 1.05] }, else: { $cond: { if: { $gt: ['$$rebateNum', 20] }, then: { $multiply: ['$$amountNum', 0.8, 1.05] }, else: { $multiply: ['$$amountNum', { $subtract: [1, { $divide: ['$$rebateNum', 100] }] }, 1.05] } } } } }
-                  }},
-                  rebateForProfitCalc: { $let: {
-                      vars: {
-                          actualRebate: { $cond: { if: { $ne: ['$$c.actualRebate', null] }, then: safeToDouble('$$c.actualRebate'), else: null } },
-                          amountNum: safeToDouble('$$c.amount'),
-                          rebateNum: safeToDouble('$$c.rebate')
-                      },
-                      in: { $cond: { if: { $eq: ['$status', '已终结'] }, then: { $ifNull: ['$$actualRebate', 0] }, else: { $ifNull: ['$$actualRebate', { $cond: { if: { $eq: ['$$c.orderType', 'original'] }, then: { $multiply: ['$$amountNum', { $divide: ['$$rebateNum', 100] }] }, else: { $cond: { if: { $gt: ['$$rebateNum', 20] }, then: { $multiply: ['$$amountNum', { $subtract: [{ $divide: ['$$rebateNum', 100] }, 0.20] }] }, else: 0 } } } } ] } } }
-                  }},
-                  // --- [v4.6 修复] ---
-                  occupationDays: {
-                    $let: {
-                      vars: {
-                        startDate: { $cond: { if: { $and: [{$ne: ['$$c.orderDate', null]}, {$ne: ['$$c.orderDate', ""]}] }, then: { $toDate: '$$c.orderDate' }, else: null } },
-                        endDate: {
-                            $cond: {
-                                if: { $and: [{$ne: ['$$c.paymentDate', null]}, {$ne: ['$$c.paymentDate', ""]}] },
-                                then: { $toDate: '$$c.paymentDate' },
-                                else: { // 使用今天的日期，但移除时间部分
-                                    $dateFromParts: {
-                                        'year': { $year: new Date() },
-                                        'month': { $month: new Date() },
-                                        'day': { $dayOfMonth: new Date() },
-                                        'timezone': 'Asia/Shanghai'
-                                    }
-                                }
-                            }
-                        }
-                      },
-                      in: { $ifNull: [ { $max: [0, { $divide: [ { $subtract: ['$$endDate', '$$startDate'] }, 1000 * 60 * 60 * 24 ] }] }, 0 ] }
+  const { projectId, view } = req.params;
+
+  const db = await getDb();
+  const projectsCollection = db.collection(PROJECTS_COLLECTION);
+
+  const baseMatch = projectId ? { id: projectId } : {};
+
+  let projectsData;
+
+  // --- [兼容性保留] view=simple 逻辑完全不变 ---
+  if (view === 'simple') {
+    projectsData = await projectsCollection.find(baseMatch, {
+      // [v4.9 修改] 添加 trackingStatus 字段，保留 trackingEnabled 以兼容旧前端
+      projection: { _id: 0, id: 1, name: 1, status: 1, trackingEnabled: 1, trackingStatus: 1 }
+    }).toArray();
+  } else {
+    // --- 完整视图逻辑 ---
+    const aggregationPipeline = [
+      { $match: baseMatch },
+      { $project: { _id: 0 } },
+
+      // [v4.7] 关联 collaborations
+      {
+        $lookup: {
+          from: COLLABS_COLLECTION,
+          localField: 'id',
+          foreignField: 'projectId',
+          as: 'collaborations'
+        }
+      },
+
+      // [v4.8 新增] 关联 talents 集合以获取达人信息
+      {
+        $lookup: {
+          from: TALENTS_COLLECTION,
+          localField: 'collaborations.talentId',
+          foreignField: 'id',  // 假设 talents 集合使用 'id' 作为主键
+          as: 'talentsData'
+        }
+      },
+
+      // [v4.8 新增] 将 talentInfo 嵌入到每个 collaboration 中
+      {
+        $addFields: {
+          collaborations: {
+            $map: {
+              input: '$collaborations',
+              as: 'collab',
+              in: {
+                $mergeObjects: [
+                  '$$collab',
+                  {
+                    talentInfo: {
+                      $arrayElemAt: [
+                        {
+                          $filter: {
+                            input: '$talentsData',
+                            as: 'talent',
+                            cond: { $eq: ['$$talent.id', '$$collab.talentId'] }
+                          }
+                        },
+                        0
+                      ]
                     }
                   }
-                  // --- 修复结束 ---
-                }
+                ]
               }
             }
           }
-        },
-        {
+        }
+      },
+
+      {
           $addFields: {
-            calculatedMetricsPerCollab: {
-              $map: {
-                input: '$calculatedMetricsPerCollab',
-                as: 'm',
-                in: {
-                  income: '$$m.income',
-                  expense: '$$m.expense',
-                  rebateForProfitCalc: '$$m.rebateForProfitCalc',
-                  occupationDays: '$$m.occupationDays',
-                  fundsOccupationCost: {
-                    $multiply: [
-                      '$$m.expense',
-                      { $divide: [ { $divide: ['$monthlyRatePercent', 100] }, 30 ] },
-                      '$$m.occupationDays'
-                    ]
+              projectFiles: {
+                  $map: {
+                      input: { $ifNull: ["$projectFiles", []] },
+                      as: "file",
+                      in: {
+                          name: "$$file.name",
+                          url: {
+                              $let: {
+                                  vars: { urlParts: { $split: ["$$file.url", "/"] } },
+                                  in: { $concat: [ API_GATEWAY_BASE_URL, "/preview-file?fileKey=", { $arrayElemAt: ["$$urlParts", -1] } ] }
+                              }
+                          }
+                      }
                   }
-                }
               }
-            }
-          }
-        },
-        {
-          $addFields: {
-            'metrics.projectBudget': safeToDouble('$budget'),
-            'metrics.totalCollaborators': { $size: '$confirmedCollaborations' },
-            'metrics.totalIncomeAgg': { $sum: '$calculatedMetricsPerCollab.income' },
-            'metrics.totalExpense': { $sum: '$calculatedMetricsPerCollab.expense' },
-            'metrics.totalGrossProfit': { $sum: { $map: { input: '$calculatedMetricsPerCollab', as: 'm', in: { $add: ['$$m.income', '$$m.rebateForProfitCalc', { $multiply: ['$$m.expense', -1] }] } } } },
-            'metrics.fundsOccupationCost': { $sum: '$calculatedMetricsPerCollab.fundsOccupationCost' },
-            'metrics.incomeAdjustments': { $ifNull: [{ $sum: { $map: { input: '$adjustments', as: 'adj', in: { $cond: [{ $gt: [safeToDouble('$$adj.amount'), 0] }, safeToDouble('$$adj.amount'), 0] } } } }, 0] },
-            'metrics.expenseAdjustments': { $abs: { $ifNull: [{ $sum: { $map: { input: '$adjustments', as: 'adj', in: { $cond: [{ $lt: [safeToDouble('$$adj.amount'), 0] }, safeToDouble('$$adj.amount'), 0] } } } }, 0] } }
-          }
-        },
-        {
-          $addFields: {
-            'metrics.totalIncome': { $add: ['$metrics.totalIncomeAgg', '$metrics.incomeAdjustments'] },
-            'metrics.totalRebateReceivable': { $sum: '$calculatedMetricsPerCollab.rebateForProfitCalc' }
-          }
-        },
-        {
-           $addFields: {
-                'metrics.budgetUtilization': { $cond: [{ $gt: ['$metrics.projectBudget', 0] }, { $multiply: [{ $divide: ['$metrics.totalIncome', '$metrics.projectBudget'] }, 100] }, 0] },
-                'metrics.preAdjustmentProfit': { $add: ['$metrics.totalGrossProfit', '$metrics.incomeAdjustments'] },
-                'metrics.totalOperationalCost': { $add: ['$metrics.totalExpense', '$metrics.expenseAdjustments', '$metrics.fundsOccupationCost'] },
-           }
-        },
-        {
-            $addFields: {
-                'metrics.preAdjustmentMargin': { $cond: [{ $gt: ['$metrics.totalIncome', 0] }, { $multiply: [{ $divide: ['$metrics.preAdjustmentProfit', '$metrics.totalIncome'] }, 100] }, 0] },
-                'metrics.operationalProfit': { $subtract: ['$metrics.preAdjustmentProfit', { $add: ['$metrics.expenseAdjustments', '$metrics.fundsOccupationCost'] }] }
-            }
-        },
-        {
-             $addFields: {
-                'metrics.operationalMargin': { $cond: [{ $gt: ['$metrics.totalIncome', 0] }, { $multiply: [{ $divide: ['$metrics.operationalProfit', '$metrics.totalIncome'] }, 100] }, 0] }
-             }
-        },
-        {
-            $addFields: {
-                "metrics.projectBudget": { $round: ["$metrics.projectBudget", 2] },
-                "metrics.budgetUtilization": { $round: ["$metrics.budgetUtilization", 2] },
-                "metrics.totalIncome": { $round: ["$metrics.totalIncome", 2] },
-                "metrics.totalRebateReceivable": { $round: ["$metrics.totalRebateReceivable", 2] },
-                "metrics.incomeAdjustments": { $round: ["$metrics.incomeAdjustments", 2] },
-                "metrics.totalExpense": { $round: ["$metrics.totalExpense", 2] },
-                "metrics.totalGrossProfit": { $round: ["$metrics.totalGrossProfit", 2] },
-                "metrics.fundsOccupationCost": { $round: ["$metrics.fundsOccupationCost", 2] },
-                "metrics.expenseAdjustments": { $round: ["$metrics.expenseAdjustments", 2] },
-                "metrics.totalOperationalCost": { $round: ["$metrics.totalOperationalCost", 2] },
-                "metrics.preAdjustmentProfit": { $round: ["$metrics.preAdjustmentProfit", 2] },
-                "metrics.preAdjustmentMargin": { $round: ["$metrics.preAdjustmentMargin", 2] },
-                "metrics.operationalProfit": { $round: ["$metrics.operationalProfit", 2] },
-                "metrics.operationalMargin": { $round: ["$metrics.operationalMargin", 2] }
-            }
-        },
-        {
-            $addFields: {
-                projectFiles: {
-                    $map: {
-                        input: { $ifNull: ["$projectFiles", []] },
-                        as: "file",
-                        in: {
-                            name: "$$file.name",
-                            url: {
-                                $let: {
-                                    vars: { urlParts: { $split: ["$$file.url", "/"] } },
-                                    in: { $concat: [ API_GATEWAY_BASE_URL, "/preview-file?fileKey=", { $arrayElemAt: ["$$urlParts", -1] } ] }
-                                }
-                            }
-                        }
-                    }
-                }
-            }
-        },
-        // [v4.8] 先移除临时的 talentsData 字段
-        { $unset: 'talentsData' },
-
-        {
-          $project: {
-             _id: 0, id: 1, name: 1, qianchuanId: 1, type: 1, year: 1, month: 1, financialYear: 1, financialMonth: 1,
-            status: 1, discount: 1, capitalRateId: 1, adjustments: 1, auditLog: 1, createdAt: 1, updatedAt: 1, budget: 1,
-            benchmarkCPM: 1,
-            // [v4.9 新增] 添加 trackingStatus 字段，保留 trackingEnabled 以兼容旧前端
-            trackingEnabled: 1,
-            trackingStatus: 1,
-            projectFiles: 1,
-
-            // [v4.7 核心改造] 将完整的 collaborations 数组包含在响应中
-            // [v4.8 修复] 现在每个 collaboration 都包含 talentInfo 字段
-            collaborations: 1,
-
-            // [兼容性保留] 保持所有 metrics 指标不变
-            "metrics.projectBudget": 1, "metrics.totalCollaborators": 1, "metrics.budgetUtilization": 1, "metrics.totalIncome": 1,
-            "metrics.totalRebateReceivable": 1, "metrics.incomeAdjustments": 1, "metrics.totalExpense": 1, "metrics.fundsOccupationCost": 1,
-            "metrics.expenseAdjustments": 1, "metrics.totalOperationalCost": 1, "metrics.preAdjustmentProfit": 1, "metrics.preAdjustmentMargin": 1,
-            "metrics.operationalProfit": 1, "metrics.operationalMargin": 1
           }
+      },
+      // [v4.8] 先移除临时的 talentsData 字段
+      { $unset: 'talentsData' },
+
+      {
+        $project: {
+           _id: 0, id: 1, name: 1, qianchuanId: 1, type: 1, year: 1, month: 1, financialYear: 1, financialMonth: 1,
+          status: 1, discount: 1, capitalRateId: 1, adjustments: 1, auditLog: 1, createdAt: 1, updatedAt: 1, budget: 1,
+          benchmarkCPM: 1,
+          // [v4.9 新增] 添加 trackingStatus 字段，保留 trackingEnabled 以兼容旧前端
+          trackingEnabled: 1,
+          trackingStatus: 1,
+          projectFiles: 1,
+
+          // [v4.7 核心改造] 将完整的 collaborations 数组包含在响应中
+          // [v4.8 修复] 现在每个 collaboration 都包含 talentInfo 字段
+          collaborations: 1
         }
-      ];
-
-      projectsData = await projectsCollection.aggregate(aggregationPipeline).toArray();
-    }
-
-    // --- [兼容性保留] 单项目查询逻辑不变 ---
-    if (projectId) {
-        if (projectsData.length > 0) {
-             return { statusCode: 200, headers, body: JSON.stringify({ success: true, data: projectsData[0] }) };
-        } else {
-             return { statusCode: 404, headers, body: JSON.stringify({ success: false, message: `未找到 ID 为 '${projectId}' 的项目` }) };
-        }
-    }
-
-    // --- [兼容性保留] 多项目列表查询逻辑不变 ---
-    return {
-      statusCode: 200,
-      headers,
-      body: JSON.stringify({
-        success: true,
-        count: projectsData.length,
-        data: projectsData,
-        view: view || 'full'
-      }),
-    };
+      }
+    ];
+
+    projectsData = await projectsCollection.aggregate(aggregationPipeline).toArray();
+
+    // [v5.1] metrics 字段与历史版本保持不变，由财务引擎统一计算
+    // [v5.2] 每个项目使用其创建时生效的财务规则
+    const financeContext = await loadFinanceContext(db, projectsData);
+    const now = new Date();
+    projectsData.forEach(project => {
+      project.metrics = calculateProjectFinance(project, project.collaborations, buildFinanceOptions(financeContext, project, now));
+      (project.projectFiles || []).forEach(file => { file.url = withPreviewToken(file.url); });
+    });
+  }
 
-  } catch (error) {
-    console.error('处理请求时发生错误:', error);
-    return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({ success: false, message: '服务器内部错误', error: error.message })
-    };
+  // --- [兼容性保留] 单项目查询逻辑不变 ---
+  if (projectId) {
+      if (projectsData.length > 0) {
+           return respond(200, { success: true, data: projectsData[0] });
+      }
+      throw new AppError(`未找到 ID 为 '${projectId}' 的项目`, 404);
   }
-};
\ No newline at end of file
+
+  // --- [兼容性保留] 多项目列表查询逻辑不变 ---
+  return respond(200, {
+      success: true,
+      count: projectsData.length,
+      data: projectsData,
+      view: view || 'full'
+  });
+});
\ No newline at end of file
@@ -1,7 +1,11 @@
 /**
  * @file handleProjectReport/index.js
- * @version 3.9 - Enhanced Archived Project Support
+ * @version 3.13 - Import Undo Guard
  * @description [V3.9] 增强归档项目支持，返回数据日期范围（firstReportDate 和 lastReportDate）
+ * - [V3.13 导入撤销] saveDailyStats 与 saveReportSolution 写入作品时同时更新 updatedAt，撤销更早的飞书导入批次时据此拒绝覆盖这些修改。
+ * - [V3.12 财务规则] 执行金额使用项目创建时生效的税费系数 (FINANCE_RULES)。
+ * - [V3.11 财务引擎] 执行金额（收入）改用 kol-common 的 calculateIncome，与项目财务指标口径一致；项目未设置折扣时按 1 计算（此前 saveDailyStats 会得到 NaN）。
+ * - [V3.10 审计] saveDailyStats 与 saveReportSolution 将当日数据的变更写入 audit_events（字段名为 dailyStats.<日期>）。
  * - [新增功能] getReportData 增加 firstReportDate 字段，用于归档项目的日期范围限制
  * - [V3.8] 增加归档项目支持，返回最后有数据的日期
  * - [新增功能] getReportData 增加 lastReportDate 字段，用于归档项目的默认日期显示
@@ -11,21 +15,7 @@
  * - [逻辑统一] overview.totalViews 改用 overallTotalViews，与 averageCPM 计算保持一致
  * - [保持不变] 定档内容数量不随日期变化，统计当前所有定档和已发布的合作
  */
-const { MongoClient } = require('mongodb');
-
-const MONGO_URI = process.env.MONGO_URI;
-const MONGO_DB_NAME = process.env.MONGO_DB_NAME || 'kol_data';
-
-let client;
-
-async function connectToDatabase() {
-    if (client && client.topology && client.topology.isConnected()) {
-        return client;
-    }
-    client = new MongoClient(MONGO_URI);
-    await client.connect();
-    return client;
-}
+const { createHandler, getDb, ok, AppError, recordAudit, AUDIT_ACTIONS, calculateIncome, loadFinanceRuleSets, resolveProjectFinanceRules, ANY_ROLE, WRITE_ROLES } = require('kol-common');
 
 // --- Helper function to handle dates consistently and robustly in UTC ---
 function createUTCDate(dateString) {
@@ -59,7 +49,8 @@ async function getReportData(db, projectId, date) {
     if (!project) {
         return { overview: {}, details: {}, missingDataVideos: [] };
     }
-    const projectDiscount = parseFloat(project.discount) || 1;
+    const projectDiscount = project.discount;
+    const financeRules = resolveProjectFinanceRules(await loadFinanceRuleSets(db), project);
 
     const scheduledCollaborations = await db.collection('collaborations').find({ projectId, status: { $in: ["客户已定档", "视频已发布"] } }).toArray();
     
@@ -143,8 +134,7 @@ async function getReportData(db, projectId, date) {
     
     const publishedVideosCount = publishedCollaborations.length;
     const totalAmount = publishedCollaborations.reduce((sum, c) => {
-        const amount = parseFloat(c.amount) || 0;
-        return sum + (amount * projectDiscount * 1.05);
+        return sum + calculateIncome(c.amount, projectDiscount, financeRules);
     }, 0);
 
     const overview = {
@@ -213,9 +203,10 @@ async function getVideosForEntry(db, projectId, date) {
 }
 
 
-async function saveDailyStats(db, projectId, date, data) {
+async function saveDailyStats(db, req, projectId, date, data) {
     const project = await db.collection('projects').findOne({ id: projectId });
-    const projectDiscount = project ? parseFloat(project.discount) : 1;
+    const projectDiscount = project ? project.discount : 1;
+    const financeRules = resolveProjectFinanceRules(await loadFinanceRuleSets(db), project);
 
     const collaborationIds = data.map(item => item.collaborationId);
     
@@ -232,6 +223,8 @@ async function saveDailyStats(db, projectId, date, data) {
     yesterdayDate.setUTCDate(yesterdayDate.getUTCDate() - 1);
     const yesterdayStr = formatDate(yesterdayDate);
 
+    const savedAt = new Date();
+    const auditEvents = [];
     const bulkOps = data.map(item => {
         const collaboration = collaborationMap.get(item.collaborationId);
         if (!collaboration) {
@@ -239,13 +232,24 @@ async function saveDailyStats(db, projectId, date, data) {
             return null;
         }
 
-        const amount = parseFloat(collaboration.amount) || 0;
-        const income = amount * projectDiscount * 1.05;
+        const income = calculateIncome(collaboration.amount, projectDiscount, financeRules);
         const cpm = income > 0 && item.totalViews > 0 ? (income / item.totalViews) * 1000 : 0;
         
         const work = workMap.get(item.collaborationId);
         const yesterdayStat = work?.dailyStats?.find(s => s.date === yesterdayStr);
         const cpmChange = yesterdayStat ? cpm - yesterdayStat.cpm : null;
+        const newStat = { date: dateStr, totalViews: item.totalViews, cpm, cpmChange, solution: '' };
+        if (work) {
+            const statField = `dailyStats.${dateStr}`;
+            auditEvents.push({
+                entityType: 'work',
+                entityId: work.id,
+                action: AUDIT_ACTIONS.UPDATE,
+                before: { [statField]: work.dailyStats?.find(s => s.date === dateStr) || null },
+                after: { [statField]: newStat },
+                meta: { projectId, collaborationId: item.collaborationId },
+            });
+        }
         
         const pullOp = {
             updateOne: {
@@ -259,10 +263,11 @@ async function saveDailyStats(db, projectId, date, data) {
                 update: {
                     $push: { 
                         dailyStats: {
-                            $each: [{ date: dateStr, totalViews: item.totalViews, cpm, cpmChange, solution: '' }],
+                            $each: [newStat],
                             $sort: { date: 1 }
                         }
-                    }
+                    },
+                    $set: { updatedAt: savedAt }
                 }
             }
         };
@@ -271,43 +276,48 @@ async function saveDailyStats(db, projectId, date, data) {
 
     if (bulkOps.length > 0) {
         await db.collection('works').bulkWrite(bulkOps);
+        await recordAudit(db, req, auditEvents);
     }
 
     return { message: '数据保存成功' };
 }
 
-async function saveReportSolution(db, { collaborationId, date, solution }) {
+async function saveReportSolution(db, req, { collaborationId, date, solution }) {
     const dateStr = formatDate(createUTCDate(date));
-    await db.collection('works').updateOne(
+    const previousWork = await db.collection('works').findOneAndUpdate(
         { collaborationId: collaborationId, "dailyStats.date": dateStr },
-        { $set: { "dailyStats.$.solution": solution } }
+        { $set: { "dailyStats.$.solution": solution, updatedAt: new Date() } },
+        { returnDocument: 'before', projection: { id: 1, dailyStats: { $elemMatch: { date: dateStr } } } }
     );
+    if (previousWork) {
+        const field = `dailyStats.${dateStr}.solution`;
+        await recordAudit(db, req, {
+            entityType: 'work',
+            entityId: previousWork.id,
+            action: AUDIT_ACTIONS.UPDATE,
+            before: { [field]: previousWork.dailyStats?.[0]?.solution ?? null },
+            after: { [field]: solution },
+            meta: { collaborationId },
+        });
+    }
      return { message: '解决方案已保存' };
 }
 
 // --- 主处理函数 ---
-exports.handler = async (event, context) => {
-    const headers = { 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Headers': 'Content-Type', 'Access-Control-Allow-Methods': 'GET, POST, OPTIONS', 'Content-Type': 'application/json' };
-    if (event.httpMethod === 'OPTIONS') return { statusCode: 204, headers, body: '' };
-    try {
-        const db = (await connectToDatabase()).db(MONGO_DB_NAME);
-        const { httpMethod, path, queryStringParameters, body } = event;
-        const parsedBody = body ? JSON.parse(body) : {};
-        let result;
-        if (httpMethod === 'GET' && path.includes('/project-report')) {
-            result = await getReportData(db, queryStringParameters.projectId, queryStringParameters.date);
-        } else if (httpMethod === 'GET' && path.includes('/videos-for-entry')) {
-            result = await getVideosForEntry(db, queryStringParameters.projectId, queryStringParameters.date);
-        } else if (httpMethod === 'POST' && path.includes('/daily-stats')) {
-            result = await saveDailyStats(db, parsedBody.projectId, parsedBody.date, parsedBody.data);
-        } else if (httpMethod === 'POST' && path.includes('/report-solution')) {
-            result = await saveReportSolution(db, parsedBody);
-        } else {
-            return { statusCode: 404, headers, body: JSON.stringify({ message: 'API not found' }) };
-        }
-        return { statusCode: 200, headers, body: JSON.stringify({ success: true, data: result }) };
-    } catch (error) {
-        console.error('Error in handler:', error);
-        return { statusCode: 500, headers, body: JSON.stringify({ success: false, message: error.message }) };
+exports.handler = createHandler({ name: 'handleProjectReport', methods: ['GET', 'POST'], roles: { GET: ANY_ROLE, default: WRITE_ROLES } }, async (req) => {
+    const db = await getDb();
+    const { method, path, query, body } = req;
+    let result;
+    if (method === 'GET' && path.includes('/project-report')) {
+        result = await getReportData(db, query.projectId, query.date);
+    } else if (method === 'GET' && path.includes('/videos-for-entry')) {
+        result = await getVideosForEntry(db, query.projectId, query.date);
+    } else if (method === 'POST' && path.includes('/daily-stats')) {
+        result = await saveDailyStats(db, req, body.projectId, body.date, body.data);
+    } else if (method === 'POST' && path.includes('/report-solution')) {
+        result = await saveReportSolution(db, req, body);
+    } else {
+        throw new AppError('API not found', 404);
     }
-};
\ No newline at end of file
+    return ok(result);
+});
@@ -0,0 +1,69 @@
+/**
+ * @file Cloud Function: import-mappings-api
+ * @version 1.0 - Import Column Mappings
+ * @description 维护飞书导入（talentPerformance / t7 / t21 / manualDailyUpdate）的列映射，存放在 import_mappings 集合，每个 dataType 一条。
+ * - [GET] 不带参数返回全部导入类型的映射；?dataType=xxx 返回单个。未配置的类型返回默认映射，isDefault = true。
+ * - [PUT] ?dataType=xxx，body: { columns: [{ header, aliases?, type, targetPath, required? }], description? }，整体替换该类型的映射。
+ * - [DELETE] ?dataType=xxx，删除自定义映射，恢复为默认映射。
+ * - 列定义的校验规则见 kol-common 的 normalizeImportColumns；映射变更写入审计日志 (entityType = importMapping)。
+ */
+const {
+  createHandler, getDb, respond, AppError, ANY_ROLE, WRITE_ROLES,
+  recordAudit, AUDIT_ACTIONS,
+  IMPORT_MAPPINGS_COLLECTION, IMPORT_DATA_TYPES, normalizeImportColumns, loadImportMapping
+} = require('kol-common');
+
+exports.handler = createHandler({ name: 'import-mappings-api', methods: ['GET', 'PUT', 'DELETE'], roles: { GET: ANY_ROLE, default: WRITE_ROLES } }, async (req) => {
+  const db = await getDb();
+  const collection = db.collection(IMPORT_MAPPINGS_COLLECTION);
+  const { dataType } = req.query;
+
+  switch (req.method) {
+    case 'GET': {
+      if (dataType) {
+        return respond(200, { success: true, data: await loadImportMapping(db, dataType) });
+      }
+      const mappings = await Promise.all(IMPORT_DATA_TYPES.map(type => loadImportMapping(db, type)));
+      return respond(200, { success: true, data: mappings });
+    }
+
+    case 'PUT': {
+      if (!dataType) throw new AppError('Missing required query parameter: dataType.', 400);
+      const columns = normalizeImportColumns(dataType, req.body.columns);
+      const before = await collection.findOne({ dataType }, { projection: { _id: 0 } });
+
+      const document = {
+        dataType,
+        columns,
+        description: req.body.description || '',
+        updatedAt: new Date(),
+        updatedBy: { id: req.user.id, name: req.user.name },
+      };
+      await collection.updateOne(
+        { dataType },
+        { $set: document, $setOnInsert: { createdAt: new Date() } },
+        { upsert: true }
+      );
+      await recordAudit(db, req, {
+        entityType: 'importMapping',
+        entityId: dataType,
+        action: before ? AUDIT_ACTIONS.UPDATE : AUDIT_ACTIONS.CREATE,
+        before,
+        after: document,
+      });
+      return respond(200, { success: true, data: await loadImportMapping(db, dataType) });
+    }
+
+    case 'DELETE': {
+      if (!dataType) throw new AppError('Missing required query parameter: dataType.', 400);
+      const before = await collection.findOne({ dataType }, { projection: { _id: 0 } });
+      if (!before) throw new AppError(`导入类型 ${dataType} 没有自定义映射，已在使用默认映射。`, 404);
+      await collection.deleteOne({ dataType });
+      await recordAudit(db, req, { entityType: 'importMapping', entityId: dataType, action: AUDIT_ACTIONS.DELETE, before });
+      return respond(200, { success: true, message: '已恢复为默认映射。', data: await loadImportMapping(db, dataType) });
+    }
+
+    default:
+      throw new AppError('Method Not Allowed', 405);
+  }
+});
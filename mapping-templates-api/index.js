@@ -2,10 +2,26 @@
 
  * @file Cloud Function: mapping-templates-api
 
- * @version 4.0 - Workflow Association Support
+ * @version 5.1 - Template Versions
 
  * @description
 
+ * - [v5.1] 新建、修改、回滚与删除模板写入 audit_events（entityType = mappingTemplate，meta 带保存后的版本号）。
+
+ * - [v5.0] 模板每次保存（POST 新建、PUT 修改、回滚）都写入一条不可变的版本快照 (mapping_template_versions)，模板文档带当前版本号 version。
+
+ *   PUT 可传 expectedVersion（版本不一致返回 409 TEMPLATE_VERSION_CONFLICT）与 changeNote（版本说明）。
+
+ * - [v5.0] 版本接口：GET ?id=xxx&action=versions 列出版本；GET ?id=xxx&action=version&version=N 返回某个版本的快照；
+
+ *   GET ?id=xxx&action=diff&from=N[&to=M] 比较两个版本（to 缺省为当前版本）；POST ?id=xxx&action=rollback { version } 回滚为新版本。
+
+ * - [v5.0] 删除模板不删除其版本记录，已生成的表格仍可按版本追溯。
+
+ * - [v4.1] 保存（POST / PUT）前校验 mappingRules：规则结构、公式语法与输出格式，有错误时返回 400 (INVALID_MAPPING_RULES)，
+
+ *   details.errors 按表头列出每处错误；字段路径与数据预览见 syncFromFeishu 的 validateMappingTemplate / previewMappingTemplate
+
  * - [v4.0 新增] 增加了对 `allowedWorkflowIds` 字段的支持，允许模板关联特定工作流
 
  * - [数据结构] 新增 allowedWorkflowIds 数组字段，用于限制可使用该模板的工作流
@@ -20,6 +36,24 @@
 
  * @changelog
 
+ * v5.1
+
+ * - 模板的每次写操作记录审计事件
+
+ *
+
+ * v5.0
+
+ * - 新增模板版本历史、版本差异与回滚
+
+ *
+
+ * v4.1
+
+ * - POST/PUT 校验 mappingRules，公式语法错误在保存时即返回，而不是生成表格后才显示为 N/A
+
+ *
+
  * v4.0 (2025-11-02)
 
  * - 新增 allowedWorkflowIds 字段支持
@@ -40,199 +74,249 @@
 
  */
 
-const { MongoClient, ObjectId } = require('mongodb');
+const {
 
- 
+  createHandler, getDb, respond, AppError, ObjectId, ANY_ROLE, WRITE_ROLES, assertValidMappingRules, recordAudit, AUDIT_ACTIONS,
 
-const MONGO_URI = process.env.MONGO_URI;
+  MAPPING_TEMPLATES_COLLECTION, createVersionedTemplate, saveTemplateVersion, listTemplateVersions, getTemplateVersion, diffTemplateSnapshots
 
-const DB_NAME = process.env.DB_NAME || 'kol_data';
+} = require('kol-common');
 
-const COLLECTION_NAME = 'mapping_templates';
+ 
 
-let cachedDb = null;
+const COLLECTION_NAME = MAPPING_TEMPLATES_COLLECTION;
 
  
 
-async function connectToDatabase() {
+const auditTemplate = (db, req, action, before, after, meta) => recordAudit(db, req, {
+
+  entityType: 'mappingTemplate',
+
+  entityId: String((after || before)._id),
 
-  if (cachedDb) return cachedDb;
+  action,
 
-  const client = new MongoClient(MONGO_URI);
+  before,
 
-  await client.connect();
+  after,
 
-  cachedDb = client.db(DB_NAME);
+  meta
+
+});
+
+ 
 
-  return cachedDb;
+function parseVersion(value, name) {
+
+  const version = Number(value);
+
+  if (!Number.isInteger(version) || version < 1) throw new AppError(`Parameter ${name} must be a positive integer.`, 400);
+
+  return version;
 
 }
 
  
 
-function createResponse(statusCode, body) {
+/**
 
-  return {
+ * v5.0: 版本查询 ?id=xxx&action=versions | version&version=N | diff&from=N[&to=M]
 
-    statusCode,
+ */
 
-    headers: {
+async function handleVersionQuery(db, id, action, query) {
 
-      'Content-Type': 'application/json',
+  switch (action) {
 
-      'Access-Control-Allow-Origin': '*',
+    case 'versions':
 
-      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+      return listTemplateVersions(db, id);
 
-      'Access-Control-Allow-Headers': 'Content-Type',
+    case 'version':
 
-    },
+      return getTemplateVersion(db, id, parseVersion(query.version, 'version'));
 
-    body: JSON.stringify(body),
+    case 'diff': {
 
-  };
+      const fromVersion = parseVersion(query.from, 'from');
 
-}
+      let toVersion;
 
- 
+      if (query.to !== undefined) {
+
+        toVersion = parseVersion(query.to, 'to');
+
+      } else {
+
+        const template = await db.collection(COLLECTION_NAME).findOne({ _id: new ObjectId(id) }, { projection: { version: 1 } });
+
+        if (!template) throw new AppError('Template not found.', 404);
+
+        toVersion = template.version || 1;
+
+      }
+
+      const [from, to] = await Promise.all([getTemplateVersion(db, id, fromVersion), getTemplateVersion(db, id, toVersion)]);
 
-exports.handler = async (event) => {
+      return { templateId: id, from: fromVersion, to: toVersion, ...diffTemplateSnapshots(from.snapshot, to.snapshot) };
 
-  if (event.httpMethod === 'OPTIONS') {
+    }
+
+    default:
 
-    return createResponse(204, {});
+      throw new AppError(`Unsupported action "${action}". Supported actions are: versions, version, diff.`, 400);
 
   }
 
+}
+
  
 
-  try {
+exports.handler = createHandler({ name: 'mapping-templates-api', methods: ['GET', 'POST', 'PUT', 'DELETE'], roles: { GET: ANY_ROLE, default: WRITE_ROLES } }, async (req) => {
 
-    const db = await connectToDatabase();
+  const db = await getDb();
 
-    const collection = db.collection(COLLECTION_NAME);
+  const collection = db.collection(COLLECTION_NAME);
 
-    const { id } = event.queryStringParameters || {};
+  const { id, action } = req.query;
 
  
 
-    switch (event.httpMethod) {
+  switch (req.method) {
 
-      case 'GET': {
+    case 'GET': {
 
-        if (id) {
+      if (id && action) {
 
-          if (!ObjectId.isValid(id)) return createResponse(400, { success: false, message: 'Invalid ID format.' });
+        if (!ObjectId.isValid(id)) throw new AppError('Invalid ID format.', 400);
 
-          const template = await collection.findOne({ _id: new ObjectId(id) });
+        return respond(200, { success: true, data: await handleVersionQuery(db, id, action, req.query) });
 
-          return template ? createResponse(200, { success: true, data: template }) : createResponse(404, { success: false, message: 'Template not found.' });
+      }
 
-        }
+      if (id) {
 
-        const templates = await collection.find({}).sort({ createdAt: -1 }).toArray();
+        if (!ObjectId.isValid(id)) throw new AppError('Invalid ID format.', 400);
 
-        return createResponse(200, { success: true, data: templates });
+        const template = await collection.findOne({ _id: new ObjectId(id) });
+
+        if (!template) throw new AppError('Template not found.', 404);
+
+        return respond(200, { success: true, data: template });
 
       }
 
- 
+      const templates = await collection.find({}).sort({ createdAt: -1 }).toArray();
 
-      case 'POST':
+      return respond(200, { success: true, data: templates });
 
-      case 'PUT': {
+    }
 
-        const isUpdate = event.httpMethod === 'PUT';
+ 
 
-        if (isUpdate && (!id || !ObjectId.isValid(id))) {
+    case 'POST':
 
-          return createResponse(400, { success: false, message: 'A valid template ID is required for updating.' });
+    case 'PUT': {
 
-        }
+      const isUpdate = req.method === 'PUT';
 
  
 
-        const body = JSON.parse(event.body || '{}');
+      // v5.0: 回滚到指定版本，生成一个内容与该版本相同的新版本
 
-        const { name, spreadsheetToken, mappingRules, allowedWorkflowIds } = body;
+      if (!isUpdate && action === 'rollback') {
 
- 
+        if (!id || !ObjectId.isValid(id)) throw new AppError('A valid template ID is required for rollback.', 400);
 
-        if (!name || !spreadsheetToken || typeof mappingRules !== 'object') {
+        const { version, expectedVersion, changeNote } = req.body || {};
 
-          return createResponse(400, { success: false, message: 'Missing required fields: name, spreadsheetToken, and mappingRules.' });
+        const target = await getTemplateVersion(db, id, parseVersion(version, 'version'));
 
-        }
+        const previousDoc = await collection.findOne({ _id: new ObjectId(id) });
 
- 
+        const restoredDoc = await saveTemplateVersion(db, id, target.snapshot, req, {
+
+          expectedVersion,
 
-        // v4.0: 构建文档，包含 allowedWorkflowIds 字段
+          note: changeNote || `回滚到版本 ${target.version}`,
 
-        const document = {
+          rolledBackFrom: target.version
 
-          name,
+        });
 
-          spreadsheetToken,
+        await auditTemplate(db, req, AUDIT_ACTIONS.UPDATE, previousDoc, restoredDoc, { version: restoredDoc.version, rolledBackFrom: target.version });
 
-          mappingRules,
+        return respond(200, { success: true, data: restoredDoc });
 
-          description: body.description || '',
+      }
+
+      if (isUpdate && (!id || !ObjectId.isValid(id))) {
+
+        throw new AppError('A valid template ID is required for updating.', 400);
+
+      }
 
-          feishuSheetHeaders: body.feishuSheetHeaders || [],
+ 
 
-          updatedAt: new Date(),
+      const body = req.body;
 
-        };
+      const { name, spreadsheetToken, mappingRules, allowedWorkflowIds } = body;
 
  
 
-        // v4.0: 处理 allowedWorkflowIds 字段
+      if (!name || !spreadsheetToken || typeof mappingRules !== 'object') {
+
+        throw new AppError('Missing required fields: name, spreadsheetToken, and mappingRules.', 400);
 
-        // 如果提供了该字段且为数组，则存储；否则设置为空数组（表示不限制）
+      }
 
-        if (Array.isArray(allowedWorkflowIds)) {
+ 
 
-          document.allowedWorkflowIds = allowedWorkflowIds;
+      // v4.1: 规则结构、公式语法与输出格式有误时拒绝保存
 
-        } else if (allowedWorkflowIds !== undefined) {
+      assertValidMappingRules({ mappingRules, feishuSheetHeaders: body.feishuSheetHeaders });
 
-          // 如果提供了但不是数组，返回错误
+ 
 
-          return createResponse(400, { success: false, message: 'allowedWorkflowIds must be an array.' });
+      // v4.0: 构建文档，包含 allowedWorkflowIds 字段
 
-        } else {
+      const document = {
 
-          // 如果未提供，对于新建设置为空数组；对于更新，不修改原值
+        name,
 
-          if (!isUpdate) {
+        spreadsheetToken,
 
-            document.allowedWorkflowIds = [];
+        mappingRules,
 
-          }
+        description: body.description || '',
 
-        }
+        feishuSheetHeaders: body.feishuSheetHeaders || [],
+
+      };
 
  
 
-        if (isUpdate) {
+      // v4.0: 处理 allowedWorkflowIds 字段
+
+      // 如果提供了该字段且为数组，则存储；否则设置为空数组（表示不限制）
 
-          const result = await collection.updateOne({ _id: new ObjectId(id) }, { $set: document });
+      if (Array.isArray(allowedWorkflowIds)) {
 
-          if (result.matchedCount === 0) return createResponse(404, { success: false, message: 'Template not found.' });
+        document.allowedWorkflowIds = allowedWorkflowIds;
 
-          const updatedDoc = await collection.findOne({ _id: new ObjectId(id) });
+      } else if (allowedWorkflowIds !== undefined) {
 
-          return createResponse(200, { success: true, data: updatedDoc });
+        // 如果提供了但不是数组，返回错误
 
-        } else {
+        throw new AppError('allowedWorkflowIds must be an array.', 400);
 
-          document.createdAt = new Date();
+      } else {
 
-          const result = await collection.insertOne(document);
+        // 如果未提供，对于新建设置为空数组；对于更新，不修改原值
 
-          const createdDoc = await collection.findOne({ _id: result.insertedId });
+        if (!isUpdate) {
 
-          return createResponse(201, { success: true, data: createdDoc });
+          document.allowedWorkflowIds = [];
 
         }
 
@@ -240,30 +324,52 @@ exports.handler = async (event) => {
 
  
 
-      case 'DELETE': {
+      // v5.0: 每次保存都写入新版本
+
+      if (isUpdate) {
+
+        const previousDoc = await collection.findOne({ _id: new ObjectId(id) });
+
+        const updatedDoc = await saveTemplateVersion(db, id, document, req, { expectedVersion: body.expectedVersion, note: body.changeNote });
 
-        if (!id || !ObjectId.isValid(id)) return createResponse(400, { success: false, message: 'A valid ID is required.' });
+        await auditTemplate(db, req, AUDIT_ACTIONS.UPDATE, previousDoc, updatedDoc, { version: updatedDoc.version });
 
-        const result = await collection.deleteOne({ _id: new ObjectId(id) });
+        return respond(200, { success: true, data: updatedDoc });
 
-        return result.deletedCount === 0 ? createResponse(404, { success: false, message: 'Template not found.' }) : createResponse(204, {});
+      } else {
+
+        const createdDoc = await createVersionedTemplate(db, document, req, { note: body.changeNote });
+
+        await auditTemplate(db, req, AUDIT_ACTIONS.CREATE, null, createdDoc, { version: createdDoc.version });
+
+        return respond(201, { success: true, data: createdDoc });
 
       }
 
+    }
+
  
 
-      default:
+    case 'DELETE': {
 
-        return createResponse(405, { success: false, message: 'Method Not Allowed' });
+      if (!id || !ObjectId.isValid(id)) throw new AppError('A valid ID is required.', 400);
+
+      const deletedDoc = await collection.findOneAndDelete({ _id: new ObjectId(id) });
+
+      if (!deletedDoc) throw new AppError('Template not found.', 404);
+
+      await auditTemplate(db, req, AUDIT_ACTIONS.DELETE, deletedDoc, null, { version: deletedDoc.version || null });
+
+      return respond(204, {});
 
     }
 
-  } catch (error) {
+ 
 
-    console.error('Error in mapping-templates-api handler:', error);
+    default:
 
-    return createResponse(500, { success: false, message: 'An internal server error occurred.' });
+      throw new AppError('Method Not Allowed', 405);
 
   }
 
-};
\ No newline at end of file
+});
\ No newline at end of file
@@ -1,16 +1,21 @@
 /**
  * @file processConfigurations.js
- * @version 2.0-restored-and-cleaned
+ * @version 2.2.1-budget-alerts
  * @description [架构重构] 恢复并净化 processConfigurations 逻辑，作为管理后台唯一的API网关。
+ * - [v2.1 财务规则] 新增 FINANCE_RULES 配置类型：{ effectiveFrom, taxFactor, modifiedRebateThreshold, defaultMonthlyRatePercent, note }。
+ *   规则按生效日期作用于之后创建的项目；生效日期不能早于今天，已生效的规则不能删除，以免改变历史项目的财务数据。
+ * - [v2.2.1] 新规则的生效日期须晚于今天：当天已视为生效（与删除时的判断一致），否则当天早些时候创建的项目会改用新规则。
+ * - [v2.2 预算预警] 新增 BUDGET_ALERTS 配置类型：{ settings: { thresholdPercent } }，TaskGeneratorCron 在项目预计预算使用率达到该阈值时生成预警任务。
  * - [核心修正] 恢复了原有处理多种配置类型的 POST 和 DELETE 逻辑。
  * - [BUG修复] 重写了 GET 逻辑，现在可以一次性获取所有配置，解决了前端加载失败的问题。
  * - [核心剔除] 彻底移除了对 'PROJECT_PENDING_PUBLISH' 的支持，与前端保持一致。
  */
 
-const { MongoClient } = require('mongodb');
+const {
+  createHandler, getDb, respond, AppError, ADMIN_ONLY, ANY_ROLE,
+  recordAudit, AUDIT_ACTIONS, DEFAULT_FINANCE_RULES, normalizeFinanceRuleSet, DEFAULT_BUDGET_ALERT_THRESHOLD
+} = require('kol-common');
 
-const MONGO_URI = process.env.MONGO_URI;
-const DB_NAME = process.env.MONGO_DB_NAME || 'kol_data';
 const COLLECTION_NAME = 'project_configurations';
 
 // [已净化] 更新了类型常量，使其与前端 admin.js (v2.1) 完全匹配
@@ -19,7 +24,9 @@ const CONFIG_TYPES = {
   CAPITAL_RATES: { docId: 'CAPITAL_RATES', field: 'values' },
   FRAMEWORK_DISCOUNTS: { docId: 'FRAMEWORK_DISCOUNTS', field: 'values' },
   PROJECT_TYPES: { docId: 'PROJECT_TYPES', field: 'values' },
-  FEISHU_NOTIFICATIONS: { docId: 'FEISHU_NOTIFICATIONS', field: 'settings' }
+  FEISHU_NOTIFICATIONS: { docId: 'FEISHU_NOTIFICATIONS', field: 'settings' },
+  FINANCE_RULES: { docId: 'FINANCE_RULES', field: 'values' },
+  BUDGET_ALERTS: { docId: 'BUDGET_ALERTS', field: 'settings' }
 };
 
 // [已净化] 更新了默认通知设置，与前端 admin.js (v2.1) 完全匹配
@@ -28,119 +35,141 @@ const DEFAULT_NOTIFICATION_SETTINGS = {
     PROJECT_PAYMENT_REMINDER: true,
 };
 
-let client;
-
-async function connectToDatabase() {
-  if (client && client.topology && client.topology.isConnected()) {
-    return client;
-  }
-  client = new MongoClient(MONGO_URI);
-  await client.connect();
-  return client;
-}
+// [v2.2] 以 settings 形式存储的配置及其默认值
+const DEFAULT_SETTINGS = {
+    FEISHU_NOTIFICATIONS: DEFAULT_NOTIFICATION_SETTINGS,
+    BUDGET_ALERTS: { thresholdPercent: DEFAULT_BUDGET_ALERT_THRESHOLD },
+};
 
 function getConfigMeta(type) {
     return CONFIG_TYPES[type];
 }
 
-exports.handler = async (event, context) => {
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
-    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
-    'Content-Type': 'application/json'
-  };
+// 上海时区的今天 (YYYY-MM-DD)，与财务规则生效日期的口径一致
+function todayInShanghai() {
+    return new Date(Date.now() + 8 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
 
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 204, headers, body: '' };
+async function addFinanceRule(collection, db, req, payload) {
+  const ruleSet = normalizeFinanceRuleSet(payload);
+  // 当天已视为生效（见 deleteFinanceRule），今天创建的项目必须继续使用原有规则
+  if (ruleSet.effectiveFrom <= todayInShanghai()) {
+      throw new AppError('财务规则的生效日期必须晚于今天，已创建的项目需保持原有规则。', 400, 'INVALID_FINANCE_RULE');
   }
+  const existing = await collection.findOne({ _id: CONFIG_TYPES.FINANCE_RULES.docId });
+  if ((existing?.values || []).some(rule => rule.effectiveFrom === ruleSet.effectiveFrom)) {
+      throw new AppError(`生效日期为 ${ruleSet.effectiveFrom} 的财务规则已存在，请先删除后再添加。`, 409);
+  }
+
+  const newRule = { id: `frule_${Date.now()}`, ...ruleSet, createdAt: new Date(), createdBy: req.user.id };
+  await collection.updateOne(
+      { _id: CONFIG_TYPES.FINANCE_RULES.docId },
+      { $set: { updatedAt: new Date() }, $push: { values: newRule } },
+      { upsert: true }
+  );
+  await recordAudit(db, req, { entityType: 'configuration', entityId: newRule.id, action: AUDIT_ACTIONS.CREATE, after: newRule, meta: { type: 'FINANCE_RULES' } });
+  return newRule;
+}
 
-  try {
-    const dbClient = await connectToDatabase();
-    const collection = dbClient.db(DB_NAME).collection(COLLECTION_NAME);
-
-    const typeInQuery = event.queryStringParameters ? event.queryStringParameters.type : null;
-    
-    let payload = {};
-    if (event.body) { 
-        try { 
-            payload = JSON.parse(event.body); 
-        } catch(e) {
-            return { statusCode: 400, headers, body: JSON.stringify({ success: false, message: '请求体JSON格式无效。' }) };
-        } 
+async function deleteFinanceRule(collection, db, req, ruleId) {
+  const existing = await collection.findOne({ _id: CONFIG_TYPES.FINANCE_RULES.docId });
+  const rule = (existing?.values || []).find(r => r.id === ruleId);
+  if (!rule) throw new AppError(`未找到财务规则: ${ruleId}`, 404);
+  if (rule.effectiveFrom <= todayInShanghai()) {
+      throw new AppError('该财务规则已生效，删除会改变历史项目的财务数据。如需调整，请新增一条生效日期更晚的规则。', 409, 'FINANCE_RULE_IN_EFFECT');
+  }
+
+  await collection.updateOne({ _id: CONFIG_TYPES.FINANCE_RULES.docId }, { $set: { updatedAt: new Date() }, $pull: { values: { id: ruleId } } });
+  await recordAudit(db, req, { entityType: 'configuration', entityId: ruleId, action: AUDIT_ACTIONS.DELETE, before: rule, meta: { type: 'FINANCE_RULES' } });
+}
+
+exports.handler = createHandler({ name: 'processConfigurations', methods: ['GET', 'POST', 'DELETE'], roles: { GET: ANY_ROLE, default: ADMIN_ONLY } }, async (req) => {
+  const db = await getDb();
+  const collection = db.collection(COLLECTION_NAME);
+
+  const typeInQuery = req.query.type || null;
+  const payload = req.body;
+  const typeInBody = payload.type;
+  const type = typeInBody || typeInQuery;
+
+  switch (req.method) {
+    case 'GET': {
+      // [BUG修复] 重写GET逻辑以支持一次性获取所有配置
+      const allConfigs = await collection.find({}).toArray();
+      const configMap = new Map(allConfigs.map(c => [c._id, c]));
+
+      // 确保所有类型的配置都有返回值，特别是通知设置
+      Object.keys(CONFIG_TYPES).forEach(key => {
+          const meta = CONFIG_TYPES[key];
+          if (!configMap.has(meta.docId)) {
+              const defaultValue = DEFAULT_SETTINGS[key] || [];
+              configMap.set(meta.docId, { _id: meta.docId, type: key, [meta.field]: defaultValue });
+          }
+      });
+      
+      // 返回前端期望的数组格式
+      const responseData = Array.from(configMap.values()).map(doc => ({
+          type: Object.keys(CONFIG_TYPES).find(key => CONFIG_TYPES[key].docId === doc._id),
+          ...doc,
+          // [v2.1] 财务规则附带系统默认值，早于所有规则创建的项目使用默认值计算
+          ...(doc._id === CONFIG_TYPES.FINANCE_RULES.docId ? { defaults: DEFAULT_FINANCE_RULES } : {})
+      }));
+
+      return respond(200, responseData);
     }
-    const typeInBody = payload.type;
-    const type = typeInBody || typeInQuery;
-
-    switch (event.httpMethod) {
-      case 'GET': {
-        // [BUG修复] 重写GET逻辑以支持一次性获取所有配置
-        const allConfigs = await collection.find({}).toArray();
-        const configMap = new Map(allConfigs.map(c => [c._id, c]));
-
-        // 确保所有类型的配置都有返回值，特别是通知设置
-        Object.keys(CONFIG_TYPES).forEach(key => {
-            const meta = CONFIG_TYPES[key];
-            if (!configMap.has(meta.docId)) {
-                const defaultValue = (key === 'FEISHU_NOTIFICATIONS') ? DEFAULT_NOTIFICATION_SETTINGS : [];
-                const fieldName = (key === 'FEISHU_NOTIFICATIONS') ? 'settings' : 'values';
-                configMap.set(meta.docId, { _id: meta.docId, type: key, [fieldName]: defaultValue });
-            }
-        });
-        
-        // 返回前端期望的数组格式
-        const responseData = Array.from(configMap.values()).map(doc => ({
-            type: Object.keys(CONFIG_TYPES).find(key => CONFIG_TYPES[key].docId === doc._id),
-            ...doc
-        }));
-
-        return { statusCode: 200, headers, body: JSON.stringify(responseData) };
-      }
 
-      case 'POST': {
-        if (!type) return { statusCode: 400, headers, body: JSON.stringify({ success: false, message: '必须提供配置类型 type。' }) };
-        const configMeta = getConfigMeta(type);
-        if (!configMeta) return { statusCode: 400, headers, body: JSON.stringify({ success: false, message: `无效的配置类型: ${type}` }) };
-        const { docId, field } = configMeta;
-        
-        // [恢复] 保留原有处理多种配置类型的逻辑
-        if (type === 'FEISHU_NOTIFICATIONS') {
-            await collection.updateOne({ _id: docId }, { $set: { [field]: payload.settings, updatedAt: new Date() } }, { upsert: true });
-        } else if (type === 'ADJUSTMENT_TYPES' || type === 'PROJECT_TYPES') {
-            if (!payload.name) return { statusCode: 400, headers, body: JSON.stringify({ success: false, message: '类型名称不能为空。' }) };
-            await collection.updateOne({ _id: docId }, { $set: { updatedAt: new Date() }, $addToSet: { [field]: payload.name.trim() } }, { upsert: true });
-        } else {
-            const newItem = (type === 'CAPITAL_RATES')
-                ? { id: `rate_${Date.now()}`, name: payload.name, value: parseFloat(payload.value) }
-                : { id: `disc_${Date.now()}`, name: payload.name, value: String(payload.value) };
-            if (!newItem.name || newItem.value == null) return { statusCode: 400, headers, body: JSON.stringify({ success: false, message: '名称和值为必填项。' }) };
-            await collection.updateOne({ _id: docId }, { $set: { updatedAt: new Date() }, $push: { [field]: newItem } }, { upsert: true });
-        }
-        return { statusCode: 201, headers, body: JSON.stringify({ success: true, message: '配置项添加/更新成功。' }) };
+    case 'POST': {
+      if (!type) throw new AppError('必须提供配置类型 type。', 400);
+      const configMeta = getConfigMeta(type);
+      if (!configMeta) throw new AppError(`无效的配置类型: ${type}`, 400);
+      const { docId, field } = configMeta;
+      
+      // [恢复] 保留原有处理多种配置类型的逻辑
+      if (type === 'FINANCE_RULES') {
+          const newRule = await addFinanceRule(collection, db, req, payload);
+          return respond(201, { success: true, message: '财务规则添加成功。', data: newRule });
+      } else if (type === 'BUDGET_ALERTS') {
+          const thresholdPercent = Number(payload.settings?.thresholdPercent);
+          if (!Number.isFinite(thresholdPercent) || thresholdPercent <= 0 || thresholdPercent > 100) {
+              throw new AppError('预算预警阈值 thresholdPercent 必须是 0 ~ 100 之间的数字。', 400);
+          }
+          await collection.updateOne({ _id: docId }, { $set: { [field]: { thresholdPercent }, updatedAt: new Date() } }, { upsert: true });
+      } else if (type === 'FEISHU_NOTIFICATIONS') {
+          await collection.updateOne({ _id: docId }, { $set: { [field]: payload.settings, updatedAt: new Date() } }, { upsert: true });
+      } else if (type === 'ADJUSTMENT_TYPES' || type === 'PROJECT_TYPES') {
+          if (!payload.name) throw new AppError('类型名称不能为空。', 400);
+          await collection.updateOne({ _id: docId }, { $set: { updatedAt: new Date() }, $addToSet: { [field]: payload.name.trim() } }, { upsert: true });
+      } else {
+          const newItem = (type === 'CAPITAL_RATES')
+              ? { id: `rate_${Date.now()}`, name: payload.name, value: parseFloat(payload.value) }
+              : { id: `disc_${Date.now()}`, name: payload.name, value: String(payload.value) };
+          if (!newItem.name || newItem.value == null) throw new AppError('名称和值为必填项。', 400);
+          await collection.updateOne({ _id: docId }, { $set: { updatedAt: new Date() }, $push: { [field]: newItem } }, { upsert: true });
       }
+      return respond(201, { success: true, message: '配置项添加/更新成功。' });
+    }
 
-      case 'DELETE': {
-        if (!type) return { statusCode: 400, headers, body: JSON.stringify({ success: false, message: '必须提供配置类型 type。' }) };
-        const configMeta = getConfigMeta(type);
-        if (!configMeta) return { statusCode: 400, headers, body: JSON.stringify({ success: false, message: `无效的配置类型: ${type}` }) };
-        const { docId, field } = configMeta;
-        
-        // [恢复] 保留原有处理多种配置类型的逻辑
-        if (type === 'ADJUSTMENT_TYPES' || type === 'PROJECT_TYPES') {
-            if (!payload.name) return { statusCode: 400, headers, body: JSON.stringify({ success: false, message: '需要提供要删除的类型名称。' }) };
-            await collection.updateOne({ _id: docId }, { $pull: { [field]: payload.name } });
-        } else {
-            if (!payload.id) return { statusCode: 400, headers, body: JSON.stringify({ success: false, message: '需要提供要删除的配置项ID。' }) };
-            await collection.updateOne({ _id: docId }, { $pull: { [field]: { id: payload.id } } });
-        }
-        return { statusCode: 200, headers, body: JSON.stringify({ success: true, message: '配置项删除成功。' }) };
+    case 'DELETE': {
+      if (!type) throw new AppError('必须提供配置类型 type。', 400);
+      const configMeta = getConfigMeta(type);
+      if (!configMeta) throw new AppError(`无效的配置类型: ${type}`, 400);
+      const { docId, field } = configMeta;
+      
+      // [恢复] 保留原有处理多种配置类型的逻辑
+      if (type === 'FINANCE_RULES') {
+          if (!payload.id) throw new AppError('需要提供要删除的财务规则ID。', 400);
+          await deleteFinanceRule(collection, db, req, payload.id);
+      } else if (type === 'ADJUSTMENT_TYPES' || type === 'PROJECT_TYPES') {
+          if (!payload.name) throw new AppError('需要提供要删除的类型名称。', 400);
+          await collection.updateOne({ _id: docId }, { $pull: { [field]: payload.name } });
+      } else {
+          if (!payload.id) throw new AppError('需要提供要删除的配置项ID。', 400);
+          await collection.updateOne({ _id: docId }, { $pull: { [field]: { id: payload.id } } });
       }
-
-      default:
-        return { statusCode: 405, headers, body: JSON.stringify({ success: false, message: '不支持的请求方法。' }) };
+      return respond(200, { success: true, message: '配置项删除成功。' });
     }
-  } catch (error) {
-    console.error('处理请求时发生错误:', error);
-    return { statusCode: 500, headers, body: JSON.stringify({ success: false, message: '服务器内部错误', error: error.message }) };
+
+    default:
+      throw new AppError('不支持的请求方法。', 405);
   }
-};
+});
@@ -1,7 +1,9 @@
 /**
- * [生产版 v1.1 - 标准化升级版]
+ * [生产版 v1.2 - 审计日志]
  * 云函数：processTalents
  * 描述：处理新增或批量更新达人信息的请求。
+ * --- v1.2 更新日志 ---
+ * - [审计] 每个被创建或更新的达人都会写入 audit_events。
  * --- v1.1 更新日志 ---
  * - [规范统一] 更新了环境变量和配置读取方式，与项目最新标准对齐。
  * - [规范统一] 实现了“双源数据读取”，以兼容在线测试工具。
@@ -9,119 +11,84 @@
  * 触发器：API 网关, 通过 POST /talents 路径调用。
  */
 
-const { MongoClient } = require('mongodb');
+const { createHandler, getDb, respond, AppError, recordAudit, AUDIT_ACTIONS, WRITE_ROLES } = require('kol-common');
 
 // [规范统一] 从环境变量中获取配置，并提供默认值
-const MONGO_URI = process.env.MONGO_URI;
-const DB_NAME = process.env.MONGO_DB_NAME || 'kol_data';
 const TALENTS_COLLECTION = process.env.MONGO_TALENTS_COLLECTION || 'talents';
 
-let client;
+exports.handler = createHandler({ name: 'processTalents', methods: ['POST'], roles: WRITE_ROLES }, async (req) => {
+  const db = await getDb();
+  // [规范统一] 使用从环境变量读取的集合名
+  const collection = db.collection(TALENTS_COLLECTION);
 
-async function connectToDatabase() {
-  if (client && client.topology && client.topology.isConnected()) {
-    return client;
-  }
-  // [规范统一] 使用 MONGO_URI
-  client = new MongoClient(MONGO_URI);
-  await client.connect();
-  return client;
-}
-
-exports.handler = async (event, context) => {
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Content-Type': 'application/json'
-  };
-
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 204, headers, body: '' };
-  }
+  // [规范统一] 实现“双源数据读取”
+  const body = Array.isArray(req.body) ? req.body : req.params;
   
-  try {
-    const dbClient = await connectToDatabase();
-    // [规范统一] 使用从环境变量读取的集合名
-    const collection = dbClient.db(DB_NAME).collection(TALENTS_COLLECTION);
+  // 确定是单个对象还是数组，统一处理为数组
+  const talentsToProcess = Array.isArray(body) ? body : [body];
 
-    // [规范统一] 实现“双源数据读取”
-    let body = {};
-    if (event.body) {
-        try { body = JSON.parse(event.body); } catch(e) { /* ignore */ }
-    }
-    if (Object.keys(body).length === 0 && event.queryStringParameters) {
-        body = event.queryStringParameters;
-    }
-    
-    // 确定是单个对象还是数组，统一处理为数组
-    const talentsToProcess = Array.isArray(body) ? body : [body];
-
-    if (talentsToProcess.length === 0 || (talentsToProcess.length === 1 && Object.keys(talentsToProcess[0]).length === 0)) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({ success: false, message: '请求体为空或格式不正确。' }),
-      };
-    }
+  if (talentsToProcess.length === 0 || (talentsToProcess.length === 1 && Object.keys(talentsToProcess[0]).length === 0)) {
+    throw new AppError('请求体为空或格式不正确。', 400);
+  }
 
-    let createdCount = 0;
-    let updatedCount = 0;
+  let createdCount = 0;
+  let updatedCount = 0;
 
-    const bulkOperations = talentsToProcess.map(talent => {
-      // 数据校验：确保核心字段存在
-      if (!talent.xingtuId || !talent.nickname) {
-        return null; // 跳过无效数据
-      }
+  // 读取已存在的达人，用于审计差异
+  const xingtuIds = talentsToProcess.map(t => t.xingtuId).filter(Boolean);
+  const existingTalents = await collection.find({ xingtuId: { $in: xingtuIds } }).toArray();
+  const existingMap = new Map(existingTalents.map(t => [t.xingtuId, t]));
+  const auditEvents = [];
 
-      const now = new Date();
-      
-      // 准备更新操作
-      return {
-        updateOne: {
-          filter: { xingtuId: talent.xingtuId }, // 以 xingtuId 作为唯一键
-          update: {
-            $set: {
-              ...talent, // 传入的所有字段都会被更新
-              updatedAt: now,
-            },
-            $setOnInsert: { // 仅在插入新文档时应用的字段
-              id: `talent_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
-              createdAt: now,
-            }
-          },
-          upsert: true, // 如果找不到匹配的文档，则创建新文档
-        }
-      };
-    }).filter(op => op !== null); // 过滤掉无效操作
-
-    if (bulkOperations.length > 0) {
-      const result = await collection.bulkWrite(bulkOperations);
-      createdCount = result.upsertedCount;
-      updatedCount = result.modifiedCount;
+  const bulkOperations = talentsToProcess.map(talent => {
+    // 数据校验：确保核心字段存在
+    if (!talent.xingtuId || !talent.nickname) {
+      return null; // 跳过无效数据
     }
 
-    // 返回成功响应
+    const now = new Date();
+    const existing = existingMap.get(talent.xingtuId);
+    const newId = `talent_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+    if (existing) {
+      auditEvents.push({ entityType: 'talent', entityId: existing.id, action: AUDIT_ACTIONS.UPDATE, before: existing, after: { ...existing, ...talent } });
+    } else {
+      auditEvents.push({ entityType: 'talent', entityId: newId, action: AUDIT_ACTIONS.CREATE, after: { ...talent, id: newId } });
+    }
+    
+    // 准备更新操作
     return {
-      statusCode: 200,
-      headers,
-      body: JSON.stringify({
-        success: true,
-        message: '操作成功！',
-        data: {
-            created: createdCount,
-            updated: updatedCount,
-            skipped: talentsToProcess.length - (createdCount + updatedCount),
-        }
-      }),
+      updateOne: {
+        filter: { xingtuId: talent.xingtuId }, // 以 xingtuId 作为唯一键
+        update: {
+          $set: {
+            ...talent, // 传入的所有字段都会被更新
+            updatedAt: now,
+          },
+          $setOnInsert: { // 仅在插入新文档时应用的字段
+            id: newId,
+            createdAt: now,
+          }
+        },
+        upsert: true, // 如果找不到匹配的文档，则创建新文档
+      }
     };
+  }).filter(op => op !== null); // 过滤掉无效操作
 
-  } catch (error) {
-    console.error('处理请求时发生错误:', error);
-    return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({ success: false, message: '服务器内部错误', error: error.message }),
-    };
+  if (bulkOperations.length > 0) {
+    const result = await collection.bulkWrite(bulkOperations);
+    createdCount = result.upsertedCount;
+    updatedCount = result.modifiedCount;
+    await recordAudit(db, req, auditEvents);
   }
-};
+
+  // 返回成功响应
+  return respond(200, {
+    success: true,
+    message: '操作成功！',
+    data: {
+        created: createdCount,
+        updated: updatedCount,
+        skipped: talentsToProcess.length - (createdCount + updatedCount),
+    }
+  });
+});
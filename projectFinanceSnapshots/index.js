@@ -0,0 +1,219 @@
+/**
+ * @file projectFinanceSnapshots/index.js
+ * @version 1.0.1
+ * @description 项目损益快照与财务关账。
+ * - [POST 关账] { projectId, financialYear?, financialMonth?, note? }：按当前数据计算项目 metrics 与每条有效合作的指标，
+ *   连同所用的财务规则、资金费率和引擎版本一起写入 project_financial_snapshots。未传财务年月时取项目自身的 financialYear / financialMonth。
+ * - [不可变] 同一项目同一财务月份只能关账一次（重复关账返回 409），本函数不提供修改或删除快照的接口。
+ *   写入使用 upsert + $setOnInsert，并发关账时只有一个请求能插入快照，不依赖集合上的唯一索引。
+ * - [年月类型] 请求中的 financialYear / financialMonth 按项目上存储的类型转换后再查询（"2025" 与 2025 视为同一年）。
+ * - [GET 列表] ?projectId=xxx：按关账时间倒序返回该项目的快照（不含合作明细）；加 &snapshotId=xxx 返回单个快照的完整内容。
+ * - [GET 差异] ?projectId=xxx&view=drift：将实时指标与最近一次关账快照对比（可用 financialYear + financialMonth 指定快照），
+ *   返回每个指标的 closed / live / diff，以及新增、移除和金额变化的合作记录。
+ * - [权限] 仅 finance / admin 可访问。
+ *
+ * @changelog
+ * - v1.0.1: 关账改为原子 upsert（$setOnInsert），不再依赖唯一索引；请求中的财务年月按项目存储类型归一化。
+ */
+
+const {
+  createHandler, getDb, respond, AppError, FINANCE_ROLES,
+  recordAudit, AUDIT_ACTIONS,
+  EFFECTIVE_COLLABORATION_STATUSES, FINANCE_ENGINE_VERSION,
+  calculateProjectFinance, calculateCollaborationFinance, loadFinanceContext, buildFinanceOptions, round2
+} = require('kol-common');
+
+const PROJECTS_COLLECTION = 'projects';
+const COLLABS_COLLECTION = 'collaborations';
+const SNAPSHOTS_COLLECTION = 'project_financial_snapshots';
+
+// 合作明细中冻结的指标
+const COLLAB_METRIC_FIELDS = ['income', 'expense', 'rebateForProfit', 'fundsOccupationCost', 'grossProfit'];
+
+/**
+ * 按当前数据计算项目的实时损益（与 getProjects 的 metrics 口径一致）。
+ */
+async function calculateLiveFinance(db, project, now = new Date()) {
+  const collaborations = await db.collection(COLLABS_COLLECTION)
+    .find({ projectId: project.id }, { projection: { _id: 0 } })
+    .toArray();
+  const financeContext = await loadFinanceContext(db, [project]);
+  const options = buildFinanceOptions(financeContext, project, now);
+
+  const collaborationMetrics = collaborations
+    .filter(c => EFFECTIVE_COLLABORATION_STATUSES.includes(c.status))
+    .map(collab => {
+      const finance = calculateCollaborationFinance(collab, project, options);
+      const entry = { collaborationId: collab.id, talentId: collab.talentId, status: collab.status };
+      COLLAB_METRIC_FIELDS.forEach(field => { entry[field] = round2(finance[field]); });
+      return entry;
+    });
+
+  return {
+    metrics: calculateProjectFinance(project, collaborations, options),
+    collaborations: collaborationMetrics,
+    financeRules: options.rules,
+    monthlyRatePercent: options.monthlyRatePercent,
+  };
+}
+
+async function findProject(db, projectId) {
+  if (!projectId) throw new AppError('请求中缺少 projectId。', 400);
+  const project = await db.collection(PROJECTS_COLLECTION).findOne({ id: projectId }, { projection: { _id: 0 } });
+  if (!project) throw new AppError(`未找到 ID 为 '${projectId}' 的项目`, 404);
+  return project;
+}
+
+/**
+ * 将请求中的财务年/月转换为项目上存储的类型，避免 "2025" 与 2025 匹配不到同一快照。
+ */
+function normalizePeriodValue(value, storedValue) {
+  if (value === undefined || value === null || value === '') return storedValue;
+  if (typeof storedValue === 'number') {
+    const num = Number(value);
+    if (Number.isNaN(num)) throw new AppError(`无效的财务年月: ${value}`, 400);
+    return num;
+  }
+  return String(value).trim();
+}
+
+async function closePeriod(db, req) {
+  const { projectId, note } = req.body;
+  const project = await findProject(db, projectId);
+  const financialYear = normalizePeriodValue(req.body.financialYear, project.financialYear);
+  const financialMonth = normalizePeriodValue(req.body.financialMonth, project.financialMonth);
+  if (!financialYear || !financialMonth) {
+    throw new AppError('项目未设置财务年月，请在请求中提供 financialYear 与 financialMonth。', 400);
+  }
+
+  const snapshots = db.collection(SNAPSHOTS_COLLECTION);
+  const periodFilter = { projectId, financialYear, financialMonth };
+  const alreadyClosed = () => new AppError(`项目 ${financialYear} 年 ${financialMonth} 已关账，快照不可修改。`, 409, 'PERIOD_ALREADY_CLOSED', periodFilter);
+  if (await snapshots.findOne(periodFilter, { projection: { _id: 1 } })) {
+    throw alreadyClosed();
+  }
+
+  const closedAt = new Date();
+  const live = await calculateLiveFinance(db, project, closedAt);
+  const snapshot = {
+    id: `snap_${Date.now()}`,
+    projectId,
+    projectName: project.name,
+    projectStatus: project.status,
+    financialYear,
+    financialMonth,
+    metrics: live.metrics,
+    collaborations: live.collaborations,
+    financeRules: live.financeRules,
+    monthlyRatePercent: live.monthlyRatePercent,
+    engineVersion: FINANCE_ENGINE_VERSION,
+    closedAt,
+    closedBy: { id: req.user.id, name: req.user.name },
+    ...(note ? { note: String(note).trim() } : {}),
+  };
+
+  // 并发关账时只有一个请求能插入，其余请求匹配到已存在的快照后不做任何修改
+  const result = await snapshots.updateOne(periodFilter, { $setOnInsert: snapshot }, { upsert: true });
+  if (result.upsertedCount === 0) {
+    throw alreadyClosed();
+  }
+  await recordAudit(db, req, { entityType: 'projectSnapshot', entityId: snapshot.id, action: AUDIT_ACTIONS.CREATE, after: snapshot, meta: { projectId } });
+
+  return respond(201, { success: true, message: '关账成功，已生成项目损益快照。', data: snapshot });
+}
+
+/**
+ * 比较快照与实时数据，差额按 2 位小数计。
+ */
+function buildDrift(snapshot, live) {
+  const metrics = {};
+  const changedFields = [];
+  Object.keys(snapshot.metrics).forEach(field => {
+    const closed = snapshot.metrics[field];
+    const current = live.metrics[field];
+    const diff = round2(current - closed);
+    metrics[field] = { closed, live: current, diff };
+    if (diff !== 0) changedFields.push(field);
+  });
+
+  const closedMap = new Map(snapshot.collaborations.map(c => [c.collaborationId, c]));
+  const liveMap = new Map(live.collaborations.map(c => [c.collaborationId, c]));
+  const collaborations = [];
+  liveMap.forEach((current, collaborationId) => {
+    const closed = closedMap.get(collaborationId);
+    if (!closed) {
+      collaborations.push({ collaborationId, change: 'added', live: current });
+      return;
+    }
+    const fields = COLLAB_METRIC_FIELDS
+      .filter(field => round2(current[field] - closed[field]) !== 0)
+      .map(field => ({ field, closed: closed[field], live: current[field], diff: round2(current[field] - closed[field]) }));
+    if (fields.length > 0) collaborations.push({ collaborationId, change: 'changed', fields });
+  });
+  closedMap.forEach((closed, collaborationId) => {
+    if (!liveMap.has(collaborationId)) collaborations.push({ collaborationId, change: 'removed', closed });
+  });
+
+  return { hasDrift: changedFields.length > 0 || collaborations.length > 0, changedFields, metrics, collaborations };
+}
+
+async function getDrift(db, query) {
+  const project = await findProject(db, query.projectId);
+  const filter = { projectId: project.id };
+  if (query.financialYear) filter.financialYear = normalizePeriodValue(query.financialYear, project.financialYear);
+  if (query.financialMonth) filter.financialMonth = normalizePeriodValue(query.financialMonth, project.financialMonth);
+
+  const [snapshot] = await db.collection(SNAPSHOTS_COLLECTION)
+    .find(filter, { projection: { _id: 0 } })
+    .sort({ closedAt: -1 })
+    .limit(1)
+    .toArray();
+  if (!snapshot) {
+    throw new AppError('该项目尚未关账，没有可对比的快照。', 404, 'SNAPSHOT_NOT_FOUND');
+  }
+
+  const live = await calculateLiveFinance(db, project);
+  return respond(200, {
+    success: true,
+    data: {
+      snapshot: {
+        id: snapshot.id,
+        financialYear: snapshot.financialYear,
+        financialMonth: snapshot.financialMonth,
+        closedAt: snapshot.closedAt,
+        closedBy: snapshot.closedBy,
+        engineVersion: snapshot.engineVersion,
+      },
+      drift: buildDrift(snapshot, live),
+    },
+  });
+}
+
+async function listSnapshots(db, query) {
+  if (!query.projectId) throw new AppError('请求中缺少 projectId。', 400);
+  const snapshots = db.collection(SNAPSHOTS_COLLECTION);
+
+  if (query.snapshotId) {
+    const snapshot = await snapshots.findOne({ id: query.snapshotId, projectId: query.projectId }, { projection: { _id: 0 } });
+    if (!snapshot) throw new AppError(`未找到快照: ${query.snapshotId}`, 404);
+    return respond(200, { success: true, data: snapshot });
+  }
+
+  const data = await snapshots
+    .find({ projectId: query.projectId }, { projection: { _id: 0, collaborations: 0 } })
+    .sort({ closedAt: -1 })
+    .toArray();
+  return respond(200, { success: true, count: data.length, data });
+}
+
+exports.handler = createHandler({ name: 'projectFinanceSnapshots', methods: ['GET', 'POST'], roles: FINANCE_ROLES }, async (req) => {
+  const db = await getDb();
+
+  if (req.method === 'POST') {
+    return closePeriod(db, req);
+  }
+  if (req.query.view === 'drift') {
+    return getDrift(db, req.query);
+  }
+  return listSnapshots(db, req.query);
+});
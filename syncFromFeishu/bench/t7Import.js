@@ -0,0 +1,110 @@
+/**
+ * t7 导入的基准脚本：用飞书替身与 mongoFake 构造 N 行的表格与对应的合作记录 / 作品，
+ * 每次数据库往返人为延迟 LATENCY 毫秒，统计一次导入的数据库往返次数与耗时。
+ *
+ *   npm run bench                                   # 默认 3000 行、每次往返 1ms
+ *   BENCH_ROWS=500 BENCH_LATENCY_MS=5 npm run bench
+ *
+ * 往返次数与行数无关即说明合作记录与作品是整批读写的；耗时随机器而变，只用于前后对比。
+ */
+process.env.FEISHU_APP_ID = process.env.FEISHU_APP_ID || 'cli_bench';
+process.env.FEISHU_APP_SECRET = process.env.FEISHU_APP_SECRET || 'bench-secret';
+
+const { setDatabase } = require('kol-common');
+const { createFeishuFake } = require('kol-common/feishuFake');
+const { createMongoFake } = require('kol-common/mongoFake');
+const { handleFeishuRequest } = require('../utils.js');
+
+const ROWS = parseInt(process.env.BENCH_ROWS, 10) || 3000;
+const LATENCY_MS = parseFloat(process.env.BENCH_LATENCY_MS ?? '1');
+const SPREADSHEET_TOKEN = 'shtBenchT7';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 给 mongoFake 的每次调用加上往返延迟并计数；find / aggregate 在 toArray 时计一次往返。
+ */
+function withLatency(db, stats) {
+    const roundTrip = async (collectionName, method, run) => {
+        stats.roundTrips += 1;
+        stats.byCollection[collectionName] = (stats.byCollection[collectionName] || 0) + 1;
+        if (LATENCY_MS > 0) await sleep(LATENCY_MS);
+        return run();
+    };
+    const wrapCursor = (collectionName, method, cursor) => new Proxy(cursor, {
+        get(target, prop) {
+            if (prop === 'toArray') return () => roundTrip(collectionName, method, () => target.toArray());
+            const value = target[prop];
+            if (typeof value !== 'function') return value;
+            return (...args) => {
+                const result = value.apply(target, args);
+                return result === target ? wrapCursor(collectionName, method, target) : result;
+            };
+        }
+    });
+    return {
+        collection(name) {
+            const collection = db.collection(name);
+            return new Proxy(collection, {
+                get(target, method) {
+                    const value = target[method];
+                    if (typeof value !== 'function') return value;
+                    if (method === 'find' || method === 'aggregate') {
+                        return (...args) => wrapCursor(name, method, value.apply(target, args));
+                    }
+                    return (...args) => roundTrip(name, method, () => value.apply(target, args));
+                }
+            });
+        }
+    };
+}
+
+function buildFixtures() {
+    const header = ['星图任务ID', '播放量', '点赞量', '评论量'];
+    const rows = [header];
+    const collaborations = [];
+    const works = [];
+    for (let i = 0; i < ROWS; i++) {
+        const taskId = `task_${i}`;
+        collaborations.push({ id: `collab_${i}`, taskId, projectId: 'proj_bench', talentId: `talent_${i}` });
+        // 一半的合作记录已有作品（更新），另一半由导入新建
+        if (i % 2 === 0) works.push({ id: `work_${i}`, collaborationId: `collab_${i}`, t7_totalViews: i, updatedAt: new Date(0) });
+        rows.push([taskId, String(1000 + i), String(i), String(i % 7)]);
+    }
+    return { rows, collaborations, works };
+}
+
+async function main() {
+    const { rows, collaborations, works } = buildFixtures();
+    const feishu = createFeishuFake({ spreadsheets: { [SPREADSHEET_TOKEN]: { title: 'T7 基准', sheets: [{ values: rows }] } } });
+    const mongo = createMongoFake({ collections: { collaborations, works, projects: [{ id: 'proj_bench', name: '基准项目' }] } });
+    const stats = { roundTrips: 0, byCollection: {} };
+    feishu.install();
+    setDatabase(withLatency(mongo.db, stats));
+
+    const log = console.log;
+    const warn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+    const startedAt = process.hrtime.bigint();
+    let result;
+    try {
+        result = await handleFeishuRequest({ dataType: 't7', payload: { spreadsheetToken: SPREADSHEET_TOKEN } }, null);
+    } finally {
+        console.log = log;
+        console.warn = warn;
+        feishu.uninstall();
+        setDatabase(null);
+    }
+    const elapsedMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+
+    console.log(`[bench t7] 行数: ${ROWS}，每次数据库往返延迟: ${LATENCY_MS}ms`);
+    console.log(`[bench t7] 新建: ${result.created}，更新: ${result.updated}，跳过: ${result.rowReport.skipped}`);
+    console.log(`[bench t7] 数据库往返: ${stats.roundTrips} 次 ${JSON.stringify(stats.byCollection)}`);
+    console.log(`[bench t7] 耗时: ${elapsedMs.toFixed(0)}ms`);
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
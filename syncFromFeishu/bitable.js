@@ -0,0 +1,253 @@
+/**
+ * @file syncFromFeishu/bitable.js
+ * @version 1.2.0
+ * @description 飞书多维表格 (Bitable) 的读写。
+ * - [读取] readBitableTable 读取一张数据表的全部记录，按字段顺序转换为与电子表格相同的二维数组（第 1 行为字段名），
+ *   导入逻辑与列映射 (import_mappings) 因此可以不区分来源；文本、选项、人员、日期、附件等字段值统一转换为字符串或数字。
+ * - [写入] 支持创建多维表格与数据表、补齐缺少的字段、批量新增 / 更新记录（每次最多 500 条），以及上传附件（截图）。
+ * - [v1.1] 接口调用改用 kol-common 的 feishuRequest（共享凭证、重试与超时），不再由调用方传入 tenant_access_token。
+ * - [v1.2] 批量更新记录声明为幂等请求（超时 / 5xx 时重试）；新建记录、数据表与字段仍只在频率限制时重试。
+ */
+const axios = require('axios');
+const FormData = require('form-data');
+const { AppError, feishuRequest } = require('kol-common');
+
+const BITABLE_API_PATH = '/bitable/v1/apps';
+
+// 多维表格字段类型（只列出读写时需要区分的类型）
+const BITABLE_FIELD_TYPES = {
+    TEXT: 1,
+    NUMBER: 2,
+    SINGLE_SELECT: 3,
+    MULTI_SELECT: 4,
+    DATE: 5,
+    CHECKBOX: 7,
+    USER: 11,
+    URL: 15,
+    ATTACHMENT: 17,
+    CREATED_TIME: 1001,
+    MODIFIED_TIME: 1002
+};
+
+const DATE_FIELD_TYPES = [BITABLE_FIELD_TYPES.DATE, BITABLE_FIELD_TYPES.CREATED_TIME, BITABLE_FIELD_TYPES.MODIFIED_TIME];
+
+// 接口单页 / 单次批量写入的上限
+const BITABLE_PAGE_SIZE = 500;
+const BITABLE_BATCH_SIZE = 500;
+
+/**
+ * 从多维表格链接中解析 appToken 与 tableId，例如 https://xxx.feishu.cn/base/<appToken>?table=<tableId>。
+ * 传入的不是链接时原样作为 appToken 返回。
+ */
+function getBitableTokenFromUrl(url) {
+    if (!url || typeof url !== 'string') return { appToken: null, tableId: null };
+    if (!url.includes('/')) return { appToken: url, tableId: null };
+    try {
+        const parsed = new URL(url);
+        const pathParts = parsed.pathname.split('/');
+        const baseIndex = pathParts.indexOf('base');
+        if (baseIndex > -1 && pathParts.length > baseIndex + 1) {
+            return { appToken: pathParts[baseIndex + 1], tableId: parsed.searchParams.get('table') };
+        }
+    } catch (error) {
+        console.warn(`Could not parse Bitable URL: ${url}`, error);
+    }
+    return { appToken: null, tableId: null };
+}
+
+const bitableRequest = (method, path, options) => feishuRequest(method, `${BITABLE_API_PATH}${path}`, options);
+
+// 逐页读取列表接口，直到 has_more 为 false
+async function listAllPages(path, params = {}) {
+    const items = [];
+    let pageToken;
+    do {
+        const data = await bitableRequest('get', path, { params: { ...params, page_size: BITABLE_PAGE_SIZE, ...(pageToken ? { page_token: pageToken } : {}) } });
+        items.push(...(data.items || []));
+        pageToken = data.has_more ? data.page_token : null;
+    } while (pageToken);
+    return items;
+}
+
+/**
+ * 列出多维表格中的所有数据表。
+ * @returns {Promise<Array<{ tableId: string, title: string }>>}
+ */
+async function listBitableTables(appToken) {
+    const tables = await listAllPages(`/${appToken}/tables`);
+    return tables.map(table => ({ tableId: table.table_id, title: table.name }));
+}
+
+/**
+ * 按数据表名称或 tableId 选择数据表；未指定时取第一张数据表。已解析的数据表对象原样返回。
+ */
+async function resolveBitableTable(appToken, table) {
+    if (table && typeof table === 'object') return table;
+    const tables = await listBitableTables(appToken);
+    if (tables.length === 0) throw new AppError('多维表格中没有数据表。', 400);
+    if (!table) return tables[0];
+    const target = tables.find(t => t.tableId === table) || tables.find(t => t.title === String(table).trim());
+    if (!target) {
+        throw new AppError(`未找到数据表 "${table}"。可选数据表: ${tables.map(t => t.title).join(' / ')}`, 404, 'TABLE_NOT_FOUND');
+    }
+    return target;
+}
+
+/**
+ * @returns {Promise<Array<{ fieldId: string, name: string, type: number }>>}
+ */
+async function listBitableFields(appToken, tableId) {
+    const fields = await listAllPages(`/${appToken}/tables/${tableId}/fields`);
+    return fields.map(field => ({ fieldId: field.field_id, name: field.field_name, type: field.type }));
+}
+
+// 日期按北京时间输出为 "YYYY-MM-DD HH:mm:ss"，与电子表格中读取到的日期文本一致
+function formatBitableDate(timestamp) {
+    return new Date(timestamp).toLocaleString('sv-SE', { timeZone: 'Asia/Shanghai', hour12: false });
+}
+
+/**
+ * 将多维表格的单元格值转换为电子表格式的值（字符串 / 数字 / 布尔）。
+ */
+function normalizeBitableValue(value, fieldType) {
+    if (value === null || value === undefined) return null;
+    if (DATE_FIELD_TYPES.includes(fieldType) && typeof value === 'number') return formatBitableDate(value);
+    if (typeof value !== 'object') return value;
+    if (Array.isArray(value)) {
+        const parts = value.map(item => normalizeBitableValue(item, fieldType)).filter(part => part !== null && part !== '');
+        if (parts.length === 0) return null;
+        // 富文本由多个片段组成，直接拼接；选项、人员、附件等多值字段用逗号分隔
+        return fieldType === BITABLE_FIELD_TYPES.TEXT ? parts.join('') : parts.join(', ');
+    }
+    // 公式 / 查找引用字段: { type, value: [...] }
+    if ('value' in value && Array.isArray(value.value)) return normalizeBitableValue(value.value, value.type);
+    if (fieldType === BITABLE_FIELD_TYPES.URL && value.link) return value.link;
+    if (fieldType === BITABLE_FIELD_TYPES.ATTACHMENT) return value.url || value.name || null;
+    return value.text ?? value.name ?? value.full_address ?? null;
+}
+
+/**
+ * 读取数据表的全部记录。
+ * @returns {Promise<{ table: { tableId: string, title: string }, values: Array<Array<*>>, recordIds: string[] }>}
+ *   values 第 1 行为字段名，之后每行对应一条记录；recordIds[i] 对应 values[i + 1]
+ */
+async function readBitableTable(appToken, table) {
+    const target = await resolveBitableTable(appToken, table);
+    const fields = await listBitableFields(appToken, target.tableId);
+    console.log(`--> [多维表格读取] 目标: ${appToken}, 数据表: ${target.title}, 字段数: ${fields.length}`);
+    const records = await listAllPages(`/${appToken}/tables/${target.tableId}/records`);
+    const values = [fields.map(field => field.name)];
+    records.forEach(record => {
+        values.push(fields.map(field => normalizeBitableValue(record.fields[field.name], field.type)));
+    });
+    console.log(`--> [多维表格读取] 成功读取 ${records.length} 条记录。`);
+    return { table: target, values, recordIds: records.map(record => record.record_id) };
+}
+
+/**
+ * 创建多维表格，返回 { appToken, url, defaultTableId }。
+ */
+async function createBitableApp(name, folderToken) {
+    const data = await bitableRequest('post', '', { data: { name, ...(folderToken ? { folder_token: folderToken } : {}) } });
+    return { appToken: data.app.app_token, url: data.app.url, defaultTableId: data.app.default_table_id };
+}
+
+/**
+ * 创建数据表。fields: [{ name, type }]，第一个字段为索引列。
+ */
+async function createBitableTable(appToken, name, fields) {
+    const data = await bitableRequest('post', `/${appToken}/tables`, {
+        data: { table: { name, default_view_name: '表格', fields: fields.map(field => ({ field_name: field.name, type: field.type })) } }
+    });
+    return { tableId: data.table_id, title: name };
+}
+
+async function deleteBitableTable(appToken, tableId) {
+    await bitableRequest('delete', `/${appToken}/tables/${tableId}`);
+}
+
+/**
+ * 确保数据表中存在所需字段，缺少的字段按给定类型创建。返回字段名 -> 字段信息。
+ */
+async function ensureBitableFields(appToken, tableId, fields) {
+    const existing = await listBitableFields(appToken, tableId);
+    const fieldMap = new Map(existing.map(field => [field.name, field]));
+    for (const field of fields) {
+        if (fieldMap.has(field.name)) continue;
+        const data = await bitableRequest('post', `/${appToken}/tables/${tableId}/fields`, { data: { field_name: field.name, type: field.type } });
+        fieldMap.set(field.name, { fieldId: data.field.field_id, name: field.name, type: field.type });
+        console.log(`--> [多维表格] 已创建字段 "${field.name}" (类型 ${field.type})`);
+    }
+    return fieldMap;
+}
+
+async function writeRecordsInBatches(appToken, tableId, action, records) {
+    let written = 0;
+    for (let start = 0; start < records.length; start += BITABLE_BATCH_SIZE) {
+        const batch = records.slice(start, start + BITABLE_BATCH_SIZE);
+        // batch_update 按 record_id 覆盖字段，可安全重试；batch_create 超时后重试会产生重复记录
+        await bitableRequest('post', `/${appToken}/tables/${tableId}/records/${action}`, { data: { records: batch }, idempotent: action === 'batch_update' });
+        written += batch.length;
+    }
+    return written;
+}
+
+/**
+ * 批量新增记录。records: [{ 字段名: 值 }]
+ */
+async function createBitableRecords(appToken, tableId, records) {
+    return writeRecordsInBatches(appToken, tableId, 'batch_create', records.map(fields => ({ fields })));
+}
+
+/**
+ * 批量更新记录。records: [{ recordId, fields: { 字段名: 值 } }]
+ */
+async function updateBitableRecords(appToken, tableId, records) {
+    return writeRecordsInBatches(appToken, tableId, 'batch_update', records.map(r => ({ record_id: r.recordId, fields: r.fields })));
+}
+
+/**
+ * 下载图片并上传为多维表格附件，返回可写入附件字段的 file_token；失败时返回 null，不中断整体写入。
+ */
+async function uploadBitableAttachment(appToken, imageUrl, fileName) {
+    if (!imageUrl || !imageUrl.startsWith('http')) {
+        console.log(`--> [附件] 无效的图片链接，跳过上传: ${imageUrl}`);
+        return null;
+    }
+    try {
+        const imageResponse = await axios.get(imageUrl, { responseType: 'arraybuffer' });
+        const imageBuffer = Buffer.from(imageResponse.data, 'binary');
+        // multipart 请求体只能发送一次，重试时需要重新构造
+        const buildForm = () => {
+            const form = new FormData();
+            form.append('file_name', fileName);
+            form.append('parent_type', 'bitable_image');
+            form.append('parent_node', appToken);
+            form.append('size', String(imageBuffer.length));
+            form.append('file', imageBuffer, { filename: fileName });
+            return form;
+        };
+        const data = await feishuRequest('post', '/drive/v1/medias/upload_all', { data: buildForm });
+        return data.file_token;
+    } catch (error) {
+        console.error(`--> [附件] 上传图片 ${imageUrl} 失败: ${error.message}`);
+        return null;
+    }
+}
+
+module.exports = {
+    BITABLE_FIELD_TYPES,
+    getBitableTokenFromUrl,
+    listBitableTables,
+    resolveBitableTable,
+    listBitableFields,
+    normalizeBitableValue,
+    readBitableTable,
+    createBitableApp,
+    createBitableTable,
+    deleteBitableTable,
+    ensureBitableFields,
+    createBitableRecords,
+    updateBitableRecords,
+    uploadBitableAttachment
+};
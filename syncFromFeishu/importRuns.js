@@ -0,0 +1,295 @@
+/**
+ * @file syncFromFeishu/importRuns.js
+ * @version 1.4.0
+ * @description 飞书导入批次 (import run) 的记录与撤销。
+ * - [记录] 每次实际写库的导入（talentPerformance / t7 / t21 / manualDailyUpdate）都会在 feishu_import_runs 中保存一条批次记录：
+ *   表格 token、dataType、操作人、计数；本次触达的每个文档在导入前的字段值 (before-image) 逐文档保存在 feishu_import_run_documents。
+ * - [v1.4] 批次记录与 before-image 在写库之前保存（status: pending），写库成功后置为 completed、失败置为 failed，
+ *   写库中途出错或云函数超时的导入同样可以撤销；before-image 不再整体嵌在批次记录中，避免大批量日报导入超出 16MB 文档上限。
+ *   导入写库时统一以批次的 createdAt 作为 updatedAt。v1.3 及之前的批次仍从记录内的 documents 读取。
+ * - [撤销] undoImportRun 将批次触达的文档恢复到导入前的值；本批次新建的文档直接删除。
+ *   同一文档之后又被其他未撤销的批次修改过时拒绝撤销 (409 IMPORT_RUN_SUPERSEDED)，需先撤销较新的批次。
+ * - [v1.3] 撤销前同时比较每个文档当前的 updatedAt 与批次时间：导入后被手动编辑过（updateTalent / updateWork / batchUpdateTalents 等）
+ *   的文档同样返回 409 IMPORT_RUN_SUPERSEDED，避免撤销覆盖之后的修改。
+ * - [v1.2] 批次记录数据源类型 sourceType（sheet / bitable）；多维表格导入时 sheet 为 { tableId, title }。
+ * - [v1.1] 批次记录导入的工作表 sheet: { sheetId, title }。
+ * - 建议在 feishu_import_runs 上建立 { id: 1 } 唯一索引与 { 'documents.id': 1, createdAt: -1 } 索引，
+ *   在 feishu_import_run_documents 上建立 { runId: 1 } 与 { id: 1, runId: 1 } 索引。
+ */
+const { AppError, recordAudit, AUDIT_ACTIONS } = require('kol-common');
+
+const IMPORT_RUNS_COLLECTION = 'feishu_import_runs';
+const IMPORT_RUN_DOCUMENTS_COLLECTION = 'feishu_import_run_documents';
+const DOCUMENT_INSERT_BATCH_SIZE = 500;
+// pending 超过该时长视为写库进程已中断（云函数超时等），允许撤销
+const PENDING_RUN_TIMEOUT_MS = 15 * 60 * 1000;
+
+const IMPORT_RUN_STATUS = {
+    PENDING: 'pending',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    UNDONE: 'undone'
+};
+
+// 实体类型 -> 集合名称，与审计日志中的 entityType 保持一致
+const ENTITY_COLLECTIONS = {
+    talent: 'talents',
+    work: 'works'
+};
+
+/**
+ * 创建一个批次内的文档追踪器，记录每个被触达文档在导入前的字段值 (before-image)。
+ * 同一文档在一个批次中被多行改写时，只保留第一次改写前的值。
+ */
+function createImportRunTracker() {
+    const documents = new Map();
+
+    /**
+     * 记录一个已存在文档即将被改写的顶层字段。导入前不存在的字段记入 absentFields，撤销时 $unset。
+     * @param {'talent'|'work'} entityType
+     * @param {object} doc - 改写前的文档（至少包含 id 与 fields 中的字段）
+     * @param {string[]} fields
+     */
+    function trackUpdate(entityType, doc, fields) {
+        if (!documents.has(doc.id)) {
+            documents.set(doc.id, { entityType, id: doc.id, created: false, before: {}, absentFields: [] });
+        }
+        const tracked = documents.get(doc.id);
+        if (tracked.created) return;
+        fields
+            .filter(field => !(field in tracked.before) && !tracked.absentFields.includes(field))
+            .forEach(field => {
+                if (doc[field] === undefined) tracked.absentFields.push(field);
+                else tracked.before[field] = doc[field];
+            });
+    }
+
+    /**
+     * 记录一个由本批次新建的文档，撤销时删除。
+     */
+    function trackCreate(entityType, id) {
+        documents.set(id, { entityType, id, created: true });
+    }
+
+    return { trackUpdate, trackCreate, documents: () => [...documents.values()] };
+}
+
+const describeOperator = (req) => (req && req.user ? { id: req.user.id, name: req.user.name } : { id: 'system', name: 'System' });
+
+/**
+ * 在写库之前保存导入批次记录 (status: pending) 与每个文档的 before-image，返回批次 { id, createdAt }。
+ * 调用方写库时应以返回的 createdAt 作为 updatedAt，撤销时据此区分本批次的写入与之后的修改。
+ * @param {object} db
+ * @param {object} [req] - createHandler 传入的请求对象，用于记录操作人
+ * @param {{ dataType: string, spreadsheetToken: string, sourceType?: string, sheet?: object, documents: object[], createdAt?: Date }} run
+ */
+async function startImportRun(db, req, { dataType, spreadsheetToken, sourceType = 'sheet', sheet, documents, createdAt = new Date() }) {
+    const run = {
+        id: `import_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`,
+        dataType,
+        spreadsheetToken,
+        sourceType,
+        sheet: sheet || null,
+        status: IMPORT_RUN_STATUS.PENDING,
+        operator: describeOperator(req),
+        documentCount: documents.length,
+        createdAt
+    };
+    await db.collection(IMPORT_RUNS_COLLECTION).insertOne(run);
+    try {
+        for (let i = 0; i < documents.length; i += DOCUMENT_INSERT_BATCH_SIZE) {
+            const batch = documents.slice(i, i + DOCUMENT_INSERT_BATCH_SIZE).map(doc => ({ runId: run.id, ...doc }));
+            await db.collection(IMPORT_RUN_DOCUMENTS_COLLECTION).insertMany(batch, { ordered: false });
+        }
+    } catch (error) {
+        await failImportRun(db, run.id, error);
+        throw error;
+    }
+    return { id: run.id, createdAt };
+}
+
+/**
+ * 写库成功后将批次置为 completed 并写入计数。
+ */
+async function completeImportRun(db, runId, counts) {
+    await db.collection(IMPORT_RUNS_COLLECTION).updateOne(
+        { id: runId },
+        { $set: { status: IMPORT_RUN_STATUS.COMPLETED, counts, completedAt: new Date() } }
+    );
+}
+
+/**
+ * 写库失败时将批次置为 failed。部分数据可能已写入，批次仍可撤销。
+ */
+async function failImportRun(db, runId, error) {
+    await db.collection(IMPORT_RUNS_COLLECTION).updateOne(
+        { id: runId },
+        { $set: { status: IMPORT_RUN_STATUS.FAILED, error: error.message, completedAt: new Date() } }
+    );
+}
+
+/**
+ * 读取批次触达的文档及其 before-image。
+ */
+async function loadRunDocuments(db, run) {
+    if (Array.isArray(run.documents)) return run.documents;
+    return db.collection(IMPORT_RUN_DOCUMENTS_COLLECTION)
+        .find({ runId: run.id }, { projection: { _id: 0, runId: 0 } })
+        .toArray();
+}
+
+/**
+ * 查询导入批次。传 runId 时返回完整批次（含 before-image），否则按时间倒序返回列表（不含 documents）。
+ */
+async function getImportRuns(db, params = {}) {
+    const runsCollection = db.collection(IMPORT_RUNS_COLLECTION);
+    if (params.runId) {
+        const run = await runsCollection.findOne({ id: params.runId }, { projection: { _id: 0 } });
+        if (!run) throw new AppError(`未找到导入批次: ${params.runId}`, 404);
+        return { run: { ...run, documents: await loadRunDocuments(db, run) } };
+    }
+
+    const filter = {};
+    if (params.dataType) filter.dataType = params.dataType;
+    if (params.spreadsheetToken) filter.spreadsheetToken = params.spreadsheetToken;
+    if (params.status) filter.status = params.status;
+    const limit = Math.min(parseInt(params.limit, 10) || 20, 100);
+
+    const runs = await runsCollection
+        .find(filter, { projection: { _id: 0, documents: 0 } })
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .toArray();
+    return { total: runs.length, runs };
+}
+
+/**
+ * 找出批次触达的文档中，导入之后又被修改过的文档（updatedAt 晚于批次时间）。
+ * 本批次写库时以 run.createdAt 作为 updatedAt（v1.3 及之前的批次在写库完成后才保存），因此不会把本批次自身的写入算作修改。
+ */
+async function findChangedDocuments(db, run, documents) {
+    const changed = [];
+    for (const [entityType, collectionName] of Object.entries(ENTITY_COLLECTIONS)) {
+        const ids = documents.filter(d => d.entityType === entityType).map(d => d.id);
+        if (ids.length === 0) continue;
+        const docs = await db.collection(collectionName).find(
+            { id: { $in: ids }, updatedAt: { $gt: run.createdAt } },
+            { projection: { _id: 0, id: 1, updatedAt: 1 } }
+        ).toArray();
+        docs.forEach(doc => changed.push({ entityType, id: doc.id, updatedAt: doc.updatedAt }));
+    }
+    return changed;
+}
+
+/**
+ * 撤销一个导入批次：恢复其触达的每个文档在导入前的字段值。
+ */
+async function undoImportRun(db, req, runId) {
+    if (!runId) throw new AppError('Missing required parameter: runId.', 400);
+    const runsCollection = db.collection(IMPORT_RUNS_COLLECTION);
+
+    const run = await runsCollection.findOne({ id: runId });
+    if (!run) throw new AppError(`未找到导入批次: ${runId}`, 404);
+    if (run.status === IMPORT_RUN_STATUS.UNDONE) {
+        throw new AppError(`导入批次 ${runId} 已撤销，不能重复撤销。`, 409, 'IMPORT_RUN_ALREADY_UNDONE');
+    }
+    if (run.status === IMPORT_RUN_STATUS.PENDING && Date.now() - run.createdAt.getTime() < PENDING_RUN_TIMEOUT_MS) {
+        throw new AppError(`导入批次 ${runId} 仍在写入中，请稍后再撤销。`, 409, 'IMPORT_RUN_IN_PROGRESS');
+    }
+
+    const documents = await loadRunDocuments(db, run);
+    const documentIds = documents.map(d => d.id);
+    const laterRunIds = await db.collection(IMPORT_RUN_DOCUMENTS_COLLECTION).distinct('runId', { id: { $in: documentIds }, runId: { $ne: runId } });
+    const laterRuns = await runsCollection.find(
+        {
+            id: { $ne: runId },
+            status: { $ne: IMPORT_RUN_STATUS.UNDONE },
+            createdAt: { $gt: run.createdAt },
+            $or: [{ id: { $in: laterRunIds } }, { 'documents.id': { $in: documentIds } }]
+        },
+        { projection: { _id: 0, id: 1, dataType: 1, status: 1, createdAt: 1 } }
+    ).toArray();
+    if (laterRuns.length > 0) {
+        throw new AppError(
+            '本批次导入的部分数据已被之后的导入再次修改，请先撤销较新的批次。',
+            409,
+            'IMPORT_RUN_SUPERSEDED',
+            { laterRuns }
+        );
+    }
+    const changedDocuments = await findChangedDocuments(db, run, documents);
+    if (changedDocuments.length > 0) {
+        throw new AppError(
+            '本批次导入的部分数据在导入后已被修改，撤销会覆盖这些修改，已拒绝撤销。',
+            409,
+            'IMPORT_RUN_SUPERSEDED',
+            { changedDocuments }
+        );
+    }
+
+    // 先占用批次状态，防止并发重复撤销
+    const undoneAt = new Date();
+    const undoneBy = describeOperator(req);
+    const claim = await runsCollection.updateOne(
+        { id: runId, status: run.status },
+        { $set: { status: IMPORT_RUN_STATUS.UNDONE, undoneAt, undoneBy } }
+    );
+    if (claim.modifiedCount === 0) {
+        throw new AppError(`导入批次 ${runId} 已撤销，不能重复撤销。`, 409, 'IMPORT_RUN_ALREADY_UNDONE');
+    }
+
+    const restored = { updated: 0, deleted: 0 };
+    const auditEvents = [];
+    for (const [entityType, collectionName] of Object.entries(ENTITY_COLLECTIONS)) {
+        const entityDocuments = documents.filter(d => d.entityType === entityType);
+        if (entityDocuments.length === 0) continue;
+        const collection = db.collection(collectionName);
+        const currentDocs = await collection.find({ id: { $in: entityDocuments.map(d => d.id) } }, { projection: { _id: 0 } }).toArray();
+        const currentMap = new Map(currentDocs.map(doc => [doc.id, doc]));
+
+        const bulkOps = entityDocuments.map(doc => {
+            const current = currentMap.get(doc.id) || {};
+            if (doc.created) {
+                auditEvents.push({ entityType, entityId: doc.id, action: AUDIT_ACTIONS.DELETE, before: current, after: null, meta: { undoImportRunId: runId } });
+                return { deleteOne: { filter: { id: doc.id } } };
+            }
+            const update = { $set: { ...doc.before, updatedAt: undoneAt } };
+            if (doc.absentFields.length > 0) {
+                update.$unset = Object.fromEntries(doc.absentFields.map(field => [field, '']));
+            }
+            const fields = [...Object.keys(doc.before), ...doc.absentFields];
+            auditEvents.push({
+                entityType,
+                entityId: doc.id,
+                action: AUDIT_ACTIONS.UPDATE,
+                before: Object.fromEntries(fields.map(field => [field, current[field]])),
+                after: Object.fromEntries(fields.map(field => [field, doc.before[field]])),
+                meta: { undoImportRunId: runId }
+            });
+            return { updateOne: { filter: { id: doc.id }, update } };
+        });
+
+        const result = await collection.bulkWrite(bulkOps, { ordered: false });
+        restored.updated += result.modifiedCount || 0;
+        restored.deleted += result.deletedCount || 0;
+    }
+
+    await recordAudit(db, req, auditEvents);
+    console.log(`[撤销导入] 批次 ${runId} 已撤销：恢复 ${restored.updated} 条，删除 ${restored.deleted} 条。`);
+    return {
+        runId,
+        status: IMPORT_RUN_STATUS.UNDONE,
+        restored,
+        message: `已撤销导入批次 ${runId}：恢复 ${restored.updated} 条记录，删除 ${restored.deleted} 条本次新建的记录。`
+    };
+}
+
+module.exports = {
+    IMPORT_RUN_STATUS,
+    createImportRunTracker,
+    startImportRun,
+    completeImportRun,
+    failImportRun,
+    getImportRuns,
+    undoImportRun
+};
@@ -1,65 +1,37 @@
 /**
  * @file syncFromFeishu.js
- * @version 4.0 - Upgraded Handler
+ * @version 4.15 - Per DataType Roles
  * @description [架构升级] 统一的飞书数据处理API入口。
+ * - [v4.15] GET 仍对任意已登录用户开放，但只有只读的 dataType 可由 viewer 调用；导入与生成报表等需要写权限，否则返回 403。
+ * - [v4.14] 新增 dataType refreshGeneratedSheet（写回同一张表格）与 regenerateGeneratedSheet（新建下一个版本），POST，payload: { sheetId, templateVersion? }，
+ *   返回报表任务状态；generateAutomationReport 的结果新增 generation（任务选择），随记录保存到 generated-sheets-manager。
+ * - [v4.13] generateAutomationReport 支持 async: true（异步报表任务，返回 jobId 与进度）；新增 dataType processReportJob（POST，payload: { jobId, retry? }）
+ *   与 getReportJobs（payload: { jobId } 或 { projectId, status?, limit? }）。
+ * - [v4.12] 报表上下文新增 works（合作记录对应的作品及最新每日数据 latestStats），模板可引用 works.* 字段。
+ * - [v4.11] getMappingSchemas 返回 kol-common 的报表字段注册表：新增 works（T+7 / T+21 指标）与达人 performanceData 字段，字段带 type 与 group。
+ * - [v4.10] generateAutomationReport 可传 templateId + templateVersion 代替 mappingTemplate，结果返回 templateId 与 templateVersion。
+ * - [v4.9] 新增 dataType validateMappingTemplate 与 previewMappingTemplate（payload: { mappingTemplate | templateId, taskIds?, limit? }）。
+ * - [v4.8] 飞书接口调用改用 kol-common 的 feishuRequest；飞书接口失败时返回 FeishuApiError（FEISHU_RATE_LIMITED / FEISHU_TIMEOUT 等）。
+ * - [v4.7] 导入与 getSheetHeaders 支持多维表格（payload.bitableUrl 或 appToken + table）；generateAutomationReport 支持 outputType: 'bitable'。
+ * - [v4.6] 导入与 getSheetHeaders 支持 payload.sheet（工作表名称或 sheetId，默认第一个工作表），按页读取整个已用区域；
+ *   导入传入 allSheets: true 时逐个工作表导入，单个工作表失败不影响其余工作表。
+ * - [v4.5] 导入结果返回逐行报告 rowReport；payload 传入 writeBackStatus: true 时将每行的导入状态写回源表格。
+ * - [v4.4] 导入的列映射改由 import_mappings 配置（通过 import-mappings-api 维护），导入结果返回 columnReport。
+ * - [v4.3] 导入结果返回 importRunId；新增 dataType getImportRuns（查询导入批次）与 undoImportRun（POST，payload: { runId }，撤销整个批次）。
+ * - [v4.2] 导入类 dataType（talentPerformance / t7 / t21 / manualDailyUpdate）支持在 payload 中传入 dryRun: true，只返回逐行预览，不写库。
+ * - [v4.1] CORS、请求解析与错误响应改由共享运行时 kol-common 提供（同时修复了此前未引入 AppError 的问题）。
  * - [升级] 适配新的 handleFeishuRequest 调度器，支持获取 schemas 等新操作。
  */
+const { createHandler, ok, ANY_ROLE, WRITE_ROLES } = require('kol-common');
 const { handleFeishuRequest } = require('./utils.js');
 
-exports.handler = async (event, context) => {
-    // 为CORS和JSON响应设置标准头
-    const headers = {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
-        'Access-Control-Allow-Methods': 'POST, GET, OPTIONS', // 允许 GET 请求
-        'Content-Type': 'application/json'
-    };
-
-    // 处理CORS预检请求
-    if (event.httpMethod === 'OPTIONS') {
-        return { statusCode: 204, headers, body: '' };
-    }
-
-    try {
-        // 根据请求方法确定如何解析 body
-        let body;
-        if (event.httpMethod === 'POST') {
-            body = JSON.parse(event.body || '{}');
-        } else if (event.httpMethod === 'GET') {
-            // 对于GET请求，我们将查询参数作为 payload
-            body = {
-                dataType: event.queryStringParameters.dataType,
-                payload: event.queryStringParameters
-            };
-        } else {
-            throw new AppError(`Unsupported HTTP method: ${event.httpMethod}`, 405);
-        }
-        
-        // 将请求体直接传递给总调度函数处理
-        const result = await handleFeishuRequest(body);
-
-        // 返回一个成功的HTTP响应
-        return {
-            statusCode: 200,
-            headers,
-            body: JSON.stringify({
-                success: true,
-                data: result 
-            }),
-        };
-
-    } catch (error) {
-        console.error('An error occurred in the syncFromFeishu handler:', error);
-
-        const statusCode = error.statusCode || 500;
-        return {
-            statusCode: statusCode,
-            headers,
-            body: JSON.stringify({
-                success: false,
-                message: `An error occurred: ${error.message}`
-            }),
-        };
-    }
-};
+exports.handler = createHandler({ name: 'syncFromFeishu', methods: ['POST', 'GET'], roles: { GET: ANY_ROLE, default: WRITE_ROLES } }, async (req) => {
+    // 对于GET请求，我们将查询参数作为 payload
+    const body = req.method === 'GET'
+        ? { dataType: req.query.dataType, payload: req.query }
+        : req.body;
 
+    // 将请求体直接传递给总调度函数处理
+    const result = await handleFeishuRequest(body, req);
+    return ok(result);
+});
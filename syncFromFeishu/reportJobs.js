@@ -0,0 +1,361 @@
+/**
+ * @file syncFromFeishu/reportJobs.js
+ * @version 1.1.1
+ * @description 自动化报表的异步生成任务 (report job) 的记录与状态。
+ * - [状态] queued → writing_rows（复制模板、聚合数据、写入数据行）→ writing_images（逐张写入截图）→ done；任一步出错为 failed。
+ *   进度 progress: { rowsTotal, rowsWritten, imagesTotal, imagesWritten, imagesFailed }。
+ * - [分段执行] 云函数没有后台进程，任务由 processReportJob 请求按时间片推进：每次领取租约 (leaseUntil) 后执行到时间片用完，
+ *   保存进度并释放租约；同一任务同一时刻只有一个请求在执行。写图片的进度逐张保存，超时或失败后从下一张继续。
+ * - [失败重试] failed 的任务保留出错时的阶段 (failedStatus) 与已完成的进度，retryReportJob 后从该阶段继续，不会重复复制模板。
+ * - [结果] 任务完成后把生成的表格记录到 generated_sheets（带 templateId / templateVersion / reportJobId），job.generatedSheetId 指向该记录。
+ * - [v1.1 刷新 / 重新生成] mode 为 create（新报表）、refresh（写回 sourceSheet 对应的同一张表格：清空并重写数据行，
+ *   完成后更新该记录的 refreshedAt / refreshCount）或 regenerate（新建一张表格，记录 version = 原版本 + 1 与 previousSheetId）。
+ *   generated_sheets 记录中的 generation 保存任务选择 { primaryCollection, taskIds, destinationFolderToken, projectName }。
+ *   同一张表格同时只能有一个进行中的刷新 / 重新生成任务 (409 REPORT_JOB_IN_PROGRESS)。
+ * - [v1.1.1] 刷新 / 重新生成前以条件更新占用 generated_sheets 记录 (activeReportJob: { id, claimedAt })，并发请求只有一个能占用成功；
+ *   任务完成或失败时释放，重试时重新占用。重新生成的 version 取同一条链（rootSheetId / previousSheetId）上最新版本 + 1，
+ *   由链首记录的 latestVersion 原子递增，同一张表格重新生成两次不再得到相同的版本号。
+ * - 建议在集合上建立 { id: 1 } 唯一索引与 { projectId: 1, createdAt: -1 } 索引。
+ */
+const { AppError, ObjectId } = require('kol-common');
+
+const REPORT_JOBS_COLLECTION = 'report_jobs';
+const GENERATED_SHEETS_COLLECTION = 'generated_sheets';
+
+const REPORT_JOB_STATUS = {
+    QUEUED: 'queued',
+    WRITING_ROWS: 'writing_rows',
+    WRITING_IMAGES: 'writing_images',
+    DONE: 'done',
+    FAILED: 'failed'
+};
+
+const ACTIVE_STATUSES = [REPORT_JOB_STATUS.QUEUED, REPORT_JOB_STATUS.WRITING_ROWS, REPORT_JOB_STATUS.WRITING_IMAGES];
+
+const REPORT_JOB_MODES = {
+    CREATE: 'create',
+    REFRESH: 'refresh',
+    REGENERATE: 'regenerate'
+};
+
+// 租约比时间片多留出一次飞书请求（含重试）的时间，避免执行中的请求被另一个请求接手
+const LEASE_MARGIN_MS = 60000;
+
+const newReportJobId = () => `report_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+
+const operatorOf = (req) => (req && req.user ? { id: req.user.id, name: req.user.name } : { id: 'system', name: 'System' });
+
+/**
+ * 创建一条排队中的报表任务。
+ * @param {object} db
+ * @param {object} [req]
+ * @param {{ projectId: string, projectName?: string, destinationFolderToken?: string, primaryCollection: string, mappingTemplate: object, taskIds: string[],
+ *   mode?: string, sourceSheet?: object }} params
+ *   mappingTemplate 为 loadMappingTemplate 的结果；任务保存其内容，之后模板再修改也不影响本任务。
+ *   refresh / regenerate 时 sourceSheet 为原 generated_sheets 记录，id 为占用该记录时使用的任务 ID (newReportJobId)。
+ */
+async function createReportJob(db, req, { id = newReportJobId(), projectId, projectName, destinationFolderToken, primaryCollection, mappingTemplate, taskIds, mode = REPORT_JOB_MODES.CREATE, sourceSheet }) {
+    const now = new Date();
+    const job = {
+        id,
+        status: REPORT_JOB_STATUS.QUEUED,
+        mode,
+        sourceSheet: sourceSheet ? { id: String(sourceSheet._id), version: sourceSheet.version || 1 } : null,
+        projectId,
+        projectName: projectName || null,
+        destinationFolderToken: destinationFolderToken || null,
+        primaryCollection,
+        templateId: mappingTemplate._id ? String(mappingTemplate._id) : null,
+        templateVersion: mappingTemplate.version || null,
+        mappingTemplate: {
+            name: mappingTemplate.name,
+            spreadsheetToken: mappingTemplate.spreadsheetToken,
+            feishuSheetHeaders: mappingTemplate.feishuSheetHeaders,
+            mappingRules: mappingTemplate.mappingRules
+        },
+        taskIds,
+        // 刷新时写回原表格，不再复制模板
+        sheet: mode === REPORT_JOB_MODES.REFRESH ? { token: sourceSheet.sheetToken, url: sourceSheet.sheetUrl, fileName: sourceSheet.fileName } : null,
+        images: [],
+        failedImages: [],
+        progress: { rowsTotal: 0, rowsWritten: 0, imagesTotal: 0, imagesWritten: 0, imagesFailed: 0 },
+        error: null,
+        generatedSheetId: null,
+        leaseUntil: null,
+        createdBy: operatorOf(req),
+        createdAt: now,
+        updatedAt: now,
+        finishedAt: null
+    };
+    await db.collection(REPORT_JOBS_COLLECTION).insertOne(job);
+    return job;
+}
+
+async function findReportJob(db, jobId) {
+    if (!jobId) throw new AppError('Missing required parameter: jobId.', 400);
+    const job = await db.collection(REPORT_JOBS_COLLECTION).findOne({ id: jobId }, { projection: { _id: 0 } });
+    if (!job) throw new AppError(`未找到报表任务: ${jobId}`, 404, 'REPORT_JOB_NOT_FOUND');
+    return job;
+}
+
+/**
+ * 返回给前端的任务状态（不含模板内容与图片队列）。
+ */
+function summarizeReportJob(job) {
+    const { progress } = job;
+    const messages = {
+        [REPORT_JOB_STATUS.QUEUED]: '排队中',
+        [REPORT_JOB_STATUS.WRITING_ROWS]: '正在写入数据行',
+        [REPORT_JOB_STATUS.WRITING_IMAGES]: `正在写入图片 ${progress.imagesWritten}/${progress.imagesTotal}`,
+        [REPORT_JOB_STATUS.DONE]: progress.imagesFailed > 0 ? `报表已生成，${progress.imagesFailed} 张图片写入失败` : '报表已生成',
+        [REPORT_JOB_STATUS.FAILED]: `生成失败: ${job.error ? job.error.message : '未知错误'}`
+    };
+    return {
+        jobId: job.id,
+        mode: job.mode || REPORT_JOB_MODES.CREATE,
+        status: job.status,
+        message: messages[job.status],
+        progress,
+        failedStatus: job.failedStatus || null,
+        error: job.error,
+        failedImages: job.failedImages,
+        projectId: job.projectId,
+        templateId: job.templateId,
+        templateVersion: job.templateVersion,
+        fileName: job.sheet ? job.sheet.fileName : null,
+        sheetUrl: job.sheet ? job.sheet.url : null,
+        sheetToken: job.sheet ? job.sheet.token : null,
+        generatedSheetId: job.generatedSheetId,
+        createdBy: job.createdBy,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        finishedAt: job.finishedAt
+    };
+}
+
+/**
+ * 查询报表任务。传 jobId 时返回该任务，否则按 projectId / status 过滤、按时间倒序返回列表。
+ */
+async function getReportJobs(db, params = {}) {
+    if (params.jobId) return { job: summarizeReportJob(await findReportJob(db, params.jobId)) };
+
+    const filter = {};
+    if (params.projectId) filter.projectId = params.projectId;
+    if (params.status) filter.status = params.status;
+    const limit = Math.min(parseInt(params.limit, 10) || 20, 100);
+    const jobs = await db.collection(REPORT_JOBS_COLLECTION)
+        .find(filter, { projection: { _id: 0, images: 0, mappingTemplate: 0 } })
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .toArray();
+    return { total: jobs.length, jobs: jobs.map(summarizeReportJob) };
+}
+
+/**
+ * 领取任务的执行租约。任务已结束或正被其他请求执行时返回 null。
+ */
+async function claimReportJob(db, jobId, sliceMs) {
+    const now = new Date();
+    return db.collection(REPORT_JOBS_COLLECTION).findOneAndUpdate(
+        { id: jobId, status: { $in: ACTIVE_STATUSES }, $or: [{ leaseUntil: null }, { leaseUntil: { $lt: now } }] },
+        { $set: { leaseUntil: new Date(now.getTime() + sliceMs + LEASE_MARGIN_MS), updatedAt: now } },
+        { returnDocument: 'after', projection: { _id: 0 } }
+    );
+}
+
+/**
+ * 保存任务的阶段与进度；job 对象同步更新。
+ */
+async function updateReportJob(db, job, fields) {
+    Object.assign(job, fields, { updatedAt: new Date() });
+    await db.collection(REPORT_JOBS_COLLECTION).updateOne({ id: job.id }, { $set: { ...fields, updatedAt: job.updatedAt } });
+    return job;
+}
+
+async function releaseReportJob(db, job) {
+    return updateReportJob(db, job, { leaseUntil: null });
+}
+
+/**
+ * 标记任务失败，保留出错时的阶段与进度以便重试。
+ */
+async function failReportJob(db, job, error) {
+    console.error(`[报表任务] ${job.id} 在 ${job.status} 阶段失败: ${error.message}`);
+    if (job.sourceSheet) await releaseGeneratedSheet(db, job.sourceSheet.id, job.id);
+    return updateReportJob(db, job, {
+        status: REPORT_JOB_STATUS.FAILED,
+        failedStatus: job.status,
+        error: { code: error.code || 'INTERNAL_ERROR', message: error.message },
+        leaseUntil: null
+    });
+}
+
+/**
+ * 将失败的任务恢复到出错时的阶段，之后由 processReportJob 继续执行。
+ */
+async function retryReportJob(db, jobId) {
+    const job = await findReportJob(db, jobId);
+    if (job.status !== REPORT_JOB_STATUS.FAILED) {
+        throw new AppError(`报表任务 ${jobId} 当前状态为 ${job.status}，只有失败的任务可以重试。`, 409, 'REPORT_JOB_NOT_FAILED');
+    }
+    if (job.sourceSheet) await claimGeneratedSheet(db, job.sourceSheet.id, jobId);
+    const result = await db.collection(REPORT_JOBS_COLLECTION).updateOne(
+        { id: jobId, status: REPORT_JOB_STATUS.FAILED },
+        { $set: { status: job.failedStatus || REPORT_JOB_STATUS.QUEUED, error: null, updatedAt: new Date() }, $unset: { failedStatus: '' } }
+    );
+    if (result.modifiedCount === 0) {
+        throw new AppError(`报表任务 ${jobId} 已被重试。`, 409, 'REPORT_JOB_NOT_FAILED');
+    }
+}
+
+/**
+ * 占用 generated_sheets 记录，保证同一张表格同时只有一个进行中的刷新 / 重新生成任务。
+ * 以当前的 activeReportJob 为条件更新（比较并交换），并发的请求只有一个能占用成功；
+ * 占用者已结束或不存在（如创建任务前出错）时可以接手，jobId 为占用者自身时（重试失败的任务）重新占用。
+ */
+async function claimGeneratedSheet(db, sheetId, jobId) {
+    const sheets = db.collection(GENERATED_SHEETS_COLLECTION);
+    const _id = new ObjectId(String(sheetId));
+    const record = await sheets.findOne({ _id }, { projection: { activeReportJob: 1 } });
+    if (!record) throw new AppError('Generated sheet not found.', 404);
+    const holder = record.activeReportJob || null;
+    const inProgress = (activeJobId) => new AppError(`该表格已有进行中的报表任务 ${activeJobId}，请等待其完成。`, 409, 'REPORT_JOB_IN_PROGRESS', { jobId: activeJobId });
+    if (holder && holder.id !== jobId) {
+        const holderJob = await db.collection(REPORT_JOBS_COLLECTION).findOne({ id: holder.id }, { projection: { _id: 0, status: 1 } });
+        if (holderJob && ACTIVE_STATUSES.includes(holderJob.status)) throw inProgress(holder.id);
+    }
+    const filter = holder
+        ? { _id, 'activeReportJob.id': holder.id, 'activeReportJob.claimedAt': holder.claimedAt }
+        : { _id, activeReportJob: null };
+    const result = await sheets.updateOne(filter, { $set: { activeReportJob: { id: jobId, claimedAt: new Date() } } });
+    if (result.modifiedCount === 0) throw inProgress((await sheets.findOne({ _id }, { projection: { activeReportJob: 1 } }))?.activeReportJob?.id);
+}
+
+/**
+ * 释放 claimGeneratedSheet 的占用（只在仍由 jobId 占用时生效）。
+ */
+async function releaseGeneratedSheet(db, sheetId, jobId) {
+    await db.collection(GENERATED_SHEETS_COLLECTION).updateOne(
+        { _id: new ObjectId(String(sheetId)), 'activeReportJob.id': jobId },
+        { $unset: { activeReportJob: '' } }
+    );
+}
+
+/**
+ * 重新生成链的链首记录 ID：记录带 rootSheetId 时直接使用，旧记录沿 previousSheetId 向上查找。
+ */
+async function findChainRootId(db, sheetId) {
+    const sheets = db.collection(GENERATED_SHEETS_COLLECTION);
+    let currentId = String(sheetId);
+    const visited = new Set();
+    while (!visited.has(currentId)) {
+        visited.add(currentId);
+        const record = await sheets.findOne({ _id: new ObjectId(currentId) }, { projection: { rootSheetId: 1, previousSheetId: 1 } });
+        if (!record) break;
+        if (record.rootSheetId) return String(record.rootSheetId);
+        if (!record.previousSheetId) break;
+        currentId = String(record.previousSheetId);
+    }
+    return currentId;
+}
+
+/**
+ * 取重新生成链的下一个版本号：链首记录的 latestVersion 原子递增。
+ * 旧的链首记录没有 latestVersion 时，先按链上已有记录的最大版本初始化（条件更新，只生效一次）。
+ */
+async function nextSheetVersion(db, rootId) {
+    const sheets = db.collection(GENERATED_SHEETS_COLLECTION);
+    const _id = new ObjectId(rootId);
+    const root = await sheets.findOne({ _id }, { projection: { version: 1, latestVersion: 1 } });
+    if (root && root.latestVersion === undefined) {
+        let latestVersion = root.version || 1;
+        let parents = [rootId];
+        const visited = new Set(parents);
+        while (parents.length > 0) {
+            const children = await sheets.find({ previousSheetId: { $in: parents } }, { projection: { _id: 1, version: 1 } }).toArray();
+            children.forEach(child => { latestVersion = Math.max(latestVersion, child.version || 1); });
+            parents = children.map(child => String(child._id)).filter(id => !visited.has(id));
+            parents.forEach(id => visited.add(id));
+        }
+        await sheets.updateOne({ _id, latestVersion: { $exists: false } }, { $set: { latestVersion } });
+    }
+    const updated = await sheets.findOneAndUpdate({ _id }, { $inc: { latestVersion: 1 } }, { returnDocument: 'after', projection: { latestVersion: 1 } });
+    return updated ? updated.latestVersion : 1;
+}
+
+const generationOf = (job) => ({
+    primaryCollection: job.primaryCollection,
+    taskIds: job.taskIds,
+    destinationFolderToken: job.destinationFolderToken,
+    projectName: job.projectName
+});
+
+/**
+ * 任务完成并记录到 generated_sheets：
+ * - create / regenerate：新增一条记录（同一 sheetToken 只记录一次），regenerate 的 version 为原记录版本 + 1；
+ * - refresh：更新原记录的 refreshedAt、refreshCount 与所用模板版本。
+ */
+async function completeReportJob(db, job) {
+    const sheets = db.collection(GENERATED_SHEETS_COLLECTION);
+    const now = new Date();
+    let generatedSheetId;
+    if (job.mode === REPORT_JOB_MODES.REFRESH) {
+        generatedSheetId = job.sourceSheet.id;
+        await sheets.updateOne(
+            { _id: new ObjectId(generatedSheetId) },
+            {
+                $set: { refreshedAt: now, lastReportJobId: job.id, templateVersion: job.templateVersion, generation: generationOf(job) },
+                $inc: { refreshCount: 1 }
+            }
+        );
+    } else {
+        let record = await sheets.findOne({ sheetToken: job.sheet.token });
+        if (!record) {
+            const isRegenerate = job.mode === REPORT_JOB_MODES.REGENERATE;
+            const rootSheetId = isRegenerate ? await findChainRootId(db, job.sourceSheet.id) : null;
+            record = {
+                projectId: job.projectId,
+                fileName: job.sheet.fileName,
+                sheetUrl: job.sheet.url,
+                sheetToken: job.sheet.token,
+                createdBy: job.createdBy.name,
+                createdAt: now,
+                reportJobId: job.id,
+                ...(job.templateId ? { templateId: job.templateId, templateVersion: job.templateVersion } : {}),
+                generation: generationOf(job),
+                version: isRegenerate ? await nextSheetVersion(db, rootSheetId) : 1,
+                ...(isRegenerate ? { previousSheetId: job.sourceSheet.id, rootSheetId } : {})
+            };
+            const result = await sheets.insertOne(record);
+            record._id = result.insertedId;
+        }
+        generatedSheetId = String(record._id);
+    }
+    if (job.sourceSheet) await releaseGeneratedSheet(db, job.sourceSheet.id, job.id);
+    return updateReportJob(db, job, {
+        status: REPORT_JOB_STATUS.DONE,
+        generatedSheetId,
+        images: [],
+        leaseUntil: null,
+        finishedAt: now
+    });
+}
+
+module.exports = {
+    REPORT_JOB_STATUS,
+    REPORT_JOB_MODES,
+    GENERATED_SHEETS_COLLECTION,
+    createReportJob,
+    findReportJob,
+    summarizeReportJob,
+    getReportJobs,
+    claimReportJob,
+    updateReportJob,
+    releaseReportJob,
+    failReportJob,
+    retryReportJob,
+    newReportJobId,
+    claimGeneratedSheet,
+    releaseGeneratedSheet,
+    completeReportJob
+};
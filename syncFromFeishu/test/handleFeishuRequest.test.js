@@ -0,0 +1,217 @@
+/**
+ * handleFeishuRequest 端到端：飞书替身 (feishuFake) + 进程内 MongoDB 替身 (mongoFake)，
+ * 覆盖读取表头、t7 导入（含状态写回与导入批次）以及 generateAutomationReport 生成飞书表格 (generateAutomationSheet)。
+ */
+process.env.FEISHU_APP_ID = process.env.FEISHU_APP_ID || 'cli_test';
+process.env.FEISHU_APP_SECRET = process.env.FEISHU_APP_SECRET || 'test-secret';
+process.env.FEISHU_OWNER_ID = process.env.FEISHU_OWNER_ID || 'ou_owner';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('kol-common');
+const { createFeishuFake } = require('kol-common/feishuFake');
+const { createMongoFake } = require('kol-common/mongoFake');
+const { handleFeishuRequest } = require('../utils.js');
+
+const req = { method: 'POST', user: { id: 'ou_editor', name: 'Editor', roles: ['operator'] } };
+
+function setup(t, { spreadsheets = {}, collections = {} } = {}) {
+    const feishu = createFeishuFake({ spreadsheets });
+    const mongo = createMongoFake({ collections });
+    feishu.install();
+    mongo.install();
+    t.after(() => {
+        feishu.uninstall();
+        mongo.uninstall();
+    });
+    return { feishu, mongo };
+}
+
+test('getSheetHeaders 按名称读取指定工作表的表头', async (t) => {
+    setup(t, {
+        spreadsheets: {
+            shtHeaders: { sheets: [{ title: '汇总', values: [['A']] }, { title: 'T7', values: [['星图任务ID', '播放量'], ['task_1', '10']] }] },
+        },
+    });
+    const result = await handleFeishuRequest({ dataType: 'getSheetHeaders', payload: { spreadsheetToken: 'shtHeaders', sheet: 'T7' } }, req);
+    assert.deepEqual(result.headers, ['星图任务ID', '播放量']);
+});
+
+test('t7 导入新建 / 更新作品，写回导入状态并记录导入批次', async (t) => {
+    const { feishu, mongo } = setup(t, {
+        spreadsheets: {
+            shtT7: {
+                sheets: [{
+                    values: [
+                        ['星图任务ID', '播放量', '点赞量'],
+                        ['task_1', '1,200', '30'],
+                        ['task_2', '800', '5'],
+                        ['task_missing', '1', '1'],
+                    ],
+                }],
+            },
+        },
+        collections: {
+            collaborations: [
+                { id: 'c1', taskId: 'task_1', projectId: 'p1', talentId: 't1' },
+                { id: 'c2', taskId: 'task_2', projectId: 'p1', talentId: 't2' },
+            ],
+            works: [{ id: 'w1', collaborationId: 'c1', t7_totalViews: 100, updatedAt: new Date(0) }],
+        },
+    });
+
+    const result = await handleFeishuRequest({ dataType: 't7', payload: { spreadsheetToken: 'shtT7', writeBackStatus: true } }, req);
+
+    assert.equal(result.created, 1);
+    assert.equal(result.updated, 1);
+    assert.equal(result.rowReport.skipped, 1);
+    assert.equal(result.rowReport.errors[0].rowNumber, 4);
+
+    const works = new Map(mongo.docs('works').map(work => [work.collaborationId, work]));
+    assert.equal(works.get('c1').t7_totalViews, 1200);
+    assert.equal(works.get('c2').t7_likeCount, 5);
+
+    const [run] = mongo.docs('feishu_import_runs');
+    assert.equal(run.id, result.importRunId);
+    assert.equal(run.status, 'completed');
+    assert.equal(run.documentCount, 2);
+    assert.deepEqual(mongo.docs('feishu_import_run_documents').map(doc => doc.created).sort(), [false, true]);
+    assert.equal(works.get('c1').updatedAt.getTime(), run.createdAt.getTime());
+    assert.ok(mongo.docs('audit_events').length > 0);
+
+    assert.equal(result.statusWriteBack.written, true);
+    const statusColumn = feishu.getValues('shtT7').map(row => row[3]);
+    assert.equal(statusColumn[0], '导入状态');
+    assert.match(statusColumn[1], /^已更新/);
+    assert.match(statusColumn[2], /^已新建/);
+    assert.match(statusColumn[3], /^跳过: 未找到该星图任务ID对应的合作记录/);
+});
+
+test('t7 写库中途失败时批次已记录为 failed，撤销恢复已写入的部分', async (t) => {
+    const { mongo } = setup(t, {
+        spreadsheets: { shtFail: { sheets: [{ values: [['星图任务ID', '播放量'], ['task_1', '10'], ['task_2', '20']] }] } },
+        collections: {
+            collaborations: [
+                { id: 'c1', taskId: 'task_1', projectId: 'p1', talentId: 't1' },
+                { id: 'c2', taskId: 'task_2', projectId: 'p1', talentId: 't2' },
+            ],
+            works: [
+                { id: 'w1', collaborationId: 'c1', projectId: 'p1', talentId: 't1', t7_totalViews: 100, updatedAt: new Date(0) },
+                { id: 'w0', collaborationId: 'c0', projectId: 'p1', talentId: 't2', updatedAt: new Date(0) },
+            ],
+        },
+    });
+    // 为 c2 新建的作品与 w0 冲突：w1 的更新已写入，插入失败
+    await mongo.db.collection('works').createIndex({ projectId: 1, talentId: 1 }, { unique: true });
+
+    await assert.rejects(handleFeishuRequest({ dataType: 't7', payload: { spreadsheetToken: 'shtFail' } }, req), { code: 11000 });
+    const [run] = mongo.docs('feishu_import_runs');
+    assert.equal(run.status, 'failed');
+    assert.equal(mongo.docs('works').find(work => work.id === 'w1').t7_totalViews, 10);
+
+    const undone = await handleFeishuRequest({ dataType: 'undoImportRun', payload: { runId: run.id } }, req);
+    assert.equal(undone.status, 'undone');
+    assert.equal(mongo.docs('works').find(work => work.id === 'w1').t7_totalViews, 100);
+});
+
+test('t7 dryRun 不写库也不写回表格', async (t) => {
+    const { feishu, mongo } = setup(t, {
+        spreadsheets: { shtDry: { sheets: [{ values: [['星图任务ID', '播放量'], ['task_1', '10']] }] } },
+        collections: { collaborations: [{ id: 'c1', taskId: 'task_1', projectId: 'p1', talentId: 't1' }] },
+    });
+    const result = await handleFeishuRequest({ dataType: 't7', payload: { spreadsheetToken: 'shtDry', dryRun: true, writeBackStatus: true } }, req);
+    assert.equal(result.dryRun, true);
+    assert.equal(mongo.docs('works').length, 0);
+    assert.equal(mongo.docs('feishu_import_runs').length, 0);
+    assert.equal(feishu.calls.some(call => call.method === 'put'), false);
+});
+
+test('generateAutomationReport 复制模板、写入数据行并移动到目标文件夹', async (t) => {
+    const taskId = new ObjectId();
+    const { feishu } = setup(t, {
+        spreadsheets: { shtTemplate: { title: '周报模板', sheets: [{ values: [['达人', '播放量', '收入']] }] } },
+        collections: {
+            'automation-tasks': [{ _id: taskId, metadata: { collaborationId: 'c1' } }],
+            collaborations: [{ id: 'c1', talentId: 't1', projectId: 'p1', amount: 1000 }],
+            talents: [{ id: 't1', nickname: '达人A', prices: [] }],
+            projects: [{ id: 'p1', name: '春季项目' }],
+            works: [{ id: 'w1', collaborationId: 'c1', t7_totalViews: 5000, updatedAt: new Date() }],
+        },
+    });
+    const mappingTemplate = {
+        name: '周报',
+        spreadsheetToken: 'shtTemplate',
+        feishuSheetHeaders: ['达人', '播放量', '收入'],
+        mappingRules: { '达人': 'talents.nickname', '播放量': 'works.t7_totalViews', '收入': 'collaborations.amount' },
+    };
+
+    const result = await handleFeishuRequest({
+        dataType: 'generateAutomationReport',
+        payload: { primaryCollection: 'automation-tasks', mappingTemplate, taskIds: [String(taskId)], destinationFolderToken: 'fldReports', projectName: '春季项目' },
+    }, req);
+
+    assert.equal(result.fileName, '春季项目 - 周报');
+    assert.deepEqual(feishu.getValues(result.sheetToken).slice(0, 2), [['达人', '播放量', '收入'], ['达人A', 5000, 1000]]);
+    assert.deepEqual(feishu.getValues('shtTemplate'), [['达人', '播放量', '收入']]);
+
+    const file = feishu.getFile(result.sheetToken);
+    assert.equal(file.folderToken, 'fldReports');
+    assert.equal(file.owner.memberId, 'ou_owner');
+    assert.deepEqual(result.generation.taskIds, [String(taskId)]);
+});
+
+test('generateAutomationReport 复制模板时遇到频率限制会重试', async (t) => {
+    const taskId = new ObjectId();
+    const { feishu } = setup(t, {
+        spreadsheets: { shtTemplate: { sheets: [{ values: [['达人']] }] } },
+        collections: {
+            'automation-tasks': [{ _id: taskId, metadata: { collaborationId: 'c1' } }],
+            collaborations: [{ id: 'c1', talentId: 't1' }],
+            talents: [{ id: 't1', nickname: '达人A' }],
+        },
+    });
+    feishu.failNext('POST /drive/v1/files/shtTemplate/copy');
+    const result = await handleFeishuRequest({
+        dataType: 'generateAutomationReport',
+        payload: {
+            primaryCollection: 'automation-tasks',
+            mappingTemplate: { name: '周报', spreadsheetToken: 'shtTemplate', feishuSheetHeaders: ['达人'], mappingRules: { '达人': 'talents.nickname' } },
+            taskIds: [String(taskId)],
+        },
+    }, req);
+    assert.equal(feishu.calls.filter(call => call.path === '/drive/v1/files/shtTemplate/copy').length, 2);
+    assert.deepEqual(feishu.getValues(result.sheetToken)[1], ['达人A']);
+});
+
+test('generateAutomationReport 遇到无效的任务 ID 返回 400，不复制模板也不创建报表任务', async (t) => {
+    const { feishu, mongo } = setup(t, { spreadsheets: { shtTemplate: { sheets: [{ values: [['达人']] }] } } });
+    const payload = {
+        primaryCollection: 'automation-tasks',
+        mappingTemplate: { name: '周报', spreadsheetToken: 'shtTemplate', feishuSheetHeaders: ['达人'], mappingRules: { '达人': 'talents.nickname' } },
+        taskIds: [String(new ObjectId()), 'not-an-object-id'],
+        projectId: 'p1',
+    };
+    await assert.rejects(handleFeishuRequest({ dataType: 'generateAutomationReport', payload }, req), { statusCode: 400, message: /not-an-object-id/ });
+    await assert.rejects(handleFeishuRequest({ dataType: 'generateAutomationReport', payload: { ...payload, async: true } }, req), { statusCode: 400 });
+
+    assert.equal(feishu.calls.some(call => call.path.endsWith('/copy')), false);
+    assert.equal(mongo.docs('report_jobs').length, 0);
+});
+
+test('refreshGeneratedSheet 遇到记录中无效的任务 ID 返回 409', async (t) => {
+    const sheetId = new ObjectId();
+    setup(t, {
+        collections: {
+            generated_sheets: [{
+                _id: sheetId,
+                projectId: 'p1',
+                templateId: String(new ObjectId()),
+                generation: { primaryCollection: 'automation-tasks', taskIds: ['not-an-object-id'] },
+            }],
+        },
+    });
+    await assert.rejects(
+        handleFeishuRequest({ dataType: 'refreshGeneratedSheet', payload: { sheetId: String(sheetId) } }, req),
+        { statusCode: 409, code: 'GENERATED_SHEET_NOT_REPRODUCIBLE' }
+    );
+});
@@ -0,0 +1,116 @@
+/**
+ * 导入批次的撤销 (importRuns.js)：恢复导入前的值，以及导入后数据被修改过时拒绝撤销。
+ * 最后一个用例经由 handleProjectReport 写入日报，需先在 handleProjectReport 目录执行 npm install。
+ */
+process.env.AUTH_JWT_SECRET = process.env.AUTH_JWT_SECRET || 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { signToken } = require('kol-common');
+const { createMongoFake } = require('kol-common/mongoFake');
+const { undoImportRun } = require('../importRuns.js');
+const projectReport = require('../../handleProjectReport/index.js');
+
+const req = { user: { id: 'ou_test', name: 'Tester', roles: ['operator'] } };
+const importedAt = new Date('2025-03-01T10:00:00Z');
+
+const runDocuments = [
+    { entityType: 'talent', id: 't1', created: false, before: { performanceData: { fans: 100 } }, absentFields: ['prices'] },
+    { entityType: 'work', id: 'w1', created: true },
+];
+
+function createDb({ talentUpdatedAt = importedAt, laterRun = false, status = 'completed', createdAt = importedAt, legacy = false } = {}) {
+    const run = { id: 'import_1', dataType: 'talentPerformance', status, createdAt };
+    const runs = [legacy ? { ...run, documents: runDocuments } : run];
+    const documents = legacy ? [] : runDocuments.map(doc => ({ runId: 'import_1', ...doc }));
+    if (laterRun) {
+        runs.push({ id: 'import_2', dataType: 't7', status: 'completed', createdAt: new Date('2025-03-02T10:00:00Z') });
+        documents.push({ runId: 'import_2', entityType: 'talent', id: 't1', created: false, before: {}, absentFields: [] });
+    }
+    return createMongoFake({
+        collections: {
+            feishu_import_runs: runs,
+            feishu_import_run_documents: documents,
+            talents: [{ id: 't1', performanceData: { fans: 200 }, prices: [{ price: 1 }], updatedAt: talentUpdatedAt }],
+            works: [{ id: 'w1', updatedAt: importedAt }],
+        },
+    });
+}
+
+test('撤销恢复导入前的字段并删除本批次新建的文档', async () => {
+    const mongo = createDb();
+    const result = await undoImportRun(mongo.db, req, 'import_1');
+
+    assert.deepEqual(result.restored, { updated: 1, deleted: 1 });
+    const [talent] = mongo.docs('talents');
+    assert.deepEqual(talent.performanceData, { fans: 100 });
+    assert.equal('prices' in talent, false);
+    assert.equal(mongo.docs('works').length, 0);
+    assert.equal(mongo.docs('feishu_import_runs')[0].status, 'undone');
+});
+
+test('v1.3 之前嵌在批次记录中的 documents 仍可撤销', async () => {
+    const mongo = createDb({ legacy: true });
+    const result = await undoImportRun(mongo.db, req, 'import_1');
+    assert.deepEqual(result.restored, { updated: 1, deleted: 1 });
+    assert.deepEqual(mongo.docs('talents')[0].performanceData, { fans: 100 });
+});
+
+test('写库失败的批次可以撤销，仍在写入中的批次拒绝撤销', async () => {
+    const failed = createDb({ status: 'failed' });
+    assert.equal((await undoImportRun(failed.db, req, 'import_1')).status, 'undone');
+
+    const pending = createDb({ status: 'pending', createdAt: new Date(), talentUpdatedAt: new Date(0) });
+    await assert.rejects(undoImportRun(pending.db, req, 'import_1'), { statusCode: 409, code: 'IMPORT_RUN_IN_PROGRESS' });
+});
+
+test('导入后被手动修改过的文档拒绝撤销 (409 IMPORT_RUN_SUPERSEDED)', async () => {
+    const mongo = createDb({ talentUpdatedAt: new Date('2025-03-05T08:00:00Z') });
+    await assert.rejects(undoImportRun(mongo.db, req, 'import_1'), (error) => {
+        assert.equal(error.statusCode, 409);
+        assert.equal(error.code, 'IMPORT_RUN_SUPERSEDED');
+        assert.deepEqual(error.details.changedDocuments.map(doc => doc.id), ['t1']);
+        return true;
+    });
+    assert.equal(mongo.docs('feishu_import_runs')[0].status, 'completed');
+    assert.deepEqual(mongo.docs('talents')[0].performanceData, { fans: 200 });
+});
+
+test('之后有未撤销的批次改写同一文档时拒绝撤销', async () => {
+    const mongo = createDb({ laterRun: true });
+    await assert.rejects(undoImportRun(mongo.db, req, 'import_1'), { code: 'IMPORT_RUN_SUPERSEDED' });
+});
+
+test('导入后经 handleProjectReport 录入过日报的作品拒绝撤销', async (t) => {
+    const mongo = createMongoFake({
+        collections: {
+            feishu_import_runs: [{
+                id: 'import_daily',
+                dataType: 'manualDailyUpdate',
+                status: 'completed',
+                createdAt: importedAt,
+            }],
+            feishu_import_run_documents: [{ runId: 'import_daily', entityType: 'work', id: 'w1', created: false, before: { dailyStats: [] }, absentFields: [] }],
+            projects: [{ id: 'p1', discount: 1 }],
+            collaborations: [{ id: 'c1', projectId: 'p1', amount: 1000 }],
+            works: [{ id: 'w1', collaborationId: 'c1', dailyStats: [{ date: '2025-03-01', totalViews: 100, cpm: 10 }], updatedAt: importedAt }],
+        },
+    });
+    mongo.install();
+    t.after(() => mongo.uninstall());
+
+    const response = await projectReport.handler({
+        httpMethod: 'POST',
+        path: '/daily-stats',
+        headers: { Authorization: `Bearer ${signToken({ sub: 'ou_test', name: 'Tester', roles: ['operator'] })}` },
+        body: JSON.stringify({ projectId: 'p1', date: '2025-03-02', data: [{ collaborationId: 'c1', totalViews: 500 }] }),
+    });
+    assert.equal(response.statusCode, 200);
+
+    await assert.rejects(undoImportRun(mongo.db, req, 'import_daily'), (error) => {
+        assert.equal(error.code, 'IMPORT_RUN_SUPERSEDED');
+        assert.deepEqual(error.details.changedDocuments.map(doc => doc.id), ['w1']);
+        return true;
+    });
+    assert.deepEqual(mongo.docs('works')[0].dailyStats.map(stat => stat.date), ['2025-03-01', '2025-03-02']);
+});
@@ -0,0 +1,33 @@
+/**
+ * syncFromFeishu 的角色校验：GET 对任意已登录用户开放，但只有只读的 dataType 可由 viewer 调用。
+ */
+process.env.AUTH_JWT_SECRET = process.env.AUTH_JWT_SECRET || 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { signToken } = require('kol-common');
+const { handler } = require('../index.js');
+
+const getEvent = (roles, query) => ({
+    httpMethod: 'GET',
+    headers: { Authorization: `Bearer ${signToken({ sub: 'ou_test', name: 'Tester', roles })}` },
+    queryStringParameters: query
+});
+
+test('viewer 通过 GET 调用导入类 dataType 返回 403', async () => {
+    for (const dataType of ['t7', 't21', 'talentPerformance', 'manualDailyUpdate']) {
+        const response = await handler(getEvent(['viewer'], { dataType, spreadsheetToken: 'shtcnTest' }));
+        assert.equal(response.statusCode, 403, dataType);
+    }
+});
+
+test('viewer 通过 GET 生成报表返回 403', async () => {
+    const response = await handler(getEvent(['viewer'], { dataType: 'generateAutomationReport', templateId: 'x', taskIds: 'a' }));
+    assert.equal(response.statusCode, 403);
+});
+
+test('viewer 可以调用只读的 dataType', async () => {
+    const response = await handler(getEvent(['viewer'], { dataType: 'getMappingSchemas' }));
+    assert.equal(response.statusCode, 200);
+    assert.ok(JSON.parse(response.body).data.schemas.talents);
+});
@@ -0,0 +1,85 @@
+/**
+ * 报表任务 (reportJobs.js) 的刷新 / 重新生成：并发占用同一张表格，以及重新生成的版本号。
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('kol-common');
+const { createMongoFake } = require('kol-common/mongoFake');
+const { REPORT_JOB_MODES, createReportJob, claimGeneratedSheet, failReportJob, retryReportJob, completeReportJob } = require('../reportJobs.js');
+
+const mappingTemplate = { name: '周报', spreadsheetToken: 'shtTemplate', feishuSheetHeaders: ['达人'], mappingRules: {} };
+
+function createSheetsDb(sheets) {
+    return createMongoFake({ collections: { generated_sheets: sheets } });
+}
+
+async function regenerate(db, sourceSheet, sheetToken) {
+    const job = await createReportJob(db, null, {
+        projectId: 'p1', primaryCollection: 'automation-tasks', mappingTemplate, taskIds: [], mode: REPORT_JOB_MODES.REGENERATE, sourceSheet,
+    });
+    job.sheet = { token: sheetToken, url: `https://example.com/${sheetToken}`, fileName: sheetToken };
+    await completeReportJob(db, job);
+    return db.collection('generated_sheets').findOne({ sheetToken });
+}
+
+test('并发占用同一张表格时只有一个成功', async () => {
+    const sheetId = new ObjectId();
+    const mongo = createSheetsDb([{ _id: sheetId, sheetToken: 'sht1', version: 1 }]);
+    const results = await Promise.allSettled([
+        claimGeneratedSheet(mongo.db, sheetId, 'report_a'),
+        claimGeneratedSheet(mongo.db, sheetId, 'report_b'),
+    ]);
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal(results.find(result => result.status === 'rejected').reason.code, 'REPORT_JOB_IN_PROGRESS');
+});
+
+test('任务失败后释放表格，重试时重新占用；占用者已结束时可以接手', async () => {
+    const sheetId = new ObjectId();
+    const mongo = createSheetsDb([{ _id: sheetId, sheetToken: 'sht1', sheetUrl: 'u', fileName: 'f', version: 1 }]);
+    const [record] = mongo.docs('generated_sheets');
+    const job = await createReportJob(mongo.db, null, {
+        id: 'report_a', projectId: 'p1', primaryCollection: 'automation-tasks', mappingTemplate, taskIds: [], mode: REPORT_JOB_MODES.REFRESH, sourceSheet: record,
+    });
+    await claimGeneratedSheet(mongo.db, sheetId, job.id);
+    await assert.rejects(claimGeneratedSheet(mongo.db, sheetId, 'report_b'), { code: 'REPORT_JOB_IN_PROGRESS' });
+
+    await failReportJob(mongo.db, job, new Error('飞书超时'));
+    assert.equal(mongo.docs('generated_sheets')[0].activeReportJob, undefined);
+    await retryReportJob(mongo.db, job.id);
+    assert.equal(mongo.docs('generated_sheets')[0].activeReportJob.id, 'report_a');
+
+    // 占用者的任务记录不存在（创建任务前中断）时可以接手
+    const orphanId = new ObjectId();
+    const orphan = createSheetsDb([{ _id: orphanId, activeReportJob: { id: 'report_gone', claimedAt: new Date() } }]);
+    await claimGeneratedSheet(orphan.db, orphanId, 'report_c');
+    assert.equal(orphan.docs('generated_sheets')[0].activeReportJob.id, 'report_c');
+});
+
+test('同一张表格重新生成两次得到连续的版本号，且都指向链首', async () => {
+    const rootId = new ObjectId();
+    const mongo = createSheetsDb([{ _id: rootId, sheetToken: 'sht1', version: 1 }]);
+    const [root] = mongo.docs('generated_sheets');
+
+    const second = await regenerate(mongo.db, root, 'sht2');
+    const third = await regenerate(mongo.db, root, 'sht3');
+    assert.equal(second.version, 2);
+    assert.equal(third.version, 3);
+    assert.equal(third.rootSheetId, String(rootId));
+
+    const fourth = await regenerate(mongo.db, second, 'sht4');
+    assert.equal(fourth.version, 4);
+    assert.equal(fourth.previousSheetId, String(second._id));
+});
+
+test('旧记录没有 rootSheetId / latestVersion 时按链上已有的最大版本继续', async () => {
+    const rootId = new ObjectId();
+    const childId = new ObjectId();
+    const mongo = createSheetsDb([
+        { _id: rootId, sheetToken: 'sht1', version: 1 },
+        { _id: childId, sheetToken: 'sht2', version: 2, previousSheetId: String(rootId) },
+    ]);
+    const child = mongo.docs('generated_sheets')[1];
+    const next = await regenerate(mongo.db, child, 'sht3');
+    assert.equal(next.version, 3);
+    assert.equal(next.rootSheetId, String(rootId));
+});
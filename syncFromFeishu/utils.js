@@ -1,7 +1,59 @@
 /**
  * @file utils.js
- * @version 11.4.3 - Percentage Field Fix
+ * @version 11.23.7 - Refresh Generated Sheets
  * @description
+ * - [刷新 / 重新生成并发] 创建任务前以条件更新占用 generated_sheets 记录，同一张表格的并发请求只有一个成功（其余 409 REPORT_JOB_IN_PROGRESS）；
+ *   重新生成的版本号取同一条链上的最新版本 + 1（见 reportJobs.js v1.1.1）
+ * - [任务 ID 校验] generateAutomationReport 的 taskIds 须为合法 ObjectId 组成的数组，否则在复制模板或创建报表任务之前返回 400
+ * - [导入批次] 导入批次记录与各文档的导入前值在写库之前保存，写库失败时批次置为 failed 且仍可撤销；写库统一以批次时间作为 updatedAt。
+ *   manualDailyUpdate 在写库前为尚无作品的合作确定新作品 id，同一合作的多行共用
+ * - [飞书重试] 写入图片、转移所有者、添加协作者与移动文件声明为幂等请求 (idempotent: true)，超时 / 5xx 时重试；
+ *   复制模板表格等非幂等的 POST 只在频率限制与未建立连接时重试，避免重复创建文件
+ * - [权限] 只读的 dataType（getMappingSchemas / getSheetHeaders / validateMappingTemplate / previewMappingTemplate / getReportJobs / getImportRuns）
+ *   任意已登录用户可调用；导入、生成报表等会写库或创建飞书文件的 dataType 需要写权限 (WRITE_ROLES)，GET 请求也不例外
+ * - [刷新 / 重新生成] 新增 refreshGeneratedSheet 与 regenerateGeneratedSheet（payload: { sheetId } 为 generated_sheets 记录的 _id）：
+ *   按记录保存的模板与任务选择 (generation) 重新生成报表。refresh 使用记录的模板版本写回同一张飞书表格（清空原数据行后重写），
+ *   regenerate 默认使用模板的当前版本（可用 templateVersion 指定）新建一张表格，记为该报表的下一个版本。两者均以报表任务执行，
+ *   由 processReportJob 继续；generateAutomationReport 的结果同时返回 generation，供记录到 generated_sheets。记录中的任务 ID 无效时返回 409
+ * - [异步报表] generateAutomationReport 传入 async: true（需 projectId）时创建报表任务 (report_jobs) 并立即执行第一个时间片，返回任务状态：
+ *   queued / writing_rows / writing_images（进度 x/N）/ done / failed。新增 processReportJob（继续执行，retry: true 重试失败的任务）
+ *   与 getReportJobs（查询任务）；图片逐张记录进度，中断后从下一张继续；完成后表格自动记录到 generated_sheets。细节见 reportJobs.js
+ * - [报表作品数据] 生成报表时同时关联合作记录对应的作品 (works)：模板可使用 works 的 T+7 / T+21 指标（如 works.t7_totalViews、
+ *   works.t7_completionRate）与最新一条每日数据 works.latestStats.*，在同一张表中组合抓取结果与投放表现
+ * - [字段注册表] DATA_SCHEMAS 改由 kol-common 的 getDataSchemas 提供，与 getFieldMetadata 的导出字段同源；新增 works 集合
+ *   （作品信息与 T+7 / T+21 指标）与 talents.performanceData 粉丝画像字段，每个字段带 type 与 group
+ * - [模板版本] generateAutomationReport 的结果返回所用模板的 templateId 与 templateVersion；也可只传 templateId（+ templateVersion）
+ *   由服务端读取模板（指定版本时读取该版本的快照）。validateMappingTemplate / previewMappingTemplate 同样支持 templateVersion
+ * - [模板校验] 新增 validateMappingTemplate：按 DATA_SCHEMAS 校验模板的每条规则（字段路径、公式语法与引用的字段、输出格式），
+ *   逐条返回错误与警告；getMappingSchemas 同时返回可用的公式函数 formulaFunctions
+ * - [模板预览] 新增 previewMappingTemplate：用几条自动化任务（taskIds，或最近完成的任务）渲染模板的数据行并返回每个单元格的值
+ *   与公式错误，不创建飞书文件
+ * - [公式] 映射模板的公式改由 kol-common 的公式引擎 (formula.js) 解析与求值，不再通过 new Function 执行模板中的代码；
+ *   支持算术、比较、IF / ROUND / MIN / MAX / SUM / REPLACE 与日期函数，空字段按 NULL 处理，无法求值的单元格输出 'N/A'
+ * - [飞书客户端] 所有飞书开放平台调用改用 kol-common 的 feishuRequest：tenant_access_token 与其他云函数共享缓存，
+ *   频率限制 / 5xx / 网络错误自动重试，每次请求带超时，失败统一抛出 FeishuApiError；内部函数不再逐层传递 token
+ * - [多维表格] 导入支持多维表格数据源：payload 传入 bitableUrl / appToken（可用 table 指定数据表），记录按字段名转换为与电子表格相同的行，
+ *   沿用同一套列映射；逐行报告附带 recordId，writeBackStatus 写回"导入状态"字段，allSheets 时逐个数据表导入
+ * - [多维表格] generateAutomationReport 传入 outputType: 'bitable' 时按同一映射模板生成多维表格（截图写入附件字段），
+ *   也可传入 bitableUrl / appToken 写入已有的多维表格；读写细节见 bitable.js
+ * - [多工作表] 导入与 getSheetHeaders 支持通过 payload.sheet（工作表名称或 sheetId）选择工作表，不再固定读取第一个工作表；
+ *   payload.allSheets: true 时依次导入表格中的所有工作表，逐个返回结果
+ * - [分页读取] 未指定范围时按工作表实际行列数分页读取（每页 2000 行），不再限制在 A1:ZZ2000
+ * - [性能] t7 / t21 导入改为两遍处理：先解析全部行，再用一次 $in 查询取回合作记录与作品，最后一次 bulkWrite 写入；
+ *   合作记录与作品的读写从每行 3 次降为整批共 3 次，数据库往返次数不再随行数增长，避免大表格导入超时。
+ *   可用 npm run bench（bench/t7Import.js，飞书替身 + mongoFake，可设行数与单次往返延迟）复现往返次数与耗时
+ * - [逐行报告] 导入结果返回 rowReport：每个被跳过的行（行号、原因、出错的值）以及单元格级的警告（如无法识别的日期）；
+ *   payload 中传入 writeBackStatus: true 时，将每行的导入状态写回源表格的"导入状态"列，便于运营在表格中直接修正
+ * - [列映射] 导入的表头不再写死：按 dataType 从 import_mappings 读取列映射（别名、类型、目标字段、必填），未配置时使用 kol-common 中的默认映射；
+ *   缺少必填列返回 400 (MISSING_REQUIRED_COLUMNS)，导入与预览结果中返回 columnReport（已映射列、未映射列、缺少的列）
+ * - [导入批次] 每次实际写库的导入都会保存一条导入批次（表格、dataType、操作人、计数、被改写文档的导入前值），返回 importRunId；
+ *   新增 getImportRuns / undoImportRun 两个 dataType，可查询批次并撤销整个批次
+ * - [dryRun] talentPerformance / t7 / t21 / manualDailyUpdate 支持 dryRun: true：完整解析表格并匹配达人/合作记录，
+ *   返回逐行结果（行号、匹配对象、字段级 旧值/新值、跳过原因），不写入数据库、不记录审计
+ * - [财务规则] manualDailyUpdate 的收入使用项目创建时生效的税费系数 (FINANCE_RULES)
+ * - [财务引擎] manualDailyUpdate 的收入（用于计算 CPM）改用 kol-common 的 calculateIncome
+ * - [审计] 达人表现、t7/t21 与手动日报导入，逐条将变更写入统一的 audit_events（action = import）
+ * - [架构统一] 数据库连接与 AppError 改由共享运行时 kol-common 提供
  * - [BUG 修复] 修复百分比字段值被错误除以100的问题（只有包含%符号时才除以100）
  * - [兼容性] 保留 V11.4.2 的统计逻辑修复和多价格类型支持
  * - [兼容性] 保留 V11.4.1 的字段映射修复和lastUpdated功能
@@ -12,13 +64,25 @@
  * - [兼容性] 保留 V11.0 的 manualDailyUpdate 核心功能
  */
 const axios = require('axios');
-const { MongoClient, ObjectId } = require('mongodb');
+const {
+    AppError, getDb, ObjectId, WRITE_ROLES, requireRole, recordAudit, AUDIT_ACTIONS, diffDocuments,
+    calculateIncome, loadFinanceRuleSets, resolveProjectFinanceRules,
+    loadImportMapping, resolveImportColumns, assertRequiredColumns,
+    feishuRequest, FormulaError, FORMULA_FUNCTIONS, evaluateFormula: evaluateMappingFormula, validateMappingRules, getTemplateVersion, getDataSchemas
+} = require('kol-common');
+const { createImportRunTracker, startImportRun, completeImportRun, failImportRun, getImportRuns, undoImportRun } = require('./importRuns.js');
+const {
+    REPORT_JOB_STATUS, createReportJob, findReportJob, summarizeReportJob, getReportJobs, claimReportJob,
+    updateReportJob, releaseReportJob, failReportJob, retryReportJob, completeReportJob,
+    REPORT_JOB_MODES, GENERATED_SHEETS_COLLECTION, newReportJobId, claimGeneratedSheet, releaseGeneratedSheet
+} = require('./reportJobs.js');
+const {
+    BITABLE_FIELD_TYPES, getBitableTokenFromUrl, listBitableTables, resolveBitableTable, listBitableFields, readBitableTable,
+    createBitableApp, createBitableTable, deleteBitableTable, ensureBitableFields,
+    createBitableRecords, updateBitableRecords, uploadBitableAttachment
+} = require('./bitable.js');
 
 // --- 安全配置 ---
-const APP_ID = process.env.FEISHU_APP_ID;
-const APP_SECRET = process.env.FEISHU_APP_SECRET;
-const DB_NAME = 'kol_data';
-const MONGO_URI = process.env.MONGO_URI;
 const FEISHU_OWNER_ID = process.env.FEISHU_OWNER_ID;
 const FEISHU_SHARE_USER_IDS = process.env.FEISHU_SHARE_USER_IDS;
 
@@ -30,42 +94,11 @@ const TALENTS_COLLECTION = 'talents';
 const MAPPING_TEMPLATES_COLLECTION = 'mapping_templates';
 const AUTOMATION_TASKS_COLLECTION = 'automation-tasks';
 
-// --- 模块级缓存 ---
-let tenantAccessToken = null;
-let tokenExpiresAt = 0;
-let dbClient = null;
-
 // --- 数据结构定义 ---
-const DATA_SCHEMAS = {
-    talents: { displayName: "达人信息", fields: [ { path: "nickname", displayName: "达人昵称" }, { path: "xingtuId", displayName: "星图ID" }, { path: "uid", displayName: "UID" }, { path: "latestPrice", displayName: "最新价格", isSpecial: true }, ] },
-    projects: { displayName: "项目信息", fields: [ { path: "name", displayName: "项目名称" }, { path: "qianchuanId", displayName: "仟传项目编号" }, ] },
-    collaborations: { displayName: "合作信息", fields: [ { path: "taskId", displayName: "任务ID (星图)" }, { path: "videoId", displayName: "视频ID (平台)" }, { path: "orderType", displayName: "订单类型" }, { path: "status", displayName: "合作状态" }, { path: "amount", displayName: "合作金额" }, { path: "publishDate", displayName: "实际发布日期" }, ] },
-    "automation-tasks": { displayName: "自动化任务", fields: [ { path: "result.data.预期CPM", displayName: "预期CPM" }, { path: "result.data.完播率", displayName: "完播率" }, { path: "result.data.爆文率", displayName: "爆文率" }, { path: "result.data.个人视频播放量均值", displayName: "个人视频播放量均值" }, { path: "result.data.星图频播放量均值", displayName: "星图视频播放量均值" }, { path: "result.data.用户画像总结", displayName: "用户画像总结" }, { path: "result.screenshots.0.url", displayName: "截图1 (达人价格)", isImage: true }, { path: "result.screenshots.1.url", displayName: "截图2 (星图视频)", isImage: true }, { path: "result.screenshots.2.url", displayName: "截图3 (男女比例)", isImage: true }, { path: "result.screenshots.4.url", displayName: "截图4 (年龄分布)", isImage: true }, { path: "result.screenshots.5.url", displayName: "截图5 (城市等级)", isImage: true }, { path: "result.screenshots.6.url", displayName: "截图6 (八大人群)", isImage: true }, { path: "result.screenshots.7.url", displayName: "截图7 (设备截图)", isImage: true }, ] }
-};
+// [V11.20] 映射模板可用的集合与字段来自 kol-common 的报表字段注册表 (dataSchemas.js)
+const DATA_SCHEMAS = getDataSchemas();
 
 // --- 辅助函数 ---
-class AppError extends Error {
-    constructor(message, statusCode) { super(message); this.statusCode = statusCode; }
-}
-
-async function getDbConnection() {
-    if (dbClient && dbClient.topology && dbClient.topology.isConnected()) return dbClient;
-    if (!MONGO_URI) throw new AppError('MONGO_URI environment variable is not set.', 500);
-    dbClient = new MongoClient(MONGO_URI);
-    await dbClient.connect();
-    return dbClient;
-}
-
-async function getTenantAccessToken() {
-    if (Date.now() < tokenExpiresAt && tenantAccessToken) return tenantAccessToken;
-    if (!APP_ID || !APP_SECRET) throw new AppError('FEISHU_APP_ID/APP_SECRET environment variables are not set.', 500);
-    const response = await axios.post('https://open.feishu.cn/open-apis/auth/v3/tenant_access_token/internal', { app_id: APP_ID, app_secret: APP_SECRET });
-    if (response.data.code !== 0) throw new AppError(`Failed to get tenant access token: ${response.data.msg}`, 500);
-    tenantAccessToken = response.data.tenant_access_token;
-    tokenExpiresAt = Date.now() + (response.data.expire - 300) * 1000;
-    return tenantAccessToken;
-}
-
 function getSpreadsheetTokenFromUrl(url) {
     if (!url || typeof url !== 'string') return null;
     if (!url.includes('/')) return url;
@@ -134,49 +167,16 @@ function parseFlexibleNumber(value, isPercentage = false) {
     return isNaN(num) ? 0 : num;
 }
 
+/**
+ * [V11.17] 公式由 kol-common 的公式引擎解析求值（不再拼接 JS 字符串交给 new Function）；
+ * 语法错误、除以 0 与类型错误时该单元格输出 'N/A'，引用的字段为空时结果为空。
+ */
 function evaluateFormula(formula, dataContext) {
     try {
-        const FORMULA_FUNCTIONS = {
-            REPLACE: (text, from, to) => {
-                const sourceText = text === null || text === undefined ? '' : String(text);
-                return sourceText.replace(new RegExp(from, 'g'), to);
-            }
-        };
-
-        const variableRegex = /\{(.+?)\}/g;
-        const isStringContext = /"|'|REPLACE\s*\(/i.test(formula);
-
-        let expression = formula;
-
-        expression = expression.replace(variableRegex, (match, varPath) => {
-            const pathParts = varPath.split('.');
-            const collection = pathParts[0];
-            const trueContext = dataContext[collection];
-            const value = pathParts.slice(1).reduce((obj, key) => (obj && obj[key] !== undefined) ? obj[key] : null, trueContext);
-
-            if (value === null || value === undefined) {
-                return isStringContext ? '""' : '0';
-            }
-
-            if (isStringContext) {
-                return JSON.stringify(String(value));
-            }
-            return parseToNumberForEval(String(value));
-        });
-
-        expression = expression.replace(/REPLACE\s*\(/gi, 'FORMULA_FUNCTIONS.REPLACE(');
-
-        if (!isStringContext && /\/\s*0(?!\.)/.test(expression)) {
-            return 'N/A';
-        }
-
-        const calculate = new Function('FORMULA_FUNCTIONS', `return ${expression}`);
-        const result = calculate(FORMULA_FUNCTIONS);
-
-        return result;
-
+        return evaluateMappingFormula(formula, dataContext);
     } catch (error) {
-        console.error(`执行公式 "${formula}" 时出错:`, error);
+        if (!(error instanceof FormulaError)) throw error;
+        console.error(`执行公式 "${formula}" 时出错: ${error.message}`);
         return 'N/A';
     }
 }
@@ -198,10 +198,11 @@ function formatOutput(value, format) {
 }
 
 // --- 飞书API辅助函数 ---
-async function writeImageToCell(token, spreadsheetToken, range, imageUrl, imageName = 'image.png') {
+// [V11.22] 返回是否写入成功；下载或写入失败只记录日志，不中断报表生成
+async function writeImageToCell(spreadsheetToken, range, imageUrl, imageName = 'image.png') {
     if (!imageUrl || !imageUrl.startsWith('http')) {
         console.log(`--> [图片] 无效的图片链接，跳过写入: ${imageUrl}`);
-        return;
+        return false;
     }
     try {
         console.log(`--> [图片] 正在从 ${imageUrl} 下载图片...`);
@@ -211,133 +212,169 @@ async function writeImageToCell(token, spreadsheetToken, range, imageUrl, imageN
         const payload = { range, image: imageBase64, name: imageName };
 
         console.log(`--> [图片] 准备写入图片到 ${range}...`);
-        const writeResponse = await axios.post(
-          `https://open.feishu.cn/open-apis/sheets/v2/spreadsheets/${spreadsheetToken}/values_image`,
-          payload,
-          { headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' } }
-        );
-
-        if (writeResponse.data.code !== 0) {
-            console.error(`--> [图片] 写入图片到 ${range} 失败:`, writeResponse.data.msg);
-        } else {
-            console.log(`--> [图片] 成功写入图片到 ${range}`);
-        }
+        // 同一张图片重复写入同一单元格结果不变，可按幂等请求重试
+        await feishuRequest('post', `/sheets/v2/spreadsheets/${spreadsheetToken}/values_image`, { data: payload, idempotent: true });
+        console.log(`--> [图片] 成功写入图片到 ${range}`);
+        return true;
     } catch (error) {
-        const errorMessage = error.response ? JSON.stringify(error.response.data) : error.message;
-        console.error(`--> [图片] 处理图片 ${imageUrl} 时发生严重错误: ${errorMessage}`);
+        console.error(`--> [图片] 处理图片 ${imageUrl} 时发生错误: ${error.message}`);
+        return false;
     }
 }
 
-async function readFeishuSheet(spreadsheetToken, token, range) {
-    const sheetsResponse = await axios.get(`https://open.feishu.cn/open-apis/sheets/v3/spreadsheets/${spreadsheetToken}/sheets/query`, { headers: { 'Authorization': `Bearer ${token}` } });
-    if (sheetsResponse.data.code !== 0) throw new AppError(`Failed to get sheets info: ${sheetsResponse.data.msg}`, 500);
-    const firstSheetId = sheetsResponse.data.data.sheets[0].sheet_id;
+const SHEET_READ_PAGE_ROWS = 2000;
+
+/**
+ * [V11.14] 列出表格中的所有工作表（不含嵌入的多维表格等非 sheet 资源）。
+ * @returns {Promise<Array<{ sheetId: string, title: string, index: number, rowCount: number, columnCount: number }>>}
+ */
+async function listFeishuSheets(spreadsheetToken) {
+    const data = await feishuRequest('get', `/sheets/v3/spreadsheets/${spreadsheetToken}/sheets/query`);
+    return data.sheets
+        .filter(sheet => !sheet.resource_type || sheet.resource_type === 'sheet')
+        .map(sheet => ({
+            sheetId: sheet.sheet_id,
+            title: sheet.title,
+            index: sheet.index,
+            rowCount: sheet.grid_properties?.row_count || 0,
+            columnCount: sheet.grid_properties?.column_count || 0
+        }));
+}
+
+/**
+ * [V11.14] 按工作表名称或 sheetId 选择工作表；未指定时取第一个工作表。已解析的工作表对象原样返回。
+ */
+async function resolveFeishuSheet(spreadsheetToken, sheet) {
+    if (sheet && typeof sheet === 'object') return sheet;
+    const sheets = await listFeishuSheets(spreadsheetToken);
+    if (sheets.length === 0) throw new AppError('表格中没有可读取的工作表。', 400);
+    if (!sheet) return sheets[0];
+    const target = sheets.find(s => s.sheetId === sheet) || sheets.find(s => s.title === String(sheet).trim());
+    if (!target) {
+        throw new AppError(`未找到工作表 "${sheet}"。可选工作表: ${sheets.map(s => s.title).join(' / ')}`, 404, 'SHEET_NOT_FOUND');
+    }
+    return target;
+}
+
+async function readSheetRange(spreadsheetToken, range) {
+    const data = await feishuRequest('get', `/sheets/v2/spreadsheets/${spreadsheetToken}/values/${encodeURIComponent(range)}`, { params: { valueRenderOption: 'ToString' } });
+    return data.valueRange.values || [];
+}
+
+const isEmptySheetRow = (row) => !row || row.every(cell => cell === null || cell === undefined || String(cell).trim() === '');
+
+/**
+ * 读取工作表数据。
+ * @param {string} spreadsheetToken
+ * @param {string} [range] - 如 'A1:ZZ1'；不传时分页读取整个工作表的已用范围
+ * @param {string|object} [sheet] - 工作表名称 / sheetId，或 resolveFeishuSheet 的返回值；不传时取第一个工作表
+ */
+async function readFeishuSheet(spreadsheetToken, range, sheet) {
+    const target = await resolveFeishuSheet(spreadsheetToken, sheet);
 
-    const finalRange = range || `${firstSheetId}!A1:ZZ2000`;
-    const urlEncodedRange = encodeURIComponent(finalRange.startsWith(firstSheetId) ? finalRange : `${firstSheetId}!${finalRange}`);
+    if (range) {
+        const finalRange = range.startsWith(`${target.sheetId}!`) ? range : `${target.sheetId}!${range}`;
+        console.log(`--> [飞书读取] 目标表格: ${spreadsheetToken}, 范围: ${finalRange}`);
+        return readSheetRange(spreadsheetToken, finalRange);
+    }
 
-    console.log(`--> [飞书读取] 目标表格: ${spreadsheetToken}, 范围: ${decodeURIComponent(urlEncodedRange)}`);
-    const valuesResponse = await axios.get(
-        `https://open.feishu.cn/open-apis/sheets/v2/spreadsheets/${spreadsheetToken}/values/${urlEncodedRange}?valueRenderOption=ToString`,
-        { headers: { 'Authorization': `Bearer ${token}` } }
-    );
-    if (valuesResponse.data.code !== 0) throw new AppError(`Failed to read sheet values: ${valuesResponse.data.msg}`, 500);
-    console.log(`--> [飞书读取] 成功读取 ${valuesResponse.data.data.valueRange.values?.length || 0} 行数据。`);
-    return valuesResponse.data.data.valueRange.values;
+    const lastColumn = columnIndexToLetter(Math.max(target.columnCount, 1) - 1);
+    const totalRows = Math.max(target.rowCount, 1);
+    const values = [];
+    for (let startRow = 1; startRow <= totalRows; startRow += SHEET_READ_PAGE_ROWS) {
+        const endRow = Math.min(startRow + SHEET_READ_PAGE_ROWS - 1, totalRows);
+        const pageRange = `${target.sheetId}!A${startRow}:${lastColumn}${endRow}`;
+        console.log(`--> [飞书读取] 目标表格: ${spreadsheetToken}, 工作表: ${target.title}, 范围: ${pageRange}`);
+        values.push(...await readSheetRange(spreadsheetToken, pageRange));
+    }
+    // 工作表的行数包含末尾的空行，去掉它们以免被当作缺少主键的数据行
+    while (values.length > 0 && isEmptySheetRow(values[values.length - 1])) values.pop();
+    console.log(`--> [飞书读取] 成功读取 ${values.length} 行数据。`);
+    return values;
 }
 
-async function transferOwner(fileToken, token) {
+async function transferOwner(fileToken, fileType = 'sheet') {
     if (!FEISHU_OWNER_ID) { console.log("--> [权限] 未配置 FEISHU_OWNER_ID, 无法转移所有权。"); return false; }
     console.log(`--> [权限] 准备将文件所有权转移给用户: ${FEISHU_OWNER_ID}`);
     try {
-        await axios.post(`https://open.feishu.cn/open-apis/drive/v1/permissions/${fileToken}/members/transfer_owner`, { member_type: 'userid', member_id: FEISHU_OWNER_ID }, { headers: { 'Authorization': `Bearer ${token}` }, params: { type: 'sheet', need_notification: true, remove_old_owner: false, stay_put: false, old_owner_perm: 'full_access' } });
+        await feishuRequest('post', `/drive/v1/permissions/${fileToken}/members/transfer_owner`, { data: { member_type: 'userid', member_id: FEISHU_OWNER_ID }, params: { type: fileType, need_notification: true, remove_old_owner: false, stay_put: false, old_owner_perm: 'full_access' }, idempotent: true });
         console.log(`--> [权限] 成功将所有权转移给用户: ${FEISHU_OWNER_ID}`);
         return true;
     } catch (error) {
-        const errorMessage = error.response ? JSON.stringify(error.response.data) : error.message;
-        console.error(`--> [权限] 转移所有权失败: ${errorMessage}`);
+        console.error(`--> [权限] 转移所有权失败: ${error.message}`);
         return false;
     }
 }
 
-async function grantEditPermissions(fileToken, token) {
+async function grantEditPermissions(fileToken, fileType = 'sheet') {
     if (!FEISHU_SHARE_USER_IDS) { console.log("--> [权限] 未配置 FEISHU_SHARE_USER_IDS, 跳过分享编辑权限。"); return; }
     const userIds = FEISHU_SHARE_USER_IDS.split(',').map(id => id.trim()).filter(id => id);
     if (userIds.length === 0) return;
     console.log(`--> [权限] 准备将表格编辑权限分享给 ${userIds.length} 位用户...`);
     for (const userId of userIds) {
         try {
-            await axios.post(`https://open.feishu.cn/open-apis/drive/v1/permissions/${fileToken}/members`, { member_type: 'user', member_id: userId, perm: 'edit' }, { headers: { 'Authorization': `Bearer ${token}` }, params: { type: 'sheet' } });
+            await feishuRequest('post', `/drive/v1/permissions/${fileToken}/members`, { data: { member_type: 'user', member_id: userId, perm: 'edit' }, params: { type: fileType }, idempotent: true });
             console.log(`--> [权限] 成功将编辑权限授予用户: ${userId}`);
         } catch (error) {
-            const errorMessage = error.response ? JSON.stringify(error.response.data) : error.message;
-            console.error(`--> [权限] 为用户 ${userId} 授予权限失败: ${errorMessage}`);
+            console.error(`--> [权限] 为用户 ${userId} 授予权限失败: ${error.message}`);
         }
     }
 }
 
-async function moveFileToFolder(fileToken, fileType, folderToken, token) {
+async function moveFileToFolder(fileToken, fileType, folderToken) {
     if (!folderToken) {
         console.log("--> [移动] 未提供目标文件夹Token，跳过移动操作。");
         return;
     }
     console.log(`--> [移动] 准备将文件 ${fileToken} 移动到文件夹 ${folderToken}...`);
     try {
-        const response = await axios.post(
-            `https://open.feishu.cn/open-apis/drive/v1/files/${fileToken}/move`,
-            { type: fileType, folder_token: folderToken },
-            { headers: { 'Authorization': `Bearer ${token}` } }
-        );
-        if (response.data.code === 0) {
-            console.log(`--> [移动] 成功将文件移动到目标文件夹。`);
-        } else {
-            console.error(`--> [移动] 移动文件失败: ${response.data.msg}`, JSON.stringify(response.data, null, 2));
-        }
+        await feishuRequest('post', `/drive/v1/files/${fileToken}/move`, { data: { type: fileType, folder_token: folderToken }, idempotent: true });
+        console.log(`--> [移动] 成功将文件移动到目标文件夹。`);
     } catch (error) {
-        const errorMessage = error.response ? JSON.stringify(error.response.data) : error.message;
-        console.error(`--> [移动] 移动文件时发生严重网络或服务器错误: ${errorMessage}`);
+        console.error(`--> [移动] 移动文件失败: ${error.message}`);
     }
 }
 
 // --- 业务逻辑：导出功能 ---
-async function getMappingSchemas() { return { schemas: DATA_SCHEMAS }; }
+async function getMappingSchemas() { return { schemas: DATA_SCHEMAS, formulaFunctions: FORMULA_FUNCTIONS }; }
 
 async function getSheetHeaders(payload) {
-    const { spreadsheetToken } = payload;
+    const { spreadsheetToken, sheet, bitable } = payload;
+    // [V11.15] 多维表格返回数据表的字段名
+    if (bitable) {
+        const target = await resolveBitableTable(bitable.appToken, bitable.table);
+        const fields = await listBitableFields(bitable.appToken, target.tableId);
+        return { headers: fields.map(field => field.name) };
+    }
     if (!spreadsheetToken) throw new AppError('Missing spreadsheetToken.', 400);
-    const token = await getTenantAccessToken();
-    const headers = await readFeishuSheet(getSpreadsheetTokenFromUrl(spreadsheetToken), token, 'A1:ZZ1');
+    const headers = await readFeishuSheet(getSpreadsheetTokenFromUrl(spreadsheetToken), 'A1:ZZ1', sheet);
     return { headers: (headers[0] || []).filter(h => h) };
 }
 
-async function generateAutomationSheet(payload) {
-    const { primaryCollection, mappingTemplate, taskIds, destinationFolderToken, projectName } = payload;
-    
-    console.log("======== [START] generateAutomationSheet ========");
-    console.log("收到的初始参数:", JSON.stringify(payload, null, 2));
+/**
+ * [V11.21] 作品的最新一条每日数据 (dailyStats 中日期最大的一条)，没有每日数据时返回 null。
+ */
+function latestDailyStat(dailyStats) {
+    if (!Array.isArray(dailyStats) || dailyStats.length === 0) return null;
+    const latest = dailyStats.reduce((a, b) => (String(b.date) > String(a.date) ? b : a));
+    return { date: latest.date, totalViews: latest.totalViews ?? null, cpm: latest.cpm ?? null, cpmChange: latest.cpmChange ?? null };
+}
 
-    if (!primaryCollection || !mappingTemplate || !taskIds || !taskIds.length) {
-        throw new AppError('Missing required parameters.', 400);
-    }
-    const token = await getTenantAccessToken();
-    const db = (await getDbConnection()).db(DB_NAME);
-    
-    console.log("\n--- [步骤 1] 复制模板表格 ---");
-    const templateToken = getSpreadsheetTokenFromUrl(mappingTemplate.spreadsheetToken);
-    if (!templateToken) throw new AppError('无法从模板中解析出有效的Token。', 400);
-    const newFileName = `${projectName || '未知项目'} - ${mappingTemplate.name}`.replace(/[\/\\:*?"<>|]/g, '');
-    const copyPayload = { name: newFileName, type: 'sheet', folder_token: "" };
-    console.log("--> 将在模板文件所在位置创建副本...");
-    const copyResponse = await axios.post(`https://open.feishu.cn/open-apis/drive/v1/files/${templateToken}/copy`, copyPayload, { headers: { 'Authorization': `Bearer ${token}` } });
-    if (copyResponse.data.code !== 0) { 
-        console.error("--> [错误] 复制文件API返回失败:", JSON.stringify(copyResponse.data, null, 2));
-        throw new AppError(`复制飞书表格失败: ${copyResponse.data.msg}`, 500); 
-    }
-    const newFile = copyResponse.data.data.file;
-    const newSpreadsheetToken = newFile.token;
-    console.log(`--> 成功! 新文件名: "${newFileName}", 新Token: ${newSpreadsheetToken}`);
+/**
+ * 自动化任务 ID 须为合法的 ObjectId，否则返回 400。生成报表时在复制模板或创建报表任务之前校验。
+ */
+function assertValidTaskIds(taskIds) {
+    if (!Array.isArray(taskIds)) throw new AppError('taskIds must be an array.', 400);
+    const invalidTaskId = taskIds.find(id => !ObjectId.isValid(id));
+    if (invalidTaskId !== undefined) throw new AppError(`Invalid taskId: ${invalidTaskId}`, 400);
+}
 
-    console.log("\n--- [步骤 2] 从数据库聚合数据 ---");
+/**
+ * 按自动化任务聚合报表数据：每条合作记录连同达人、项目、作品和对应任务组成一个上下文，供映射规则取值。
+ * [V11.21] 作品为该合作记录最近更新的一条 works，并附带 latestStats（最新一条每日数据）。
+ */
+async function loadAutomationReportContexts(db, taskIds) {
+    assertValidTaskIds(taskIds);
     const objectIdTaskIds = taskIds.map(id => new ObjectId(id));
     const tasks = await db.collection(AUTOMATION_TASKS_COLLECTION).find({ _id: { $in: objectIdTaskIds } }, { projection: { 'metadata.collaborationId': 1, _id: 1 } }).toArray();
     const collaborationIds = [...new Set(tasks.map(t => t.metadata?.collaborationId).filter(Boolean))];
@@ -347,6 +384,19 @@ async function generateAutomationSheet(payload) {
             { $match: { id: { $in: collaborationIds } } },
             { $lookup: { from: TALENTS_COLLECTION, localField: 'talentId', foreignField: 'id', as: 'talent' } }, { $unwind: { path: '$talent', preserveNullAndEmptyArrays: true } },
             { $lookup: { from: PROJECTS_COLLECTION, localField: 'projectId', foreignField: 'id', as: 'project' } }, { $unwind: { path: '$project', preserveNullAndEmptyArrays: true } },
+            {
+                $lookup: {
+                    from: WORKS_COLLECTION,
+                    let: { collabId: '$id' },
+                    pipeline: [
+                        { $match: { $expr: { $eq: ['$collaborationId', '$$collabId'] } } },
+                        { $sort: { updatedAt: -1 } },
+                        { $limit: 1 }
+                    ],
+                    as: 'work'
+                }
+            },
+            { $unwind: { path: '$work', preserveNullAndEmptyArrays: true } },
             
              {
                $lookup: {
@@ -379,109 +429,642 @@ async function generateAutomationSheet(payload) {
                     doc.talent.latestPrice = latestPriceEntry.price;
                 }
             }
+            if (doc.work) doc.work.latestStats = latestDailyStat(doc.work.dailyStats);
         });
     }
     console.log(`--> 成功! 数据聚合完成, 共找到 ${results.length} 条有效记录。`);
+    return results.map(doc => ({
+        talents: doc.talent,
+        projects: doc.project,
+        works: doc.work,
+        'automation-tasks': doc.task,
+        collaborations: doc
+    }));
+}
 
-    console.log("\n--- [步骤 3] 写入数据行 ---");
-    if (results.length > 0) {
-        const dataToWrite = [], imageWriteQueue = [], START_ROW = 2;
-        const contextData = results.map(doc => ({
-            talents: doc.talent,
-            projects: doc.project,
-            'automation-tasks': doc.task,
-            collaborations: doc
-        }));
+/**
+ * 按映射模板中的一条规则取值：字符串规则为 "集合.字段路径"，对象规则为 { formula, output }。
+ */
+function resolveMappingRuleValue(rule, context) {
+    if (typeof rule === 'string') {
+        const pathParts = rule.split('.');
+        if (pathParts.length > 1) {
+            const collection = pathParts[0];
+            const trueContext = context[collection];
+            return pathParts.slice(1).reduce((obj, key) => (obj && obj[key] !== undefined) ? obj[key] : null, trueContext);
+        }
+        return null;
+    }
+    if (typeof rule === 'object' && rule !== null && rule.formula) {
+        const rawResult = evaluateFormula(rule.formula, context);
+        return rule.output ? formatOutput(rawResult, rule.output) : rawResult;
+    }
+    return null;
+}
 
-        for (let i = 0; i < contextData.length; i++) {
-            const context = contextData[i];
-            const rowData = [];
-            for (let j = 0; j < mappingTemplate.feishuSheetHeaders.length; j++) {
-                const feishuHeader = mappingTemplate.feishuSheetHeaders[j];
-                const rule = mappingTemplate.mappingRules[feishuHeader];
-                let finalValue = null;
-
-                if (typeof rule === 'string') {
-                    const pathParts = rule.split('.');
-                    if (pathParts.length > 1) {
-                        const collection = pathParts[0];
-                        const trueContext = context[collection];
-                        finalValue = pathParts.slice(1).reduce((obj, key) => (obj && obj[key] !== undefined) ? obj[key] : null, trueContext);
-                    }
-                } else if (typeof rule === 'object' && rule !== null && rule.formula) {
-                    const rawResult = evaluateFormula(rule.formula, context);
-                    finalValue = rule.output ? formatOutput(rawResult, rule.output) : rawResult;
-                }
-                
-                const isImageField = (typeof rule === 'string' && rule.includes('screenshots'));
-                if (isImageField && typeof finalValue === 'string' && finalValue.startsWith('http')) {
-                    rowData.push(null);
-                    imageWriteQueue.push({ range: `${columnIndexToLetter(j)}${START_ROW + i}`, url: finalValue, name: `${feishuHeader}.png` });
-                } else {
-                    rowData.push(finalValue === null || finalValue === undefined ? null : finalValue);
-                }
-            }
-            dataToWrite.push(rowData);
+const isImageRule = (rule) => typeof rule === 'string' && rule.includes('screenshots');
+
+// --- 业务逻辑：映射模板校验与预览 ---
+const PREVIEW_DEFAULT_LIMIT = 3;
+const PREVIEW_MAX_LIMIT = 10;
+
+/**
+ * [V11.18] 取得要校验 / 预览 / 生成的模板：payload.mappingTemplate（未保存的编辑内容）优先，否则按 templateId 读取。
+ * [V11.19] 传入 templateVersion 时读取该版本的快照（模板已删除也可读取）。
+ */
+async function loadMappingTemplate(db, payload) {
+    if (payload.mappingTemplate) return payload.mappingTemplate;
+    if (!payload.templateId || !ObjectId.isValid(payload.templateId)) {
+        throw new AppError('Missing mappingTemplate or a valid templateId.', 400);
+    }
+    if (payload.templateVersion !== undefined && payload.templateVersion !== null && payload.templateVersion !== '') {
+        const record = await getTemplateVersion(db, payload.templateId, payload.templateVersion);
+        return { ...record.snapshot, _id: record.templateId, version: record.version };
+    }
+    const template = await db.collection(MAPPING_TEMPLATES_COLLECTION).findOne({ _id: new ObjectId(payload.templateId) });
+    if (!template) throw new AppError('Template not found.', 404);
+    return template;
+}
+
+/**
+ * [V11.18] 按 DATA_SCHEMAS 校验模板中的每条规则（字段路径、公式语法与引用、输出格式）。
+ */
+async function validateMappingTemplate(payload) {
+    const mappingTemplate = await loadMappingTemplate(await getDb(), payload);
+    return validateMappingRules(mappingTemplate, { schemas: DATA_SCHEMAS });
+}
+
+// 与 resolveMappingRuleValue 相同，但公式出错时带回错误信息而不是只显示 'N/A'
+function previewMappingRuleValue(rule, context) {
+    if (typeof rule === 'object' && rule !== null && rule.formula) {
+        try {
+            const rawResult = evaluateMappingFormula(rule.formula, context);
+            return { value: rule.output ? formatOutput(rawResult, rule.output) : rawResult };
+        } catch (error) {
+            if (!(error instanceof FormulaError)) throw error;
+            return { value: 'N/A', error: { code: error.code, message: error.message } };
         }
+    }
+    return { value: resolveMappingRuleValue(rule, context) };
+}
+
+/**
+ * [V11.18] 用几条自动化任务渲染模板的数据行，不创建飞书文件。
+ * payload: { mappingTemplate | templateId, taskIds?, limit? }；未指定 taskIds 时取最近完成的 limit 条任务（默认 3，最多 10）。
+ */
+async function previewMappingTemplate(payload) {
+    const db = await getDb();
+    const mappingTemplate = await loadMappingTemplate(db, payload);
+    const validation = validateMappingRules(mappingTemplate, { schemas: DATA_SCHEMAS });
+    const limit = Math.min(parseInt(payload.limit, 10) || PREVIEW_DEFAULT_LIMIT, PREVIEW_MAX_LIMIT);
+
+    let taskIds = typeof payload.taskIds === 'string' ? payload.taskIds.split(',').map(id => id.trim()).filter(Boolean) : (payload.taskIds || []);
+    assertValidTaskIds(taskIds);
+    taskIds = taskIds.slice(0, limit);
+    if (taskIds.length === 0) {
+        const samples = await db.collection(AUTOMATION_TASKS_COLLECTION)
+            .find({ status: 'completed', 'metadata.collaborationId': { $exists: true } }, { projection: { _id: 1 } })
+            .sort({ completedAt: -1 })
+            .limit(limit)
+            .toArray();
+        taskIds = samples.map(task => task._id.toString());
+    }
 
-        const metaInfoResponse = await axios.get(`https://open.feishu.cn/open-apis/sheets/v2/spreadsheets/${newSpreadsheetToken}/metainfo`, { headers: { 'Authorization': `Bearer ${token}` } });
-        const firstSheetId = metaInfoResponse.data.data.sheets[0].sheetId;
+    const mappingRules = mappingTemplate.mappingRules && typeof mappingTemplate.mappingRules === 'object' ? mappingTemplate.mappingRules : {};
+    const headers = mappingTemplate.feishuSheetHeaders && mappingTemplate.feishuSheetHeaders.length > 0
+        ? mappingTemplate.feishuSheetHeaders
+        : Object.keys(mappingRules);
+    const contexts = taskIds.length > 0 ? await loadAutomationReportContexts(db, taskIds) : [];
+
+    const rows = contexts.map(context => {
+        const values = {};
+        const errors = [];
+        headers.forEach(header => {
+            const { value, error } = previewMappingRuleValue(mappingRules[header], context);
+            values[header] = value === undefined ? null : value;
+            if (error) errors.push({ header, ...error });
+        });
+        return {
+            taskId: context['automation-tasks'] && context['automation-tasks']._id ? context['automation-tasks']._id.toString() : null,
+            collaborationId: context.collaborations.id,
+            talentName: context.talents ? context.talents.nickname : null,
+            values,
+            errors
+        };
+    });
 
-        if (dataToWrite.length > 0) {
-            const textRange = `${firstSheetId}!A${START_ROW}:${columnIndexToLetter(dataToWrite[0].length - 1)}${START_ROW + dataToWrite.length - 1}`;
-            console.log(`--> [写入文本] 目标范围: ${textRange}, 行数: ${dataToWrite.length}`);
-            try {
-                await axios.put(
-                    `https://open.feishu.cn/open-apis/sheets/v2/spreadsheets/${newSpreadsheetToken}/values`,
-                    { valueRange: { range: textRange, values: dataToWrite } },
-                    { headers: { 'Authorization': `Bearer ${token}` } }
-                );
-                console.log(`--> [写入文本] 成功写入 ${dataToWrite.length} 行数据。`);
-            } catch(writeError) {
-                 console.error(`--> [写入文本] 写入失败: ${writeError.response?.data?.msg || writeError.message}`);
-                 throw new AppError(`写入飞书表格失败: ${writeError.response?.data?.msg || writeError.message}`, 500);
+    return { validation, headers, sampleCount: rows.length, rows };
+}
+
+// --- 业务逻辑：生成电子表格报表 ---
+// [V11.22] 生成步骤拆分为复制模板、计算数据行、写入数据行、移动与授权，同步生成与异步报表任务共用
+
+const REPORT_START_ROW = 2;
+
+/**
+ * 复制模板表格，返回新文件 { token, url, fileName }。
+ */
+async function copyReportTemplate(mappingTemplate, projectName) {
+    const templateToken = getSpreadsheetTokenFromUrl(mappingTemplate.spreadsheetToken);
+    if (!templateToken) throw new AppError('无法从模板中解析出有效的Token。', 400);
+    const fileName = `${projectName || '未知项目'} - ${mappingTemplate.name}`.replace(/[\/\\:*?"<>|]/g, '');
+    console.log("--> 将在模板文件所在位置创建副本...");
+    const copyData = await feishuRequest('post', `/drive/v1/files/${templateToken}/copy`, { data: { name: fileName, type: 'sheet', folder_token: "" } });
+    console.log(`--> 成功! 新文件名: "${fileName}", 新Token: ${copyData.file.token}`);
+    return { token: copyData.file.token, url: copyData.file.url, fileName };
+}
+
+/**
+ * 按映射模板计算数据行；截图类单元格留空，放入图片队列 images: [{ range, url, name }]（range 为不含工作表的单元格，如 "C2"）。
+ */
+function buildReportRows(mappingTemplate, contextData) {
+    const rows = [], images = [];
+    contextData.forEach((context, i) => {
+        const rowData = mappingTemplate.feishuSheetHeaders.map((feishuHeader, j) => {
+            const rule = mappingTemplate.mappingRules[feishuHeader];
+            const finalValue = resolveMappingRuleValue(rule, context);
+            if (isImageRule(rule) && typeof finalValue === 'string' && finalValue.startsWith('http')) {
+                images.push({ range: `${columnIndexToLetter(j)}${REPORT_START_ROW + i}`, url: finalValue, name: `${feishuHeader}.png` });
+                return null;
             }
-        }
+            return finalValue === null || finalValue === undefined ? null : finalValue;
+        });
+        rows.push(rowData);
+    });
+    return { rows, images };
+}
+
+/**
+ * 从第 2 行起写入数据行，返回第一个工作表的 sheetId（写图片时使用）。
+ * [V11.23] clear: true 时（刷新已有表格）用空值补足到工作表末行，覆盖上次生成的数据与截图；width 为表头列数。
+ */
+async function writeReportRows(spreadsheetToken, rows, { clear = false, width = 0 } = {}) {
+    const metaInfo = await feishuRequest('get', `/sheets/v2/spreadsheets/${spreadsheetToken}/metainfo`);
+    const firstSheetId = metaInfo.sheets[0].sheetId;
+    if (clear) {
+        const columnCount = Math.max(width, rows.length > 0 ? rows[0].length : 0);
+        const rowCount = Math.max(rows.length, (metaInfo.sheets[0].rowCount || 0) - REPORT_START_ROW + 1);
+        rows = Array.from({ length: rowCount }, (_, i) => Array.from({ length: columnCount }, (__, j) => {
+            const value = rows[i] ? rows[i][j] : null;
+            return value === null || value === undefined ? '' : value;
+        }));
+        if (columnCount === 0) rows = [];
+    }
+    if (rows.length > 0) {
+        const textRange = `${firstSheetId}!A${REPORT_START_ROW}:${columnIndexToLetter(rows[0].length - 1)}${REPORT_START_ROW + rows.length - 1}`;
+        console.log(`--> [写入文本] 目标范围: ${textRange}, 行数: ${rows.length}`);
+        await feishuRequest('put', `/sheets/v2/spreadsheets/${spreadsheetToken}/values`, { data: { valueRange: { range: textRange, values: rows } } });
+        console.log(`--> [写入文本] 成功写入 ${rows.length} 行数据。`);
+    }
+    return firstSheetId;
+}
+
+const writeReportImage = (spreadsheetToken, sheetId, image) => writeImageToCell(spreadsheetToken, `${sheetId}!${image.range}:${image.range}`, image.url, image.name);
 
-        if (imageWriteQueue.length > 0) {
-             console.log(`--> [写入图片] 准备写入 ${imageWriteQueue.length} 张图片...`);
-            for (const imageJob of imageWriteQueue) {
-                const imageRange = `${firstSheetId}!${imageJob.range}:${imageJob.range}`;
-                await writeImageToCell(token, newSpreadsheetToken, imageRange, imageJob.url, imageJob.name);
+/**
+ * 将生成的表格移动到目标文件夹，并转移所有权（失败时改为授予编辑权限）。
+ */
+async function finalizeReportFile(spreadsheetToken, destinationFolderToken) {
+    await moveFileToFolder(spreadsheetToken, 'sheet', getSpreadsheetTokenFromUrl(destinationFolderToken));
+    const ownerTransferred = await transferOwner(spreadsheetToken);
+    if (!ownerTransferred) {
+        await grantEditPermissions(spreadsheetToken);
+    }
+}
+
+async function generateAutomationSheet(payload) {
+    const { primaryCollection, mappingTemplate, taskIds, destinationFolderToken, projectName } = payload;
+    
+    console.log("======== [START] generateAutomationSheet ========");
+    console.log("收到的初始参数:", JSON.stringify(payload, null, 2));
+
+    if (!primaryCollection || !mappingTemplate || !taskIds || !taskIds.length) {
+        throw new AppError('Missing required parameters.', 400);
+    }
+    assertValidTaskIds(taskIds);
+    const db = await getDb();
+    
+    console.log("\n--- [步骤 1] 复制模板表格 ---");
+    const newFile = await copyReportTemplate(mappingTemplate, projectName);
+
+    console.log("\n--- [步骤 2] 从数据库聚合数据 ---");
+    const contextData = await loadAutomationReportContexts(db, taskIds);
+
+    console.log("\n--- [步骤 3] 写入数据行 ---");
+    if (contextData.length > 0) {
+        const { rows, images } = buildReportRows(mappingTemplate, contextData);
+        const firstSheetId = await writeReportRows(newFile.token, rows);
+
+        if (images.length > 0) {
+             console.log(`--> [写入图片] 准备写入 ${images.length} 张图片...`);
+            for (const image of images) {
+                await writeReportImage(newFile.token, firstSheetId, image);
             }
              console.log(`--> [写入图片] 图片写入完成。`);
         }
     }
     
-    console.log("\n--- [步骤 4] 移动文件到指定文件夹 ---");
-    const parsedFolderToken = getSpreadsheetTokenFromUrl(destinationFolderToken);
-    await moveFileToFolder(newSpreadsheetToken, 'sheet', parsedFolderToken, token);
-
-    console.log("\n--- [步骤 5] 处理文件权限 ---");
-    const ownerTransferred = await transferOwner(newSpreadsheetToken, token);
-    if (!ownerTransferred) {
-        await grantEditPermissions(newSpreadsheetToken, token);
-    }
+    console.log("\n--- [步骤 4] 移动文件并处理文件权限 ---");
+    await finalizeReportFile(newFile.token, destinationFolderToken);
     
     console.log("\n======== [END] generateAutomationSheet ========");
     return { 
         message: "飞书表格已生成并成功处理！", 
         sheetUrl: newFile.url,
-        fileName: newFileName,
-        sheetToken: newSpreadsheetToken
+        fileName: newFile.fileName,
+        sheetToken: newFile.token
     };
 }
 
+// --- 业务逻辑：异步报表任务 ---
+// 每个请求推进任务的时间上限，需小于云函数的超时时间
+const REPORT_JOB_SLICE_MS = parseInt(process.env.REPORT_JOB_SLICE_MS, 10) || 20000;
+// 写图片时每写入几张保存一次进度
+const REPORT_JOB_PROGRESS_EVERY = 5;
+
+/**
+ * [V11.22] 推进一个报表任务，直到完成、失败或用完本次的时间片；返回任务状态。
+ * 任务已结束或正被其他请求执行时直接返回当前状态。
+ */
+async function runReportJobSlice(db, jobId) {
+    const job = await claimReportJob(db, jobId, REPORT_JOB_SLICE_MS);
+    if (!job) return summarizeReportJob(await findReportJob(db, jobId));
+    const deadline = Date.now() + REPORT_JOB_SLICE_MS;
+
+    try {
+        if (job.status === REPORT_JOB_STATUS.QUEUED || job.status === REPORT_JOB_STATUS.WRITING_ROWS) {
+            await updateReportJob(db, job, { status: REPORT_JOB_STATUS.WRITING_ROWS });
+            // 重试时不重复复制模板
+            if (!job.sheet) {
+                await updateReportJob(db, job, { sheet: await copyReportTemplate(job.mappingTemplate, job.projectName) });
+            }
+            const contextData = await loadAutomationReportContexts(db, job.taskIds);
+            const { rows, images } = buildReportRows(job.mappingTemplate, contextData);
+            // [V11.23] 刷新时写回原表格：清空原数据行，文件已在目标文件夹中，不再移动与授权
+            const refreshing = job.mode === REPORT_JOB_MODES.REFRESH;
+            const sheetId = await writeReportRows(job.sheet.token, rows, { clear: refreshing, width: job.mappingTemplate.feishuSheetHeaders.length });
+            if (!refreshing) await finalizeReportFile(job.sheet.token, job.destinationFolderToken);
+            await updateReportJob(db, job, {
+                status: REPORT_JOB_STATUS.WRITING_IMAGES,
+                sheet: { ...job.sheet, sheetId },
+                images,
+                failedImages: [],
+                progress: { rowsTotal: rows.length, rowsWritten: rows.length, imagesTotal: images.length, imagesWritten: 0, imagesFailed: 0 }
+            });
+        }
+
+        if (job.status === REPORT_JOB_STATUS.WRITING_IMAGES) {
+            const progress = { ...job.progress };
+            const failedImages = [...job.failedImages];
+            const startedAt = progress.imagesWritten;
+            while (progress.imagesWritten < job.images.length) {
+                // 每个时间片至少写入一张，保证任务总能向前推进
+                if (progress.imagesWritten > startedAt && Date.now() >= deadline) {
+                    await updateReportJob(db, job, { progress, failedImages });
+                    await releaseReportJob(db, job);
+                    return summarizeReportJob(job);
+                }
+                const image = job.images[progress.imagesWritten];
+                const written = await writeReportImage(job.sheet.token, job.sheet.sheetId, image);
+                progress.imagesWritten++;
+                if (!written) {
+                    progress.imagesFailed++;
+                    failedImages.push({ range: image.range, url: image.url });
+                }
+                if (progress.imagesWritten % REPORT_JOB_PROGRESS_EVERY === 0) {
+                    await updateReportJob(db, job, { progress, failedImages });
+                }
+            }
+            await updateReportJob(db, job, { progress, failedImages });
+            await completeReportJob(db, job);
+        }
+    } catch (error) {
+        await failReportJob(db, job, error);
+    }
+    return summarizeReportJob(job);
+}
+
+/**
+ * [V11.23] 按 generated_sheets 记录保存的模板与任务选择 (generation) 创建刷新 / 重新生成任务，并执行第一个时间片。
+ * - refresh：使用记录的模板版本，写回同一张表格；
+ * - regenerate：默认使用模板的当前版本（payload.templateVersion 可指定版本），新建表格作为下一个版本。
+ */
+async function startGeneratedSheetJob(db, req, mode, payload) {
+    const { sheetId, templateVersion } = payload || {};
+    if (!sheetId || !ObjectId.isValid(sheetId)) throw new AppError('Missing or invalid sheetId.', 400);
+    const record = await db.collection(GENERATED_SHEETS_COLLECTION).findOne({ _id: new ObjectId(sheetId) });
+    if (!record) throw new AppError('Generated sheet not found.', 404);
+    if (record.fileType === IMPORT_SOURCE_TYPES.BITABLE) {
+        throw new AppError('多维表格报表暂不支持刷新或重新生成。', 400);
+    }
+    const { generation } = record;
+    if (!record.templateId || !generation || !generation.primaryCollection || !Array.isArray(generation.taskIds) || generation.taskIds.length === 0) {
+        throw new AppError('该表格没有记录生成时使用的模板与任务，无法刷新或重新生成。', 409, 'GENERATED_SHEET_NOT_REPRODUCIBLE');
+    }
+    // 校验之前写入的记录可能带有无效的任务 ID
+    const invalidTaskId = generation.taskIds.find(id => !ObjectId.isValid(id));
+    if (invalidTaskId !== undefined) {
+        throw new AppError(`该表格记录的任务 ID 无效 (${invalidTaskId})，无法刷新或重新生成。`, 409, 'GENERATED_SHEET_NOT_REPRODUCIBLE');
+    }
+    // 先以条件更新占用该记录，并发的刷新 / 重新生成只有一个能继续
+    const jobId = newReportJobId();
+    await claimGeneratedSheet(db, record._id, jobId);
+
+    try {
+        const mappingTemplate = await loadMappingTemplate(db, {
+            templateId: record.templateId,
+            templateVersion: mode === REPORT_JOB_MODES.REFRESH ? record.templateVersion : templateVersion
+        });
+        await createReportJob(db, req, {
+            id: jobId,
+            projectId: record.projectId,
+            projectName: generation.projectName,
+            destinationFolderToken: generation.destinationFolderToken,
+            primaryCollection: generation.primaryCollection,
+            taskIds: generation.taskIds,
+            mappingTemplate,
+            mode,
+            sourceSheet: record
+        });
+    } catch (error) {
+        await releaseGeneratedSheet(db, record._id, jobId);
+        throw error;
+    }
+    return runReportJobSlice(db, jobId);
+}
+
+// 写入多维表格时按目标字段类型转换值：数字字段写数字，其余字段写文本
+function toBitableCellValue(value, field) {
+    if (value === null || value === undefined || value === '') return null;
+    if (field.type === BITABLE_FIELD_TYPES.NUMBER) {
+        const num = typeof value === 'number' ? value : parseFlexibleNumber(value);
+        return isNaN(num) ? null : num;
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * [V11.15] 按映射模板生成多维表格报表：与 generateAutomationSheet 使用相同的映射规则与公式，
+ * 截图类字段写入附件字段。payload 传入 bitableUrl / appToken 时写入已有的多维表格（table 指定数据表，不存在时新建），
+ * 否则在 destinationFolderToken 中新建一个多维表格。
+ */
+async function generateAutomationBitable(payload) {
+    const { primaryCollection, mappingTemplate, taskIds, destinationFolderToken, projectName } = payload;
+
+    console.log("======== [START] generateAutomationBitable ========");
+    if (!primaryCollection || !mappingTemplate || !taskIds || !taskIds.length) {
+        throw new AppError('Missing required parameters.', 400);
+    }
+    assertValidTaskIds(taskIds);
+    const db = await getDb();
+    const headers = mappingTemplate.feishuSheetHeaders || [];
+    if (headers.length === 0) throw new AppError('映射模板中没有配置表头 (feishuSheetHeaders)。', 400);
+    const newFileName = `${projectName || '未知项目'} - ${mappingTemplate.name}`.replace(/[\/\\:*?"<>|]/g, '');
+
+    // 索引列（第一列）不能是附件字段，截图只能放在其后的列
+    const fieldSpecs = headers.map((header, index) => ({
+        name: header,
+        type: index > 0 && isImageRule(mappingTemplate.mappingRules[header]) ? BITABLE_FIELD_TYPES.ATTACHMENT : BITABLE_FIELD_TYPES.TEXT
+    }));
+
+    console.log("\n--- [步骤 1] 准备多维表格与数据表 ---");
+    const target = getBitableTokenFromUrl(payload.bitableUrl || payload.appToken);
+    let app;
+    let table;
+    if (target.appToken) {
+        app = { appToken: target.appToken, url: payload.bitableUrl || null, created: false };
+        const tableRef = payload.table || target.tableId;
+        const tables = await listBitableTables(app.appToken);
+        table = tableRef ? tables.find(t => t.tableId === tableRef || t.title === String(tableRef).trim()) : null;
+        if (!table) table = await createBitableTable(app.appToken, tableRef || newFileName, fieldSpecs);
+        console.log(`--> 写入已有多维表格 ${app.appToken}, 数据表: ${table.title}`);
+    } else {
+        const createdApp = await createBitableApp(newFileName, getSpreadsheetTokenFromUrl(destinationFolderToken));
+        app = { ...createdApp, created: true };
+        table = await createBitableTable(app.appToken, mappingTemplate.name, fieldSpecs);
+        // 新建的多维表格自带一张空数据表，报表数据已写入新数据表，删除它以免混淆
+        if (createdApp.defaultTableId) {
+            try {
+                await deleteBitableTable(app.appToken, createdApp.defaultTableId);
+            } catch (error) {
+                console.warn(`--> 删除默认数据表失败，可手动删除: ${error.message}`);
+            }
+        }
+        console.log(`--> 成功! 新多维表格: "${newFileName}", Token: ${app.appToken}`);
+    }
+    const fieldMap = await ensureBitableFields(app.appToken, table.tableId, fieldSpecs);
+
+    console.log("\n--- [步骤 2] 从数据库聚合数据 ---");
+    const contextData = await loadAutomationReportContexts(db, taskIds);
+
+    console.log("\n--- [步骤 3] 写入记录 ---");
+    const records = [];
+    for (const context of contextData) {
+        const fields = {};
+        for (const header of headers) {
+            const rule = mappingTemplate.mappingRules[header];
+            const field = fieldMap.get(header);
+            const finalValue = resolveMappingRuleValue(rule, context);
+            if (field.type === BITABLE_FIELD_TYPES.ATTACHMENT) {
+                const fileToken = await uploadBitableAttachment(app.appToken, finalValue, `${header}.png`);
+                if (fileToken) fields[header] = [{ file_token: fileToken }];
+                continue;
+            }
+            const cellValue = toBitableCellValue(finalValue, field);
+            if (cellValue !== null) fields[header] = cellValue;
+        }
+        records.push(fields);
+    }
+    const written = records.length > 0 ? await createBitableRecords(app.appToken, table.tableId, records) : 0;
+    console.log(`--> [写入记录] 成功写入 ${written} 条记录。`);
+
+    if (app.created) {
+        console.log("\n--- [步骤 4] 处理文件权限 ---");
+        const ownerTransferred = await transferOwner(app.appToken, 'bitable');
+        if (!ownerTransferred) {
+            await grantEditPermissions(app.appToken, 'bitable');
+        }
+    }
+
+    console.log("\n======== [END] generateAutomationBitable ========");
+    return {
+        message: app.created ? "飞书多维表格已生成并成功处理！" : `已向多维表格写入 ${written} 条记录！`,
+        sheetUrl: app.url,
+        fileName: app.created ? newFileName : table.title,
+        sheetToken: app.appToken,
+        fileType: 'bitable',
+        tableId: table.tableId,
+        createdApp: app.created,
+        recordCount: written
+    };
+}
 
 // --- 业务逻辑：导入功能 ---
 
+// 达人导入时按月覆盖的报价类型
+const TALENT_PRICE_TYPES = ['60s_plus', '20_to_60s', '1_to_20s'];
+
+// [V11.9] 逐行导入结果的状态
+const ROW_STATUS = {
+    CREATE: 'create',
+    UPDATE: 'update',
+    UNCHANGED: 'unchanged',
+    SKIP: 'skip'
+};
+
+// 表格第 1 行为表头，数据行 index 0 对应表格第 2 行
+const toSheetRowNumber = (dataRowIndex) => dataRowIndex + 2;
+
+function skippedRow(rowNumber, key, skipReason, value = null) {
+    return { rowNumber, key: key || null, status: ROW_STATUS.SKIP, skipReason, value, changes: [] };
+}
+
+/**
+ * 生成一行的字段级差异。before / after 为扁平对象（键为字段路径），before 为 null 表示新建。
+ */
+function resolvedRow(rowNumber, key, target, before, after, warnings = []) {
+    const changes = diffDocuments(before || {}, after).map(c => ({ field: c.field, oldValue: c.before, newValue: c.after }));
+    const status = !before ? ROW_STATUS.CREATE : (changes.length > 0 ? ROW_STATUS.UPDATE : ROW_STATUS.UNCHANGED);
+    return { rowNumber, key, target, status, changes, ...(warnings.length > 0 ? { warnings } : {}) };
+}
+
+const recordIdOf = (row) => (row.recordId ? { recordId: row.recordId } : {});
+
+/**
+ * [V11.12] 实际导入后的逐行报告：跳过的行与单元格级警告（行号、原因、出错的值）。
+ */
+function buildRowReport(totalRows, rows) {
+    const errors = rows
+        .filter(row => row.status === ROW_STATUS.SKIP)
+        .map(row => ({ rowNumber: row.rowNumber, ...recordIdOf(row), key: row.key, reason: row.skipReason, value: row.value }));
+    const warnings = rows.flatMap(row => (row.warnings || []).map(w => ({ rowNumber: row.rowNumber, ...recordIdOf(row), key: row.key, ...w })));
+    errors.sort((a, b) => a.rowNumber - b.rowNumber);
+    warnings.sort((a, b) => a.rowNumber - b.rowNumber);
+    return { totalRows, imported: rows.length - errors.length, skipped: errors.length, errors, warnings };
+}
+
+const IMPORT_STATUS_HEADER = '导入状态';
+const ROW_STATUS_LABELS = {
+    [ROW_STATUS.CREATE]: '已新建',
+    [ROW_STATUS.UPDATE]: '已更新',
+    [ROW_STATUS.UNCHANGED]: '无变化'
+};
+
+function formatRowStatus(row, importedAt) {
+    if (row.status === ROW_STATUS.SKIP) {
+        return `跳过: ${row.skipReason}${row.value !== null && row.value !== undefined ? ` (${row.value})` : ''}`;
+    }
+    const warnings = (row.warnings || []).map(w => `${w.field}: ${w.reason}`);
+    return `${ROW_STATUS_LABELS[row.status]} ${importedAt}${warnings.length > 0 ? `；警告: ${warnings.join('；')}` : ''}`;
+}
+
+/**
+ * [V11.12] 将逐行导入状态写回源表格：表头中已有"导入状态"列时覆盖该列，否则写在最后一个非空表头之后。
+ * 写回失败不影响已完成的导入，只在结果中返回错误信息。
+ */
+async function writeImportStatusColumn(spreadsheetToken, sheet, header, totalRows, rows) {
+    let columnIndex = header.findIndex(h => h !== null && h !== undefined && String(h).trim() === IMPORT_STATUS_HEADER);
+    if (columnIndex === -1) {
+        columnIndex = header.reduce((last, h, i) => (h !== null && h !== undefined && String(h).trim() !== '') ? i : last, -1) + 1;
+    }
+    const column = columnIndexToLetter(columnIndex);
+    const importedAt = new Date().toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai', hour12: false });
+    const rowMap = new Map(rows.map(row => [row.rowNumber, row]));
+    const values = [[IMPORT_STATUS_HEADER]];
+    for (let i = 0; i < totalRows; i++) {
+        const row = rowMap.get(toSheetRowNumber(i));
+        values.push([row ? formatRowStatus(row, importedAt) : '']);
+    }
+
+    const range = `${sheet.sheetId}!${column}1:${column}${totalRows + 1}`;
+    try {
+        await feishuRequest('put', `/sheets/v2/spreadsheets/${spreadsheetToken}/values`, { data: { valueRange: { range, values } } });
+        console.log(`--> [写回状态] 已将 ${totalRows} 行的导入状态写入 ${range}`);
+        return { written: true, column, header: IMPORT_STATUS_HEADER };
+    } catch (error) {
+        console.error(`--> [写回状态] 写入导入状态列失败: ${error.message}`);
+        return { written: false, column, error: error.message };
+    }
+}
+
+// [V11.15] 导入数据源：电子表格工作表或多维表格数据表
+const IMPORT_SOURCE_TYPES = {
+    SHEET: 'sheet',
+    BITABLE: 'bitable'
+};
+
+/**
+ * [V11.15] 将逐行导入状态写回多维表格的"导入状态"字段（不存在时创建为文本字段）。
+ */
+async function writeBitableImportStatus(appToken, source, rows) {
+    const importedAt = new Date().toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai', hour12: false });
+    const records = rows
+        .filter(row => row.recordId)
+        .map(row => ({ recordId: row.recordId, fields: { [IMPORT_STATUS_HEADER]: formatRowStatus(row, importedAt) } }));
+    try {
+        await ensureBitableFields(appToken, source.tableId, [{ name: IMPORT_STATUS_HEADER, type: BITABLE_FIELD_TYPES.TEXT }]);
+        await updateBitableRecords(appToken, source.tableId, records);
+        console.log(`--> [写回状态] 已将 ${records.length} 条记录的导入状态写入数据表 ${source.title}`);
+        return { written: true, field: IMPORT_STATUS_HEADER, records: records.length };
+    } catch (error) {
+        console.error(`--> [写回状态] 写入多维表格导入状态失败: ${error.message}`);
+        return { written: false, field: IMPORT_STATUS_HEADER, error: error.message };
+    }
+}
+
+function writeImportStatus(sourceToken, source, header, totalRows, rows) {
+    return source.type === IMPORT_SOURCE_TYPES.BITABLE
+        ? writeBitableImportStatus(sourceToken, source, rows)
+        : writeImportStatusColumn(sourceToken, source, header, totalRows, rows);
+}
+
+/**
+ * [V11.15] 读取导入数据源，统一返回二维数组（第 1 行为表头）。多维表格的每条记录对应一行，记录 ID 保存在 source.recordIds 中。
+ * @param {string} sourceToken - 电子表格 token 或多维表格 appToken
+ * @param {{ sourceType?: string, sheet?: string|object, table?: string|object }} options
+ */
+async function readImportSource(sourceToken, { sourceType, sheet, table }) {
+    if (sourceType === IMPORT_SOURCE_TYPES.BITABLE) {
+        const { table: tableInfo, values, recordIds } = await readBitableTable(sourceToken, table);
+        return { rows: values, source: { type: IMPORT_SOURCE_TYPES.BITABLE, tableId: tableInfo.tableId, title: tableInfo.title, recordIds } };
+    }
+    const sheetInfo = await resolveFeishuSheet(sourceToken, sheet);
+    const rows = await readFeishuSheet(sourceToken, null, sheetInfo);
+    return { rows, source: { type: IMPORT_SOURCE_TYPES.SHEET, sheetId: sheetInfo.sheetId, title: sheetInfo.title } };
+}
+
+// 导入批次中记录的数据源位置
+const describeImportSource = (source) => (source.type === IMPORT_SOURCE_TYPES.BITABLE
+    ? { tableId: source.tableId, title: source.title }
+    : { sheetId: source.sheetId, title: source.title });
+
+// 多维表格的逐行结果附带记录 ID，便于在多维表格中定位
+function attachRecordIds(rows, source) {
+    if (source.type !== IMPORT_SOURCE_TYPES.BITABLE) return;
+    rows.forEach(row => { row.recordId = source.recordIds[row.rowNumber - 2] || null; });
+}
+
+function buildDryRunResult(dataType, spreadsheetToken, totalRows, rows, columnReport) {
+    const summary = { totalRows, create: 0, update: 0, unchanged: 0, skip: 0 };
+    rows.forEach(row => { summary[row.status]++; });
+    return {
+        dryRun: true,
+        dataType,
+        spreadsheetToken,
+        summary,
+        message: `预览完成（未写入数据库）：新建 ${summary.create}，更新 ${summary.update}，无变化 ${summary.unchanged}，跳过 ${summary.skip}。`,
+        columnReport,
+        rows: rows.sort((a, b) => a.rowNumber - b.rowNumber)
+    };
+}
+
 /**
  * [V11.4.2 新增] 处理达人数据导入 - 支持多价格类型
  */
-async function handleTalentImport(spreadsheetToken) {
+async function handleTalentImport(spreadsheetToken, req, options = {}) {
+    const { dryRun = false, writeBackStatus = false } = options;
     console.log(`[导入] 开始从表格 ${spreadsheetToken} 导入达人数据...`);
-    const token = await getTenantAccessToken();
-    const rows = await readFeishuSheet(spreadsheetToken, token);
+    const { rows, source } = await readImportSource(spreadsheetToken, options);
     if (!rows || rows.length < 2) return { data: [], updated: 0, failed: 0 };
     
     const header = rows[0];
@@ -489,8 +1072,7 @@ async function handleTalentImport(spreadsheetToken) {
     const processedData = [];
 
     // 获取数据库连接
-    const client = await getDbConnection();
-    const db = client.db(DB_NAME);
+    const db = await getDb();
     const talentsCollection = db.collection(TALENTS_COLLECTION);
 
     // 统计计数器
@@ -511,29 +1093,22 @@ async function handleTalentImport(spreadsheetToken) {
     console.log(`[导入] 表头列数: ${header.length}`);
     console.log(`[导入] 表头列名: ${header.filter(h => h).join(', ')}`);
 
-    const headerMap = new Map(
-        header
-            .map((col, i) => {
-                const colName = (col && typeof col === 'string') ? col.trim() : '';
-                return [colName, i];
-            })
-            .filter(([colName]) => colName !== '')
-    );
-
-    const xingtuIdCol1 = headerMap.get('达人id');
-    const xingtuIdCol2 = headerMap.get('星图ID');
-    console.log(`[导入] "达人id"列索引: ${xingtuIdCol1}, "星图ID"列索引: ${xingtuIdCol2}`);
-    
-    if (xingtuIdCol1 === undefined && xingtuIdCol2 === undefined) {
-        throw new AppError('飞书表格中找不到"达人id"或"星图ID"列，请检查表头。', 400);
+    // [V11.11] 列映射：缺少主键列时直接报错，未映射 / 缺少的列写入 columnReport
+    const mapping = await loadImportMapping(db, 'talentPerformance');
+    const resolvedColumns = resolveImportColumns(header, mapping.columns);
+    assertRequiredColumns(resolvedColumns, 'talentPerformance');
+    const idColumn = resolvedColumns.byTargetPath.get('xingtuId');
+    const performanceColumns = resolvedColumns.columns.filter(c => c.targetPath.startsWith('performanceData.'));
+    const priceColumns = resolvedColumns.columns.filter(c => c.targetPath.startsWith('prices.'));
+    console.log(`[导入] 主键列: "${idColumn.sheetHeader}" (索引 ${idColumn.index})`);
+    if (resolvedColumns.report.unmappedHeaders.length > 0) {
+        console.warn(`[导入] 以下列未配置映射，将被忽略: ${resolvedColumns.report.unmappedHeaders.join(', ')}`);
     }
 
     console.log('[调试] 前3行数据示例:');
     for (let i = 0; i < Math.min(3, dataRows.length); i++) {
-        const row = dataRows[i];
-        const idIndex = xingtuIdCol1 ?? xingtuIdCol2;
-        const idValue = row[idIndex];
-        console.log(`  行${i+1}: 达人id="${idValue}" (类型: ${typeof idValue}, 长度: ${idValue ? String(idValue).length : 0})`);
+        const idValue = dataRows[i][idColumn.index];
+        console.log(`  行${i+1}: ${idColumn.sheetHeader}="${idValue}" (类型: ${typeof idValue}, 长度: ${idValue ? String(idValue).length : 0})`);
     }
 
     // [V11.4.2 新增] 获取当前年月用于价格记录
@@ -541,49 +1116,25 @@ async function handleTalentImport(spreadsheetToken) {
     const currentMonth = new Date().getMonth() + 1;
 
     // 收集所有需要更新的数据
-    for (const row of dataRows) {
-        const getValue = (colName, isPercentage = false) => {
-            const index = headerMap.get(colName);
-            return (index !== undefined && row[index] !== null && row[index] !== '') ? parseFlexibleNumber(row[index], isPercentage) : 0;
-        };
-
-        const xingtuIdIndex = headerMap.get('达人id') ?? headerMap.get('星图ID');
-        const xingtuId = (xingtuIdIndex !== undefined && row[xingtuIdIndex]) ? String(row[xingtuIdIndex]).trim() : null;
+    const rowResults = [];
+    for (const [rowIndex, row] of dataRows.entries()) {
+        const rowNumber = toSheetRowNumber(rowIndex);
+        const xingtuId = row[idColumn.index] ? String(row[idColumn.index]).trim() : null;
 
         if (!xingtuId) {
             stats.skipped++;
             stats.skippedReasons.missingId++;
+            rowResults.push(skippedRow(rowNumber, null, `缺少${idColumn.sheetHeader}`));
             continue;
         }
 
-        const talentData = { xingtuId, performanceData: {} };
-
-        // [V11.4.1 修复] 完整的字段映射（飞书列名 -> 数据库字段名）
-        const mappings = [
-            { key: 'cpm60s', header: '预期cpm' },
-            { key: 'maleAudienceRatio', header: '男性粉丝占比', isPercentage: true },
-            { key: 'femaleAudienceRatio', header: '女性粉丝占比', isPercentage: true },
-            { key: 'ratio_18_23', header: '18-23岁粉丝比例', isPercentage: true },
-            { key: 'ratio_24_30', header: '24-30岁粉丝比例', isPercentage: true },
-            { key: 'ratio_31_40', header: '31-40岁粉丝比例', isPercentage: true },
-            { key: 'ratio_41_50', header: '41-50岁粉丝比例', isPercentage: true },
-            { key: 'ratio_50_plus', header: '50岁以上粉丝比例', isPercentage: true },
-            // [V11.4.1 修复] 8个人群包字段 - 添加"粉丝比例"后缀
-            { key: 'ratio_town_middle_aged', header: '小镇中老年粉丝比例', isPercentage: true },
-            { key: 'ratio_senior_middle_class', header: '资深中产粉丝比例', isPercentage: true },
-            { key: 'ratio_z_era', header: 'Z时代粉丝比例', isPercentage: true },
-            { key: 'ratio_urban_silver', header: '都市银发粉丝比例', isPercentage: true },
-            { key: 'ratio_town_youth', header: '小镇青年粉丝比例', isPercentage: true },
-            { key: 'ratio_exquisite_mom', header: '精致妈妈粉丝比例', isPercentage: true },
-            { key: 'ratio_new_white_collar', header: '新锐白领粉丝比例', isPercentage: true },
-            { key: 'ratio_urban_blue_collar', header: '都市蓝领粉丝比例', isPercentage: true },
-        ];
+        const talentData = { rowNumber, xingtuId, performanceData: {} };
 
-        mappings.forEach(m => {
-             const value = getValue(m.header, m.isPercentage);
-             if (value !== 0 || (headerMap.has(m.header) && row[headerMap.get(m.header)] !== null)) {
-                 talentData.performanceData[m.key] = value;
-             }
+        // [V11.11] 表现数据列由列映射决定（targetPath = performanceData.xxx）
+        performanceColumns.forEach(column => {
+            const cell = row[column.index];
+            if (cell === null || cell === undefined) return;
+            talentData.performanceData[column.targetPath.split('.')[1]] = parseFlexibleNumber(cell, column.type === 'percentage');
         });
 
         const ratio18_40 = (talentData.performanceData.ratio_18_23 || 0) + (talentData.performanceData.ratio_24_30 || 0) + (talentData.performanceData.ratio_31_40 || 0);
@@ -592,21 +1143,15 @@ async function handleTalentImport(spreadsheetToken) {
         if (ratio18_40 > 0) talentData.performanceData.audience_18_40_ratio = ratio18_40;
         if (ratio40_plus > 0) talentData.performanceData.audience_40_plus_ratio = ratio40_plus;
 
-        // [V11.4.2 新增] 解析3个价格字段
-        const priceFields = [
-            { header: '抖音60+s短视频报价', type: '60s_plus' },
-            { header: '抖音20-60s短视频报价', type: '20_to_60s' },
-            { header: '抖音1-20s短视频报价', type: '1_to_20s' }
-        ];
-
+        // [V11.4.2 新增] 解析价格字段（targetPath = prices.<报价类型>）
         const newPrices = [];
-        for (const field of priceFields) {
-            const priceValue = getValue(field.header, false);
+        for (const column of priceColumns) {
+            const priceValue = parseFlexibleNumber(row[column.index]);
             if (priceValue > 0) {
                 newPrices.push({
                     year: currentYear,
                     month: currentMonth,
-                    type: field.type,
+                    type: column.targetPath.split('.')[1],
                     price: priceValue,
                     status: 'confirmed'
                 });
@@ -619,6 +1164,43 @@ async function handleTalentImport(spreadsheetToken) {
         stats.processed++;
     }
     
+    // [审计 / V11.9 dryRun] 读取导入前的达人数据，用于记录差异和预览
+    const previousTalents = processedData.length > 0
+        ? await talentsCollection.find(
+            { xingtuId: { $in: processedData.map(t => t.xingtuId) } },
+            { projection: { _id: 0, id: 1, xingtuId: 1, performanceData: 1, prices: 1 } }
+        ).toArray()
+        : [];
+
+    // 逐行结果：预览时直接返回，实际导入时用于 rowReport 与写回状态列
+    const previousMap = new Map(previousTalents.map(t => [t.xingtuId, t]));
+    processedData.forEach(talent => {
+        const existing = previousMap.get(talent.xingtuId);
+        if (!existing) {
+            rowResults.push(skippedRow(talent.rowNumber, talent.xingtuId, '达人库中不存在该星图ID', talent.xingtuId));
+            return;
+        }
+        const before = {};
+        const after = {};
+        Object.entries(talent.performanceData).forEach(([key, value]) => {
+            before[`performanceData.${key}`] = existing.performanceData?.[key];
+            after[`performanceData.${key}`] = value;
+        });
+        if (talent.newPrices.length > 0) {
+            TALENT_PRICE_TYPES.forEach(type => {
+                const field = `prices.${currentYear}-${currentMonth}.${type}`;
+                before[field] = (existing.prices || []).find(p => p.year === currentYear && p.month === currentMonth && p.type === type)?.price;
+                after[field] = talent.newPrices.find(p => p.type === type)?.price;
+            });
+        }
+        rowResults.push(resolvedRow(talent.rowNumber, talent.xingtuId, { entityType: 'talent', entityId: existing.id }, before, after));
+    });
+    attachRecordIds(rowResults, source);
+
+    if (dryRun) {
+        return buildDryRunResult('talentPerformance', spreadsheetToken, dataRows.length, rowResults, resolvedColumns.report);
+    }
+
     // [V11.4.2 修复] 使用点表示法批量更新数据库，添加 lastUpdated 时间戳 + 价格更新
     console.log(`[导入] 开始批量更新数据库，共 ${processedData.length} 条记录...`);
     
@@ -657,7 +1239,7 @@ async function handleTalentImport(spreadsheetToken) {
                                 prices: {
                                     year: currentYear,
                                     month: currentMonth,
-                                    type: { $in: ['60s_plus', '20_to_60s', '1_to_20s'] }
+                                    type: { $in: TALENT_PRICE_TYPES }
                                 }
                             }
                         },
@@ -683,6 +1265,23 @@ async function handleTalentImport(spreadsheetToken) {
             }
         }
         
+        // [导入批次] 写库前记录被改写达人的导入前值
+        const tracker = createImportRunTracker();
+        const processedByXingtuId = new Map(processedData.map(t => [t.xingtuId, t]));
+        previousTalents.forEach(before => {
+            const hasNewPrices = processedByXingtuId.get(before.xingtuId).newPrices.length > 0;
+            tracker.trackUpdate('talent', before, hasNewPrices ? ['performanceData', 'prices'] : ['performanceData']);
+        });
+        const importRun = await startImportRun(db, req, {
+            dataType: 'talentPerformance',
+            spreadsheetToken,
+            sourceType: source.type,
+            sheet: describeImportSource(source),
+            documents: tracker.documents(),
+            createdAt: currentTime
+        });
+        stats.importRunId = importRun.id;
+
         try {
             const bulkResult = await talentsCollection.bulkWrite(bulkOps, { ordered: false });
             
@@ -695,8 +1294,24 @@ async function handleTalentImport(spreadsheetToken) {
             console.log(`  - 总操作数: ${bulkOps.length}`);
             console.log(`  - Matched: ${bulkResult.matchedCount}`);
             console.log(`  - Modified: ${bulkResult.modifiedCount}`);
+
+            const processedMap = new Map(processedData.map(t => [t.xingtuId, t]));
+            await recordAudit(db, req, previousTalents.map(before => {
+                const talent = processedMap.get(before.xingtuId);
+                const after = {
+                    ...before,
+                    performanceData: { ...(before.performanceData || {}), ...talent.performanceData, lastUpdated: currentTime },
+                };
+                if (talent.newPrices && talent.newPrices.length > 0) {
+                    const keptPrices = (before.prices || []).filter(p => !(p.year === currentYear && p.month === currentMonth && TALENT_PRICE_TYPES.includes(p.type)));
+                    after.prices = [...keptPrices, ...talent.newPrices];
+                }
+                return { entityType: 'talent', entityId: before.id, action: AUDIT_ACTIONS.IMPORT, before, after, meta: { dataType: 'talentPerformance', spreadsheetToken } };
+            }));
+            await completeImportRun(db, importRun.id, { totalRows: stats.totalRows, updated: stats.updated, skipped: stats.skipped, priceUpdated: stats.priceUpdatedTalents });
         } catch (error) {
             console.error(`[导入] 数据库批量更新失败:`, error);
+            await failImportRun(db, importRun.id, error);
             // 如果批量更新失败，所有达人都标记为失败
             stats.failed = processedData.length;
             stats.updated = 0;
@@ -717,21 +1332,27 @@ async function handleTalentImport(spreadsheetToken) {
     }
     console.log(`[导入] ==================================`);
     
+    const rowReport = buildRowReport(dataRows.length, rowResults);
+    const statusWriteBack = writeBackStatus ? await writeImportStatus(spreadsheetToken, source, header, dataRows.length, rowResults) : undefined;
+
     return { 
         data: processedData, 
         updated: stats.updated,
         failed: stats.failed,
         priceUpdated: stats.priceUpdatedTalents,
+        importRunId: stats.importRunId || null,
+        columnReport: resolvedColumns.report,
+        rowReport,
+        statusWriteBack,
         message: `成功更新 ${stats.updated} 条达人记录${stats.failed > 0 ? `，失败 ${stats.failed} 条` : ''}。${stats.priceUpdatedTalents > 0 ? `价格更新 ${stats.priceUpdatedTalents} 位达人。` : ''}` 
     };
 }
 
-async function performProjectSync(spreadsheetToken, dataType) {
+async function performProjectSync(spreadsheetToken, dataType, req, options = {}) {
+    const { dryRun = false, writeBackStatus = false } = options;
     console.log(`[导入] 开始从表格 ${spreadsheetToken} 同步项目数据 (类型: ${dataType})...`);
-    const client = await getDbConnection();
-    const db = client.db(DB_NAME);
-    const token = await getTenantAccessToken();
-    const rows = await readFeishuSheet(spreadsheetToken, token);
+    const db = await getDb();
+    const { rows, source } = await readImportSource(spreadsheetToken, options);
     if (!rows || rows.length < 2) return { processedRows: 0, created: 0, updated: 0 };
     const header = rows[0];
     const dataRows = rows.slice(1);
@@ -742,36 +1363,55 @@ async function performProjectSync(spreadsheetToken, dataType) {
     let createdCount = 0;
     let updatedCount = 0;
     let skippedCount = 0;
+    const auditMeta = { dataType, spreadsheetToken };
+    const auditEvents = [];
+    const rowResults = [];
+    const tracker = createImportRunTracker();
+
+    // [V11.11] 列映射：缺少必要列时直接报错，未映射 / 缺少的列写入 columnReport
+    const mapping = await loadImportMapping(db, dataType);
+    const resolvedColumns = resolveImportColumns(header, mapping.columns);
+    assertRequiredColumns(resolvedColumns, dataType);
+    const taskIdColumn = resolvedColumns.byTargetPath.get('taskId');
+    if (resolvedColumns.report.unmappedHeaders.length > 0) {
+        console.warn(`[导入 ${dataType}] 以下列未配置映射，将被忽略: ${resolvedColumns.report.unmappedHeaders.join(', ')}`);
+    }
 
     if (dataType === 'manualDailyUpdate') {
-        const COL_TASK_ID = '星图任务ID';
-        const COL_TIMESTAMP = '数据最后更新时间';
-        const COL_VIEWS = '播放量';
-
-        const taskIdIndex = header.indexOf(COL_TASK_ID);
-        const timestampIndex = header.indexOf(COL_TIMESTAMP);
-        const viewsIndex = header.indexOf(COL_VIEWS);
+        const timestampColumn = resolvedColumns.byTargetPath.get('statsUpdatedAt');
+        const viewsColumn = resolvedColumns.byTargetPath.get('totalViews');
+        const COL_TASK_ID = taskIdColumn.sheetHeader;
+        const COL_TIMESTAMP = timestampColumn.sheetHeader;
+        const COL_VIEWS = viewsColumn.sheetHeader;
 
-        if (taskIdIndex === -1 || timestampIndex === -1 || viewsIndex === -1) {
-            throw new AppError(`飞书表格缺少必要的列: ${COL_TASK_ID}, ${COL_TIMESTAMP}, 或 ${COL_VIEWS}`, 400);
-        }
+        const taskIdIndex = taskIdColumn.index;
+        const timestampIndex = timestampColumn.index;
+        const viewsIndex = viewsColumn.index;
 
         const bulkOps = [];
         const collabProjectMap = new Map();
-
-        for (const row of dataRows) {
+        const importedStats = [];
+        const financeRuleSets = await loadFinanceRuleSets(db);
+        const importedAt = new Date();
+        // 尚无作品的合作在写库前确定新作品 id，同一合作的多行共用，导入批次据此记录新建的作品
+        const newWorkIds = new Map();
+
+        for (const [rowIndex, row] of dataRows.entries()) {
+            const rowNumber = toSheetRowNumber(rowIndex);
             const taskId = row[taskIdIndex] ? String(row[taskIdIndex]).trim() : null;
             const timestampStr = row[timestampIndex];
             const viewsStr = row[viewsIndex];
 
             if (!taskId) {
                 skippedCount++;
+                rowResults.push(skippedRow(rowNumber, null, `缺少${COL_TASK_ID}`));
                 continue;
             }
 
             if (!timestampStr || viewsStr === null || viewsStr === undefined) {
                 console.warn(`[导入 manualDailyUpdate] 跳过行，缺少 timestamp 或 views (TaskID: ${taskId})`);
                 skippedCount++;
+                rowResults.push(skippedRow(rowNumber, taskId, `缺少${COL_TIMESTAMP}或${COL_VIEWS}`));
                 continue;
             }
 
@@ -782,6 +1422,7 @@ async function performProjectSync(spreadsheetToken, dataType) {
             } catch (e) {
                 console.warn(`[导入 manualDailyUpdate] 跳过行，无法提取日期 (TaskID: ${taskId})`);
                 skippedCount++;
+                rowResults.push(skippedRow(rowNumber, taskId, `无法解析${COL_TIMESTAMP}`, timestampStr));
                 continue;
             }
 
@@ -789,6 +1430,7 @@ async function performProjectSync(spreadsheetToken, dataType) {
             if (isNaN(totalViews)) {
                 console.warn(`[导入 manualDailyUpdate] 跳过行，无法解析播放量 (TaskID: ${taskId})`);
                 skippedCount++;
+                rowResults.push(skippedRow(rowNumber, taskId, `无法解析${COL_VIEWS}`, viewsStr));
                 continue;
             }
 
@@ -797,7 +1439,8 @@ async function performProjectSync(spreadsheetToken, dataType) {
                 collab = await collaborationsCollection.findOne({ taskId: taskId });
                 if (collab) {
                      const project = await projectsCollection.findOne({ id: collab.projectId });
-                     collab.projectDiscount = project ? (parseFloat(project.discount) || 1.0) : 1.0;
+                     collab.projectDiscount = project ? project.discount : 1.0;
+                     collab.financeRules = resolveProjectFinanceRules(financeRuleSets, project);
                      collabProjectMap.set(taskId, collab);
                 }
             }
@@ -805,13 +1448,19 @@ async function performProjectSync(spreadsheetToken, dataType) {
             if (!collab) {
                 console.warn(`[导入 manualDailyUpdate] 未找到合作记录 (TaskID: ${taskId})`);
                 skippedCount++;
+                rowResults.push(skippedRow(rowNumber, taskId, '未找到该星图任务ID对应的合作记录', taskId));
                 continue;
             }
 
-            const amount = parseFloat(collab.amount) || 0;
-            const income = amount * collab.projectDiscount * 1.05;
+            const income = calculateIncome(collab.amount, collab.projectDiscount, collab.financeRules);
             const cpm = income > 0 && totalViews > 0 ? (income / totalViews) * 1000 : 0;
 
+            const newStat = { date: dateStr, totalViews: totalViews, cpm: cpm, cpmChange: null, solution: '' };
+            importedStats.push({ rowNumber, taskId, collaborationId: collab.id, stat: newStat });
+            if (!newWorkIds.has(collab.id)) {
+                newWorkIds.set(collab.id, `work_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`);
+            }
+
              const pullOp = {
                 updateOne: {
                     filter: { collaborationId: collab.id },
@@ -824,18 +1473,18 @@ async function performProjectSync(spreadsheetToken, dataType) {
                     update: {
                         $push: {
                             dailyStats: {
-                                $each: [{ date: dateStr, totalViews: totalViews, cpm: cpm, cpmChange: null, solution: '' }],
+                                $each: [newStat],
                                 $sort: { date: 1 }
                             }
                         },
                          $setOnInsert: {
-                            id: `work_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
+                            id: newWorkIds.get(collab.id),
                             projectId: collab.projectId,
                             talentId: collab.talentId,
                             sourceType: 'COLLABORATION',
-                            createdAt: new Date()
+                            createdAt: importedAt
                         },
-                        $set: { updatedAt: new Date() }
+                        $set: { updatedAt: importedAt }
                     },
                     upsert: true
                 }
@@ -843,162 +1492,404 @@ async function performProjectSync(spreadsheetToken, dataType) {
             bulkOps.push(pullOp, pushOp);
         }
 
-        if (bulkOps.length > 0) {
-            const bulkResult = await worksCollection.bulkWrite(bulkOps, { ordered: false });
-            updatedCount = bulkOps.length / 2; 
-            console.log(`[导入 manualDailyUpdate] BulkWrite 完成. Matched: ${bulkResult.matchedCount}, Modified: ${bulkResult.modifiedCount}, Upserted: ${bulkResult.upsertedCount}`);
-
-            const collabIdsToUpdate = [...new Set(bulkOps.filter(op => op.updateOne.filter.collaborationId).map(op => op.updateOne.filter.collaborationId))];
-            const updatedWorks = await worksCollection.find({ collaborationId: { $in: collabIdsToUpdate } }).toArray();
-            const cpmChangeBulkOps = [];
-            for (const work of updatedWorks) {
-                if (!work.dailyStats || work.dailyStats.length < 2) continue;
-                for (let i = 1; i < work.dailyStats.length; i++) {
-                    const currentStat = work.dailyStats[i];
-                    const prevStat = work.dailyStats[i-1];
-                    const cpmChange = (prevStat.cpm !== null && currentStat.cpm !== null) ? currentStat.cpm - prevStat.cpm : null;
-                    if (currentStat.cpmChange !== cpmChange) {
-                        cpmChangeBulkOps.push({
-                            updateOne: {
-                                filter: { _id: work._id, "dailyStats.date": currentStat.date },
-                                update: { $set: { "dailyStats.$.cpmChange": cpmChange } }
-                            }
-                        });
+        const importedCollabIds = [...new Set(importedStats.map(item => item.collaborationId))];
+        const previousWorks = importedCollabIds.length > 0
+            ? await worksCollection.find(
+                { collaborationId: { $in: importedCollabIds } },
+                { projection: { id: 1, collaborationId: 1, dailyStats: 1 } }
+            ).toArray()
+            : [];
+        const previousWorkMap = new Map(previousWorks.map(w => [w.collaborationId, w]));
+
+        // 逐行结果：cpmChange 在写入后按相邻日期重新计算，不参与比较
+        const withoutCpmChange = (dailyStat) => {
+            if (!dailyStat) return undefined;
+            const { cpmChange, ...rest } = dailyStat;
+            return rest;
+        };
+        for (const { rowNumber, taskId, collaborationId, stat } of importedStats) {
+            const work = previousWorkMap.get(collaborationId);
+            const field = `dailyStats.${stat.date}`;
+            const target = { entityType: 'work', entityId: work ? work.id : null, collaborationId };
+            const previousStat = work?.dailyStats?.find(s => s.date === stat.date);
+            const before = work ? { [field]: withoutCpmChange(previousStat) } : null;
+            rowResults.push(resolvedRow(rowNumber, taskId, target, before, { [field]: withoutCpmChange(stat) }));
+        }
+        attachRecordIds(rowResults, source);
+
+        if (dryRun) {
+            return buildDryRunResult(dataType, spreadsheetToken, dataRows.length, rowResults, resolvedColumns.report);
+        }
+
+        // [导入批次] 写库前记录：dailyStats 整体作为导入前值（cpmChange 的重算也会改写其他日期），尚无作品的合作记为新建
+        importedCollabIds.forEach(collaborationId => {
+            const previousWork = previousWorkMap.get(collaborationId);
+            if (previousWork) tracker.trackUpdate('work', previousWork, ['dailyStats']);
+            else tracker.trackCreate('work', newWorkIds.get(collaborationId));
+        });
+        const importRun = await startImportRun(db, req, {
+            dataType,
+            spreadsheetToken,
+            sourceType: source.type,
+            sheet: describeImportSource(source),
+            documents: tracker.documents(),
+            createdAt: importedAt
+        });
+
+        try {
+            if (bulkOps.length > 0) {
+                const bulkResult = await worksCollection.bulkWrite(bulkOps, { ordered: false });
+                updatedCount = bulkOps.length / 2; 
+                console.log(`[导入 manualDailyUpdate] BulkWrite 完成. Matched: ${bulkResult.matchedCount}, Modified: ${bulkResult.modifiedCount}, Upserted: ${bulkResult.upsertedCount}`);
+
+                const collabIdsToUpdate = [...new Set(bulkOps.filter(op => op.updateOne.filter.collaborationId).map(op => op.updateOne.filter.collaborationId))];
+                const updatedWorks = await worksCollection.find({ collaborationId: { $in: collabIdsToUpdate } }).toArray();
+                const cpmChangeBulkOps = [];
+                for (const work of updatedWorks) {
+                    if (!work.dailyStats || work.dailyStats.length < 2) continue;
+                    for (let i = 1; i < work.dailyStats.length; i++) {
+                        const currentStat = work.dailyStats[i];
+                        const prevStat = work.dailyStats[i-1];
+                        const cpmChange = (prevStat.cpm !== null && currentStat.cpm !== null) ? currentStat.cpm - prevStat.cpm : null;
+                        if (currentStat.cpmChange !== cpmChange) {
+                            cpmChangeBulkOps.push({
+                                updateOne: {
+                                    filter: { _id: work._id, "dailyStats.date": currentStat.date },
+                                    update: { $set: { "dailyStats.$.cpmChange": cpmChange } }
+                                }
+                            });
+                        }
                     }
                 }
+                 if (cpmChangeBulkOps.length > 0) {
+                     await worksCollection.bulkWrite(cpmChangeBulkOps, { ordered: false });
+                     console.log(`[导入 manualDailyUpdate] 完成 cpmChange 的计算和更新 (${cpmChangeBulkOps.length} updates).`);
+                 }
+
+                const updatedWorkMap = new Map(updatedWorks.map(w => [w.collaborationId, w]));
+                for (const { collaborationId, stat } of importedStats) {
+                    const work = updatedWorkMap.get(collaborationId);
+                    if (!work) continue;
+                    const field = `dailyStats.${stat.date}`;
+                    const previousStat = previousWorkMap.get(collaborationId)?.dailyStats?.find(s => s.date === stat.date) || null;
+                    auditEvents.push({
+                        entityType: 'work',
+                        entityId: work.id,
+                        action: AUDIT_ACTIONS.IMPORT,
+                        before: { [field]: previousStat },
+                        after: { [field]: stat },
+                        meta: { ...auditMeta, collaborationId },
+                    });
+                }
+                await recordAudit(db, req, auditEvents);
             }
-             if (cpmChangeBulkOps.length > 0) {
-                 await worksCollection.bulkWrite(cpmChangeBulkOps, { ordered: false });
-                 console.log(`[导入 manualDailyUpdate] 完成 cpmChange 的计算和更新 (${cpmChangeBulkOps.length} updates).`);
-             }
+            await completeImportRun(db, importRun.id, { totalRows: dataRows.length, created: 0, updated: updatedCount, skipped: skippedCount });
+        } catch (error) {
+            await failImportRun(db, importRun.id, error);
+            throw error;
         }
         console.log(`[导入 manualDailyUpdate] 手动日报同步完成。处理行数: ${dataRows.length}, 更新/新增: ${updatedCount}, 跳过: ${skippedCount}`);
-        return { processedRows: dataRows.length, created: 0, updated: updatedCount };
+        const statusWriteBack = writeBackStatus ? await writeImportStatus(spreadsheetToken, source, header, dataRows.length, rowResults) : undefined;
+        return { processedRows: dataRows.length, created: 0, updated: updatedCount, importRunId: importRun.id, columnReport: resolvedColumns.report, rowReport: buildRowReport(dataRows.length, rowResults), statusWriteBack };
 
     }
     else {
-        const DATA_MAPPING = {
-            '星图任务ID': { dbField: 'collaborationId', type: 'lookup' }, '视频ID': { dbField: 'platformWorkId', type: 'string' }, '视频实际发布时间': { dbField: 'publishedAt', type: 'date' },
-            '数据最后更新时间': { dbField: 'statsUpdatedAt', type: 'date' }, '播放量': { dbField: 'totalViews', type: 'number' }, '点赞量': { dbField: 'likeCount', type: 'number' },
-            '评论量': { dbField: 'commentCount', type: 'number' }, '分享量': { dbField: 'shareCount', type: 'number' }, '组件曝光量': { dbField: 'componentImpressionCount', type: 'number' },
-            '组件点击量': { dbField: 'componentClickCount', type: 'number' }, '视频完播率': { dbField: 'completionRate', type: 'number' }, '分频次触达人数-1次': { dbField: 'reachByFrequency.freq1', type: 'number' },
-            '分频次触达人数-2次': { dbField: 'reachByFrequency.freq2', type: 'number' }, '分频次触达人数-3次': { dbField: 'reachByFrequency.freq3', type: 'number' }, '分频次触达人数-4次': { dbField: 'reachByFrequency.freq4', type: 'number' },
-            '分频次触达人数-5次': { dbField: 'reachByFrequency.freq5', type: 'number' }, '分频次触达人数-6次': { dbField: 'reachByFrequency.freq6', type: 'number' }, '分频次触达人数-7次及以上': { dbField: 'reachByFrequency.freq7plus', type: 'number' },
-        };
-        const starQuestIdColumnName = '星图任务ID';
-        const starQuestIdIndex = header.indexOf(starQuestIdColumnName);
-        if (starQuestIdIndex === -1) throw new AppError(`"${starQuestIdColumnName}" column not found in the sheet header.`, 400);
-
-        for (const row of dataRows) {
+        const starQuestIdColumnName = taskIdColumn.sheetHeader;
+        const starQuestIdIndex = taskIdColumn.index;
+        const valueColumns = resolvedColumns.columns.filter(column => column !== taskIdColumn);
+        const prefix = dataType;
+
+        // [V11.13] 第一遍：解析所有行，收集星图任务ID
+        const parsedRows = [];
+        for (const [rowIndex, row] of dataRows.entries()) {
+            const rowNumber = toSheetRowNumber(rowIndex);
             const starQuestId = row[starQuestIdIndex];
-            if (!starQuestId) { skippedCount++; continue; }
-            const starQuestIdStr = String(starQuestId).trim();
-            const collaboration = await collaborationsCollection.findOne({ "taskId": starQuestIdStr });
-            if (collaboration) {
-                const updatePayload = {};
-                const prefix = dataType;
-                header.forEach((colName, index) => {
-                    const mapping = DATA_MAPPING[colName];
-                    if (!mapping || colName === starQuestIdColumnName) return;
-                    let value = row[index];
-                    if (value === null || value === undefined || String(value).trim() === '') return;
-                    try {
-                        if (mapping.type === 'number') value = parseFloat(String(value).replace(/,/g, '')) || 0;
-                        else if (mapping.type === 'date') value = new Date(value);
-                        else if (mapping.type === 'percentage') value = parseFlexibleNumber(value, true);
-                        else value = String(value);
-                    } catch (e) {
-                        console.warn(`[导入 ${dataType}] 无法转换值 ${colName}: ${row[index]}`);
-                        return;
-                    }
+            if (!starQuestId) {
+                skippedCount++;
+                rowResults.push(skippedRow(rowNumber, null, `缺少${starQuestIdColumnName}`));
+                continue;
+            }
 
-                    if (mapping.dbField.includes('.')) {
-                        const [parent, child] = mapping.dbField.split('.');
-                        const prefixedParent = `${prefix}_${parent}`;
-                        if (!updatePayload[prefixedParent]) updatePayload[prefixedParent] = {};
-                        updatePayload[prefixedParent][child] = value;
-                    } else {
-                        updatePayload[`${prefix}_${mapping.dbField}`] = value;
+            const updatePayload = {};
+            const rowWarnings = [];
+            valueColumns.forEach(column => {
+                let value = row[column.index];
+                if (value === null || value === undefined || String(value).trim() === '') return;
+                try {
+                    if (column.type === 'number') value = parseFloat(String(value).replace(/,/g, '')) || 0;
+                    else if (column.type === 'date') value = new Date(value);
+                    else if (column.type === 'percentage') value = parseFlexibleNumber(value, true);
+                    else value = String(value);
+                    if (value instanceof Date && isNaN(value.getTime())) {
+                        rowWarnings.push({ field: column.sheetHeader, reason: '无法识别的日期，已忽略该单元格', value: row[column.index] });
+                        return;
                     }
-                });
+                } catch (e) {
+                    console.warn(`[导入 ${dataType}] 无法转换值 ${column.sheetHeader}: ${row[column.index]}`);
+                    return;
+                }
 
-                const existingWork = await worksCollection.findOne({ collaborationId: collaboration.id });
-
-                if (Object.keys(updatePayload).length > 0) {
-                    if (existingWork) {
-                        await worksCollection.updateOne({ _id: existingWork._id }, { $set: { ...updatePayload, updatedAt: new Date() } });
-                        updatedCount++;
-                    } else {
-                        const newWorkDoc = {
-                            ...updatePayload,
-                            id: `work_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-                            collaborationId: collaboration.id,
-                            projectId: collaboration.projectId,
-                            talentId: collaboration.talentId,
-                            sourceType: 'COLLABORATION',
-                            createdAt: new Date(),
-                            updatedAt: new Date(),
-                        };
-                        await worksCollection.insertOne(newWorkDoc);
-                        createdCount++;
-                    }
+                if (column.targetPath.includes('.')) {
+                    const [parent, child] = column.targetPath.split('.');
+                    const prefixedParent = `${prefix}_${parent}`;
+                    if (!updatePayload[prefixedParent]) updatePayload[prefixedParent] = {};
+                    updatePayload[prefixedParent][child] = value;
                 } else {
-                     skippedCount++;
+                    updatePayload[`${prefix}_${column.targetPath}`] = value;
                 }
+            });
+            parsedRows.push({ rowNumber, starQuestIdStr: String(starQuestId).trim(), updatePayload, rowWarnings });
+        }
+
+        // [V11.13] 一次查询取回全部合作记录与作品，替代逐行 findOne
+        const taskIds = [...new Set(parsedRows.map(r => r.starQuestIdStr))];
+        const collaborations = taskIds.length > 0
+            ? await collaborationsCollection.find({ taskId: { $in: taskIds } }, { projection: { _id: 0, id: 1, taskId: 1, projectId: 1, talentId: 1 } }).toArray()
+            : [];
+        const collaborationMap = new Map();
+        collaborations.forEach(c => { if (!collaborationMap.has(c.taskId)) collaborationMap.set(c.taskId, c); });
+        const existingWorks = collaborations.length > 0
+            ? await worksCollection.find({ collaborationId: { $in: collaborations.map(c => c.id) } }).toArray()
+            : [];
+
+        // 按合作记录维护作品在本次导入中的最新状态，同一任务ID出现多行时，后一行在前一行的基础上比较与写入
+        const workStates = new Map();
+        existingWorks.forEach(work => { if (!workStates.has(work.collaborationId)) workStates.set(work.collaborationId, { doc: work, isNew: false }); });
+
+        const bulkOps = [];
+        const importedAt = new Date();
+        for (const { rowNumber, starQuestIdStr, updatePayload, rowWarnings } of parsedRows) {
+            const collaboration = collaborationMap.get(starQuestIdStr);
+            if (!collaboration) {
+                skippedCount++;
+                rowResults.push(skippedRow(rowNumber, starQuestIdStr, '未找到该星图任务ID对应的合作记录', starQuestIdStr));
+                if (skippedCount <= 5) {
+                    console.warn(`[导入 ${dataType}] 未找到合作记录 taskId: ${starQuestIdStr}`);
+                }
+                continue;
+            }
+            if (Object.keys(updatePayload).length === 0) {
+                skippedCount++;
+                rowResults.push(skippedRow(rowNumber, starQuestIdStr, '该行没有可导入的数据列'));
+                continue;
+            }
+
+            const state = workStates.get(collaboration.id);
+            let before = null;
+            if (state) {
+                before = {};
+                Object.keys(updatePayload).forEach(key => { before[key] = state.doc[key]; });
+            }
+            const target = { entityType: 'work', entityId: state ? state.doc.id : null, collaborationId: collaboration.id };
+            rowResults.push(resolvedRow(rowNumber, starQuestIdStr, target, before, updatePayload, rowWarnings));
+            if (dryRun) continue;
+
+            if (state) {
+                if (!state.isNew) {
+                    tracker.trackUpdate('work', state.doc, Object.keys(updatePayload));
+                    bulkOps.push({ updateOne: { filter: { _id: state.doc._id }, update: { $set: { ...updatePayload, updatedAt: importedAt } } } });
+                }
+                // 本次新建的作品直接合并到待插入的文档中
+                Object.assign(state.doc, updatePayload);
+                updatedCount++;
+                auditEvents.push({ entityType: 'work', entityId: state.doc.id, action: AUDIT_ACTIONS.IMPORT, before, after: updatePayload, meta: { ...auditMeta, collaborationId: collaboration.id } });
             } else {
-                 skippedCount++;
-                 if (skippedCount <= 5) {
-                     console.warn(`[导入 ${dataType}] 未找到合作记录 taskId: ${starQuestIdStr}`);
-                 }
+                const newWorkDoc = {
+                    ...updatePayload,
+                    id: `work_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                    collaborationId: collaboration.id,
+                    projectId: collaboration.projectId,
+                    talentId: collaboration.talentId,
+                    sourceType: 'COLLABORATION',
+                    createdAt: importedAt,
+                    updatedAt: importedAt,
+                };
+                workStates.set(collaboration.id, { doc: newWorkDoc, isNew: true });
+                tracker.trackCreate('work', newWorkDoc.id);
+                createdCount++;
+                auditEvents.push({ entityType: 'work', entityId: newWorkDoc.id, action: AUDIT_ACTIONS.IMPORT, after: { ...newWorkDoc }, meta: { ...auditMeta, collaborationId: collaboration.id } });
+            }
+        }
+        attachRecordIds(rowResults, source);
+
+        if (dryRun) {
+            return buildDryRunResult(dataType, spreadsheetToken, dataRows.length, rowResults, resolvedColumns.report);
+        }
+
+        const importRun = await startImportRun(db, req, {
+            dataType,
+            spreadsheetToken,
+            sourceType: source.type,
+            sheet: describeImportSource(source),
+            documents: tracker.documents(),
+            createdAt: importedAt
+        });
+        try {
+            workStates.forEach(state => { if (state.isNew) bulkOps.push({ insertOne: { document: state.doc } }); });
+            if (bulkOps.length > 0) {
+                // ordered: 同一作品的多次更新按表格行顺序生效
+                const bulkResult = await worksCollection.bulkWrite(bulkOps, { ordered: true });
+                console.log(`[导入 ${dataType}] BulkWrite 完成. Inserted: ${bulkResult.insertedCount}, Matched: ${bulkResult.matchedCount}, Modified: ${bulkResult.modifiedCount}`);
             }
+            await recordAudit(db, req, auditEvents);
+            await completeImportRun(db, importRun.id, { totalRows: dataRows.length, created: createdCount, updated: updatedCount, skipped: skippedCount });
+        } catch (error) {
+            await failImportRun(db, importRun.id, error);
+            throw error;
         }
         console.log(`[导入 ${dataType}] 项目同步完成。处理: ${dataRows.length}行, 新建: ${createdCount}, 更新: ${updatedCount}, 跳过: ${skippedCount}`);
-        return { processedRows: dataRows.length, created: createdCount, updated: updatedCount };
+        const statusWriteBack = writeBackStatus ? await writeImportStatus(spreadsheetToken, source, header, dataRows.length, rowResults) : undefined;
+        return { processedRows: dataRows.length, created: createdCount, updated: updatedCount, importRunId: importRun.id, columnReport: resolvedColumns.report, rowReport: buildRowReport(dataRows.length, rowResults), statusWriteBack };
     }
 }
 
 
 // --- 总调度函数 ---
-async function handleFeishuRequest(requestBody) {
+// 不写库、不创建飞书文件的 dataType，任意已登录用户可调用；其余需要写权限
+const READ_ONLY_DATA_TYPES = new Set([
+    'getMappingSchemas', 'getSheetHeaders', 'validateMappingTemplate', 'previewMappingTemplate', 'getReportJobs', 'getImportRuns'
+]);
+
+/**
+ * @param {object} requestBody - { dataType, payload, ...legacyParams }
+ * @param {object} [req] - createHandler 传入的请求对象，用于审计日志记录操作人与权限校验
+ */
+async function handleFeishuRequest(requestBody, req) {
     const { dataType, payload, ...legacyParams } = requestBody;
     if (!dataType) throw new AppError('Missing required parameter: dataType.', 400);
+    // GET 对任意角色开放，按 dataType 再校验一次写权限
+    if (req && req.user && !READ_ONLY_DATA_TYPES.has(dataType)) requireRole(req.user, WRITE_ROLES);
 
     const extractToken = (data) => {
         if (!data) return null;
         const tokenSource = data.spreadsheetToken || data.feishuUrl;
         return getSpreadsheetTokenFromUrl(tokenSource);
     };
+    // [V11.15] 多维表格数据源：bitableUrl（可带 ?table=）或 appToken，数据表也可用 table 指定
+    const extractBitable = (data) => {
+        if (!data || !(data.bitableUrl || data.appToken)) return null;
+        const { appToken, tableId } = getBitableTokenFromUrl(data.bitableUrl || data.appToken);
+        if (!appToken) throw new AppError('无法从 bitableUrl 中解析出多维表格的 appToken。', 400);
+        return { appToken, table: data.table || tableId };
+    };
 
     switch (dataType) {
         case 'getMappingSchemas':
             return await getMappingSchemas();
         case 'getSheetHeaders':
+            const headersBitable = extractBitable(payload);
             const headersToken = extractToken(payload);
-            if (!headersToken) throw new AppError('Missing spreadsheetToken or feishuUrl for getSheetHeaders.', 400);
-            return await getSheetHeaders({ spreadsheetToken: headersToken });
+            if (!headersToken && !headersBitable) throw new AppError('Missing spreadsheetToken, feishuUrl or bitableUrl for getSheetHeaders.', 400);
+            return await getSheetHeaders({ spreadsheetToken: headersToken, sheet: payload.sheet, bitable: headersBitable });
         case 'generateAutomationReport':
-             if (!payload || !payload.mappingTemplate || !payload.taskIds) {
-                 throw new AppError('Invalid payload structure for generateAutomationReport.', 400);
-             }
-            return await generateAutomationSheet(payload);
+        {
+            if (!payload || !(payload.mappingTemplate || payload.templateId) || !payload.taskIds) {
+                throw new AppError('Invalid payload structure for generateAutomationReport.', 400);
+            }
+            assertValidTaskIds(payload.taskIds);
+            // [V11.19] 也可只传 templateId（+ templateVersion）由服务端读取模板；结果中返回所用的模板版本
+            const db = await getDb();
+            const mappingTemplate = await loadMappingTemplate(db, payload);
+            const reportPayload = { ...payload, mappingTemplate };
+            // [V11.22] async: true 时创建报表任务并执行第一个时间片，返回任务状态；之后由 processReportJob 继续
+            if (payload.async === true || payload.async === 'true') {
+                if (req && req.method === 'GET') throw new AppError('generateAutomationReport only supports POST requests.', 405);
+                if (payload.outputType === IMPORT_SOURCE_TYPES.BITABLE) {
+                    throw new AppError('异步报表任务目前只支持电子表格 (outputType: sheet)。', 400);
+                }
+                const { primaryCollection, taskIds, projectId } = payload;
+                if (!primaryCollection || !Array.isArray(taskIds) || taskIds.length === 0 || !projectId) {
+                    throw new AppError('Missing required parameters: primaryCollection, taskIds and projectId.', 400);
+                }
+                const job = await createReportJob(db, req, reportPayload);
+                return await runReportJobSlice(db, job.id);
+            }
+            // [V11.15] outputType: 'bitable' 时生成多维表格
+            const report = payload.outputType === IMPORT_SOURCE_TYPES.BITABLE
+                ? await generateAutomationBitable(reportPayload)
+                : await generateAutomationSheet(reportPayload);
+            // [V11.23] generation 为本次的任务选择，随记录保存到 generated_sheets 后可刷新或重新生成
+            const { primaryCollection, taskIds, destinationFolderToken, projectName } = payload;
+            return {
+                ...report,
+                templateId: mappingTemplate._id ? String(mappingTemplate._id) : null,
+                templateVersion: mappingTemplate.version || null,
+                generation: { primaryCollection, taskIds, destinationFolderToken: destinationFolderToken || null, projectName: projectName || null }
+            };
+        }
+        case 'validateMappingTemplate':
+            return await validateMappingTemplate({ ...legacyParams, ...payload });
+        case 'previewMappingTemplate':
+            return await previewMappingTemplate({ ...legacyParams, ...payload });
+        case 'getReportJobs':
+            return await getReportJobs(await getDb(), { ...legacyParams, ...payload });
+        case 'processReportJob':
+        {
+            // [V11.22] 推进报表任务一个时间片；retry: true 时先将失败的任务恢复到出错时的阶段
+            if (req && req.method === 'GET') throw new AppError('processReportJob only supports POST requests.', 405);
+            const { jobId, retry } = { ...legacyParams, ...payload };
+            const db = await getDb();
+            if (retry === true || retry === 'true') await retryReportJob(db, jobId);
+            return await runReportJobSlice(db, jobId);
+        }
+        case 'refreshGeneratedSheet':
+        case 'regenerateGeneratedSheet':
+        {
+            // [V11.23] 刷新 / 重新生成已记录的报表，返回报表任务状态；之后由 processReportJob 继续
+            if (req && req.method === 'GET') throw new AppError(`${dataType} only supports POST requests.`, 405);
+            const mode = dataType === 'refreshGeneratedSheet' ? REPORT_JOB_MODES.REFRESH : REPORT_JOB_MODES.REGENERATE;
+            return await startGeneratedSheetJob(await getDb(), req, mode, { ...legacyParams, ...payload });
+        }
+        case 'getImportRuns':
+            return await getImportRuns(await getDb(), payload || legacyParams);
+        case 'undoImportRun':
+        {
+            if (req && req.method === 'GET') throw new AppError('undoImportRun only supports POST requests.', 405);
+            const { runId } = { ...legacyParams, ...payload };
+            return await undoImportRun(await getDb(), req, runId);
+        }
         case 'talentPerformance':
         case 't7':
         case 't21':
         case 'manualDailyUpdate':
         {
-            const token = extractToken({ ...legacyParams, ...payload });
-            if (!token) throw new AppError(`Missing spreadsheetToken or a valid feishuUrl for ${dataType}.`, 400);
+            const params = { ...legacyParams, ...payload };
+            const bitable = extractBitable(params);
+            const token = bitable ? bitable.appToken : extractToken(params);
+            if (!token) throw new AppError(`Missing spreadsheetToken, bitableUrl or a valid feishuUrl for ${dataType}.`, 400);
+            // [V11.9] dryRun 只预览逐行差异，不写库
+            const dryRun = params.dryRun === true || params.dryRun === 'true';
+            // [V11.12] writeBackStatus 将逐行导入状态写回源表格（仅实际导入时）
+            const writeBackStatus = params.writeBackStatus === true || params.writeBackStatus === 'true';
+            // [V11.15] 多维表格时 target 为数据表，否则为工作表
+            const runImport = (target) => {
+                const options = bitable
+                    ? { dryRun, writeBackStatus, sourceType: IMPORT_SOURCE_TYPES.BITABLE, table: target }
+                    : { dryRun, writeBackStatus, sourceType: IMPORT_SOURCE_TYPES.SHEET, sheet: target };
+                return dataType === 'talentPerformance'
+                    ? handleTalentImport(token, req, options)
+                    : performProjectSync(token, dataType, req, options);
+            };
 
-            if (dataType === 'talentPerformance') {
-                const result = await handleTalentImport(token);
-                return result;
-            } else {
-                const result = await performProjectSync(token, dataType);
-                return result;
+            // [V11.14] allSheets 依次导入所有工作表（多维表格为所有数据表）；某个工作表失败（如缺少必要列）不影响其他工作表
+            if (params.allSheets === true || params.allSheets === 'true') {
+                const sheets = bitable ? await listBitableTables(token) : await listFeishuSheets(token);
+                const results = [];
+                for (const sheet of sheets) {
+                    const location = bitable ? { tableId: sheet.tableId, title: sheet.title } : { sheetId: sheet.sheetId, title: sheet.title };
+                    try {
+                        results.push({ ...location, success: true, result: await runImport(sheet) });
+                    } catch (error) {
+                        if (!(error instanceof AppError)) throw error;
+                        results.push({ ...location, success: false, error: { code: error.code, message: error.message, details: error.details } });
+                    }
+                }
+                return { allSheets: true, dryRun, totalSheets: sheets.length, succeeded: results.filter(r => r.success).length, sheets: results };
             }
+            return await runImport(bitable ? bitable.table : params.sheet);
         }
         default:
-            throw new AppError(`Invalid dataType "${dataType}". Supported types are: getMappingSchemas, getSheetHeaders, generateAutomationReport, talentPerformance, t7, t21, manualDailyUpdate.`, 400);
+            throw new AppError(`Invalid dataType "${dataType}". Supported types are: getMappingSchemas, getSheetHeaders, generateAutomationReport, validateMappingTemplate, previewMappingTemplate, getReportJobs, processReportJob, refreshGeneratedSheet, regenerateGeneratedSheet, talentPerformance, t7, t21, manualDailyUpdate, getImportRuns, undoImportRun.`, 400);
     }
 }
 
@@ -1,18 +1,27 @@
 /**
  * @file updateCollaborator/index.js
- * @version 4.4 - Final Data Source Fix
+ * @version 4.7.1 - Status State Machine
  * @description [最终BUG修复] 解决了前后端数据传递方式不匹配导致的 400 错误。
+ * --- v4.7.1 更新日志 ---
+ * - [并发] 写入时以读取到的 status 作为条件：期间状态已被其他请求改变时返回 409 (STATUS_CONFLICT)，不会叠加相互冲突的流转与 statusHistory。
+ * --- v4.7 更新日志 ---
+ * - [状态机] status 变更由 collaborationStatusMachine 校验：非法流转返回 409，缺少目标状态必填字段（如定档需 taskId）返回 422。
+ * - [状态历史] 每次状态变更都会追加到 statusHistory（时间、操作人、可选的 statusReason）。
+ * - [行为调整] 填写 publishDate 不再无条件强制设为"视频已发布"，仅在"客户已定档"且发布所需字段齐全时自动流转，并记入历史。
+ * - [数据保护] 不变更状态时，不允许清空当前状态的必填字段。
+ * --- v4.6 更新日志 ---
+ * - [审计] 合作记录的更新以及随之创建/同步的作品记录，均写入统一的 audit_events 集合。
+ * --- v4.5 更新日志 ---
+ * - [权限控制] 付款日期、实际返点、回款日期等结算字段仅 finance / admin 可修改。
  * --- v4.4 更新日志 ---
  * - [核心修复] 重构了ID的获取方式。函数现在从请求的 `body` 中同时解析 `id` 和其他更新字段，而不是从 URL query 中获取 `id`。
  * - [问题解决] 此修改彻底解决了因后端无法获取 `id` 而返回 "400 Bad Request" 或 "404 Not Found" 的问题。
  * - [兼容性] 保留了 v4.3 版本对新版 MongoDB 驱动的兼容性修复。
  */
 
-const { MongoClient, ObjectId } = require('mongodb');
+const { createHandler, getDb, respond, AppError, ObjectId, requireRole, recordAudit, AUDIT_ACTIONS, collaborationStatusMachine, buildStatusHistoryEntry, COLLABORATION_STATUS, WRITE_ROLES, FINANCE_ROLES } = require('kol-common');
 
 // --- 数据库配置 ---
-const MONGO_URI = process.env.MONGO_URI;
-const DB_NAME = process.env.MONGO_DB_NAME || 'kol_data';
 const COLLABORATIONS_COLLECTION = 'collaborations';
 const WORKS_COLLECTION = 'works';
 
@@ -26,6 +35,9 @@ const ALLOWED_UPDATE_FIELDS = [
   'plannedReleaseDate'
 ];
 
+// [v4.5] 结算相关字段，只有财务角色可以修改
+const FINANCE_FIELDS = ['paymentDate', 'actualRebate', 'recoveryDate'];
+
 const REBATE_RELATED_FIELDS = [
     'actualRebate',
     'recoveryDate',
@@ -34,152 +46,175 @@ const REBATE_RELATED_FIELDS = [
 ];
 
 
-let client;
+exports.handler = createHandler({ name: 'updateCollaborator', methods: ['POST', 'PUT'], roles: WRITE_ROLES }, async (req) => {
+  const db = await getDb();
+  const collaborationsCollection = db.collection(COLLABORATIONS_COLLECTION);
+  const worksCollection = db.collection(WORKS_COLLECTION);
+
+  // [核心修复] 从 body 中同时解构 id 和其他更新字段
+  const { id, ...updateFields } = req.body;
 
-async function connectToDatabase() {
-  if (client && client.topology && client.topology.isConnected()) {
-    return client;
+  if (!id) {
+    throw new AppError('请求体中缺少合作记录ID (id)。', 400);
   }
-  client = new MongoClient(MONGO_URI);
-  await client.connect();
-  return client;
-}
-
-exports.handler = async (event, context) => {
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
-    'Access-Control-Allow-Methods': 'POST, PUT, OPTIONS',
-    'Content-Type': 'application/json'
-  };
-
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 204, headers, body: '' };
+
+  const financeFields = FINANCE_FIELDS.filter(field => Object.prototype.hasOwnProperty.call(updateFields, field));
+  if (financeFields.length > 0) {
+    requireRole(req.user, FINANCE_ROLES, `只有财务或管理员可以修改以下字段: ${financeFields.join(', ')}。`);
   }
   
-  // 保持对 PUT 和 POST 的兼容
-  if (event.httpMethod !== 'POST' && event.httpMethod !== 'PUT') {
-      return { statusCode: 405, headers, body: JSON.stringify({ success: false, message: 'Method Not Allowed' }) };
+  const updatePayload = { $set: {}, $unset: {} };
+  let hasValidFields = false;
+  let hasRebateRelatedUpdate = false;
+
+  for (const field of ALLOWED_UPDATE_FIELDS) {
+      if (Object.prototype.hasOwnProperty.call(updateFields, field)) {
+          hasValidFields = true;
+          // [v4.7] status 由下方的状态机单独处理
+          if (field === 'status') {
+              continue;
+          }
+          if (REBATE_RELATED_FIELDS.includes(field)) {
+              hasRebateRelatedUpdate = true;
+          }
+          if (updateFields[field] === null || updateFields[field] === '' || (Array.isArray(updateFields[field]) && updateFields[field].length === 0)) {
+              updatePayload.$unset[field] = "";
+          } else {
+              updatePayload.$set[field] = updateFields[field];
+          }
+      }
   }
 
-  const dbClient = await connectToDatabase();
-  const db = dbClient.db(DB_NAME);
-  const collaborationsCollection = db.collection(COLLABORATIONS_COLLECTION);
-  const worksCollection = db.collection(WORKS_COLLECTION);
+  if (!hasValidFields) {
+      throw new AppError('请求体中没有需要更新的有效字段。', 400);
+  }
+
+  const previousCollaboration = await collaborationsCollection.findOne({ id: id });
+  if (!previousCollaboration) {
+    throw new AppError(`ID为 '${id}' 的合作记录不存在。`, 404);
+  }
+  
+  if (hasRebateRelatedUpdate) {
+      if (updateFields.actualRebate === null) {
+          updatePayload.$unset.discrepancyReasonUpdatedAt = "";
+      } else {
+          updatePayload.$set.discrepancyReasonUpdatedAt = new Date();
+      }
+  }
+
+  // [v4.7] 状态流转校验：基于"合并本次更新后"的记录判断必填字段
+  const currentStatus = previousCollaboration.status;
+  const mergedCollaboration = { ...previousCollaboration, ...updatePayload.$set };
+  Object.keys(updatePayload.$unset).forEach(field => { mergedCollaboration[field] = null; });
+
+  let nextStatus = null;
+  let statusReason = updateFields.statusReason;
+  if (Object.prototype.hasOwnProperty.call(updateFields, 'status')) {
+      if (!updateFields.status) {
+          throw new AppError('合作状态 (status) 不能为空。', 400);
+      }
+      if (updateFields.status !== currentStatus) {
+          nextStatus = updateFields.status;
+      }
+  } else if (
+      updateFields.publishDate &&
+      currentStatus === COLLABORATION_STATUS.SCHEDULED &&
+      collaborationStatusMachine.getMissingFields(COLLABORATION_STATUS.PUBLISHED, mergedCollaboration).length === 0
+  ) {
+      nextStatus = COLLABORATION_STATUS.PUBLISHED;
+      statusReason = statusReason || '填写发布信息后自动流转';
+  }
+
+  if (nextStatus) {
+      collaborationStatusMachine.assertTransition(currentStatus, nextStatus, mergedCollaboration);
+      updatePayload.$set.status = nextStatus;
+      updatePayload.$push = {
+          statusHistory: buildStatusHistoryEntry({ from: currentStatus, to: nextStatus, user: req.user, reason: statusReason })
+      };
+  } else {
+      const clearedRequired = collaborationStatusMachine.getMissingFields(currentStatus, mergedCollaboration)
+          .filter(({ field }) => Object.prototype.hasOwnProperty.call(updatePayload.$unset, field));
+      if (clearedRequired.length > 0) {
+          throw new AppError(
+              `合作状态为"${currentStatus}"时不能清空: ${clearedRequired.map(m => m.label).join('、')}。`,
+              422,
+              'MISSING_REQUIRED_FIELDS',
+              { status: currentStatus, missingFields: clearedRequired.map(m => m.field) }
+          );
+      }
+  }
+  
+  if (Object.keys(updatePayload.$set).length > 0) {
+    updatePayload.$set.updatedAt = new Date();
+  }
+  
+  const finalUpdate = {};
+  if (Object.keys(updatePayload.$set).length > 0) finalUpdate.$set = updatePayload.$set;
+  if (Object.keys(updatePayload.$unset).length > 0) finalUpdate.$unset = updatePayload.$unset;
+  if (updatePayload.$push) finalUpdate.$push = updatePayload.$push;
+
+  if (Object.keys(finalUpdate).length === 0) {
+    return respond(200, { success: true, message: '没有字段需要更新。' });
+  }
+
+  // 状态校验基于上面读取的记录，写入时要求状态未被其他请求改变
+  const updatedCollaboration = await collaborationsCollection.findOneAndUpdate(
+      { id: id, status: currentStatus ?? null },
+      finalUpdate,
+      { returnDocument: 'after' }
+  );
+  if (!updatedCollaboration) {
+      throw new AppError('合作状态已被其他人修改，请刷新后重试。', 409, 'STATUS_CONFLICT', { id, expectedStatus: currentStatus ?? null });
+  }
 
-  try {
-    // [核心修复] 从 body 中同时解构 id 和其他更新字段
-    const { id, ...updateFields } = JSON.parse(event.body || '{}');
-
-    if (!id) {
-      return { statusCode: 400, headers, body: JSON.stringify({ success: false, message: '请求体中缺少合作记录ID (id)。' }) };
-    }
-    
-    const updatePayload = { $set: {}, $unset: {} };
-    let hasValidFields = false;
-    let hasRebateRelatedUpdate = false;
-
-    for (const field of ALLOWED_UPDATE_FIELDS) {
-        if (Object.prototype.hasOwnProperty.call(updateFields, field)) {
-            hasValidFields = true;
-            if (REBATE_RELATED_FIELDS.includes(field)) {
-                hasRebateRelatedUpdate = true;
-            }
-            if (updateFields[field] === null || updateFields[field] === '' || (Array.isArray(updateFields[field]) && updateFields[field].length === 0)) {
-                updatePayload.$unset[field] = "";
-            } else {
-                updatePayload.$set[field] = updateFields[field];
-            }
-        }
-    }
-
-    if (!hasValidFields) {
-        return { statusCode: 400, headers, body: JSON.stringify({ success: false, message: '请求体中没有需要更新的有效字段。' }) };
-    }
-    
-    if (hasRebateRelatedUpdate) {
-        if (updateFields.actualRebate === null) {
-            updatePayload.$unset.discrepancyReasonUpdatedAt = "";
-        } else {
-            updatePayload.$set.discrepancyReasonUpdatedAt = new Date();
-        }
-    }
-
-    if (updateFields.publishDate && updateFields.status !== '视频已发布') {
-        if(!updatePayload.$set.status) {
-            updatePayload.$set.status = '视频已发布';
-        }
-    }
-    
-    if (Object.keys(updatePayload.$set).length > 0) {
-      updatePayload.$set.updatedAt = new Date();
-    }
-    
-    const finalUpdate = {};
-    if (Object.keys(updatePayload.$set).length > 0) finalUpdate.$set = updatePayload.$set;
-    if (Object.keys(updatePayload.$unset).length > 0) finalUpdate.$unset = updatePayload.$unset;
-
-    if (Object.keys(finalUpdate).length === 0) {
-       return { statusCode: 200, headers, body: JSON.stringify({ success: true, message: '没有字段需要更新。' }) };
-    }
-
-    const updatedCollaboration = await collaborationsCollection.findOneAndUpdate(
-        { id: id },
-        finalUpdate,
-        { returnDocument: 'after' }
-    );
-
-    if (!updatedCollaboration) {
-      return { statusCode: 404, headers, body: JSON.stringify({ success: false, message: `ID为 '${id}' 的合作记录不存在。` }) };
-    }
-
-    const isVideoPublished = updatedCollaboration.publishDate || updatedCollaboration.videoId;
-
-    if (isVideoPublished) {
-        const workExists = await worksCollection.findOne({ collaborationId: id });
-
-        if (!workExists) {
-            console.log(`[Work Upsert] Work for collaboration ${id} does not exist. Creating now.`);
-            const newWork = {
-                _id: new ObjectId(),
-                id: `work_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
-                collaborationId: updatedCollaboration.id,
-                projectId: updatedCollaboration.projectId,
-                talentId: updatedCollaboration.talentId,
-                taskId: updatedCollaboration.taskId || null,
-                platformWorkId: updatedCollaboration.videoId || null,
-                publishedAt: updatedCollaboration.publishDate ? new Date(updatedCollaboration.publishDate) : null,
-                sourceType: 'COLLABORATION',
-                dailyStats: [],
-                createdAt: new Date(),
-                updatedAt: new Date(),
-            };
-            await worksCollection.insertOne(newWork);
-            console.log(`[Work Upsert] Successfully CREATED new work record ${newWork.id}`);
-        } else {
-            console.log(`[Work Upsert] Work for collaboration ${id} already exists. Updating now.`);
-            const workUpdatePayload = {
-                $set: {
-                    platformWorkId: updatedCollaboration.videoId || null,
-                    publishedAt: updatedCollaboration.publishDate ? new Date(updatedCollaboration.publishDate) : null,
-                    taskId: updatedCollaboration.taskId || null,
-                    updatedAt: new Date()
-                }
-            };
-            await worksCollection.updateOne({ collaborationId: id }, workUpdatePayload);
-            console.log(`[Work Upsert] Successfully UPDATED existing work record for collaboration ${id}.`);
-        }
-    }
-
-    return {
-      statusCode: 200,
-      headers,
-      body: JSON.stringify({ success: true, message: '合作记录更新成功。' }),
-    };
-
-  } catch (error) {
-    console.error('处理请求时发生错误:', error);
-    return { statusCode: 500, headers, body: JSON.stringify({ success: false, message: '服务器内部错误', error: error.message }) };
+  await recordAudit(db, req, {
+      entityType: 'collaboration',
+      entityId: id,
+      action: AUDIT_ACTIONS.UPDATE,
+      before: previousCollaboration,
+      after: updatedCollaboration,
+      meta: { projectId: updatedCollaboration.projectId },
+  });
+
+  const isVideoPublished = updatedCollaboration.publishDate || updatedCollaboration.videoId;
+
+  if (isVideoPublished) {
+      const workExists = await worksCollection.findOne({ collaborationId: id });
+
+      if (!workExists) {
+          console.log(`[Work Upsert] Work for collaboration ${id} does not exist. Creating now.`);
+          const newWork = {
+              _id: new ObjectId(),
+              id: `work_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
+              collaborationId: updatedCollaboration.id,
+              projectId: updatedCollaboration.projectId,
+              talentId: updatedCollaboration.talentId,
+              taskId: updatedCollaboration.taskId || null,
+              platformWorkId: updatedCollaboration.videoId || null,
+              publishedAt: updatedCollaboration.publishDate ? new Date(updatedCollaboration.publishDate) : null,
+              sourceType: 'COLLABORATION',
+              dailyStats: [],
+              createdAt: new Date(),
+              updatedAt: new Date(),
+          };
+          await worksCollection.insertOne(newWork);
+          await recordAudit(db, req, { entityType: 'work', entityId: newWork.id, action: AUDIT_ACTIONS.CREATE, after: newWork, meta: { collaborationId: id } });
+          console.log(`[Work Upsert] Successfully CREATED new work record ${newWork.id}`);
+      } else {
+          console.log(`[Work Upsert] Work for collaboration ${id} already exists. Updating now.`);
+          const workUpdatePayload = {
+              $set: {
+                  platformWorkId: updatedCollaboration.videoId || null,
+                  publishedAt: updatedCollaboration.publishDate ? new Date(updatedCollaboration.publishDate) : null,
+                  taskId: updatedCollaboration.taskId || null,
+                  updatedAt: new Date()
+              }
+          };
+          const updatedWork = await worksCollection.findOneAndUpdate({ collaborationId: id }, workUpdatePayload, { returnDocument: 'after' });
+          await recordAudit(db, req, { entityType: 'work', entityId: workExists.id, action: AUDIT_ACTIONS.UPDATE, before: workExists, after: updatedWork, meta: { collaborationId: id } });
+          console.log(`[Work Upsert] Successfully UPDATED existing work record for collaboration ${id}.`);
+      }
   }
-};
 
+  return respond(200, { success: true, message: '合作记录更新成功。' });
+});
@@ -1,7 +1,18 @@
 /**
  * @file updateProject.js
- * @version 1.5-tracking-status
+ * @version 1.8.1-lifecycle
  * @description 更新指定项目的基础信息或状态。
+ * * --- 更新日志 (v1.8.1) ---
+ * - [并发] 写入时以读取到的 status 作为条件：准入检查或管理员强制变更后状态已被其他请求改变时返回 409 (STATUS_CONFLICT)。
+ * * --- 更新日志 (v1.8) ---
+ * - [状态机] status 变更由 projectStatusMachine 校验流转合法性，并追加到 statusHistory。
+ * - [准入检查] 进入"待结算"前所有已发布视频须有 T+21 数据；进入"已终结"前所有有效合作须填写实际返点与付款日期。
+ *   检查未通过时返回 409 (STATUS_GATE_BLOCKED)，details.blockers 列出具体的阻塞项。
+ * - [管理员强制变更] admin 可传入 overrideGates: true 与 overrideReason 跳过流转与准入检查，跳过的阻塞项会记录在 statusHistory 与审计日志中。
+ * * --- 更新日志 (v1.7) ---
+ * - [审计] 每次更新都会将字段级差异写入统一的 audit_events 集合；项目内的 auditLog 记录真实操作人而非 "System"。
+ * * --- 更新日志 (v1.6) ---
+ * - [权限控制] 预算、折扣、资金费率、调账等财务字段，以及将状态改为"已收款"/"已终结"，仅 finance / admin 可操作。
  * * --- 更新日志 (v1.5) ---
  * - [字段升级] 支持新的 `trackingStatus` 字段 (null/'active'/'archived')，替代 `trackingEnabled`
  * - [向后兼容] 仍然支持旧的 `trackingEnabled` 布尔字段
@@ -13,11 +24,15 @@
  * - 现在可以通过此接口创建或更新项目的"目标CPM"考核指标。
  */
 
-const { MongoClient } = require('mongodb');
+const {
+  createHandler, getDb, respond, AppError, requireRole, recordAudit, AUDIT_ACTIONS,
+  projectStatusMachine, buildStatusHistoryEntry, PROJECT_STATUS, COLLABORATION_STATUS,
+  WRITE_ROLES, FINANCE_ROLES, ADMIN_ONLY,
+} = require('kol-common');
 
-const MONGO_URI = process.env.MONGO_URI;
-const DB_NAME = process.env.MONGO_DB_NAME || 'kol_data';
 const PROJECTS_COLLECTION = process.env.MONGO_PROJECTS_COLLECTION || 'projects';
+const COLLABORATIONS_COLLECTION = 'collaborations';
+const WORKS_COLLECTION = 'works';
 
 // [v1.5] Add trackingStatus to the list of allowed fields (replacing trackingEnabled)
 const ALLOWED_UPDATE_FIELDS = [
@@ -26,154 +41,235 @@ const ALLOWED_UPDATE_FIELDS = [
     'status', 'adjustments', 'projectFiles', 'trackingStatus', 'trackingEnabled'
 ];
 
+// [v1.6] 只有财务角色可以修改的字段与项目状态
+const FINANCE_FIELDS = ['budget', 'discount', 'capitalRateId', 'adjustments', 'financialYear', 'financialMonth'];
+const FINANCE_STATUSES = ['已收款', '已终结'];
 
-let client;
+// [v1.8] 进入各状态前的准入检查，返回阻塞项列表（空数组表示通过）
+const EFFECTIVE_COLLAB_STATUSES = [COLLABORATION_STATUS.SCHEDULED, COLLABORATION_STATUS.PUBLISHED];
 
-async function connectToDatabase() {
-  if (client && client.topology && client.topology.isConnected()) {
-    return client;
-  }
-  client = new MongoClient(MONGO_URI);
-  await client.connect();
-  return client;
-}
-
-exports.handler = async (event, context) => {
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
-    'Access-Control-Allow-Methods': 'PUT, OPTIONS',
-    'Content-Type': 'application/json'
-  };
-
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 204, headers, body: '' };
+const STATUS_GATES = {
+  [PROJECT_STATUS.PENDING_SETTLEMENT]: async (db, project) => {
+    const collaborations = await db.collection(COLLABORATIONS_COLLECTION)
+      .find({ projectId: project.id, status: { $in: EFFECTIVE_COLLAB_STATUSES } })
+      .project({ _id: 0, id: 1, talentId: 1, status: 1, publishDate: 1 })
+      .toArray();
+    const published = collaborations.filter(c => c.publishDate);
+    const works = await db.collection(WORKS_COLLECTION)
+      .find({ collaborationId: { $in: published.map(c => c.id) } })
+      .project({ _id: 0, collaborationId: 1, t21_statsUpdatedAt: 1 })
+      .toArray();
+    const t21Collected = new Set(works.filter(w => w.t21_statsUpdatedAt).map(w => w.collaborationId));
+
+    const blockers = [];
+    collaborations.filter(c => !c.publishDate).forEach(c => blockers.push({
+      type: 'NOT_PUBLISHED', collaborationId: c.id, talentId: c.talentId, message: '合作已定档但视频尚未发布'
+    }));
+    published.filter(c => !t21Collected.has(c.id)).forEach(c => blockers.push({
+      type: 'MISSING_T21_DATA', collaborationId: c.id, talentId: c.talentId, message: '缺少 T+21 数据'
+    }));
+    return blockers;
+  },
+  [PROJECT_STATUS.CLOSED]: async (db, project) => {
+    const collaborations = await db.collection(COLLABORATIONS_COLLECTION)
+      .find({ projectId: project.id, status: { $in: EFFECTIVE_COLLAB_STATUSES } })
+      .project({ _id: 0, id: 1, talentId: 1, actualRebate: 1, paymentDate: 1 })
+      .toArray();
+
+    const blockers = [];
+    collaborations.forEach(c => {
+      const missing = [];
+      if (c.actualRebate === null || c.actualRebate === undefined || c.actualRebate === '') missing.push('实际返点 (actualRebate)');
+      if (!c.paymentDate) missing.push('付款日期 (paymentDate)');
+      if (missing.length > 0) {
+        blockers.push({ type: 'MISSING_SETTLEMENT_FIELDS', collaborationId: c.id, talentId: c.talentId, message: `缺少${missing.join('、')}` });
+      }
+    });
+    return blockers;
+  },
+};
+
+
+exports.handler = createHandler({ name: 'updateProject', methods: ['PUT'], roles: WRITE_ROLES }, async (req) => {
+  const inputData = req.params;
+
+  const { id, ...updateFields } = inputData;
+
+  if (!id) {
+    throw new AppError('请求体中缺少项目ID (id)。', 400);
   }
 
-  try {
-    let inputData = {};
-    if (event.body) {
-        try { inputData = JSON.parse(event.body); } catch(e) { /* ignore */ }
-    }
-    if (Object.keys(inputData).length === 0 && event.queryStringParameters) {
-        inputData = event.queryStringParameters;
+  // [v1.6] 财务字段与结算类状态变更需要 finance 角色
+  const financeFields = FINANCE_FIELDS.filter(field => Object.prototype.hasOwnProperty.call(updateFields, field));
+  if (financeFields.length > 0) {
+    requireRole(req.user, FINANCE_ROLES, `只有财务或管理员可以修改以下字段: ${financeFields.join(', ')}。`);
+  }
+  if (updateFields.overrideGates) {
+    requireRole(req.user, ADMIN_ONLY, '只有管理员可以强制变更项目状态。');
+    if (!updateFields.overrideReason) {
+      throw new AppError('强制变更项目状态时必须填写原因 (overrideReason)。', 400);
     }
+  }
+  if (FINANCE_STATUSES.includes(updateFields.status)) {
+    requireRole(req.user, FINANCE_ROLES, `只有财务或管理员可以将项目状态改为"${updateFields.status}"。`);
+  }
+  
+  const updatePayload = { $set: {}, $unset: {} };
+  let hasValidFields = false;
 
-    const { id, ...updateFields } = inputData;
+  // [v1.5] Handle trackingStatus and trackingEnabled conversion
+  let finalTrackingStatus = undefined;
+  if (Object.prototype.hasOwnProperty.call(updateFields, 'trackingStatus')) {
+      hasValidFields = true;
+      // Validate trackingStatus value
+      if (['active', 'archived'].includes(updateFields.trackingStatus)) {
+          finalTrackingStatus = updateFields.trackingStatus;
+      } else if (updateFields.trackingStatus === null || updateFields.trackingStatus === '') {
+          finalTrackingStatus = null;
+      }
+  } else if (Object.prototype.hasOwnProperty.call(updateFields, 'trackingEnabled')) {
+      hasValidFields = true;
+      // Convert legacy trackingEnabled to trackingStatus
+      if (updateFields.trackingEnabled === true || updateFields.trackingEnabled === 'true') {
+          finalTrackingStatus = 'active';
+      } else {
+          finalTrackingStatus = null;
+      }
+  }
 
-    if (!id) {
-      return { statusCode: 400, headers, body: JSON.stringify({ success: false, message: '请求体中缺少项目ID (id)。' }) };
-    }
-    
-    const updatePayload = { $set: {}, $unset: {} };
-    let hasValidFields = false;
-
-    // [v1.5] Handle trackingStatus and trackingEnabled conversion
-    let finalTrackingStatus = undefined;
-    if (Object.prototype.hasOwnProperty.call(updateFields, 'trackingStatus')) {
-        hasValidFields = true;
-        // Validate trackingStatus value
-        if (['active', 'archived'].includes(updateFields.trackingStatus)) {
-            finalTrackingStatus = updateFields.trackingStatus;
-        } else if (updateFields.trackingStatus === null || updateFields.trackingStatus === '') {
-            finalTrackingStatus = null;
-        }
-    } else if (Object.prototype.hasOwnProperty.call(updateFields, 'trackingEnabled')) {
-        hasValidFields = true;
-        // Convert legacy trackingEnabled to trackingStatus
-        if (updateFields.trackingEnabled === true || updateFields.trackingEnabled === 'true') {
-            finalTrackingStatus = 'active';
-        } else {
-            finalTrackingStatus = null;
-        }
-    }
+  // Apply trackingStatus if it was determined
+  if (finalTrackingStatus !== undefined) {
+      if (finalTrackingStatus === null) {
+          updatePayload.$unset.trackingStatus = "";
+          updatePayload.$unset.trackingEnabled = ""; // Also remove legacy field
+      } else {
+          updatePayload.$set.trackingStatus = finalTrackingStatus;
+          updatePayload.$unset.trackingEnabled = ""; // Remove legacy field
+      }
+  }
 
-    // Apply trackingStatus if it was determined
-    if (finalTrackingStatus !== undefined) {
-        if (finalTrackingStatus === null) {
-            updatePayload.$unset.trackingStatus = "";
-            updatePayload.$unset.trackingEnabled = ""; // Also remove legacy field
-        } else {
-            updatePayload.$set.trackingStatus = finalTrackingStatus;
-            updatePayload.$unset.trackingEnabled = ""; // Remove legacy field
-        }
-    }
+  for (const field of ALLOWED_UPDATE_FIELDS) {
+      // Skip trackingStatus and trackingEnabled as they're handled above
+      if (field === 'trackingStatus' || field === 'trackingEnabled') {
+          continue;
+      }
+      // [v1.8] status is handled by the state machine below
+      if (field === 'status') {
+          if (Object.prototype.hasOwnProperty.call(updateFields, field)) hasValidFields = true;
+          continue;
+      }
 
-    for (const field of ALLOWED_UPDATE_FIELDS) {
-        // Skip trackingStatus and trackingEnabled as they're handled above
-        if (field === 'trackingStatus' || field === 'trackingEnabled') {
-            continue;
-        }
-
-        if (Object.prototype.hasOwnProperty.call(updateFields, field)) {
-            hasValidFields = true;
-            // [v1.3] Ensure benchmarkCPM is stored as a number
-            if (field === 'benchmarkCPM') {
-                const value = parseFloat(updateFields[field]);
-                if (!isNaN(value)) {
-                    updatePayload.$set[field] = value;
-                } else {
-                    updatePayload.$unset[field] = ""; // Unset if empty or invalid
-                }
-            }
-            else if (updateFields[field] === null || updateFields[field] === '') {
-                updatePayload.$unset[field] = "";
-            } else {
-                updatePayload.$set[field] = updateFields[field];
-            }
-        }
-    }
+      if (Object.prototype.hasOwnProperty.call(updateFields, field)) {
+          hasValidFields = true;
+          // [v1.3] Ensure benchmarkCPM is stored as a number
+          if (field === 'benchmarkCPM') {
+              const value = parseFloat(updateFields[field]);
+              if (!isNaN(value)) {
+                  updatePayload.$set[field] = value;
+              } else {
+                  updatePayload.$unset[field] = ""; // Unset if empty or invalid
+              }
+          }
+          else if (updateFields[field] === null || updateFields[field] === '') {
+              updatePayload.$unset[field] = "";
+          } else {
+              updatePayload.$set[field] = updateFields[field];
+          }
+      }
+  }
 
-    if (!hasValidFields) {
-        return { statusCode: 400, headers, body: JSON.stringify({ success: false, message: '请求体中没有需要更新的有效字段。' }) };
-    }
-    
-    if (Object.keys(updatePayload.$set).length > 0) {
-      updatePayload.$set.updatedAt = new Date();
-    }
-    
-    // If status is updated, add an audit log
-    if (updateFields.status) {
-        const auditLogEntry = {
-            timestamp: new Date(),
-            user: "System",
-            action: `项目状态由人工变更为: ${updateFields.status}`
-        };
-        updatePayload.$push = {
-            auditLog: {
-                $each: [auditLogEntry],
-                $position: 0
-            }
-        };
-    }
-    
-    const finalUpdate = {};
-    if (Object.keys(updatePayload.$set).length > 0) finalUpdate.$set = updatePayload.$set;
-    if (Object.keys(updatePayload.$unset).length > 0) finalUpdate.$unset = updatePayload.$unset;
-    if (updatePayload.$push) finalUpdate.$push = updatePayload.$push;
+  if (!hasValidFields) {
+      throw new AppError('请求体中没有需要更新的有效字段。', 400);
+  }
+  
+  if (Object.keys(updatePayload.$set).length > 0) {
+    updatePayload.$set.updatedAt = new Date();
+  }
+  
+  const db = await getDb();
+  const collection = db.collection(PROJECTS_COLLECTION);
+
+  const before = await collection.findOne({ id: id });
+  if (!before) {
+    throw new AppError(`ID为 '${id}' 的项目不存在。`, 404);
+  }
 
+  // [v1.8] 状态流转：状态机校验 + 准入检查，admin 可强制跳过
+  let statusAudit = null;
+  if (Object.prototype.hasOwnProperty.call(updateFields, 'status')) {
+      if (!updateFields.status) {
+          throw new AppError('项目状态 (status) 不能为空。', 400);
+      }
+      const from = before.status;
+      const to = updateFields.status;
+      if (to !== from) {
+          if (!projectStatusMachine.isKnownState(to)) {
+              throw new AppError(`无效的项目状态: "${to}"。可选值: ${projectStatusMachine.states.join(' / ')}。`, 400, 'INVALID_STATUS');
+          }
+          const override = Boolean(updateFields.overrideGates);
+          const gate = STATUS_GATES[to];
+          const blockers = gate ? await gate(db, before) : [];
 
-    if (Object.keys(finalUpdate).length === 0) {
-       return { statusCode: 200, headers, body: JSON.stringify({ success: true, message: '没有字段需要更新。' }) };
-    }
+          if (!override) {
+              projectStatusMachine.assertTransition(from, to, before);
+              if (blockers.length > 0) {
+                  throw new AppError(
+                      `项目无法变更为"${to}"，仍有 ${blockers.length} 项未完成。`,
+                      409,
+                      'STATUS_GATE_BLOCKED',
+                      { from, to, blockers }
+                  );
+              }
+          }
 
-    const dbClient = await connectToDatabase();
-    const collection = dbClient.db(DB_NAME).collection(PROJECTS_COLLECTION);
+          const bypassed = override
+              ? { override: true, bypassedTransition: !projectStatusMachine.canTransition(from, to), bypassedBlockers: blockers }
+              : {};
+          const reason = override ? updateFields.overrideReason : updateFields.statusReason;
 
-    const result = await collection.updateOne({ id: id }, finalUpdate);
+          updatePayload.$set.status = to;
+          updatePayload.$set.updatedAt = new Date();
+          updatePayload.$push = {
+              auditLog: {
+                  $each: [{
+                      timestamp: new Date(),
+                      user: req.user ? req.user.name : "System",
+                      action: override
+                          ? `管理员强制将项目状态变更为: ${to}（原因: ${reason}）`
+                          : `项目状态由人工变更为: ${to}`
+                  }],
+                  $position: 0
+              },
+              statusHistory: buildStatusHistoryEntry({ from, to, user: req.user, reason, ...bypassed })
+          };
+          statusAudit = { from, to, ...bypassed };
+      }
+  }
+  
+  const finalUpdate = {};
+  if (Object.keys(updatePayload.$set).length > 0) finalUpdate.$set = updatePayload.$set;
+  if (Object.keys(updatePayload.$unset).length > 0) finalUpdate.$unset = updatePayload.$unset;
+  if (updatePayload.$push) finalUpdate.$push = updatePayload.$push;
 
-    if (result.matchedCount === 0) {
-      return { statusCode: 404, headers, body: JSON.stringify({ success: false, message: `ID为 '${id}' 的项目不存在。` }) };
-    }
 
-    return {
-      statusCode: 200,
-      headers,
-      body: JSON.stringify({ success: true, message: '项目信息更新成功。' }),
-    };
+  if (Object.keys(finalUpdate).length === 0) {
+    return respond(200, { success: true, message: '没有字段需要更新。' });
+  }
 
-  } catch (error) {
-    console.error('处理请求时发生错误:', error);
-    return { statusCode: 500, headers, body: JSON.stringify({ success: false, message: '服务器内部错误', error: error.message }) };
+  // 流转与准入检查基于 before，写入时要求状态未被其他请求改变
+  const after = await collection.findOneAndUpdate({ id: id, status: before.status ?? null }, finalUpdate, { returnDocument: 'after' });
+  if (!after) {
+    throw new AppError('项目状态已被其他人修改，请刷新后重试。', 409, 'STATUS_CONFLICT', { id, expectedStatus: before.status ?? null });
   }
-};
+
+  await recordAudit(db, req, {
+    entityType: 'project',
+    entityId: id,
+    action: AUDIT_ACTIONS.UPDATE,
+    before,
+    after,
+    ...(statusAudit ? { meta: { statusChange: statusAudit } } : {}),
+  });
+
+  return respond(200, { success: true, message: '项目信息更新成功。' });
+});
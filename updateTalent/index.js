@@ -1,7 +1,9 @@
 /**
- * [生产版 v2.2 - 修复版]
+ * [生产版 v2.3 - 审计日志]
  * 云函数：updateTalent
  * 描述：更新指定达人的基础信息。
+ * --- v2.3 更新日志 ---
+ * - [审计] 更新前后的字段差异写入统一的 audit_events 集合。
  * --- v2.2 更新日志 ---
  * - [BUG修复] 移除了对 xingtuId 字段的更新限制，允许前端修改达人星图ID。
  * --- v2.1 更新日志 ---
@@ -12,90 +14,53 @@
  * 遵循《KOL项目后端开发核心原则与避坑指南 v3.0》。
  */
 
-const { MongoClient } = require('mongodb');
+const { createHandler, getDb, respond, AppError, recordAudit, AUDIT_ACTIONS, WRITE_ROLES } = require('kol-common');
 
 // [规范统一] 从环境变量中获取配置，并提供默认值
-const MONGO_URI = process.env.MONGO_URI;
-const DB_NAME = process.env.MONGO_DB_NAME || 'kol_data';
 const TALENTS_COLLECTION = process.env.MONGO_TALENTS_COLLECTION || 'talents';
 
-let client;
+exports.handler = createHandler({ name: 'updateTalent', methods: ['PUT'], roles: WRITE_ROLES }, async (req) => {
+  // --- [原则 2.1] 双源数据读取 ---
+  const inputData = req.params;
 
-async function connectToDatabase() {
-  if (client && client.topology && client.topology.isConnected()) {
-    return client;
-  }
-  // [规范统一] 使用 MONGO_URI
-  client = new MongoClient(MONGO_URI);
-  await client.connect();
-  return client;
-}
-
-exports.handler = async (event, context) => {
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
-    'Access-Control-Allow-Methods': 'PUT, OPTIONS',
-    'Content-Type': 'application/json'
-  };
+  // [规范统一] 将接收的ID字段统一为 "id"
+  const { id, ...updateFields } = inputData;
 
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 204, headers, body: '' };
+  if (!id) {
+    throw new AppError('请求体中缺少达人ID (id)。', 400);
+  }
+  
+  // [安全设计] 不允许通过此接口修改程序内部ID和数据库主键
+  delete updateFields.id;
+  delete updateFields._id;
+  
+  if (Object.keys(updateFields).length === 0) {
+      throw new AppError('请求体中缺少需要更新的字段。', 400);
   }
 
-  try {
-    // --- [原则 2.1] 双源数据读取 ---
-    let inputData = {};
-    if (event.body) {
-        try { inputData = JSON.parse(event.body); } catch(e) { /* ignore */ }
-    }
-    if (Object.keys(inputData).length === 0 && event.queryStringParameters) {
-        inputData = event.queryStringParameters;
-    }
-
-    // [规范统一] 将接收的ID字段统一为 "id"
-    const { id, ...updateFields } = inputData;
-
-    if (!id) {
-      return { statusCode: 400, headers, body: JSON.stringify({ success: false, message: '请求体中缺少达人ID (id)。' }) };
-    }
-    
-    // [安全设计] 不允许通过此接口修改程序内部ID和数据库主键
-    delete updateFields.id;
-    delete updateFields._id;
-    
-    if (Object.keys(updateFields).length === 0) {
-        return { statusCode: 400, headers, body: JSON.stringify({ success: false, message: '请求体中缺少需要更新的字段。' }) };
-    }
-
-    const dbClient = await connectToDatabase();
-    // [规范统一] 使用从环境变量读取的集合名
-    const collection = dbClient.db(DB_NAME).collection(TALENTS_COLLECTION);
+  const db = await getDb();
+  // [规范统一] 使用从环境变量读取的集合名
+  const collection = db.collection(TALENTS_COLLECTION);
 
-    const updatePayload = {
-        $set: {
-            ...updateFields,
-            updatedAt: new Date() // 自动更新时间戳
-        }
-    };
+  const updatePayload = {
+      $set: {
+          ...updateFields,
+          updatedAt: new Date() // 自动更新时间戳
+      }
+  };
 
-    const result = await collection.updateOne(
-      { id: id }, // 使用程序ID进行匹配
-      updatePayload
-    );
+  const previousTalent = await collection.findOne({ id: id });
+  if (!previousTalent) {
+    throw new AppError(`ID为 '${id}' 的达人不存在。`, 404);
+  }
 
-    if (result.matchedCount === 0) {
-      return { statusCode: 404, headers, body: JSON.stringify({ success: false, message: `ID为 '${id}' 的达人不存在。` }) };
-    }
+  const updatedTalent = await collection.findOneAndUpdate(
+    { id: id }, // 使用程序ID进行匹配
+    updatePayload,
+    { returnDocument: 'after' }
+  );
 
-    return {
-      statusCode: 200,
-      headers,
-      body: JSON.stringify({ success: true, message: '达人信息更新成功。' }),
-    };
+  await recordAudit(db, req, { entityType: 'talent', entityId: id, action: AUDIT_ACTIONS.UPDATE, before: previousTalent, after: updatedTalent });
 
-  } catch (error) {
-    console.error('处理请求时发生错误:', error);
-    return { statusCode: 500, headers, body: JSON.stringify({ success: false, message: '服务器内部错误', error: error.message }) };
-  }
-};
+  return respond(200, { success: true, message: '达人信息更新成功。' });
+});